@@ -0,0 +1,432 @@
+const { db } = require("./db");
+const { sendEmail, sendWebhook } = require("./notifiers");
+
+// Rule types:
+// - threshold: the field value itself
+// - rate: change per hour since the device's previous reading
+// - change: change since the first reading inside the rule's time window
+const RULE_TYPES = ["threshold", "rate", "change"];
+
+const OPERATORS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+
+const FIELD_PATTERN = /^[A-Za-z0-9_]+$/;
+
+class AlertRuleError extends Error {}
+
+function rowToRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    deviceId: row.device_id,
+    field: row.field,
+    type: row.type,
+    operator: row.operator,
+    threshold: row.threshold,
+    windowMinutes: row.window_minutes,
+    consecutive: row.consecutive,
+    hysteresis: row.hysteresis,
+    notifyEmails: row.notify_emails ? row.notify_emails.split(",") : [],
+    notifyWebhook: row.notify_webhook,
+    enabled: row.enabled === 1,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+function rowToEvent(row) {
+  return {
+    id: row.id,
+    ruleId: row.rule_id,
+    ruleName: row.rule_name,
+    deviceId: row.device_id,
+    field: row.field,
+    state: row.state,
+    value: row.value,
+    message: row.message,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+// Validate a rule from the API and convert it to column values
+function validateRule(input) {
+  const rule = {
+    name: String(input.name || "").trim(),
+    deviceId: input.deviceId || null,
+    field: String(input.field || "").trim(),
+    type: input.type || "threshold",
+    operator: input.operator,
+    threshold: Number(input.threshold),
+    windowMinutes:
+      input.windowMinutes === undefined || input.windowMinutes === null
+        ? null
+        : parseInt(input.windowMinutes, 10),
+    consecutive: parseInt(input.consecutive ?? 1, 10),
+    hysteresis: Number(input.hysteresis ?? 0),
+    notifyEmails: Array.isArray(input.notifyEmails)
+      ? input.notifyEmails.map((email) => String(email).trim()).filter(Boolean)
+      : [],
+    notifyWebhook: input.notifyWebhook || null,
+    enabled: input.enabled === undefined ? true : Boolean(input.enabled),
+  };
+
+  if (!rule.name) {
+    throw new AlertRuleError("Rule name is required");
+  }
+  if (!FIELD_PATTERN.test(rule.field)) {
+    throw new AlertRuleError(`Invalid field name: ${rule.field}`);
+  }
+  if (!RULE_TYPES.includes(rule.type)) {
+    throw new AlertRuleError(`Unknown rule type: ${rule.type}`);
+  }
+  if (!OPERATORS[rule.operator]) {
+    throw new AlertRuleError(`Unknown operator: ${rule.operator}`);
+  }
+  if (!Number.isFinite(rule.threshold)) {
+    throw new AlertRuleError("Threshold must be a number");
+  }
+  if (rule.type === "change" && !(rule.windowMinutes > 0)) {
+    throw new AlertRuleError("Change rules need a positive windowMinutes");
+  }
+  if (!(rule.consecutive >= 1)) {
+    throw new AlertRuleError("Consecutive must be at least 1");
+  }
+  if (!Number.isFinite(rule.hysteresis) || rule.hysteresis < 0) {
+    throw new AlertRuleError("Hysteresis must be a non-negative number");
+  }
+  if (rule.notifyWebhook && !/^https?:\/\//.test(rule.notifyWebhook)) {
+    throw new AlertRuleError("Webhook must be an http(s) URL");
+  }
+
+  return {
+    name: rule.name,
+    device_id: rule.deviceId,
+    field: rule.field,
+    type: rule.type,
+    operator: rule.operator,
+    threshold: rule.threshold,
+    window_minutes: rule.windowMinutes,
+    consecutive: rule.consecutive,
+    hysteresis: rule.hysteresis,
+    notify_emails: rule.notifyEmails.join(",") || null,
+    notify_webhook: rule.notifyWebhook,
+    enabled: rule.enabled ? 1 : 0,
+  };
+}
+
+const listRulesStmt = db.prepare("SELECT * FROM alert_rules ORDER BY id");
+const getRuleStmt = db.prepare("SELECT * FROM alert_rules WHERE id = ?");
+const insertRuleStmt = db.prepare(`
+  INSERT INTO alert_rules
+    (name, device_id, field, type, operator, threshold, window_minutes,
+     consecutive, hysteresis, notify_emails, notify_webhook, enabled, created_at)
+  VALUES
+    (@name, @device_id, @field, @type, @operator, @threshold, @window_minutes,
+     @consecutive, @hysteresis, @notify_emails, @notify_webhook, @enabled,
+     @created_at)
+`);
+const updateRuleStmt = db.prepare(`
+  UPDATE alert_rules SET
+    name = @name, device_id = @device_id, field = @field, type = @type,
+    operator = @operator, threshold = @threshold,
+    window_minutes = @window_minutes, consecutive = @consecutive,
+    hysteresis = @hysteresis, notify_emails = @notify_emails,
+    notify_webhook = @notify_webhook, enabled = @enabled
+  WHERE id = @id
+`);
+const deleteRuleStmt = db.prepare("DELETE FROM alert_rules WHERE id = ?");
+const resetStateStmt = db.prepare("DELETE FROM alert_state WHERE rule_id = ?");
+
+function listRules() {
+  return listRulesStmt.all().map(rowToRule);
+}
+
+function getRule(id) {
+  const row = getRuleStmt.get(id);
+  return row ? rowToRule(row) : null;
+}
+
+function createRule(input) {
+  const values = validateRule(input);
+  const { lastInsertRowid } = insertRuleStmt.run({
+    ...values,
+    created_at: Date.now(),
+  });
+  return getRule(lastInsertRowid);
+}
+
+// Returns null if the rule doesn't exist. Editing a rule resets its state so
+// it is re-evaluated from scratch against the new conditions.
+function updateRule(id, input) {
+  const values = validateRule(input);
+  const { changes } = db.transaction(() => {
+    resetStateStmt.run(id);
+    return updateRuleStmt.run({ ...values, id });
+  })();
+  return changes > 0 ? getRule(id) : null;
+}
+
+function deleteRule(id) {
+  return deleteRuleStmt.run(id).changes > 0;
+}
+
+const enabledRulesStmt = db.prepare(
+  "SELECT * FROM alert_rules WHERE enabled = 1 AND (device_id IS NULL OR device_id = ?)"
+);
+const getStateStmt = db.prepare(
+  "SELECT * FROM alert_state WHERE rule_id = ? AND device_id = ?"
+);
+const upsertStateStmt = db.prepare(`
+  INSERT INTO alert_state (rule_id, device_id, active, consecutive_count)
+  VALUES (@ruleId, @deviceId, @active, @count)
+  ON CONFLICT (rule_id, device_id) DO UPDATE SET
+    active = excluded.active, consecutive_count = excluded.consecutive_count
+`);
+const insertEventStmt = db.prepare(`
+  INSERT INTO alert_events
+    (rule_id, device_id, field, state, value, message, created_at)
+  VALUES (@ruleId, @deviceId, @field, @state, @value, @message, @createdAt)
+`);
+const previousValueStmt = db.prepare(`
+  SELECT received_at AS receivedAt,
+         json_extract(decoded_payload, @path) AS value
+  FROM readings
+  WHERE device_id = @deviceId AND received_at < @before AND value IS NOT NULL
+  ORDER BY received_at DESC
+  LIMIT 1
+`);
+const windowStartValueStmt = db.prepare(`
+  SELECT received_at AS receivedAt,
+         json_extract(decoded_payload, @path) AS value
+  FROM readings
+  WHERE device_id = @deviceId
+    AND received_at >= @from AND received_at < @before
+    AND value IS NOT NULL
+  ORDER BY received_at ASC
+  LIMIT 1
+`);
+
+// Work out the value a rule compares against its threshold, or null if
+// there isn't enough history yet
+function ruleMetric(rule, deviceId, receivedAt, value) {
+  const path = `$.${rule.field}`;
+
+  if (rule.type === "rate") {
+    const previous = previousValueStmt.get({
+      path,
+      deviceId,
+      before: receivedAt,
+    });
+    if (!previous || typeof previous.value !== "number") {
+      return null;
+    }
+    const hours = (receivedAt - previous.receivedAt) / (60 * 60 * 1000);
+    return hours > 0 ? (value - previous.value) / hours : null;
+  }
+
+  if (rule.type === "change") {
+    const start = windowStartValueStmt.get({
+      path,
+      deviceId,
+      from: receivedAt - rule.windowMinutes * 60 * 1000,
+      before: receivedAt,
+    });
+    if (!start || typeof start.value !== "number") {
+      return null;
+    }
+    return value - start.value;
+  }
+
+  return value;
+}
+
+// Hysteresis: an active alert only clears once the metric is back past the
+// threshold by at least the hysteresis margin
+function isCleared(rule, metric) {
+  if (rule.operator === ">" || rule.operator === ">=") {
+    return metric <= rule.threshold - rule.hysteresis;
+  }
+  return metric >= rule.threshold + rule.hysteresis;
+}
+
+function describeEvent(rule, deviceId, state, metric) {
+  const metricLabel =
+    rule.type === "rate"
+      ? `${rule.field} rate of change ${metric.toFixed(2)}/h`
+      : rule.type === "change"
+      ? `${rule.field} change over ${rule.windowMinutes} min ${metric.toFixed(
+          2
+        )}`
+      : `${rule.field} ${metric.toFixed(2)}`;
+
+  return state === "triggered"
+    ? `${rule.name}: ${metricLabel} on ${deviceId} (rule: ${rule.operator} ${rule.threshold})`
+    : `${rule.name} resolved: ${metricLabel} on ${deviceId}`;
+}
+
+async function notify(rule, event) {
+  const subject = `[Reef alert] ${event.message}`;
+  const deliveries = [];
+
+  rule.notifyEmails.forEach((email) => {
+    deliveries.push(
+      sendEmail(
+        email,
+        subject,
+        `${event.message}\n\nRule: ${rule.name}\nDevice: ${event.deviceId}\nField: ${event.field}\nValue: ${event.value}\nTime: ${event.createdAt}\n`
+      )
+    );
+  });
+
+  if (rule.notifyWebhook) {
+    deliveries.push(sendWebhook(rule.notifyWebhook, { event, rule }));
+  }
+
+  const results = await Promise.allSettled(deliveries);
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) =>
+      console.error(
+        `Alert notification failed for ${rule.name}:`,
+        result.reason
+      )
+    );
+}
+
+// Evaluate all enabled rules for a device against a newly stored reading.
+// Returns the alert events (triggered or resolved) that this reading caused.
+function evaluateAlerts(deviceId, receivedAt, payload) {
+  const events = [];
+
+  enabledRulesStmt.all(deviceId).forEach((row) => {
+    const rule = rowToRule(row);
+    const value = payload[rule.field];
+    if (typeof value !== "number") {
+      return;
+    }
+
+    const metric = ruleMetric(rule, deviceId, receivedAt, value);
+    if (metric === null) {
+      return;
+    }
+
+    const state = getStateStmt.get(rule.id, deviceId) || {
+      active: 0,
+      consecutive_count: 0,
+    };
+    let active = state.active === 1;
+    let count = state.consecutive_count;
+    let transition = null;
+
+    if (OPERATORS[rule.operator](metric, rule.threshold)) {
+      count++;
+      if (!active && count >= rule.consecutive) {
+        active = true;
+        transition = "triggered";
+      }
+    } else {
+      count = 0;
+      if (active && isCleared(rule, metric)) {
+        active = false;
+        transition = "resolved";
+      }
+    }
+
+    upsertStateStmt.run({
+      ruleId: rule.id,
+      deviceId,
+      active: active ? 1 : 0,
+      count,
+    });
+
+    if (transition) {
+      const createdAt = Date.now();
+      const message = describeEvent(rule, deviceId, transition, metric);
+      const { lastInsertRowid } = insertEventStmt.run({
+        ruleId: rule.id,
+        deviceId,
+        field: rule.field,
+        state: transition,
+        value: metric,
+        message,
+        createdAt,
+      });
+
+      const event = {
+        id: lastInsertRowid,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        deviceId,
+        field: rule.field,
+        state: transition,
+        value: metric,
+        message,
+        createdAt: new Date(createdAt).toISOString(),
+      };
+      console.log(`Alert ${transition}: ${message}`);
+      events.push(event);
+      notify(rule, event);
+    }
+  });
+
+  return events;
+}
+
+// Alert history, newest first
+function listAlertEvents({ ruleId, deviceId, limit = 100 } = {}) {
+  const conditions = [];
+  const params = { limit: Math.min(Math.max(limit, 1), 1000) };
+
+  if (ruleId) {
+    conditions.push("e.rule_id = @ruleId");
+    params.ruleId = ruleId;
+  }
+  if (deviceId) {
+    conditions.push("e.device_id = @deviceId");
+    params.deviceId = deviceId;
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  return db
+    .prepare(
+      `SELECT e.*, r.name AS rule_name FROM alert_events e
+       JOIN alert_rules r ON r.id = e.rule_id
+       ${where}
+       ORDER BY e.created_at DESC, e.id DESC
+       LIMIT @limit`
+    )
+    .all(params)
+    .map(rowToEvent);
+}
+
+// Rule/device pairs currently in the alert state
+const activeAlertsStmt = db.prepare(`
+  SELECT s.rule_id, s.device_id, r.name, r.field
+  FROM alert_state s JOIN alert_rules r ON r.id = s.rule_id
+  WHERE s.active = 1 AND r.enabled = 1
+`);
+
+function listActiveAlerts() {
+  return activeAlertsStmt.all().map((row) => ({
+    ruleId: row.rule_id,
+    ruleName: row.name,
+    deviceId: row.device_id,
+    field: row.field,
+  }));
+}
+
+module.exports = {
+  AlertRuleError,
+  RULE_TYPES,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  evaluateAlerts,
+  listAlertEvents,
+  listActiveAlerts,
+};
@@ -0,0 +1,229 @@
+const crypto = require("crypto");
+const { db } = require("./db");
+
+// Requests a minute each key may make, unless the key has its own limit
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_RATE_LIMIT || "60", 10);
+const MAX_RATE_LIMIT = 10000;
+const RATE_WINDOW = 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+const USAGE_DAYS = 30;
+
+const KEY_PREFIX = "reef_";
+
+class ApiKeyError extends Error {}
+
+// Keys are only stored hashed, like admin sessions (see auth.js). The first
+// characters are kept so admins can tell keys apart.
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function dayStart(time) {
+  return Math.floor(time / DAY) * DAY;
+}
+
+function rowToApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    rateLimit: row.rate_limit,
+    effectiveRateLimit: row.rate_limit ?? DEFAULT_RATE_LIMIT,
+    createdBy: row.created_by,
+    createdAt: new Date(row.created_at).toISOString(),
+    lastUsedAt: row.last_used_at
+      ? new Date(row.last_used_at).toISOString()
+      : null,
+    revokedAt: row.revoked_at ? new Date(row.revoked_at).toISOString() : null,
+    requestsToday: row.requests_today ?? 0,
+    requestsLast30Days: row.requests_30d ?? 0,
+  };
+}
+
+function validateName(name) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed || trimmed.length > 100) {
+    throw new ApiKeyError("Name must be 1-100 characters");
+  }
+  return trimmed;
+}
+
+// A blank limit means the default
+function validateRateLimit(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RATE_LIMIT) {
+    throw new ApiKeyError(
+      `Rate limit must be a whole number of requests a minute from 1 to ${MAX_RATE_LIMIT}`
+    );
+  }
+  return limit;
+}
+
+// Keys with their request counts for today and the last 30 days
+const selectApiKeys = `
+  SELECT k.*,
+    (SELECT requests FROM api_usage u
+     WHERE u.key_id = k.id AND u.day = @today) AS requests_today,
+    (SELECT SUM(requests) FROM api_usage u
+     WHERE u.key_id = k.id AND u.day >= @since) AS requests_30d
+  FROM api_keys k
+`;
+const listApiKeysStmt = db.prepare(
+  `${selectApiKeys} ORDER BY k.revoked_at IS NOT NULL, k.name`
+);
+const getApiKeyStmt = db.prepare(`${selectApiKeys} WHERE k.id = @id`);
+const getApiKeyByHashStmt = db.prepare(
+  "SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL"
+);
+const insertApiKeyStmt = db.prepare(`
+  INSERT INTO api_keys
+    (name, key_prefix, key_hash, rate_limit, created_by, created_at)
+  VALUES (@name, @keyPrefix, @keyHash, @rateLimit, @createdBy, @now)
+`);
+const updateApiKeyStmt = db.prepare(
+  "UPDATE api_keys SET name = @name, rate_limit = @rateLimit WHERE id = @id"
+);
+const revokeApiKeyStmt = db.prepare(
+  "UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL"
+);
+const usageStmt = db.prepare(`
+  SELECT day, requests, limited FROM api_usage
+  WHERE key_id = ? AND day >= ?
+  ORDER BY day
+`);
+const countRequestStmt = db.prepare(`
+  INSERT INTO api_usage (key_id, day, requests, limited)
+  VALUES (@keyId, @day, 1, @limited)
+  ON CONFLICT (key_id, day) DO UPDATE SET
+    requests = requests + 1, limited = limited + excluded.limited
+`);
+const updateLastUsedStmt = db.prepare(
+  "UPDATE api_keys SET last_used_at = ? WHERE id = ?"
+);
+
+function usageDays() {
+  const today = dayStart(Date.now());
+  return { today, since: today - (USAGE_DAYS - 1) * DAY };
+}
+
+function getApiKey(id) {
+  const row = getApiKeyStmt.get({ id, ...usageDays() });
+  return row ? rowToApiKey(row) : null;
+}
+
+function listApiKeys() {
+  return listApiKeysStmt.all(usageDays()).map(rowToApiKey);
+}
+
+// Issue a key. Returns the key itself, which is never shown again, and its
+// record.
+function createApiKey({ name, rateLimit }, createdBy) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const { lastInsertRowid } = insertApiKeyStmt.run({
+    name: validateName(name),
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashKey(key),
+    rateLimit: validateRateLimit(rateLimit),
+    createdBy: createdBy || null,
+    now: Date.now(),
+  });
+  return { key, apiKey: getApiKey(lastInsertRowid) };
+}
+
+// Rename a key or change its rate limit. Returns null if it doesn't exist.
+function updateApiKey(id, { name, rateLimit }) {
+  const changes = updateApiKeyStmt.run({
+    id,
+    name: validateName(name),
+    rateLimit: validateRateLimit(rateLimit),
+  }).changes;
+  return changes > 0 ? getApiKey(id) : null;
+}
+
+// Revoked keys are kept, with their usage, but stop working straight away
+function revokeApiKey(id) {
+  if (!getApiKey(id)) {
+    return false;
+  }
+  revokeApiKeyStmt.run(Date.now(), id);
+  return true;
+}
+
+// Requests made with a key on each of the last 30 days (UTC), including
+// the ones refused for going over its rate limit
+function apiKeyUsage(id) {
+  const rows = usageStmt.all(id, usageDays().since);
+  return rows.map((row) => ({
+    date: new Date(row.day).toISOString().slice(0, 10),
+    requests: row.requests,
+    limited: row.limited,
+  }));
+}
+
+// Requests made by each key in the current minute. Limits are per server
+// process, which is all this app runs.
+const rateWindows = new Map();
+
+function takeRequest(keyId, limit, now) {
+  let window = rateWindows.get(keyId);
+  if (!window || now - window.start >= RATE_WINDOW) {
+    window = { start: now, count: 0 };
+    rateWindows.set(keyId, window);
+  }
+  window.count++;
+  return {
+    isAllowed: window.count <= limit,
+    remaining: Math.max(limit - window.count, 0),
+    resetAt: window.start + RATE_WINDOW,
+  };
+}
+
+// Express middleware for the public API: checks the X-API-Key header,
+// applies the key's rate limit and counts the request
+function requireApiKey(req, res, next) {
+  const key = req.get("X-API-Key");
+  const row = key ? getApiKeyByHashStmt.get(hashKey(key)) : null;
+  if (!row) {
+    return res.status(401).json({
+      error: key ? "Invalid or revoked API key" : "An API key is required",
+    });
+  }
+
+  const now = Date.now();
+  const limit = row.rate_limit ?? DEFAULT_RATE_LIMIT;
+  const { isAllowed, remaining, resetAt } = takeRequest(row.id, limit, now);
+  countRequestStmt.run({
+    keyId: row.id,
+    day: dayStart(now),
+    limited: isAllowed ? 0 : 1,
+  });
+  updateLastUsedStmt.run(now, row.id);
+
+  res.set("X-RateLimit-Limit", String(limit));
+  res.set("X-RateLimit-Remaining", String(remaining));
+  res.set("X-RateLimit-Reset", String(Math.ceil(resetAt / 1000)));
+  if (!isAllowed) {
+    res.set("Retry-After", String(Math.ceil((resetAt - now) / 1000)));
+    return res.status(429).json({
+      error: `Rate limit of ${limit} requests a minute exceeded`,
+    });
+  }
+
+  req.apiKey = { id: row.id, name: row.name };
+  next();
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMIT,
+  ApiKeyError,
+  listApiKeys,
+  getApiKey,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+  apiKeyUsage,
+  requireApiKey,
+};
@@ -0,0 +1,259 @@
+const crypto = require("crypto");
+const { db } = require("./db");
+
+const SESSION_HOURS = parseInt(process.env.ADMIN_SESSION_HOURS || "12", 10);
+const MIN_PASSWORD_LENGTH = 10;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+
+// Failed logins allowed per address before it has to wait
+const MAX_FAILED_LOGINS = 10;
+const FAILED_LOGIN_WINDOW = 15 * 60 * 1000;
+
+class AuthError extends Error {}
+
+// Passwords are stored as scrypt$<N>$<salt>$<hash>
+const SCRYPT_COST = 16384;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64, { N: SCRYPT_COST });
+  return `scrypt$${SCRYPT_COST}$${salt.toString("base64")}$${hash.toString(
+    "base64"
+  )}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, cost, salt, hash] = (stored || "").split("$");
+  if (scheme !== "scrypt") {
+    return false;
+  }
+  const expected = Buffer.from(hash, "base64");
+  const actual = crypto.scryptSync(
+    password,
+    Buffer.from(salt, "base64"),
+    expected.length,
+    { N: parseInt(cost, 10) }
+  );
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Session tokens are only stored hashed, so a copy of the database can't be
+// used to log in
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function rowToUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    createdAt: new Date(row.created_at).toISOString(),
+    lastLoginAt: row.last_login_at
+      ? new Date(row.last_login_at).toISOString()
+      : null,
+  };
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+}
+
+const listUsersStmt = db.prepare("SELECT * FROM users ORDER BY username");
+const countUsersStmt = db.prepare("SELECT COUNT(*) AS count FROM users");
+const getUserStmt = db.prepare("SELECT * FROM users WHERE id = ?");
+const getUserByNameStmt = db.prepare("SELECT * FROM users WHERE username = ?");
+const insertUserStmt = db.prepare(`
+  INSERT INTO users (username, password_hash, created_at)
+  VALUES (@username, @passwordHash, @now)
+`);
+const updatePasswordStmt = db.prepare(
+  "UPDATE users SET password_hash = ? WHERE id = ?"
+);
+const deleteUserStmt = db.prepare("DELETE FROM users WHERE id = ?");
+const updateLastLoginStmt = db.prepare(
+  "UPDATE users SET last_login_at = ? WHERE id = ?"
+);
+
+function listUsers() {
+  return listUsersStmt.all().map(rowToUser);
+}
+
+function createUser({ username, password }) {
+  const name = String(username || "")
+    .trim()
+    .toLowerCase();
+  if (!USERNAME_PATTERN.test(name)) {
+    throw new AuthError(
+      "Username must be 3-32 lowercase letters, digits, dots, dashes or underscores"
+    );
+  }
+  validatePassword(password);
+  if (getUserByNameStmt.get(name)) {
+    throw new AuthError(`User ${name} already exists`);
+  }
+
+  const { lastInsertRowid } = insertUserStmt.run({
+    username: name,
+    passwordHash: hashPassword(password),
+    now: Date.now(),
+  });
+  return rowToUser(getUserStmt.get(lastInsertRowid));
+}
+
+const deleteUserSessionsStmt = db.prepare(
+  "DELETE FROM sessions WHERE user_id = ?"
+);
+
+// Changing a password logs the user out everywhere
+function changePassword(id, password) {
+  validatePassword(password);
+  return db.transaction(() => {
+    if (updatePasswordStmt.run(hashPassword(password), id).changes === 0) {
+      return false;
+    }
+    deleteUserSessionsStmt.run(id);
+    return true;
+  })();
+}
+
+// The last account can't be removed, or nobody could log in again
+function deleteUser(id) {
+  if (countUsersStmt.get().count <= 1 && getUserStmt.get(id)) {
+    throw new AuthError("Can't delete the only admin user");
+  }
+  return deleteUserStmt.run(id).changes > 0;
+}
+
+const insertSessionStmt = db.prepare(`
+  INSERT INTO sessions (token_hash, user_id, created_at, expires_at)
+  VALUES (@tokenHash, @userId, @now, @expiresAt)
+`);
+const getSessionStmt = db.prepare(`
+  SELECT s.expires_at, u.* FROM sessions s
+  JOIN users u ON u.id = s.user_id
+  WHERE s.token_hash = ?
+`);
+const deleteSessionStmt = db.prepare(
+  "DELETE FROM sessions WHERE token_hash = ?"
+);
+const pruneSessionsStmt = db.prepare(
+  "DELETE FROM sessions WHERE expires_at < ?"
+);
+
+const failedLogins = new Map();
+const UNKNOWN_USER_HASH = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+function isLockedOut(address) {
+  const entry = failedLogins.get(address);
+  if (!entry || Date.now() - entry.since > FAILED_LOGIN_WINDOW) {
+    failedLogins.delete(address);
+    return false;
+  }
+  return entry.count >= MAX_FAILED_LOGINS;
+}
+
+function recordFailedLogin(address) {
+  const entry = failedLogins.get(address);
+  if (!entry || Date.now() - entry.since > FAILED_LOGIN_WINDOW) {
+    failedLogins.set(address, { count: 1, since: Date.now() });
+  } else {
+    entry.count++;
+  }
+}
+
+// Check a username and password and start a session. Returns the session
+// token (only ever given to the client) and the user.
+function login({ username, password }, address) {
+  if (isLockedOut(address)) {
+    throw new AuthError("Too many failed logins, try again later");
+  }
+
+  const row = getUserByNameStmt.get(
+    String(username || "")
+      .trim()
+      .toLowerCase()
+  );
+  // Check a dummy hash for unknown users so timing doesn't reveal them
+  const passwordHash = row ? row.password_hash : UNKNOWN_USER_HASH;
+  if (!verifyPassword(String(password || ""), passwordHash) || !row) {
+    recordFailedLogin(address);
+    throw new AuthError("Incorrect username or password");
+  }
+  failedLogins.delete(address);
+
+  const now = Date.now();
+  const token = crypto.randomBytes(32).toString("base64url");
+  pruneSessionsStmt.run(now);
+  insertSessionStmt.run({
+    tokenHash: hashToken(token),
+    userId: row.id,
+    now,
+    expiresAt: now + SESSION_HOURS * 60 * 60 * 1000,
+  });
+  updateLastLoginStmt.run(now, row.id);
+
+  return { token, user: rowToUser(row) };
+}
+
+function logout(token) {
+  return deleteSessionStmt.run(hashToken(token)).changes > 0;
+}
+
+// The user a session token belongs to, or null if it's unknown or expired
+function userForToken(token) {
+  if (!token) {
+    return null;
+  }
+  const row = getSessionStmt.get(hashToken(token));
+  if (!row || row.expires_at < Date.now()) {
+    return null;
+  }
+  return rowToUser(row);
+}
+
+function bearerToken(req) {
+  const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+  return match ? match[1] : null;
+}
+
+// Express middleware for routes only admins may use
+function requireAdmin(req, res, next) {
+  const user = userForToken(bearerToken(req));
+  if (!user) {
+    return res.status(401).json({ error: "Admin login required" });
+  }
+  req.user = user;
+  next();
+}
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD if there are no
+// users yet (otherwise use `npm run create-admin`)
+function seedAdminFromEnv() {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (countUsersStmt.get().count > 0 || !ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    return;
+  }
+  const user = createUser({
+    username: ADMIN_USERNAME,
+    password: ADMIN_PASSWORD,
+  });
+  console.log(`Created admin user ${user.username} from .env`);
+}
+
+module.exports = {
+  AuthError,
+  listUsers,
+  createUser,
+  changePassword,
+  deleteUser,
+  login,
+  logout,
+  bearerToken,
+  userForToken,
+  requireAdmin,
+  seedAdminFromEnv,
+};
@@ -0,0 +1,160 @@
+const { db } = require("./db");
+const { listDevices, updateReportedLocation } = require("./devices");
+const { markDeviceSeen } = require("./deviceStatus");
+const { ingestUplink } = require("./ingest");
+
+const PAGE_SIZE = 100;
+// How far back to look for a device with no stored readings yet
+const BACKFILL_DAYS = parseInt(process.env.TTN_BACKFILL_DAYS || "7", 10);
+
+const lastReceivedStmt = db.prepare(
+  "SELECT MAX(received_at) AS lastReceived FROM readings WHERE device_id = ?"
+);
+const lastReceivedAnyStmt = db.prepare(
+  "SELECT MAX(received_at) AS lastReceived FROM readings"
+);
+const knownDevicesStmt = db.prepare(
+  "SELECT DISTINCT device_id AS deviceId FROM readings"
+);
+
+let isBackfilling = false;
+
+function storageBaseUrl(ttnConfig) {
+  const cleanAppId = ttnConfig.applicationId.replace("@ttn", "");
+  return `https://${ttnConfig.region}.cloud.thethings.network/api/v3/as/applications/${cleanAppId}`;
+}
+
+// The Storage Integration streams results as newline-delimited JSON objects,
+// each wrapping one uplink in a "result" property
+function parseStorageResponse(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => JSON.parse(line).result)
+    .filter(Boolean);
+}
+
+async function fetchStoragePage(ttnConfig, storageUrl, after) {
+  const url = new URL(storageUrl);
+  url.searchParams.append("after", after);
+  url.searchParams.append("limit", String(PAGE_SIZE));
+  url.searchParams.append("order", "received_at");
+
+  const response = await fetch(url.toString(), {
+    method: "GET",
+    headers: {
+      Authorization: `Bearer ${ttnConfig.apiKey}`,
+      Accept: "application/json",
+    },
+  });
+
+  if (!response.ok) {
+    throw new Error(
+      `TTN Storage API error: ${response.status} ${response.statusText}`
+    );
+  }
+
+  return parseStorageResponse(await response.text());
+}
+
+// Page through the Storage Integration from `after` onwards, storing every
+// uplink we don't already have. Returns the number of new readings.
+async function backfillFrom(ttnConfig, storageUrl, after) {
+  let cursor = after;
+  let inserted = 0;
+
+  for (;;) {
+    const page = await fetchStoragePage(ttnConfig, storageUrl, cursor);
+
+    page.forEach((message) => {
+      if (ingestUplink(message).isNew) {
+        inserted++;
+        // As for a live uplink (see sources/index.js), so the device's status
+        // and reported location catch up too
+        const deviceId = message.end_device_ids?.device_id;
+        markDeviceSeen(deviceId, new Date(message.received_at).getTime());
+        updateReportedLocation(deviceId, message);
+      }
+    });
+
+    if (page.length < PAGE_SIZE) {
+      break;
+    }
+
+    const nextCursor = page[page.length - 1].received_at;
+    if (!nextCursor || nextCursor === cursor) {
+      break;
+    }
+    cursor = nextCursor;
+  }
+
+  return inserted;
+}
+
+function afterTimestamp(lastReceived) {
+  const fallback = Date.now() - BACKFILL_DAYS * 24 * 60 * 60 * 1000;
+  return new Date(lastReceived || fallback).toISOString();
+}
+
+// Fill gaps in the local store from the TTN Storage Integration, starting at
+// the last stored message for each registered or previously seen device.
+// Returns a summary of what was added, or null if a backfill is already
+// running.
+async function backfillFromStorage(ttnConfig) {
+  if (isBackfilling) {
+    console.log("Backfill already in progress, skipping");
+    return null;
+  }
+  if (!ttnConfig.applicationId || !ttnConfig.apiKey) {
+    console.log("TTN credentials not configured, skipping backfill");
+    return null;
+  }
+
+  isBackfilling = true;
+  const baseUrl = storageBaseUrl(ttnConfig);
+  const devices = [];
+
+  try {
+    const deviceIds = new Set(listDevices().map((device) => device.deviceId));
+    knownDevicesStmt.all().forEach(({ deviceId }) => deviceIds.add(deviceId));
+
+    if (deviceIds.size === 0) {
+      // Nothing configured or stored yet - backfill the whole application
+      const { lastReceived } = lastReceivedAnyStmt.get();
+      const after = afterTimestamp(lastReceived);
+      console.log(`Backfilling application uplinks after ${after}`);
+      const inserted = await backfillFrom(
+        ttnConfig,
+        `${baseUrl}/packages/storage/uplink_message`,
+        after
+      );
+      devices.push({ deviceId: null, after, inserted });
+    }
+
+    for (const deviceId of deviceIds) {
+      const { lastReceived } = lastReceivedStmt.get(deviceId);
+      const after = afterTimestamp(lastReceived);
+      console.log(`Backfilling ${deviceId} uplinks after ${after}`);
+
+      try {
+        const inserted = await backfillFrom(
+          ttnConfig,
+          `${baseUrl}/devices/${deviceId}/packages/storage/uplink_message`,
+          after
+        );
+        devices.push({ deviceId, after, inserted });
+      } catch (error) {
+        console.error(`Error backfilling ${deviceId}:`, error.message);
+      }
+    }
+  } finally {
+    isBackfilling = false;
+  }
+
+  const total = devices.reduce((sum, device) => sum + device.inserted, 0);
+  console.log(`Backfill complete: ${total} new readings`);
+  return { devices, total };
+}
+
+module.exports = { backfillFromStorage, parseStorageResponse };
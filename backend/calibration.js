@@ -0,0 +1,285 @@
+const { db } = require("./db");
+
+const FIELD_PATTERN = /^[A-Za-z0-9_]+$/;
+const RECOMPUTE_CHUNK_SIZE = 1000;
+
+class CalibrationError extends Error {}
+
+function rowToCalibration(row) {
+  return {
+    id: row.id,
+    deviceId: row.device_id,
+    field: row.field,
+    offset: row.offset,
+    scale: row.scale,
+    effectiveFrom: new Date(row.effective_from).toISOString(),
+    note: row.note,
+    createdBy: row.created_by,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+// Validate a calibration from the API and convert it to column values
+function validateCalibration(input) {
+  const calibration = {
+    device_id: String(input.deviceId || "").trim(),
+    field: String(input.field || "").trim(),
+    offset: Number(input.offset ?? 0),
+    scale: Number(input.scale ?? 1),
+    effective_from: Date.parse(input.effectiveFrom),
+    note: input.note ? String(input.note).trim() : null,
+  };
+
+  if (!calibration.device_id) {
+    throw new CalibrationError("A device is required");
+  }
+  if (!FIELD_PATTERN.test(calibration.field)) {
+    throw new CalibrationError(`Invalid field name: ${calibration.field}`);
+  }
+  if (!Number.isFinite(calibration.offset)) {
+    throw new CalibrationError("Offset must be a number");
+  }
+  if (!Number.isFinite(calibration.scale) || calibration.scale === 0) {
+    throw new CalibrationError("Scale must be a non-zero number");
+  }
+  if (Number.isNaN(calibration.effective_from)) {
+    throw new CalibrationError("A valid effectiveFrom date is required");
+  }
+
+  return calibration;
+}
+
+const listCalibrationsStmt = db.prepare(`
+  SELECT * FROM calibrations
+  WHERE (@deviceId IS NULL OR device_id = @deviceId)
+    AND (@field IS NULL OR field = @field)
+  ORDER BY device_id, field, effective_from DESC
+`);
+const getCalibrationStmt = db.prepare(
+  "SELECT * FROM calibrations WHERE id = ?"
+);
+const insertCalibrationStmt = db.prepare(`
+  INSERT INTO calibrations
+    (device_id, field, offset, scale, effective_from, note, created_by,
+     created_at)
+  VALUES
+    (@device_id, @field, @offset, @scale, @effective_from, @note,
+     @created_by, @now)
+`);
+const updateCalibrationStmt = db.prepare(`
+  UPDATE calibrations SET
+    device_id = @device_id, field = @field, offset = @offset, scale = @scale,
+    effective_from = @effective_from, note = @note
+  WHERE id = @id
+`);
+const deleteCalibrationStmt = db.prepare(
+  "DELETE FROM calibrations WHERE id = ?"
+);
+const activeCalibrationsStmt = db.prepare(`
+  SELECT * FROM calibrations
+  WHERE device_id = ? AND effective_from <= ?
+  ORDER BY effective_from DESC, id DESC
+`);
+
+// Calibration history, newest first within each device and field
+function listCalibrations({ deviceId, field } = {}) {
+  return listCalibrationsStmt
+    .all({ deviceId: deviceId || null, field: field || null })
+    .map(rowToCalibration);
+}
+
+function getCalibration(id) {
+  const row = getCalibrationStmt.get(id);
+  return row ? rowToCalibration(row) : null;
+}
+
+// The calibration in effect for each field of a device at a given time
+function calibrationsAt(deviceId, time) {
+  const byField = {};
+  activeCalibrationsStmt.all(deviceId, time).forEach((row) => {
+    if (!byField[row.field]) {
+      byField[row.field] = row;
+    }
+  });
+  return byField;
+}
+
+function calibrate(value, calibration) {
+  if (!calibration) {
+    return value;
+  }
+  return (
+    Math.round((value * calibration.scale + calibration.offset) * 10000) / 10000
+  );
+}
+
+// Apply the calibrations in effect to a decoded reading. The uncalibrated
+// values are kept as rawFields.
+function applyCalibration(reading) {
+  const calibrations = calibrationsAt(
+    reading.deviceId,
+    new Date(reading.receivedAt).getTime()
+  );
+  const fields = Object.fromEntries(
+    Object.entries(reading.fields).map(([field, value]) => [
+      field,
+      calibrate(value, calibrations[field]),
+    ])
+  );
+  return { ...reading, rawFields: reading.fields, fields };
+}
+
+const readingsToRecomputeStmt = db.prepare(`
+  SELECT id, received_at, decoded_payload, raw_payload, qc FROM readings
+  WHERE device_id = @deviceId AND received_at >= @from AND id > @after
+    AND decode_status = 'ok'
+  ORDER BY id
+  LIMIT @limit
+`);
+const updateRecomputedStmt = db.prepare(`
+  UPDATE readings
+  SET decoded_payload = @decodedPayload, raw_payload = @rawPayload, qc = @qc
+  WHERE id = @id
+`);
+
+// Recalculate a field's stored values from `from` onwards after its
+// calibrations change. Values keep their quality-control result; only the
+// number is updated (in the qc entry if the value was flagged). Returns the
+// number of readings updated.
+function recomputeReadings(deviceId, field, from) {
+  const recomputeChunk = db.transaction((rows) => {
+    let updated = 0;
+    rows.forEach((row) => {
+      const fields = JSON.parse(row.decoded_payload);
+      const qc = JSON.parse(row.qc || "{}");
+      // Older readings were stored before calibration, so they are raw
+      const raw = row.raw_payload
+        ? JSON.parse(row.raw_payload)
+        : {
+            ...fields,
+            ...Object.fromEntries(
+              Object.entries(qc).map(([name, entry]) => [name, entry.value])
+            ),
+          };
+      if (typeof raw[field] !== "number") {
+        return;
+      }
+
+      const calibration = calibrationsAt(deviceId, row.received_at)[field];
+      const value = calibrate(raw[field], calibration);
+      if (qc[field]) {
+        qc[field].value = value;
+      } else {
+        fields[field] = value;
+      }
+
+      updateRecomputedStmt.run({
+        id: row.id,
+        decodedPayload: JSON.stringify(fields),
+        rawPayload: JSON.stringify(raw),
+        qc: Object.keys(qc).length > 0 ? JSON.stringify(qc) : row.qc,
+      });
+      updated++;
+    });
+    return updated;
+  });
+
+  let after = 0;
+  let total = 0;
+  for (;;) {
+    const rows = readingsToRecomputeStmt.all({
+      deviceId,
+      from,
+      after,
+      limit: RECOMPUTE_CHUNK_SIZE,
+    });
+    if (rows.length === 0) {
+      break;
+    }
+    total += recomputeChunk(rows);
+    after = rows[rows.length - 1].id;
+  }
+
+  console.log(
+    `Recomputed ${field} for ${total} readings from ${deviceId} since ${new Date(
+      from
+    ).toISOString()}`
+  );
+  return total;
+}
+
+// Each change returns the calibration and how many stored readings were
+// recomputed. A change only affects readings from its effective date on
+// (or the earlier date, if an effective date moved).
+function createCalibration(input, createdBy) {
+  const calibration = validateCalibration(input);
+  const { lastInsertRowid } = insertCalibrationStmt.run({
+    ...calibration,
+    created_by: createdBy || null,
+    now: Date.now(),
+  });
+
+  return {
+    calibration: getCalibration(lastInsertRowid),
+    recomputed: recomputeReadings(
+      calibration.device_id,
+      calibration.field,
+      calibration.effective_from
+    ),
+  };
+}
+
+// Returns null if the calibration doesn't exist
+function updateCalibration(id, input) {
+  const previous = getCalibrationStmt.get(id);
+  if (!previous) {
+    return null;
+  }
+
+  const calibration = validateCalibration(input);
+  updateCalibrationStmt.run({ ...calibration, id });
+
+  let recomputed = recomputeReadings(
+    calibration.device_id,
+    calibration.field,
+    Math.min(calibration.effective_from, previous.effective_from)
+  );
+  if (
+    previous.device_id !== calibration.device_id ||
+    previous.field !== calibration.field
+  ) {
+    recomputed += recomputeReadings(
+      previous.device_id,
+      previous.field,
+      previous.effective_from
+    );
+  }
+  return { calibration: getCalibration(id), recomputed };
+}
+
+// Returns null if the calibration doesn't exist
+function deleteCalibration(id) {
+  const previous = getCalibrationStmt.get(id);
+  if (!previous) {
+    return null;
+  }
+
+  deleteCalibrationStmt.run(id);
+  return {
+    recomputed: recomputeReadings(
+      previous.device_id,
+      previous.field,
+      previous.effective_from
+    ),
+  };
+}
+
+module.exports = {
+  CalibrationError,
+  listCalibrations,
+  getCalibration,
+  applyCalibration,
+  createCalibration,
+  updateCalibration,
+  deleteCalibration,
+};
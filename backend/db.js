@@ -0,0 +1,303 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const DB_PATH =
+  process.env.DB_PATH || path.join(__dirname, "data", "readings.db");
+const RETENTION_DAYS = parseInt(process.env.DB_RETENTION_DAYS || "365", 10);
+const RETENTION_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+
+fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+
+const db = new Database(DB_PATH);
+db.pragma("journal_mode = WAL");
+db.pragma("foreign_keys = ON");
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version.
+// Only ever append to this list - never edit a migration that has shipped.
+const migrations = [
+  `
+  CREATE TABLE readings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT NOT NULL,
+    received_at INTEGER NOT NULL,
+    f_cnt INTEGER,
+    decoded_payload TEXT NOT NULL,
+    rssi REAL,
+    snr REAL,
+    message TEXT NOT NULL
+  );
+  CREATE UNIQUE INDEX idx_readings_device_time
+    ON readings (device_id, received_at);
+  CREATE INDEX idx_readings_time ON readings (received_at);
+  `,
+  `
+  CREATE TABLE alert_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    device_id TEXT,
+    field TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'threshold',
+    operator TEXT NOT NULL,
+    threshold REAL NOT NULL,
+    window_minutes INTEGER,
+    consecutive INTEGER NOT NULL DEFAULT 1,
+    hysteresis REAL NOT NULL DEFAULT 0,
+    notify_emails TEXT,
+    notify_webhook TEXT,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_at INTEGER NOT NULL
+  );
+  CREATE TABLE alert_state (
+    rule_id INTEGER NOT NULL REFERENCES alert_rules (id) ON DELETE CASCADE,
+    device_id TEXT NOT NULL,
+    active INTEGER NOT NULL DEFAULT 0,
+    consecutive_count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (rule_id, device_id)
+  );
+  CREATE TABLE alert_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER NOT NULL REFERENCES alert_rules (id) ON DELETE CASCADE,
+    device_id TEXT NOT NULL,
+    field TEXT NOT NULL,
+    state TEXT NOT NULL,
+    value REAL,
+    message TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_alert_events_time ON alert_events (created_at);
+  `,
+  `
+  CREATE TABLE devices (
+    device_id TEXT PRIMARY KEY,
+    display_name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    location_name TEXT,
+    latitude REAL,
+    longitude REAL,
+    sensors TEXT,
+    uplink_interval_minutes INTEGER,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  `,
+  `
+  ALTER TABLE devices ADD COLUMN reported_latitude REAL;
+  ALTER TABLE devices ADD COLUMN reported_longitude REAL;
+  ALTER TABLE devices ADD COLUMN reported_location_at INTEGER;
+  `,
+  `
+  ALTER TABLE devices ADD COLUMN decoder TEXT;
+  ALTER TABLE readings ADD COLUMN f_port INTEGER;
+  ALTER TABLE readings ADD COLUMN decoder TEXT;
+  ALTER TABLE readings ADD COLUMN decode_status TEXT NOT NULL DEFAULT 'ok';
+  ALTER TABLE readings ADD COLUMN decode_error TEXT;
+  CREATE INDEX idx_readings_decode_failed
+    ON readings (device_id, received_at) WHERE decode_status = 'failed';
+  `,
+  `
+  ALTER TABLE readings ADD COLUMN qc TEXT;
+  ALTER TABLE readings ADD COLUMN qc_flag TEXT NOT NULL DEFAULT 'pass';
+  CREATE INDEX idx_readings_qc_flagged
+    ON readings (received_at) WHERE qc_flag != 'pass';
+  `,
+  `
+  CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    last_login_at INTEGER
+  );
+  CREATE TABLE sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE TABLE settings (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at INTEGER NOT NULL
+  );
+  `,
+  `
+  CREATE TABLE calibrations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT NOT NULL,
+    field TEXT NOT NULL,
+    offset REAL NOT NULL DEFAULT 0,
+    scale REAL NOT NULL DEFAULT 1,
+    effective_from INTEGER NOT NULL,
+    note TEXT,
+    created_by TEXT,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_calibrations_device_field
+    ON calibrations (device_id, field, effective_from);
+  ALTER TABLE readings ADD COLUMN raw_payload TEXT;
+  `,
+  `
+  CREATE TABLE downlinks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT NOT NULL,
+    command TEXT NOT NULL,
+    params TEXT,
+    f_port INTEGER NOT NULL,
+    frm_payload TEXT NOT NULL,
+    confirmed INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL,
+    error TEXT,
+    sent_by TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_downlinks_device ON downlinks (device_id, created_at);
+  `,
+  `
+  CREATE TABLE summaries (
+    device_id TEXT NOT NULL,
+    period TEXT NOT NULL,
+    period_start INTEGER NOT NULL,
+    field TEXT NOT NULL,
+    min REAL,
+    max REAL,
+    mean REAL,
+    count INTEGER NOT NULL,
+    expected INTEGER NOT NULL,
+    computed_at INTEGER NOT NULL,
+    PRIMARY KEY (device_id, period, period_start, field)
+  );
+  CREATE TABLE report_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    period_start INTEGER NOT NULL,
+    period_end INTEGER NOT NULL,
+    recipient TEXT NOT NULL,
+    status TEXT NOT NULL,
+    error TEXT,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_report_deliveries_period
+    ON report_deliveries (period_end, recipient);
+  `,
+  `
+  CREATE TABLE api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    rate_limit INTEGER,
+    created_by TEXT,
+    created_at INTEGER NOT NULL,
+    last_used_at INTEGER,
+    revoked_at INTEGER
+  );
+  CREATE TABLE api_usage (
+    key_id INTEGER NOT NULL REFERENCES api_keys (id) ON DELETE CASCADE,
+    day INTEGER NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    limited INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key_id, day)
+  );
+  `,
+];
+
+function migrate() {
+  const currentVersion = db.pragma("user_version", { simple: true });
+
+  for (let i = currentVersion; i < migrations.length; i++) {
+    db.transaction(() => {
+      db.exec(migrations[i]);
+      db.pragma(`user_version = ${i + 1}`);
+    })();
+    console.log(`Applied database migration ${i + 1}`);
+  }
+}
+
+migrate();
+
+// Pick the strongest gateway reception for the RSSI/SNR columns
+function bestRxMetadata(uplink) {
+  const rxMetadata = uplink?.rx_metadata || [];
+  return rxMetadata.reduce(
+    (best, rx) =>
+      best === null || (rx.rssi ?? -Infinity) > (best.rssi ?? -Infinity)
+        ? rx
+        : best,
+    null
+  );
+}
+
+const insertReadingStmt = db.prepare(`
+  INSERT OR IGNORE INTO readings
+    (device_id, received_at, f_cnt, f_port, decoded_payload, raw_payload,
+     rssi, snr, message, decoder, decode_status, decode_error, qc, qc_flag)
+  VALUES
+    (@deviceId, @receivedAt, @fCnt, @fPort, @decodedPayload, @rawPayload,
+     @rssi, @snr, @message, @decoder, @decodeStatus, @decodeError, @qc,
+     @qcFlag)
+`);
+
+// Store a TTN uplink message along with its canonical reading (see
+// decoders.js, calibration.js and qc.js); decoded_payload holds the
+// calibrated fields that passed quality control and raw_payload every field
+// as decoded. Returns true if it was new, false if a reading for the same
+// device and received_at already exists.
+function storeUplink(ttnMessage, reading) {
+  const deviceId = ttnMessage.end_device_ids?.device_id;
+  const uplink = ttnMessage.uplink_message;
+
+  if (!deviceId || !uplink || !ttnMessage.received_at) {
+    return false;
+  }
+
+  const rx = bestRxMetadata(uplink);
+  const result = insertReadingStmt.run({
+    deviceId,
+    receivedAt: new Date(ttnMessage.received_at).getTime(),
+    fCnt: uplink.f_cnt ?? null,
+    fPort: uplink.f_port ?? null,
+    decodedPayload: JSON.stringify(reading.fields),
+    rawPayload: JSON.stringify(reading.rawFields || reading.fields),
+    rssi: rx?.rssi ?? null,
+    snr: rx?.snr ?? null,
+    message: JSON.stringify(ttnMessage),
+    decoder: reading.decoder,
+    decodeStatus: reading.status,
+    decodeError: reading.error,
+    qc: reading.qc ? JSON.stringify(reading.qc) : null,
+    qcFlag: reading.qcFlag || "pass",
+  });
+
+  return result.changes > 0;
+}
+
+const pruneStmt = db.prepare("DELETE FROM readings WHERE received_at < ?");
+
+// Delete readings older than the configured retention period
+function pruneOldReadings() {
+  if (!(RETENTION_DAYS > 0)) {
+    return 0;
+  }
+
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const { changes } = pruneStmt.run(cutoff);
+  if (changes > 0) {
+    console.log(`Pruned ${changes} readings older than ${RETENTION_DAYS} days`);
+  }
+  return changes;
+}
+
+function startRetentionJob() {
+  pruneOldReadings();
+  return setInterval(pruneOldReadings, RETENTION_CHECK_INTERVAL).unref();
+}
+
+module.exports = {
+  db,
+  DB_PATH,
+  RETENTION_DAYS,
+  storeUplink,
+  pruneOldReadings,
+  startRetentionJob,
+};
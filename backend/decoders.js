@@ -0,0 +1,458 @@
+const vm = require("vm");
+const { SENSOR_FIELDS } = require("./sensorSchema");
+
+const DECODER_TYPES = ["ttn", "cayenne", "layout", "script"];
+const SCRIPT_TIMEOUT_MS = 100;
+
+class DecoderError extends Error {}
+
+// Cayenne LPP data types: size in bytes, divisor, signedness and, for
+// multi-value types, the names of each value
+const CAYENNE_TYPES = {
+  0: { name: "digital_input", size: 1, divisor: 1 },
+  1: { name: "digital_output", size: 1, divisor: 1 },
+  2: { name: "analog_input", size: 2, divisor: 100, signed: true },
+  3: { name: "analog_output", size: 2, divisor: 100, signed: true },
+  100: { name: "generic_sensor", size: 4, divisor: 1 },
+  101: { name: "luminosity", size: 2, divisor: 1 },
+  102: { name: "presence", size: 1, divisor: 1 },
+  103: { name: "temperature", size: 2, divisor: 10, signed: true },
+  104: { name: "humidity", size: 1, divisor: 2 },
+  113: {
+    name: "accelerometer",
+    size: 2,
+    divisor: 1000,
+    signed: true,
+    parts: ["x", "y", "z"],
+  },
+  115: { name: "barometer", size: 2, divisor: 10 },
+  116: { name: "voltage", size: 2, divisor: 100 },
+  117: { name: "current", size: 2, divisor: 1000 },
+  118: { name: "frequency", size: 4, divisor: 1 },
+  120: { name: "percentage", size: 1, divisor: 1 },
+  121: { name: "altitude", size: 2, divisor: 1, signed: true },
+  125: { name: "concentration", size: 2, divisor: 1 },
+  128: { name: "power", size: 2, divisor: 1 },
+  130: { name: "distance", size: 4, divisor: 1000 },
+  131: { name: "energy", size: 4, divisor: 1000 },
+  134: {
+    name: "gyrometer",
+    size: 2,
+    divisor: 100,
+    signed: true,
+    parts: ["x", "y", "z"],
+  },
+  136: {
+    name: "gps",
+    size: 3,
+    divisor: [10000, 10000, 100],
+    signed: true,
+    parts: ["latitude", "longitude", "altitude"],
+  },
+};
+
+// Byte layout value types and their sizes
+const LAYOUT_TYPES = {
+  uint8: 1,
+  int8: 1,
+  uint16: 2,
+  int16: 2,
+  uint24: 3,
+  int24: 3,
+  uint32: 4,
+  int32: 4,
+  float32: 4,
+};
+
+// Common field names from payload formatters, mapped to our canonical names
+const FIELD_ALIASES = {
+  temp: "Temp",
+  temperature: "Temp",
+  air_temperature: "Temp",
+  humidity: "Humidity",
+  relative_humidity: "Humidity",
+  pressure: "Pressure",
+  barometer: "Pressure",
+  barometric_pressure: "Pressure",
+  tds: "TDS",
+  ph: "pH",
+  do: "DO",
+  dissolved_oxygen: "DO",
+  battery: "Battery",
+  battery_voltage: "Battery",
+  voltage: "Battery",
+};
+
+// Conversions from other units into the canonical unit of a field
+const UNIT_CONVERSIONS = {
+  "°C": {
+    "°F": (value) => ((value - 32) * 5) / 9,
+    K: (value) => value - 273.15,
+  },
+  hPa: {
+    Pa: (value) => value / 100,
+    kPa: (value) => value * 10,
+    mbar: (value) => value,
+    inHg: (value) => value * 33.8639,
+  },
+  V: {
+    mV: (value) => value / 1000,
+  },
+  "mg/L": {
+    ppm: (value) => value,
+  },
+};
+
+function canonicalUnit(field) {
+  return SENSOR_FIELDS[field]?.unit;
+}
+
+function unitConversion(field, unit) {
+  const target = canonicalUnit(field);
+  if (!unit || unit === target) {
+    return (value) => value;
+  }
+  return UNIT_CONVERSIONS[target]?.[unit] || null;
+}
+
+// Check a decoder definition from the device registry. Returns the cleaned
+// definition, or null to fall back to TTN's decoded_payload.
+function validateDecoder(decoder) {
+  if (decoder === undefined || decoder === null) {
+    return null;
+  }
+  if (!DECODER_TYPES.includes(decoder.type)) {
+    throw new DecoderError(`Unknown decoder type: ${decoder.type}`);
+  }
+
+  const validated = { type: decoder.type };
+
+  if (decoder.type === "layout") {
+    if (!Array.isArray(decoder.layout) || decoder.layout.length === 0) {
+      throw new DecoderError("A layout decoder needs a list of values");
+    }
+    validated.layout = decoder.layout.map((entry) => {
+      if (!/^[A-Za-z0-9_]+$/.test(entry?.field || "")) {
+        throw new DecoderError(`Invalid layout field: ${entry?.field}`);
+      }
+      if (!LAYOUT_TYPES[entry.type]) {
+        throw new DecoderError(`Unknown layout value type: ${entry.type}`);
+      }
+      if (entry.endian && !["big", "little"].includes(entry.endian)) {
+        throw new DecoderError("Layout endian must be big or little");
+      }
+      return {
+        field: entry.field,
+        type: entry.type,
+        offset:
+          entry.offset === undefined ? undefined : parseInt(entry.offset, 10),
+        scale: entry.scale === undefined ? undefined : Number(entry.scale),
+        add: entry.add === undefined ? undefined : Number(entry.add),
+        endian: entry.endian,
+        unit: entry.unit,
+      };
+    });
+  }
+
+  if (decoder.type === "script") {
+    if (typeof decoder.script !== "string" || !decoder.script.trim()) {
+      throw new DecoderError("A script decoder needs its source code");
+    }
+    try {
+      new vm.Script(decoder.script);
+    } catch (error) {
+      throw new DecoderError(
+        `Decoder script does not compile: ${error.message}`
+      );
+    }
+    validated.script = decoder.script;
+  }
+
+  if (decoder.fieldMap !== undefined && decoder.fieldMap !== null) {
+    if (typeof decoder.fieldMap !== "object") {
+      throw new DecoderError("Decoder fieldMap must be an object");
+    }
+    validated.fieldMap = decoder.fieldMap;
+  }
+
+  if (decoder.units !== undefined && decoder.units !== null) {
+    if (typeof decoder.units !== "object") {
+      throw new DecoderError("Decoder units must be an object");
+    }
+    validated.units = decoder.units;
+  }
+
+  // Make sure every declared unit can actually be converted
+  const declaredUnits = {
+    ...Object.fromEntries(
+      (validated.layout || [])
+        .filter((entry) => entry.unit)
+        .map((entry) => [entry.field, entry.unit])
+    ),
+    ...validated.units,
+  };
+  Object.entries(declaredUnits).forEach(([field, unit]) => {
+    const canonical = canonicalField(field, validated.fieldMap);
+    if (!unitConversion(canonical, unit)) {
+      throw new DecoderError(
+        `Can't convert ${field} from ${unit} to ${
+          canonicalUnit(canonical) || "a known unit"
+        }`
+      );
+    }
+  });
+
+  return validated;
+}
+
+function decodeCayenneLpp(bytes) {
+  const fields = {};
+  let i = 0;
+
+  while (i < bytes.length) {
+    const channel = bytes[i];
+    const type = CAYENNE_TYPES[bytes[i + 1]];
+    if (!type) {
+      throw new DecoderError(
+        `Unknown Cayenne LPP type ${bytes[i + 1]} at byte ${i + 1}`
+      );
+    }
+    i += 2;
+
+    const parts = type.parts || [null];
+    if (i + type.size * parts.length > bytes.length) {
+      throw new DecoderError(`Cayenne LPP payload ends inside ${type.name}`);
+    }
+
+    parts.forEach((part, index) => {
+      const divisor = Array.isArray(type.divisor)
+        ? type.divisor[index]
+        : type.divisor;
+      const raw = readInteger(bytes, i, type.size, type.signed, false);
+      const name = part
+        ? `${type.name}_${channel}_${part}`
+        : `${type.name}_${channel}`;
+      fields[name] = raw / divisor;
+      i += type.size;
+    });
+  }
+
+  return fields;
+}
+
+function readInteger(bytes, offset, size, signed, littleEndian) {
+  let value = 0;
+  for (let b = 0; b < size; b++) {
+    const byte = bytes[littleEndian ? offset + size - 1 - b : offset + b];
+    value = value * 256 + byte;
+  }
+  const limit = 2 ** (size * 8);
+  return signed && value >= limit / 2 ? value - limit : value;
+}
+
+function decodeLayout(bytes, layout) {
+  const fields = {};
+  let position = 0;
+
+  layout.forEach((entry) => {
+    const offset = entry.offset ?? position;
+    const size = LAYOUT_TYPES[entry.type];
+    if (offset + size > bytes.length) {
+      throw new DecoderError(
+        `Payload is ${bytes.length} bytes, too short for ${entry.field}`
+      );
+    }
+
+    const littleEndian = entry.endian === "little";
+    const raw =
+      entry.type === "float32"
+        ? Buffer.from(bytes.slice(offset, offset + 4))[
+            littleEndian ? "readFloatLE" : "readFloatBE"
+          ](0)
+        : readInteger(
+            bytes,
+            offset,
+            size,
+            entry.type.startsWith("int"),
+            littleEndian
+          );
+
+    fields[entry.field] = raw * (entry.scale ?? 1) + (entry.add ?? 0);
+    position = offset + size;
+  });
+
+  return fields;
+}
+
+// Each device's compiled decoder script, with its source. Keyed by device
+// so editing a decoder replaces the old script rather than keeping both.
+const compiledScripts = new Map();
+
+function compiledScript(deviceId, script) {
+  const cached = compiledScripts.get(deviceId);
+  if (cached?.script === script) {
+    return cached.compiled;
+  }
+  const compiled = new vm.Script(
+    `${script}
+    ;(function () {
+      var input = JSON.parse(__input);
+      var result = typeof decodeUplink === "function"
+        ? decodeUplink(input)
+        : { data: Decoder(input.bytes, input.fPort) };
+      return JSON.stringify(result);
+    })();`
+  );
+  compiledScripts.set(deviceId, { script, compiled });
+  return compiled;
+}
+
+// Run a TTN-style payload formatter: either decodeUplink(input) returning
+// { data, errors } (TTN v3) or Decoder(bytes, port) (TTN v2). The script
+// runs in its own context with no access to Node APIs and a time limit, and
+// values only cross the boundary as JSON. This keeps a buggy decoder from
+// taking down ingestion, but vm isn't a hard security boundary, so decoders
+// should still only be set by people trusted to run code on the server.
+function decodeScript(bytes, fPort, script, deviceId) {
+  const compiled = compiledScript(deviceId, script);
+
+  const context = vm.createContext({
+    __input: JSON.stringify({ bytes: Array.from(bytes), fPort }),
+  });
+  const output = compiled.runInContext(context, {
+    timeout: SCRIPT_TIMEOUT_MS,
+  });
+  const result = output === undefined ? {} : JSON.parse(output);
+
+  if (result.errors && result.errors.length > 0) {
+    throw new DecoderError(result.errors.join("; "));
+  }
+  if (!result.data || typeof result.data !== "object") {
+    throw new DecoderError("Decoder script returned no data");
+  }
+  return result.data;
+}
+
+function canonicalField(field, fieldMap) {
+  if (fieldMap?.[field]) {
+    return fieldMap[field];
+  }
+  if (SENSOR_FIELDS[field]) {
+    return field;
+  }
+  return FIELD_ALIASES[field.toLowerCase()] || field;
+}
+
+// Flatten nested objects (e.g. { gps: { latitude } } -> gps_latitude)
+function flatten(data, prefix = "", out = {}) {
+  Object.entries(data).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}_${key}` : key;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      flatten(value, name, out);
+    } else {
+      out[name] = value;
+    }
+  });
+  return out;
+}
+
+// Rename fields to canonical names, convert units and keep only numbers
+function normaliseFields(data, decoder) {
+  const declaredUnits = {
+    ...Object.fromEntries(
+      (decoder?.layout || [])
+        .filter((entry) => entry.unit)
+        .map((entry) => [entry.field, entry.unit])
+    ),
+    ...decoder?.units,
+  };
+  const fields = {};
+
+  Object.entries(flatten(data)).forEach(([name, rawValue]) => {
+    const value =
+      typeof rawValue === "string" && rawValue.trim() !== ""
+        ? Number(rawValue)
+        : rawValue;
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return;
+    }
+
+    const field = canonicalField(name, decoder?.fieldMap);
+    const convert = unitConversion(field, declaredUnits[name]);
+    fields[field] = Math.round(convert(value) * 10000) / 10000;
+  });
+
+  return fields;
+}
+
+function rawPayloadBytes(uplink) {
+  return uplink?.frm_payload
+    ? Array.from(Buffer.from(uplink.frm_payload, "base64"))
+    : null;
+}
+
+// Turn a TTN uplink into our canonical reading shape, using the device's
+// decoder definition (or TTN's decoded_payload when it has none). Decoding
+// failures don't throw: the reading comes back with status "failed" and an
+// error so it can still be stored and flagged.
+function decodeUplink(ttnMessage, decoder) {
+  const uplink = ttnMessage.uplink_message;
+  const reading = {
+    deviceId: ttnMessage.end_device_ids?.device_id,
+    receivedAt: ttnMessage.received_at,
+    fCnt: uplink?.f_cnt ?? null,
+    fPort: uplink?.f_port ?? null,
+    decoder: decoder?.type || "ttn",
+    status: "ok",
+    error: null,
+    fields: {},
+  };
+
+  try {
+    let data;
+    if (reading.decoder === "ttn") {
+      data = uplink?.decoded_payload;
+      if (!data) {
+        throw new DecoderError(
+          uplink?.frm_payload
+            ? "TTN sent no decoded_payload and the device has no decoder"
+            : "Uplink has no payload"
+        );
+      }
+    } else {
+      const bytes = rawPayloadBytes(uplink);
+      if (!bytes) {
+        throw new DecoderError("Uplink has no frm_payload to decode");
+      }
+      if (reading.decoder === "cayenne") {
+        data = decodeCayenneLpp(bytes);
+      } else if (reading.decoder === "layout") {
+        data = decodeLayout(bytes, decoder.layout);
+      } else {
+        data = decodeScript(
+          bytes,
+          reading.fPort,
+          decoder.script,
+          reading.deviceId
+        );
+      }
+    }
+
+    reading.fields = normaliseFields(data, decoder);
+    if (Object.keys(reading.fields).length === 0) {
+      throw new DecoderError("Decoded payload has no numeric fields");
+    }
+  } catch (error) {
+    reading.status = "failed";
+    reading.error = error.message;
+  }
+
+  return reading;
+}
+
+module.exports = {
+  DECODER_TYPES,
+  DecoderError,
+  validateDecoder,
+  decodeUplink,
+};
@@ -0,0 +1,270 @@
+const { db } = require("./db");
+const { latestReading } = require("./history");
+const { getSetting } = require("./settings");
+
+// Values derived from a device's sensor fields, computed on request from the
+// latest reading and from windows of stored readings. Each metric is only
+// given when the device reports the fields it needs.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const PRESSURE_TENDENCY_WINDOW = 3 * HOUR;
+// How far from exactly 3 hours ago the earlier pressure reading can be
+const PRESSURE_TENDENCY_TOLERANCE = 30 * 60 * 1000;
+// Degree heating weeks accumulate over a rolling 12 weeks
+const DHW_WINDOW_DAYS = 84;
+// Days need this many readings to count towards degree heating weeks
+const MIN_READINGS_PER_DAY = 4;
+// Sea surface temperature for bleaching risk comes from the surface probe
+const SST_FIELD = "WaterT1";
+// TDS meters report conductivity at 25 °C times a conversion factor
+const TDS_FACTOR = 0.5;
+// Conductivity rises about 2% per °C
+const CONDUCTIVITY_TEMPERATURE_COEFFICIENT = 0.02;
+
+const round = (value, places = 1) =>
+  value === null || value === undefined || Number.isNaN(value)
+    ? null
+    : Math.round(value * 10 ** places) / 10 ** places;
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// Magnus formula (Alduchov and Eskridge coefficients)
+function dewPoint(temp, humidity) {
+  const gamma = Math.log(humidity / 100) + (17.625 * temp) / (243.04 + temp);
+  return (243.04 * gamma) / (17.625 - gamma);
+}
+
+// NOAA heat index: Steadman's simple formula, or the Rothfusz regression
+// with its adjustments when that comes out at 80 °F or more
+function heatIndex(temp, humidity) {
+  const t = (temp * 9) / 5 + 32;
+  const rh = humidity;
+  let index = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+
+  if ((index + t) / 2 >= 80) {
+    index =
+      -42.379 +
+      2.04901523 * t +
+      10.14333127 * rh -
+      0.22475541 * t * rh -
+      0.00683783 * t * t -
+      0.05481717 * rh * rh +
+      0.00122874 * t * t * rh +
+      0.00085282 * t * rh * rh -
+      0.00000199 * t * t * rh * rh;
+    if (rh < 13 && t >= 80 && t <= 112) {
+      index -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t >= 80 && t <= 87) {
+      index += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+  }
+  return ((index - 32) * 5) / 9;
+}
+
+// Practical salinity (PSS-78) at the surface from conductivity in mS/cm
+function practicalSalinity(conductivity, temp) {
+  const a = [0.008, -0.1692, 25.3851, 14.0941, -7.0261, 2.7081];
+  const b = [0.0005, -0.0056, -0.0066, -0.0375, 0.0636, -0.0144];
+  const rt =
+    0.6766097 +
+    2.00564e-2 * temp +
+    1.104259e-4 * temp ** 2 -
+    6.9698e-7 * temp ** 3 +
+    1.0031e-9 * temp ** 4;
+  const ratio = conductivity / 42.914 / rt;
+  const sum = (coefficients) =>
+    coefficients.reduce(
+      (total, coefficient, i) => total + coefficient * ratio ** (i / 2),
+      0
+    );
+  return sum(a) + ((temp - 15) / (1 + 0.0162 * (temp - 15))) * sum(b);
+}
+
+// WMO pressure tendency descriptions, by the change over 3 hours
+function describeTendency(change) {
+  const size = Math.abs(change);
+  if (size < 0.1) {
+    return "steady";
+  }
+  const direction = change > 0 ? "rising" : "falling";
+  if (size <= 1.5) {
+    return `${direction} slowly`;
+  }
+  if (size <= 3.5) {
+    return direction;
+  }
+  return size <= 6 ? `${direction} quickly` : `${direction} very rapidly`;
+}
+
+// NOAA Coral Reef Watch bleaching alert levels
+function bleachingAlert(hotspot, dhw) {
+  if (hotspot <= 0) {
+    return "No stress";
+  }
+  if (hotspot < 1) {
+    return "Bleaching watch";
+  }
+  if (dhw < 4) {
+    return "Bleaching warning";
+  }
+  return dhw < 8 ? "Alert level 1" : "Alert level 2";
+}
+
+const pressureNearStmt = db.prepare(`
+  SELECT received_at AS receivedAt,
+    json_extract(decoded_payload, '$.Pressure') AS pressure
+  FROM readings
+  WHERE device_id = @deviceId AND received_at BETWEEN @from AND @to
+    AND json_type(decoded_payload, '$.Pressure') IN ('integer', 'real')
+  ORDER BY ABS(received_at - @target)
+  LIMIT 1
+`);
+
+const dailySstStmt = db.prepare(`
+  SELECT received_at / ${DAY} AS day,
+    AVG(json_extract(decoded_payload, '$.${SST_FIELD}')) AS mean,
+    COUNT(*) AS count
+  FROM readings
+  WHERE device_id = @deviceId AND received_at >= @from AND received_at < @to
+    AND json_type(decoded_payload, '$.${SST_FIELD}') IN ('integer', 'real')
+  GROUP BY day
+  ORDER BY day
+`);
+
+function pressureTendency(deviceId, time, pressure) {
+  const target = time - PRESSURE_TENDENCY_WINDOW;
+  const earlier = pressureNearStmt.get({
+    deviceId,
+    target,
+    from: target - PRESSURE_TENDENCY_TOLERANCE,
+    to: target + PRESSURE_TENDENCY_TOLERANCE,
+  });
+  if (!earlier) {
+    return null;
+  }
+  const change = pressure - earlier.pressure;
+  return {
+    key: "pressureTendency",
+    label: "Pressure tendency",
+    value: round(change),
+    unit: "hPa/3h",
+    detail: describeTendency(change),
+  };
+}
+
+// Degree heating weeks: the sum of daily mean SST at least 1 °C above the
+// baseline's maximum monthly mean, over 12 weeks, in °C-weeks
+function degreeHeatingWeeks(deviceId, time, baseline) {
+  const days = dailySstStmt
+    .all({ deviceId, from: time - DHW_WINDOW_DAYS * DAY, to: time + 1 })
+    .filter((day) => day.count >= MIN_READINGS_PER_DAY);
+  if (days.length === 0) {
+    return null;
+  }
+
+  const hotspots = days.map((day) => day.mean - baseline);
+  const dhw =
+    hotspots.filter((hotspot) => hotspot >= 1).reduce((a, b) => a + b, 0) / 7;
+  const hotspot = hotspots[hotspots.length - 1];
+  return {
+    key: "degreeHeatingWeeks",
+    label: "Degree heating weeks",
+    value: round(dhw),
+    unit: "°C-weeks",
+    detail: `HotSpot ${round(hotspot)} °C over ${
+      days.length
+    } days, baseline ${baseline} °C`,
+    status: bleachingAlert(hotspot, dhw),
+  };
+}
+
+// Derived metrics for a device's latest reading. Returns null if it has no
+// stored readings.
+function deriveMetrics(deviceId) {
+  const latest = latestReading(deviceId);
+  if (!latest) {
+    return null;
+  }
+
+  const { fields } = latest.reading;
+  const time = new Date(latest.reading.receivedAt).getTime();
+  const metrics = [];
+
+  if (isNumber(fields.WaterT1) && isNumber(fields.WaterT2)) {
+    metrics.push({
+      key: "stratification",
+      label: "Thermal stratification",
+      value: round(fields.WaterT1 - fields.WaterT2, 2),
+      unit: "°C",
+      detail: "Surface minus 1.5 m",
+    });
+  }
+
+  if (isNumber(fields.Temp) && isNumber(fields.Humidity)) {
+    if (fields.Humidity > 0) {
+      metrics.push({
+        key: "dewPoint",
+        label: "Dew point",
+        value: round(dewPoint(fields.Temp, fields.Humidity)),
+        unit: "°C",
+      });
+    }
+    metrics.push({
+      key: "heatIndex",
+      label: "Heat index",
+      value: round(heatIndex(fields.Temp, fields.Humidity)),
+      unit: "°C",
+      detail: "Feels like",
+    });
+  }
+
+  if (isNumber(fields.Pressure)) {
+    const tendency = pressureTendency(deviceId, time, fields.Pressure);
+    if (tendency) {
+      metrics.push(tendency);
+    }
+  }
+
+  const waterTemp = [fields.WaterT1, fields.WaterT2].find(isNumber);
+  if (isNumber(fields.TDS) && waterTemp !== undefined) {
+    const specificConductance = fields.TDS / TDS_FACTOR;
+    const conductivity =
+      specificConductance *
+      (1 + CONDUCTIVITY_TEMPERATURE_COEFFICIENT * (waterTemp - 25));
+    const salinity = practicalSalinity(conductivity / 1000, waterTemp);
+    metrics.push({
+      key: "conductivity",
+      label: "Conductivity",
+      value: round(conductivity, 0),
+      unit: "µS/cm",
+      detail: `${round(specificConductance, 0)} µS/cm at 25 °C`,
+    });
+    metrics.push({
+      key: "salinity",
+      label: "Salinity (estimated)",
+      value: round(salinity, 2),
+      unit: "PSU",
+      detail:
+        salinity < 2 || salinity > 42
+          ? "Outside the PSS-78 range (2 to 42), approximate"
+          : "From TDS and water temperature",
+    });
+  }
+
+  const baseline = parseFloat(getSetting("bleachingBaseline"));
+  if (isNumber(fields[SST_FIELD]) && Number.isFinite(baseline)) {
+    const dhw = degreeHeatingWeeks(deviceId, time, baseline);
+    if (dhw) {
+      metrics.push(dhw);
+    }
+  }
+
+  return {
+    deviceId,
+    receivedAt: latest.reading.receivedAt,
+    metrics,
+  };
+}
+
+module.exports = { deriveMetrics };
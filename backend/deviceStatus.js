@@ -0,0 +1,110 @@
+const EventEmitter = require("events");
+const { db } = require("./db");
+const { getDevice } = require("./devices");
+
+// Expected minutes between uplinks, with optional per-device overrides in
+// the form "device-a:15,device-b:5"
+const DEFAULT_INTERVAL_MINUTES = parseInt(
+  process.env.DEVICE_UPLINK_INTERVAL_MINUTES || "10",
+  10
+);
+const INTERVAL_OVERRIDES = Object.fromEntries(
+  (process.env.DEVICE_UPLINK_INTERVALS || "")
+    .split(",")
+    .map((entry) => entry.split(":").map((part) => part.trim()))
+    .filter(([deviceId, minutes]) => deviceId && parseInt(minutes, 10) > 0)
+    .map(([deviceId, minutes]) => [deviceId, parseInt(minutes, 10)])
+);
+// A device is stale after missing this many expected uplinks
+const STALE_AFTER_MISSED = parseInt(
+  process.env.DEVICE_STALE_AFTER_MISSED || "3",
+  10
+);
+const CHECK_INTERVAL = 60 * 1000;
+
+// Emits "change" with a device status whenever a device goes stale or
+// comes back online
+const deviceStatusEvents = new EventEmitter();
+
+const devices = new Map();
+
+const lastSeenStmt = db.prepare(`
+  SELECT device_id AS deviceId, MAX(received_at) AS lastSeen
+  FROM readings GROUP BY device_id
+`);
+
+// Registry setting first, then .env override, then the default
+function expectedIntervalMinutes(deviceId) {
+  return (
+    getDevice(deviceId)?.uplinkIntervalMinutes ||
+    INTERVAL_OVERRIDES[deviceId] ||
+    DEFAULT_INTERVAL_MINUTES
+  );
+}
+
+function computeStatus(deviceId, lastSeen, now = Date.now()) {
+  const intervalMinutes = expectedIntervalMinutes(deviceId);
+  const staleAfter = intervalMinutes * STALE_AFTER_MISSED * 60 * 1000;
+  return now - lastSeen > staleAfter ? "stale" : "online";
+}
+
+function toStatus(deviceId, entry) {
+  return {
+    deviceId,
+    status: entry.status,
+    lastSeen: new Date(entry.lastSeen).toISOString(),
+    expectedIntervalMinutes: expectedIntervalMinutes(deviceId),
+  };
+}
+
+// Update a device's last-seen time and emit a change if its status flipped
+function updateDevice(deviceId, lastSeen, now = Date.now()) {
+  const previous = devices.get(deviceId);
+  const latestSeen = Math.max(lastSeen, previous?.lastSeen || 0);
+  const status = computeStatus(deviceId, latestSeen, now);
+  const entry = { lastSeen: latestSeen, status };
+  devices.set(deviceId, entry);
+
+  if (previous && previous.status !== status) {
+    console.log(`Device ${deviceId} is now ${status}`);
+    deviceStatusEvents.emit("change", toStatus(deviceId, entry));
+  }
+}
+
+// Called for each live uplink so a device that comes back is reported
+// immediately rather than on the next periodic check
+function markDeviceSeen(deviceId, receivedAt) {
+  updateDevice(deviceId, receivedAt);
+}
+
+function checkDevices() {
+  const now = Date.now();
+  lastSeenStmt
+    .all()
+    .forEach(({ deviceId, lastSeen }) => updateDevice(deviceId, lastSeen, now));
+}
+
+function listDeviceStatuses() {
+  return Array.from(devices.entries()).map(([deviceId, entry]) =>
+    toStatus(deviceId, entry)
+  );
+}
+
+function getDeviceStatus(deviceId) {
+  const entry = devices.get(deviceId);
+  return entry ? toStatus(deviceId, entry) : null;
+}
+
+function startDeviceStatusMonitor() {
+  checkDevices();
+  return setInterval(checkDevices, CHECK_INTERVAL).unref();
+}
+
+module.exports = {
+  deviceStatusEvents,
+  markDeviceSeen,
+  listDeviceStatuses,
+  getDeviceStatus,
+  expectedIntervalMinutes,
+  startDeviceStatusMonitor,
+};
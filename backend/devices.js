@@ -0,0 +1,355 @@
+const { db } = require("./db");
+const {
+  DEVICE_TYPES,
+  resolveSensor,
+  sensorsForType,
+} = require("./sensorSchema");
+const { DecoderError, validateDecoder } = require("./decoders");
+
+// TTN end device ids: lowercase letters, digits and dashes
+const DEVICE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,35}$/;
+const FIELD_PATTERN = /^[A-Za-z0-9_]+$/;
+
+class DeviceRegistryError extends Error {}
+
+function rowToDevice(row) {
+  const customSensors = row.sensors ? JSON.parse(row.sensors) : null;
+  const hasLocation = row.latitude !== null && row.longitude !== null;
+
+  return {
+    deviceId: row.device_id,
+    displayName: row.display_name,
+    type: row.type,
+    location: hasLocation
+      ? {
+          name: row.location_name,
+          latitude: row.latitude,
+          longitude: row.longitude,
+        }
+      : null,
+    reportedLocation:
+      row.reported_latitude !== null && row.reported_longitude !== null
+        ? {
+            latitude: row.reported_latitude,
+            longitude: row.reported_longitude,
+            reportedAt: new Date(row.reported_location_at).toISOString(),
+          }
+        : null,
+    sensors: customSensors
+      ? customSensors.map(resolveSensor)
+      : sensorsForType(row.type),
+    hasCustomSensors: customSensors !== null,
+    decoder: row.decoder ? JSON.parse(row.decoder) : null,
+    uplinkIntervalMinutes: row.uplink_interval_minutes,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+  };
+}
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{3,8}$/;
+
+function optionalNumber(value, name) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new DeviceRegistryError(`Sensor ${name} must be a number`);
+  }
+  return number;
+}
+
+function optionalColor(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (!COLOR_PATTERN.test(value)) {
+    throw new DeviceRegistryError(`Invalid sensor colour: ${value}`);
+  }
+  return value;
+}
+
+// Custom sensors only store the settings given; anything left out falls back
+// to the field catalogue when the device is read
+function validateSensors(sensors) {
+  if (sensors === undefined || sensors === null) {
+    return null;
+  }
+  if (!Array.isArray(sensors)) {
+    throw new DeviceRegistryError("Sensors must be an array");
+  }
+
+  return sensors.map((sensor) => {
+    if (!FIELD_PATTERN.test(sensor?.field || "")) {
+      throw new DeviceRegistryError(`Invalid sensor field: ${sensor?.field}`);
+    }
+
+    const validated = {
+      field: sensor.field,
+      label: sensor.label === undefined ? undefined : String(sensor.label),
+      unit: sensor.unit === undefined ? undefined : String(sensor.unit),
+      min: optionalNumber(sensor.min, "min"),
+      max: optionalNumber(sensor.max, "max"),
+      precision: optionalNumber(sensor.precision, "precision"),
+      color: optionalColor(sensor.color),
+      bands: undefined,
+    };
+
+    if (sensor.bands !== undefined && sensor.bands !== null) {
+      if (!Array.isArray(sensor.bands)) {
+        throw new DeviceRegistryError("Sensor bands must be an array");
+      }
+      validated.bands = sensor.bands.map((band) => ({
+        limit: optionalNumber(band?.limit, "band limit"),
+        color: optionalColor(band?.color),
+      }));
+    }
+
+    const { min, max } = resolveSensor(validated);
+    if (!(min < max)) {
+      throw new DeviceRegistryError(
+        `Sensor ${sensor.field} min must be less than max`
+      );
+    }
+    return validated;
+  });
+}
+
+function validateDeviceDecoder(decoder) {
+  try {
+    return validateDecoder(decoder);
+  } catch (error) {
+    if (error instanceof DecoderError) {
+      throw new DeviceRegistryError(error.message);
+    }
+    throw error;
+  }
+}
+
+// Validate a device from the API and convert it to column values
+function validateDevice(input) {
+  const location = input.location || {};
+  const latitude =
+    location.latitude === undefined || location.latitude === null
+      ? null
+      : Number(location.latitude);
+  const longitude =
+    location.longitude === undefined || location.longitude === null
+      ? null
+      : Number(location.longitude);
+  const uplinkIntervalMinutes =
+    input.uplinkIntervalMinutes === undefined ||
+    input.uplinkIntervalMinutes === null
+      ? null
+      : parseInt(input.uplinkIntervalMinutes, 10);
+
+  const device = {
+    display_name: String(input.displayName || "").trim(),
+    type: input.type || "other",
+    location_name: location.name || null,
+    latitude,
+    longitude,
+    sensors: validateSensors(input.sensors),
+    decoder: validateDeviceDecoder(input.decoder),
+    uplink_interval_minutes: uplinkIntervalMinutes,
+  };
+
+  if (!device.display_name) {
+    throw new DeviceRegistryError("Display name is required");
+  }
+  if (!DEVICE_TYPES[device.type]) {
+    throw new DeviceRegistryError(`Unknown device type: ${device.type}`);
+  }
+  if ((latitude === null) !== (longitude === null)) {
+    throw new DeviceRegistryError("Location needs both latitude and longitude");
+  }
+  if (latitude !== null && !(Math.abs(latitude) <= 90)) {
+    throw new DeviceRegistryError("Latitude must be between -90 and 90");
+  }
+  if (longitude !== null && !(Math.abs(longitude) <= 180)) {
+    throw new DeviceRegistryError("Longitude must be between -180 and 180");
+  }
+  if (uplinkIntervalMinutes !== null && !(uplinkIntervalMinutes > 0)) {
+    throw new DeviceRegistryError("Uplink interval must be a positive number");
+  }
+
+  return {
+    ...device,
+    sensors: device.sensors ? JSON.stringify(device.sensors) : null,
+    decoder: device.decoder ? JSON.stringify(device.decoder) : null,
+  };
+}
+
+const listDevicesStmt = db.prepare(
+  "SELECT * FROM devices ORDER BY type, display_name"
+);
+const getDeviceStmt = db.prepare("SELECT * FROM devices WHERE device_id = ?");
+const insertDeviceStmt = db.prepare(`
+  INSERT INTO devices
+    (device_id, display_name, type, location_name, latitude, longitude,
+     sensors, decoder, uplink_interval_minutes, created_at, updated_at)
+  VALUES
+    (@device_id, @display_name, @type, @location_name, @latitude, @longitude,
+     @sensors, @decoder, @uplink_interval_minutes, @now, @now)
+`);
+const updateDeviceStmt = db.prepare(`
+  UPDATE devices SET
+    display_name = @display_name, type = @type,
+    location_name = @location_name, latitude = @latitude,
+    longitude = @longitude, sensors = @sensors, decoder = @decoder,
+    uplink_interval_minutes = @uplink_interval_minutes, updated_at = @now
+  WHERE device_id = @device_id
+`);
+const deleteDeviceStmt = db.prepare("DELETE FROM devices WHERE device_id = ?");
+
+// A device as anyone may see it: everything but its decoder, which for a
+// script decoder is the script's source. Only admins see decoders.
+function publicDevice(device) {
+  const visible = { ...device };
+  delete visible.decoder;
+  return visible;
+}
+
+function listDevices() {
+  return listDevicesStmt.all().map(rowToDevice);
+}
+
+function getDevice(deviceId) {
+  const row = getDeviceStmt.get(deviceId);
+  return row ? rowToDevice(row) : null;
+}
+
+function createDevice(input) {
+  const deviceId = String(input.deviceId || "").trim();
+  if (!DEVICE_ID_PATTERN.test(deviceId)) {
+    throw new DeviceRegistryError(`Invalid TTN device id: ${deviceId}`);
+  }
+  if (getDeviceStmt.get(deviceId)) {
+    throw new DeviceRegistryError(`Device ${deviceId} is already registered`);
+  }
+
+  insertDeviceStmt.run({
+    ...validateDevice(input),
+    device_id: deviceId,
+    now: Date.now(),
+  });
+  return getDevice(deviceId);
+}
+
+// Returns null if the device isn't registered
+function updateDevice(deviceId, input) {
+  const { changes } = updateDeviceStmt.run({
+    ...validateDevice(input),
+    device_id: deviceId,
+    now: Date.now(),
+  });
+  return changes > 0 ? getDevice(deviceId) : null;
+}
+
+function deleteDevice(deviceId) {
+  return deleteDeviceStmt.run(deviceId).changes > 0;
+}
+
+const decodeFailuresStmt = db.prepare(`
+  SELECT received_at, f_cnt, f_port, decoder, decode_error,
+         json_extract(message, '$.uplink_message.frm_payload') AS frm_payload
+  FROM readings
+  WHERE device_id = ? AND decode_status = 'failed'
+  ORDER BY received_at DESC
+  LIMIT ?
+`);
+
+// Recent uplinks from a device that couldn't be decoded
+function listDecodeFailures(deviceId, limit = 50) {
+  return decodeFailuresStmt.all(deviceId, limit).map((row) => ({
+    receivedAt: new Date(row.received_at).toISOString(),
+    fCnt: row.f_cnt,
+    fPort: row.f_port,
+    decoder: row.decoder,
+    error: row.decode_error,
+    frmPayload: row.frm_payload,
+  }));
+}
+
+const updateReportedLocationStmt = db.prepare(`
+  UPDATE devices SET
+    reported_latitude = @latitude, reported_longitude = @longitude,
+    reported_location_at = @reportedAt
+  WHERE device_id = @deviceId
+    AND (reported_location_at IS NULL OR reported_location_at <= @reportedAt)
+`);
+
+// Remember the location TTN reports in an uplink's metadata, preferring a
+// location decoded from the payload (e.g. GPS) over one set in the console.
+// An older uplink, such as a backfilled one, doesn't replace a newer location.
+function updateReportedLocation(deviceId, ttnMessage) {
+  const locations = ttnMessage.uplink_message?.locations;
+  if (!locations) {
+    return false;
+  }
+
+  const location =
+    locations["frm-payload"] || locations.user || Object.values(locations)[0];
+  if (
+    typeof location?.latitude !== "number" ||
+    typeof location?.longitude !== "number"
+  ) {
+    return false;
+  }
+
+  return (
+    updateReportedLocationStmt.run({
+      deviceId,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      reportedAt: new Date(ttnMessage.received_at).getTime(),
+    }).changes > 0
+  );
+}
+
+// Register the devices named in .env the first time the server runs, so
+// existing single-buoy deployments keep working without any setup
+function seedDevicesFromConfig(ttnConfig) {
+  const seeds = [
+    {
+      deviceId: ttnConfig.buoyDeviceID,
+      displayName: "Reef Buoy 1",
+      type: "buoy",
+    },
+    {
+      deviceId: ttnConfig.weatherStationDeviceId,
+      displayName: "Weather Station",
+      type: "weather",
+    },
+  ];
+
+  seeds
+    .filter((seed) => seed.deviceId && !getDeviceStmt.get(seed.deviceId))
+    .forEach((seed) => {
+      // A bad id in .env shouldn't stop the server from starting
+      try {
+        createDevice(seed);
+        console.log(
+          `Registered ${seed.type} device ${seed.deviceId} from .env`
+        );
+      } catch (error) {
+        console.error(
+          `Could not register ${seed.type} device from .env:`,
+          error.message
+        );
+      }
+    });
+}
+
+module.exports = {
+  DeviceRegistryError,
+  publicDevice,
+  listDevices,
+  getDevice,
+  createDevice,
+  updateDevice,
+  deleteDevice,
+  listDecodeFailures,
+  updateReportedLocation,
+  seedDevicesFromConfig,
+};
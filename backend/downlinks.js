@@ -0,0 +1,295 @@
+const { db } = require("./db");
+const { getDevice } = require("./devices");
+
+// Correlation id attached to each downlink so TTN's ack/failed events can be
+// matched back to the row that queued it
+const CORRELATION_PREFIX = "reef:downlink:";
+const MAX_PAYLOAD_BYTES = 51;
+
+class DownlinkError extends Error {}
+
+// Commands the reef firmware understands, on its command port. Each template
+// lists the parameters an admin fills in and encodes them to the payload
+// bytes; update these alongside the firmware.
+const setIntervalCommand = {
+  label: "Set reporting interval",
+  fPort: 10,
+  params: [{ name: "minutes", label: "Minutes", min: 1, max: 1440 }],
+  encode: ({ minutes }) => [0x01, minutes >> 8, minutes & 0xff],
+};
+
+const readNowCommand = {
+  label: "Take a reading now",
+  fPort: 10,
+  params: [],
+  encode: () => [0x02],
+};
+
+const restartCommand = {
+  label: "Restart device",
+  fPort: 10,
+  params: [],
+  encode: () => [0xff],
+};
+
+// Any device can be sent raw bytes, on the port given
+const rawCommand = {
+  label: "Raw payload",
+  fPort: null,
+  params: [
+    { name: "fPort", label: "FPort", min: 1, max: 223 },
+    { name: "hex", label: "Payload (hex)", type: "hex" },
+  ],
+  encode: ({ hex }) => Buffer.from(hex, "hex"),
+};
+
+const COMMAND_TEMPLATES = {
+  buoy: {
+    setInterval: setIntervalCommand,
+    readNow: readNowCommand,
+    restart: restartCommand,
+    raw: rawCommand,
+  },
+  weather: {
+    setInterval: setIntervalCommand,
+    readNow: readNowCommand,
+    raw: rawCommand,
+  },
+  other: { raw: rawCommand },
+};
+
+// TTN downlink event topics and the status each one moves a downlink to.
+// Statuses only move forward, as events can arrive out of order.
+const DOWNLINK_EVENTS = {
+  queued: "queued",
+  sent: "sent",
+  ack: "acked",
+  nack: "nacked",
+  failed: "failed",
+};
+const STATUS_ORDER = ["pending", "pushed", "queued", "sent"];
+
+function statusRank(status) {
+  const rank = STATUS_ORDER.indexOf(status);
+  return rank === -1 ? STATUS_ORDER.length : rank;
+}
+
+function templatesForType(type) {
+  return COMMAND_TEMPLATES[type] || { raw: rawCommand };
+}
+
+// Command templates as served to the admin page, without their encoders
+function listCommandTemplates() {
+  return Object.fromEntries(
+    Object.keys(COMMAND_TEMPLATES).map((type) => [
+      type,
+      Object.fromEntries(
+        Object.entries(templatesForType(type)).map(
+          ([command, { label, fPort, params }]) => [
+            command,
+            { label, fPort, params },
+          ]
+        )
+      ),
+    ])
+  );
+}
+
+function validateParams(template, input) {
+  return Object.fromEntries(
+    template.params.map((param) => {
+      const value = input[param.name];
+      if (param.type === "hex") {
+        const hex = String(value || "").replace(/\s+/g, "");
+        if (!/^([0-9a-fA-F]{2})+$/.test(hex)) {
+          throw new DownlinkError(`${param.label} must be hex bytes`);
+        }
+        if (hex.length / 2 > MAX_PAYLOAD_BYTES) {
+          throw new DownlinkError(
+            `${param.label} is longer than ${MAX_PAYLOAD_BYTES} bytes`
+          );
+        }
+        return [param.name, hex.toLowerCase()];
+      }
+
+      const number = Number(value);
+      if (
+        !Number.isInteger(number) ||
+        number < param.min ||
+        number > param.max
+      ) {
+        throw new DownlinkError(
+          `${param.label} must be a whole number from ${param.min} to ${param.max}`
+        );
+      }
+      return [param.name, number];
+    })
+  );
+}
+
+function rowToDownlink(row) {
+  return {
+    id: row.id,
+    deviceId: row.device_id,
+    command: row.command,
+    params: row.params ? JSON.parse(row.params) : {},
+    fPort: row.f_port,
+    frmPayload: row.frm_payload,
+    confirmed: Boolean(row.confirmed),
+    status: row.status,
+    error: row.error,
+    sentBy: row.sent_by,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+  };
+}
+
+const insertDownlinkStmt = db.prepare(`
+  INSERT INTO downlinks
+    (device_id, command, params, f_port, frm_payload, confirmed, status,
+     sent_by, created_at, updated_at)
+  VALUES
+    (@deviceId, @command, @params, @fPort, @frmPayload, @confirmed,
+     'pending', @sentBy, @now, @now)
+`);
+const getDownlinkStmt = db.prepare("SELECT * FROM downlinks WHERE id = ?");
+const updateStatusStmt = db.prepare(`
+  UPDATE downlinks SET status = @status, error = @error, updated_at = @now
+  WHERE id = @id
+`);
+const listDownlinksStmt = db.prepare(`
+  SELECT * FROM downlinks
+  WHERE (@deviceId IS NULL OR device_id = @deviceId)
+  ORDER BY created_at DESC, id DESC
+  LIMIT @limit
+`);
+
+// The TTN MQTT client downlinks are pushed through; set by server.js on
+// each (re)connect
+let mqttClient = null;
+let applicationId = null;
+
+function useMqttClient(client, appId) {
+  mqttClient = client;
+  applicationId = appId;
+}
+
+function getDownlink(id) {
+  const row = getDownlinkStmt.get(id);
+  return row ? rowToDownlink(row) : null;
+}
+
+// The downlink audit log, newest first
+function listDownlinks({ deviceId, limit = 100 } = {}) {
+  return listDownlinksStmt
+    .all({ deviceId: deviceId || null, limit })
+    .map(rowToDownlink);
+}
+
+function setStatus(id, status, error = null) {
+  updateStatusStmt.run({ id, status, error, now: Date.now() });
+}
+
+// Encode a command from its template and push it to TTN's downlink queue for
+// the device. Each downlink is logged with who sent it, and marked failed if
+// it can't be published.
+async function queueDownlink(input, sentBy) {
+  const device = getDevice(input.deviceId);
+  if (!device) {
+    throw new DownlinkError(`Unknown device: ${input.deviceId}`);
+  }
+  const template = templatesForType(device.type)[input.command];
+  if (!template) {
+    throw new DownlinkError(
+      `Unknown command for ${device.type} devices: ${input.command}`
+    );
+  }
+  const params = validateParams(template, input.params || {});
+  if (!mqttClient || !mqttClient.connected) {
+    throw new DownlinkError("Not connected to TTN, try again shortly");
+  }
+
+  const fPort = template.fPort ?? params.fPort;
+  const frmPayload = Buffer.from(template.encode(params)).toString("base64");
+  const confirmed = Boolean(input.confirmed);
+
+  const { lastInsertRowid: id } = insertDownlinkStmt.run({
+    deviceId: device.deviceId,
+    command: input.command,
+    params: JSON.stringify(params),
+    fPort,
+    frmPayload,
+    confirmed: confirmed ? 1 : 0,
+    sentBy: sentBy || null,
+    now: Date.now(),
+  });
+
+  const topic = `v3/${applicationId}/devices/${device.deviceId}/down/push`;
+  const message = {
+    downlinks: [
+      {
+        f_port: fPort,
+        frm_payload: frmPayload,
+        priority: "NORMAL",
+        confirmed,
+        correlation_ids: [`${CORRELATION_PREFIX}${id}`],
+      },
+    ],
+  };
+
+  try {
+    await mqttClient.publishAsync(topic, JSON.stringify(message), { qos: 1 });
+    setStatus(id, "pushed");
+  } catch (error) {
+    setStatus(id, "failed", `Could not push to TTN: ${error.message}`);
+  }
+  return getDownlink(id);
+}
+
+// Update a downlink from a TTN down/queued, sent, ack, nack or failed event.
+// Returns the updated downlink, or null if the event isn't for one of ours.
+function handleDownlinkEvent(topic, payload) {
+  const status = DOWNLINK_EVENTS[topic.split("/").pop()];
+  if (!status) {
+    return null;
+  }
+
+  const event =
+    payload.downlink_queued ||
+    payload.downlink_sent ||
+    payload.downlink_ack ||
+    payload.downlink_nack ||
+    payload.downlink_failed?.downlink ||
+    {};
+  const correlationId = [
+    ...(payload.correlation_ids || []),
+    ...(event.correlation_ids || []),
+  ].find((id) => id.startsWith(CORRELATION_PREFIX));
+  const downlink =
+    correlationId &&
+    getDownlinkStmt.get(Number(correlationId.slice(CORRELATION_PREFIX.length)));
+  if (!downlink || statusRank(status) <= statusRank(downlink.status)) {
+    return null;
+  }
+
+  const error = payload.downlink_failed
+    ? payload.downlink_failed.error?.message_format ||
+      payload.downlink_failed.error?.name ||
+      "Downlink failed"
+    : null;
+  setStatus(downlink.id, status, error);
+  console.log(`Downlink ${downlink.id} to ${downlink.device_id}: ${status}`);
+  return getDownlink(downlink.id);
+}
+
+module.exports = {
+  COMMAND_TEMPLATES,
+  DOWNLINK_EVENTS,
+  DownlinkError,
+  listCommandTemplates,
+  useMqttClient,
+  getDownlink,
+  listDownlinks,
+  queueDownlink,
+  handleDownlinkEvent,
+};
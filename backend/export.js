@@ -0,0 +1,179 @@
+const { db } = require("./db");
+const { getDevice } = require("./devices");
+const {
+  VALUE_COLUMNS,
+  HistoryQueryError,
+  parseTime,
+  parseFields,
+  parseValues,
+} = require("./history");
+
+const EXPORT_FORMATS = ["csv", "ndjson"];
+const CHUNK_SIZE = 1000;
+
+// Fields to export: the requested ones, or every sensor the device has
+function resolveExportFields(device, fields) {
+  if (fields) {
+    return parseFields(fields);
+  }
+  if (device?.sensors.length) {
+    return device.sensors.map((sensor) => sensor.field);
+  }
+  throw new HistoryQueryError("At least one field is required");
+}
+
+function fieldColumns(device, fields) {
+  return fields.map((field) => {
+    const sensor = device?.sensors.find((s) => s.field === field);
+    return {
+      field,
+      label: sensor?.label || field,
+      unit: sensor?.unit || "",
+    };
+  });
+}
+
+function csvEscape(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Resolves when the stream can take more data, or when it has closed
+function waitForDrain(stream) {
+  return new Promise((resolve) => {
+    const done = () => {
+      stream.off("drain", done);
+      stream.off("close", done);
+      resolve();
+    };
+    stream.on("drain", done);
+    stream.on("close", done);
+  });
+}
+
+// Validate an export request and describe what will be written
+function prepareExport({
+  device: deviceId,
+  fields,
+  from,
+  to,
+  format = "csv",
+  values = "calibrated",
+}) {
+  if (!deviceId) {
+    throw new HistoryQueryError("A device is required");
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new HistoryQueryError(`Unknown export format: ${format}`);
+  }
+
+  parseValues(values);
+
+  const device = getDevice(deviceId);
+  const fieldList = resolveExportFields(device, fields);
+  const toTime = parseTime(to, Date.now());
+  const fromTime = parseTime(from, toTime - 7 * 24 * 60 * 60 * 1000);
+  if (fromTime >= toTime) {
+    throw new HistoryQueryError("`from` must be before `to`");
+  }
+
+  return {
+    deviceId,
+    format,
+    values,
+    from: fromTime,
+    to: toTime,
+    columns: fieldColumns(device, fieldList),
+  };
+}
+
+// Write readings to a writable stream in chunks, so a long date range never
+// holds the database (or memory) for long and respects backpressure.
+async function writeExport(exportRequest, stream) {
+  const { deviceId, format, values, from, to, columns } = exportRequest;
+  const selectColumns = columns
+    .map(
+      (_, i) => `json_extract(${VALUE_COLUMNS[values]}, @path${i}) AS f${i}`
+    )
+    .join(", ");
+  const params = { deviceId, to, limit: CHUNK_SIZE };
+  columns.forEach(({ field }, i) => (params[`path${i}`] = `$.${field}`));
+
+  const chunkStmt = db.prepare(
+    `SELECT received_at, ${selectColumns} FROM readings
+     WHERE device_id = @deviceId
+       AND received_at > @after AND received_at < @to
+       AND decode_status = 'ok'
+     ORDER BY received_at
+     LIMIT @limit`
+  );
+
+  if (format === "csv") {
+    // The byte order mark lets Excel detect UTF-8 (for units like °C)
+    stream.write(
+      "\ufeff" +
+        [
+          "received_at",
+          "device_id",
+          ...columns.map(({ field, unit }) =>
+            unit ? `${field} (${unit})` : field
+          ),
+        ]
+          .map(csvEscape)
+          .join(",") +
+        "\n"
+    );
+  } else {
+    stream.write(
+      JSON.stringify({
+        type: "meta",
+        device_id: deviceId,
+        values,
+        fields: columns,
+      }) +
+        "\n"
+    );
+  }
+
+  let after = from - 1;
+  let total = 0;
+
+  while (!stream.destroyed) {
+    const rows = chunkStmt.all({ ...params, after });
+    if (rows.length === 0) {
+      break;
+    }
+
+    const lines = rows.map((row) => {
+      const receivedAt = new Date(row.received_at).toISOString();
+      if (format === "csv") {
+        return (
+          [receivedAt, deviceId, ...columns.map((_, i) => row[`f${i}`])]
+            .map(csvEscape)
+            .join(",") + "\n"
+        );
+      }
+
+      const record = { type: "reading", received_at: receivedAt };
+      columns.forEach(({ field }, i) => (record[field] = row[`f${i}`]));
+      return JSON.stringify(record) + "\n";
+    });
+
+    total += rows.length;
+    after = rows[rows.length - 1].received_at;
+
+    if (!stream.write(lines.join(""))) {
+      await waitForDrain(stream);
+    }
+    if (rows.length < CHUNK_SIZE) {
+      break;
+    }
+  }
+
+  return total;
+}
+
+module.exports = { EXPORT_FORMATS, prepareExport, writeExport };
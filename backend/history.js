@@ -0,0 +1,361 @@
+const { db } = require("./db");
+
+// Supported bucket sizes for downsampling, in milliseconds
+const BUCKETS = {
+  "5m": 5 * 60 * 1000,
+  "15m": 15 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "6h": 6 * 60 * 60 * 1000,
+  "1d": 24 * 60 * 60 * 1000,
+};
+
+// "auto" picks the finest resolution that stays under this many points
+const MAX_AUTO_POINTS = 500;
+// Hard cap on rows returned for an explicit "raw" query
+const MAX_RAW_ROWS = 10000;
+
+const FIELD_PATTERN = /^[A-Za-z0-9_]+$/;
+// The furthest from 1970, either way, that a Date can represent
+const MAX_TIME = 8.64e15;
+
+// Where each kind of value is stored. Readings from before calibration
+// support only have the one payload, which is raw.
+const VALUE_COLUMNS = {
+  calibrated: "decoded_payload",
+  raw: "COALESCE(raw_payload, decoded_payload)",
+};
+
+class HistoryQueryError extends Error {}
+
+function parseValues(value) {
+  if (!VALUE_COLUMNS[value]) {
+    throw new HistoryQueryError(`Unknown values: ${value}`);
+  }
+  return value;
+}
+
+// Accept ISO strings or epoch milliseconds. A default computed from another
+// time (e.g. a day before `to`) is range-checked too.
+function parseTime(value, fallback) {
+  const isDefault = value === undefined || value === "";
+  let time = fallback;
+  if (!isDefault) {
+    time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  }
+  if (Number.isNaN(time)) {
+    throw new HistoryQueryError(`Invalid timestamp: ${value}`);
+  }
+  if (Math.abs(time) > MAX_TIME) {
+    throw new HistoryQueryError(
+      isDefault ? "Timestamp out of range" : `Timestamp out of range: ${value}`
+    );
+  }
+  return time;
+}
+
+function parseFields(value) {
+  const fields = String(value || "")
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean);
+
+  if (fields.length === 0) {
+    throw new HistoryQueryError("At least one field is required");
+  }
+  const invalid = fields.find((field) => !FIELD_PATTERN.test(field));
+  if (invalid) {
+    throw new HistoryQueryError(`Invalid field name: ${invalid}`);
+  }
+  return fields;
+}
+
+const countStmt = db.prepare(`
+  SELECT COUNT(*) AS count FROM readings
+  WHERE device_id = ? AND received_at >= ? AND received_at < ?
+    AND decode_status = 'ok'
+`);
+
+function resolveBucket(bucket, deviceId, from, to) {
+  if (bucket === "raw" || BUCKETS[bucket]) {
+    return bucket;
+  }
+  if (bucket !== "auto") {
+    throw new HistoryQueryError(`Unknown bucket: ${bucket}`);
+  }
+
+  const { count } = countStmt.get(deviceId, from, to);
+  if (count <= MAX_AUTO_POINTS) {
+    return "raw";
+  }
+  const range = to - from;
+  return (
+    Object.keys(BUCKETS).find(
+      (name) => range / BUCKETS[name] <= MAX_AUTO_POINTS
+    ) || "1d"
+  );
+}
+
+function queryRaw(deviceId, fields, from, to, values) {
+  const columns = fields
+    .map((_, i) => `json_extract(${VALUE_COLUMNS[values]}, @path${i}) AS f${i}`)
+    .join(", ");
+  // One row over the cap shows whether there were more
+  const params = { deviceId, from, to, limit: MAX_RAW_ROWS + 1 };
+  fields.forEach((field, i) => (params[`path${i}`] = `$.${field}`));
+
+  const rows = db
+    .prepare(
+      `SELECT received_at, ${columns} FROM readings
+       WHERE device_id = @deviceId
+         AND received_at >= @from AND received_at < @to
+         AND decode_status = 'ok'
+       ORDER BY received_at
+       LIMIT @limit`
+    )
+    .all(params);
+
+  const points = rows.slice(0, MAX_RAW_ROWS).map((row) => {
+    const values = {};
+    fields.forEach((field, i) => {
+      const value = row[`f${i}`];
+      values[field] =
+        typeof value === "number"
+          ? { min: value, mean: value, max: value }
+          : null;
+    });
+    return {
+      time: new Date(row.received_at).toISOString(),
+      count: 1,
+      values,
+    };
+  });
+  return { points, truncated: rows.length > MAX_RAW_ROWS };
+}
+
+function queryBucketed(deviceId, fields, from, to, bucketMs, values) {
+  const payload = VALUE_COLUMNS[values];
+  const columns = fields
+    .map(
+      (_, i) =>
+        `MIN(json_extract(${payload}, @path${i})) AS min${i},
+         AVG(json_extract(${payload}, @path${i})) AS mean${i},
+         MAX(json_extract(${payload}, @path${i})) AS max${i}`
+    )
+    .join(", ");
+  const params = { deviceId, from, to, bucketMs };
+  fields.forEach((field, i) => (params[`path${i}`] = `$.${field}`));
+
+  const rows = db
+    .prepare(
+      `SELECT CAST(received_at / @bucketMs AS INTEGER) * @bucketMs AS bucket,
+              COUNT(*) AS count, ${columns}
+       FROM readings
+       WHERE device_id = @deviceId
+         AND received_at >= @from AND received_at < @to
+         AND decode_status = 'ok'
+       GROUP BY bucket
+       ORDER BY bucket`
+    )
+    .all(params);
+
+  return rows.map((row) => {
+    const values = {};
+    fields.forEach((field, i) => {
+      values[field] =
+        row[`mean${i}`] === null
+          ? null
+          : {
+              min: row[`min${i}`],
+              mean: row[`mean${i}`],
+              max: row[`max${i}`],
+            };
+    });
+    return {
+      time: new Date(row.bucket).toISOString(),
+      count: row.count,
+      values,
+    };
+  });
+}
+
+// Query stored readings for one device, optionally downsampled into
+// fixed-size time buckets with min/mean/max per field. `values` picks
+// calibrated values (the default) or the raw values as decoded.
+function queryHistory({
+  device,
+  fields,
+  from,
+  to,
+  bucket = "auto",
+  values = "calibrated",
+}) {
+  if (!device) {
+    throw new HistoryQueryError("A device is required");
+  }
+  parseValues(values);
+
+  const fieldList = parseFields(fields);
+  const toTime = parseTime(to, Date.now());
+  const fromTime = parseTime(from, toTime - 24 * 60 * 60 * 1000);
+  if (fromTime >= toTime) {
+    throw new HistoryQueryError("`from` must be before `to`");
+  }
+
+  const resolvedBucket = resolveBucket(bucket, device, fromTime, toTime);
+  const { points, truncated } =
+    resolvedBucket === "raw"
+      ? queryRaw(device, fieldList, fromTime, toTime, values)
+      : {
+          points: queryBucketed(
+            device,
+            fieldList,
+            fromTime,
+            toTime,
+            BUCKETS[resolvedBucket],
+            values
+          ),
+          truncated: false,
+        };
+
+  return {
+    device,
+    fields: fieldList,
+    from: new Date(fromTime).toISOString(),
+    to: new Date(toTime).toISOString(),
+    bucket: resolvedBucket,
+    values,
+    points,
+    truncated,
+  };
+}
+
+const latestReadingStmt = db.prepare(`
+  SELECT * FROM readings
+  WHERE device_id = ? AND decode_status = 'ok'
+  ORDER BY received_at DESC
+  LIMIT 1
+`);
+
+// A stored reading in the canonical reading shape (see decoders.js).
+// `values` picks calibrated fields or the raw fields as decoded.
+function rowToReading(row, values = "calibrated") {
+  const payload =
+    values === "raw"
+      ? row.raw_payload || row.decoded_payload
+      : row.decoded_payload;
+  return {
+    deviceId: row.device_id,
+    receivedAt: new Date(row.received_at).toISOString(),
+    fCnt: row.f_cnt,
+    fPort: row.f_port,
+    decoder: row.decoder,
+    status: row.decode_status,
+    error: row.decode_error,
+    fields: JSON.parse(payload),
+    qc: row.qc ? JSON.parse(row.qc) : {},
+    qcFlag: row.qc_flag,
+  };
+}
+
+// The most recent stored reading for a device, with the TTN message it came
+// from. Returns null if the device has no readings.
+function latestReading(deviceId) {
+  const row = latestReadingStmt.get(deviceId);
+  if (!row) {
+    return null;
+  }
+
+  return {
+    reading: rowToReading(row),
+    message: row.message ? JSON.parse(row.message) : null,
+  };
+}
+
+const DEFAULT_READINGS_LIMIT = 1000;
+
+const listReadingsStmt = db.prepare(`
+  SELECT * FROM readings
+  WHERE device_id = @deviceId
+    AND received_at >= @from AND received_at < @to
+    AND decode_status = 'ok'
+  ORDER BY received_at
+  LIMIT @limit
+`);
+
+// Stored readings for one device in the canonical reading shape, oldest
+// first, a page at a time. `fields` (optional) narrows each reading to those
+// fields. When there are more, `nextFrom` is the `from` of the next page.
+function listReadings({
+  device,
+  fields,
+  from,
+  to,
+  values = "calibrated",
+  limit,
+}) {
+  if (!device) {
+    throw new HistoryQueryError("A device is required");
+  }
+  parseValues(values);
+
+  const fieldList = fields ? parseFields(fields) : null;
+  const toTime = parseTime(to, Date.now());
+  const fromTime = parseTime(from, toTime - 24 * 60 * 60 * 1000);
+  if (fromTime >= toTime) {
+    throw new HistoryQueryError("`from` must be before `to`");
+  }
+
+  const pageSize =
+    limit === undefined || limit === ""
+      ? DEFAULT_READINGS_LIMIT
+      : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_RAW_ROWS) {
+    throw new HistoryQueryError(
+      `\`limit\` must be a whole number from 1 to ${MAX_RAW_ROWS}`
+    );
+  }
+
+  // One extra row tells us whether there's another page
+  const rows = listReadingsStmt.all({
+    deviceId: device,
+    from: fromTime,
+    to: toTime,
+    limit: pageSize + 1,
+  });
+  const hasMore = rows.length > pageSize;
+  const readings = rows.slice(0, pageSize).map((row) => {
+    const reading = rowToReading(row, values);
+    if (fieldList) {
+      const pick = (object) =>
+        Object.fromEntries(
+          Object.entries(object).filter(([field]) => fieldList.includes(field))
+        );
+      reading.fields = pick(reading.fields);
+      reading.qc = pick(reading.qc);
+    }
+    return reading;
+  });
+
+  return {
+    device,
+    from: new Date(fromTime).toISOString(),
+    to: new Date(toTime).toISOString(),
+    values,
+    readings,
+    nextFrom: hasMore
+      ? new Date(rows[pageSize - 1].received_at + 1).toISOString()
+      : null,
+  };
+}
+
+module.exports = {
+  BUCKETS,
+  VALUE_COLUMNS,
+  HistoryQueryError,
+  parseValues,
+  parseTime,
+  parseFields,
+  queryHistory,
+  latestReading,
+  listReadings,
+};
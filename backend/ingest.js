@@ -0,0 +1,33 @@
+const { storeUplink } = require("./db");
+const { getDevice } = require("./devices");
+const { decodeUplink } = require("./decoders");
+const { applyCalibration } = require("./calibration");
+const { checkReading, restoreSpikes } = require("./qc");
+
+// Decode and calibrate a TTN uplink. Quality control runs on the calibrated
+// values so limits apply to what is actually stored and shown.
+function calibratedReading(ttnMessage) {
+  const device = getDevice(ttnMessage.end_device_ids?.device_id);
+  return applyCalibration(decodeUplink(ttnMessage, device?.decoder));
+}
+
+// Decode, calibrate and quality-check a TTN uplink without storing it
+function readingForUplink(ttnMessage) {
+  return checkReading(calibratedReading(ttnMessage)).reading;
+}
+
+// Decode, calibrate, quality-check and store a TTN uplink. Returns the
+// canonical reading and whether it was new.
+function ingestUplink(ttnMessage) {
+  const { reading, confirmedSpikes } = checkReading(
+    calibratedReading(ttnMessage)
+  );
+
+  const isNew = storeUplink(ttnMessage, reading);
+  if (isNew) {
+    restoreSpikes(confirmedSpikes);
+  }
+  return { reading, isNew };
+}
+
+module.exports = { readingForUplink, ingestUplink };
@@ -0,0 +1,172 @@
+const { db } = require("./db");
+const { HistoryQueryError, parseTime } = require("./history");
+
+// Hard cap on uplinks returned for one query
+const MAX_UPLINKS = 10000;
+
+const uplinksStmt = db.prepare(`
+  SELECT received_at, f_cnt, rssi, snr,
+    json_extract(message, '$.uplink_message.rx_metadata') AS rx_metadata,
+    json_extract(message, '$.uplink_message.settings') AS settings,
+    json_extract(decoded_payload, '$.Battery') AS battery
+  FROM readings
+  WHERE device_id = ? AND received_at >= ? AND received_at < ?
+  ORDER BY received_at
+  LIMIT ?
+`);
+
+const round = (value, places = 1) =>
+  value === null || value === undefined
+    ? null
+    : Math.round(value * 10 ** places) / 10 ** places;
+
+const mean = (values) =>
+  values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+
+// The gateways that heard an uplink and the radio settings it was sent with
+function radioForRow(row) {
+  const rxMetadata = JSON.parse(row.rx_metadata || "[]");
+  const settings = JSON.parse(row.settings || "{}");
+  const lora = settings.data_rate?.lora || {};
+
+  return {
+    spreadingFactor: lora.spreading_factor ?? null,
+    bandwidth: lora.bandwidth ?? null,
+    frequency: settings.frequency ? Number(settings.frequency) : null,
+    gateways: rxMetadata.map((rx) => ({
+      gatewayId: rx.gateway_ids?.gateway_id || "unknown",
+      rssi: rx.rssi ?? rx.channel_rssi ?? null,
+      snr: rx.snr ?? null,
+    })),
+  };
+}
+
+// Per-gateway reception over the uplinks, busiest gateway first
+function summariseGateways(uplinks) {
+  const byGateway = {};
+  uplinks.forEach((uplink) => {
+    uplink.gateways.forEach((gateway) => {
+      if (!byGateway[gateway.gatewayId]) {
+        byGateway[gateway.gatewayId] = {
+          gatewayId: gateway.gatewayId,
+          uplinks: 0,
+          rssi: [],
+          snr: [],
+          lastSeen: null,
+        };
+      }
+      const entry = byGateway[gateway.gatewayId];
+      entry.uplinks++;
+      if (gateway.rssi !== null) {
+        entry.rssi.push(gateway.rssi);
+      }
+      if (gateway.snr !== null) {
+        entry.snr.push(gateway.snr);
+      }
+      entry.lastSeen = uplink.time;
+    });
+  });
+
+  return Object.values(byGateway)
+    .map((entry) => ({
+      gatewayId: entry.gatewayId,
+      uplinks: entry.uplinks,
+      meanRssi: round(mean(entry.rssi)),
+      bestRssi: entry.rssi.length > 0 ? Math.max(...entry.rssi) : null,
+      meanSnr: round(mean(entry.snr)),
+      lastSeen: entry.lastSeen,
+    }))
+    .sort((a, b) => b.uplinks - a.uplinks);
+}
+
+// Radio link and battery health for one device: every uplink's signal and
+// gateways, frame counter gaps and a packet loss estimate. A frame counter
+// that goes backwards is a device reset (or rejoin), not lost packets.
+function queryLinkHealth({ device, from, to }) {
+  if (!device) {
+    throw new HistoryQueryError("A device is required");
+  }
+
+  const toTime = parseTime(to, Date.now());
+  const fromTime = parseTime(from, toTime - 24 * 60 * 60 * 1000);
+  if (fromTime >= toTime) {
+    throw new HistoryQueryError("`from` must be before `to`");
+  }
+
+  const rows = uplinksStmt.all(device, fromTime, toTime, MAX_UPLINKS + 1);
+  const truncated = rows.length > MAX_UPLINKS;
+
+  const gaps = [];
+  let counterResets = 0;
+  let previous = null;
+  const uplinks = rows.slice(0, MAX_UPLINKS).map((row) => {
+    const time = new Date(row.received_at).toISOString();
+    let missedBefore = 0;
+
+    if (row.f_cnt !== null) {
+      if (previous && row.f_cnt > previous.fCnt + 1) {
+        missedBefore = row.f_cnt - previous.fCnt - 1;
+        gaps.push({
+          from: previous.time,
+          to: time,
+          fromFCnt: previous.fCnt,
+          toFCnt: row.f_cnt,
+          missed: missedBefore,
+        });
+      } else if (previous && row.f_cnt <= previous.fCnt) {
+        counterResets++;
+      }
+      previous = { fCnt: row.f_cnt, time };
+    }
+
+    return {
+      time,
+      fCnt: row.f_cnt,
+      rssi: row.rssi,
+      snr: row.snr,
+      ...radioForRow(row),
+      battery: typeof row.battery === "number" ? row.battery : null,
+      missedBefore,
+    };
+  });
+
+  const missed = gaps.reduce((sum, gap) => sum + gap.missed, 0);
+  const rssi = uplinks.map((u) => u.rssi).filter((v) => v !== null);
+  const snr = uplinks.map((u) => u.snr).filter((v) => v !== null);
+  const battery = uplinks.map((u) => u.battery).filter((v) => v !== null);
+
+  return {
+    device,
+    from: new Date(fromTime).toISOString(),
+    to: new Date(toTime).toISOString(),
+    truncated,
+    summary: {
+      received: uplinks.length,
+      missed,
+      packetLossPercent:
+        uplinks.length > 0
+          ? round((missed / (uplinks.length + missed)) * 100)
+          : null,
+      counterResets,
+      meanRssi: round(mean(rssi)),
+      minRssi: rssi.length > 0 ? Math.min(...rssi) : null,
+      meanSnr: round(mean(snr)),
+      minSnr: snr.length > 0 ? Math.min(...snr) : null,
+      battery:
+        battery.length > 0
+          ? {
+              latest: battery[battery.length - 1],
+              min: Math.min(...battery),
+              max: Math.max(...battery),
+            }
+          : null,
+    },
+    gateways: summariseGateways(uplinks),
+    gaps,
+    uplinks,
+  };
+}
+
+module.exports = { queryLinkHealth };
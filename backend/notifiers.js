@@ -0,0 +1,72 @@
+const nodemailer = require("nodemailer");
+
+const SMTP_CONFIG = {
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT || "587", 10),
+  secure: process.env.SMTP_SECURE === "true",
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS,
+  from: process.env.ALERT_EMAIL_FROM || "reef-dashboard@localhost",
+};
+
+let transporter = null;
+
+function getTransporter() {
+  if (!SMTP_CONFIG.host) {
+    return null;
+  }
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: SMTP_CONFIG.host,
+      port: SMTP_CONFIG.port,
+      secure: SMTP_CONFIG.secure,
+      auth: SMTP_CONFIG.user
+        ? { user: SMTP_CONFIG.user, pass: SMTP_CONFIG.pass }
+        : undefined,
+    });
+  }
+  return transporter;
+}
+
+function isEmailConfigured() {
+  return Boolean(SMTP_CONFIG.host);
+}
+
+// Send an email with a plain text body, plus optionally an HTML body and
+// attachments (see nodemailer's message options). Resolves to false if SMTP
+// isn't configured.
+async function sendEmail(to, subject, text, { html, attachments } = {}) {
+  const mailer = getTransporter();
+  if (!mailer) {
+    console.log(`SMTP not configured, skipping email to ${to}: ${subject}`);
+    return false;
+  }
+
+  await mailer.sendMail({
+    from: SMTP_CONFIG.from,
+    to,
+    subject,
+    text,
+    html,
+    attachments,
+  });
+  console.log(`Sent email to ${to}: ${subject}`);
+  return true;
+}
+
+// POST a JSON body to an outgoing webhook
+async function sendWebhook(url, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook ${url} responded ${response.status}`);
+  }
+  console.log(`Delivered webhook to ${url}`);
+  return true;
+}
+
+module.exports = { isEmailConfigured, sendEmail, sendWebhook };
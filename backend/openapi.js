@@ -0,0 +1,267 @@
+// OpenAPI description of the public read-only API (routes/v1.js), served at
+// /api/v1/openapi.json. Keep it in step with the routes.
+
+const errorResponse = (description) => ({
+  description,
+  content: {
+    "application/json": { schema: { $ref: "#/components/schemas/Error" } },
+  },
+});
+
+const deviceIdParameter = {
+  name: "id",
+  in: "path",
+  required: true,
+  description: "Device ID",
+  schema: { type: "string" },
+};
+
+const openApiDocument = {
+  openapi: "3.0.3",
+  info: {
+    title: "Reef Monitoring API",
+    version: "1.0.0",
+    description:
+      "Read-only access to the devices and stored readings of the reef monitoring network. Every request except this document needs an API key, issued by the project admins, in the X-API-Key header. Each key is limited to a number of requests a minute; the X-RateLimit-* headers report how many are left.",
+  },
+  servers: [{ url: "/api/v1" }],
+  security: [{ apiKey: [] }],
+  paths: {
+    "/devices": {
+      get: {
+        summary: "List devices",
+        operationId: "listDevices",
+        responses: {
+          200: {
+            description: "Every registered device",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "array",
+                  items: { $ref: "#/components/schemas/Device" },
+                },
+              },
+            },
+          },
+          401: { $ref: "#/components/responses/Unauthorized" },
+          429: { $ref: "#/components/responses/RateLimited" },
+        },
+      },
+    },
+    "/devices/{id}": {
+      get: {
+        summary: "Get a device",
+        operationId: "getDevice",
+        parameters: [deviceIdParameter],
+        responses: {
+          200: {
+            description: "The device",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Device" },
+              },
+            },
+          },
+          401: { $ref: "#/components/responses/Unauthorized" },
+          404: errorResponse("No such device"),
+          429: { $ref: "#/components/responses/RateLimited" },
+        },
+      },
+    },
+    "/devices/{id}/latest": {
+      get: {
+        summary: "Get a device's latest reading",
+        operationId: "getLatestReading",
+        parameters: [deviceIdParameter],
+        responses: {
+          200: {
+            description: "The most recent stored reading",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Reading" },
+              },
+            },
+          },
+          401: { $ref: "#/components/responses/Unauthorized" },
+          404: errorResponse("No such device, or it has no readings yet"),
+          429: { $ref: "#/components/responses/RateLimited" },
+        },
+      },
+    },
+    "/devices/{id}/readings": {
+      get: {
+        summary: "List a device's readings",
+        description:
+          "Stored readings oldest first, a page at a time. When there are more readings in the range, nextFrom is the `from` to request the next page with.",
+        operationId: "listReadings",
+        parameters: [
+          deviceIdParameter,
+          {
+            name: "from",
+            in: "query",
+            description:
+              "Start of the range, inclusive (ISO 8601 or epoch milliseconds). Defaults to 24 hours before `to`.",
+            schema: { type: "string" },
+          },
+          {
+            name: "to",
+            in: "query",
+            description:
+              "End of the range, exclusive (ISO 8601 or epoch milliseconds). Defaults to now.",
+            schema: { type: "string" },
+          },
+          {
+            name: "fields",
+            in: "query",
+            description:
+              "Comma separated fields to include. Defaults to all of them.",
+            schema: { type: "string" },
+          },
+          {
+            name: "values",
+            in: "query",
+            description:
+              "Calibrated values, or the raw values as decoded from the device",
+            schema: {
+              type: "string",
+              enum: ["calibrated", "raw"],
+              default: "calibrated",
+            },
+          },
+          {
+            name: "limit",
+            in: "query",
+            description: "Readings per page",
+            schema: {
+              type: "integer",
+              minimum: 1,
+              maximum: 10000,
+              default: 1000,
+            },
+          },
+        ],
+        responses: {
+          200: {
+            description: "A page of readings",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/ReadingPage" },
+              },
+            },
+          },
+          400: errorResponse("Invalid query parameters"),
+          401: { $ref: "#/components/responses/Unauthorized" },
+          404: errorResponse("No such device"),
+          429: { $ref: "#/components/responses/RateLimited" },
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+    },
+    responses: {
+      Unauthorized: errorResponse("Missing, unknown or revoked API key"),
+      RateLimited: {
+        description: "The key's rate limit was exceeded",
+        headers: {
+          "Retry-After": {
+            description: "Seconds until requests are allowed again",
+            schema: { type: "integer" },
+          },
+        },
+        content: {
+          "application/json": {
+            schema: { $ref: "#/components/schemas/Error" },
+          },
+        },
+      },
+    },
+    schemas: {
+      Error: {
+        type: "object",
+        required: ["error"],
+        properties: { error: { type: "string" } },
+      },
+      Device: {
+        type: "object",
+        properties: {
+          deviceId: { type: "string", example: "reef-buoy-1" },
+          displayName: { type: "string" },
+          type: { type: "string", example: "buoy" },
+          location: {
+            type: "object",
+            nullable: true,
+            properties: {
+              name: { type: "string", nullable: true },
+              latitude: { type: "number" },
+              longitude: { type: "number" },
+            },
+          },
+          sensors: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                field: { type: "string", example: "WaterT1" },
+                label: { type: "string" },
+                unit: { type: "string", example: "°C" },
+                precision: { type: "integer" },
+              },
+            },
+          },
+          uplinkIntervalMinutes: { type: "number", nullable: true },
+        },
+      },
+      Reading: {
+        type: "object",
+        description:
+          "A decoded, calibrated and quality-checked reading. Values that failed quality control are left out of fields and described in qc.",
+        properties: {
+          deviceId: { type: "string" },
+          receivedAt: { type: "string", format: "date-time" },
+          fCnt: { type: "integer", nullable: true },
+          fPort: { type: "integer", nullable: true },
+          decoder: { type: "string", example: "ttn" },
+          status: { type: "string", example: "ok" },
+          error: { type: "string", nullable: true },
+          fields: {
+            type: "object",
+            additionalProperties: { type: "number" },
+            example: { WaterT1: 17.2, WaterT2: 16.9 },
+          },
+          qc: {
+            type: "object",
+            additionalProperties: {
+              type: "object",
+              properties: {
+                value: { type: "number" },
+                flag: { type: "string", enum: ["suspect", "fail"] },
+                check: { type: "string", example: "range" },
+                reason: { type: "string" },
+              },
+            },
+          },
+          qcFlag: { type: "string", enum: ["pass", "suspect", "fail"] },
+        },
+      },
+      ReadingPage: {
+        type: "object",
+        properties: {
+          device: { type: "string" },
+          from: { type: "string", format: "date-time" },
+          to: { type: "string", format: "date-time" },
+          values: { type: "string", enum: ["calibrated", "raw"] },
+          readings: {
+            type: "array",
+            items: { $ref: "#/components/schemas/Reading" },
+          },
+          nextFrom: { type: "string", format: "date-time", nullable: true },
+        },
+      },
+    },
+  },
+};
+
+module.exports = { openApiDocument };
@@ -0,0 +1,240 @@
+const { db } = require("./db");
+const { SENSOR_FIELDS } = require("./sensorSchema");
+
+// Plausibility limits per canonical field:
+// - min/max: physically possible range; anything outside fails
+//   (e.g. a DS18B20 reporting -127 or 85 °C when it loses contact)
+// - maxStep: largest believable change from the last good value within
+//   STEP_WINDOW; bigger jumps are suspect spikes
+// - flatlineCount: this many identical readings in a row is a stuck sensor
+const QC_LIMITS = {
+  Temp: { min: -20, max: 60, maxStep: 10, flatlineCount: 36 },
+  WaterT1: { min: -5, max: 40, maxStep: 3, flatlineCount: 36 },
+  WaterT2: { min: -5, max: 40, maxStep: 3, flatlineCount: 36 },
+  Humidity: { min: 0, max: 100, maxStep: 40, flatlineCount: 72 },
+  Pressure: { min: 870, max: 1085, maxStep: 10, flatlineCount: 72 },
+  TDS: { min: 0, max: 2000, maxStep: 150, flatlineCount: 72 },
+  DO: { min: 0, max: 25, maxStep: 4, flatlineCount: 72 },
+  pH: { min: 4, max: 11, maxStep: 1, flatlineCount: 72 },
+  Battery: { min: 2.5, max: 4.5, maxStep: 0.5 },
+};
+
+const STEP_WINDOW = 6 * 60 * 60 * 1000;
+
+const recentValuesStmt = db.prepare(`
+  SELECT id, received_at AS receivedAt,
+         json_extract(decoded_payload, @path) AS value
+  FROM readings
+  WHERE device_id = @deviceId AND received_at < @before AND value IS NOT NULL
+  ORDER BY received_at DESC
+  LIMIT @limit
+`);
+const previousReadingStmt = db.prepare(`
+  SELECT id, json_extract(qc, @path) AS qc
+  FROM readings
+  WHERE device_id = @deviceId AND received_at < @before
+  ORDER BY received_at DESC
+  LIMIT 1
+`);
+
+// The worst flag among a reading's checked values
+function overallFlag(qc) {
+  const flags = Object.values(qc).map((entry) => entry.flag);
+  if (flags.includes("fail")) {
+    return "fail";
+  }
+  return flags.includes("suspect") ? "suspect" : "pass";
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function withUnit(field, value) {
+  const unit = SENSOR_FIELDS[field]?.unit;
+  return unit ? `${value} ${unit}` : `${value}`;
+}
+
+function rangeCheck(field, value, limits) {
+  if (value < limits.min || value > limits.max) {
+    return {
+      flag: "fail",
+      check: "range",
+      reason: `${withUnit(field, value)} is outside the plausible range ${
+        limits.min
+      } to ${withUnit(field, limits.max)}`,
+    };
+  }
+  return null;
+}
+
+// A jump from the last good value is a spike, unless the previous reading
+// was flagged as a spike at about the same level - then the level really
+// changed and that reading is confirmed instead
+function spikeCheck(reading, field, value, limits, receivedAt) {
+  const path = `$.${field}`;
+  const [last] = recentValuesStmt.all({
+    path,
+    deviceId: reading.deviceId,
+    before: receivedAt,
+    limit: 1,
+  });
+  if (!last || receivedAt - last.receivedAt > STEP_WINDOW) {
+    return { result: null };
+  }
+
+  const delta = value - last.value;
+  if (Math.abs(delta) <= limits.maxStep) {
+    return { result: null };
+  }
+
+  const previous = previousReadingStmt.get({
+    path,
+    deviceId: reading.deviceId,
+    before: receivedAt,
+  });
+  const previousQc = previous?.qc ? JSON.parse(previous.qc) : null;
+  if (
+    previousQc?.check === "spike" &&
+    Math.abs(value - previousQc.value) <= limits.maxStep
+  ) {
+    return { result: null, confirmed: { id: previous.id, field } };
+  }
+
+  const minutes = Math.round((receivedAt - last.receivedAt) / 60000);
+  return {
+    result: {
+      flag: "suspect",
+      check: "spike",
+      reason: `Jumped ${delta > 0 ? "+" : ""}${withUnit(
+        field,
+        round(delta)
+      )} from ${last.value} in ${minutes} min (limit ${limits.maxStep})`,
+    },
+  };
+}
+
+function flatlineCheck(reading, field, value, limits, receivedAt) {
+  const previous = recentValuesStmt.all({
+    path: `$.${field}`,
+    deviceId: reading.deviceId,
+    before: receivedAt,
+    limit: limits.flatlineCount - 1,
+  });
+  if (
+    previous.length === limits.flatlineCount - 1 &&
+    previous.every((row) => row.value === value)
+  ) {
+    return {
+      flag: "suspect",
+      check: "flatline",
+      reason: `Unchanged at ${withUnit(field, value)} for ${
+        limits.flatlineCount
+      } readings`,
+    };
+  }
+  return null;
+}
+
+// Run the quality checks on a decoded reading. Values that fail a check are
+// moved from `fields` into `qc` with the reason, so history, exports and
+// alerts only ever see good values. Returns the checked reading and any
+// earlier spikes that this reading shows were real level changes.
+function checkReading(reading) {
+  const receivedAt = new Date(reading.receivedAt).getTime();
+  const fields = {};
+  const qc = {};
+  const confirmedSpikes = [];
+
+  Object.entries(reading.fields).forEach(([field, value]) => {
+    const limits = QC_LIMITS[field];
+    let result = null;
+
+    if (limits) {
+      result = rangeCheck(field, value, limits);
+      if (!result && limits.maxStep !== undefined) {
+        const spike = spikeCheck(reading, field, value, limits, receivedAt);
+        result = spike.result;
+        if (spike.confirmed) {
+          confirmedSpikes.push(spike.confirmed);
+        }
+      }
+      if (!result && limits.flatlineCount) {
+        result = flatlineCheck(reading, field, value, limits, receivedAt);
+      }
+    }
+
+    if (result) {
+      qc[field] = { value, ...result };
+    } else {
+      fields[field] = value;
+    }
+  });
+
+  return {
+    reading: { ...reading, fields, qc, qcFlag: overallFlag(qc) },
+    confirmedSpikes,
+  };
+}
+
+const getReadingQcStmt = db.prepare(
+  "SELECT decoded_payload, qc FROM readings WHERE id = ?"
+);
+const updateReadingQcStmt = db.prepare(`
+  UPDATE readings
+  SET decoded_payload = @decodedPayload, qc = @qc, qc_flag = @qcFlag
+  WHERE id = @id
+`);
+
+// Move values that were flagged as spikes back into their readings
+function restoreSpikes(confirmedSpikes) {
+  confirmedSpikes.forEach(({ id, field }) => {
+    const row = getReadingQcStmt.get(id);
+    const qc = JSON.parse(row.qc || "{}");
+    if (!qc[field]) {
+      return;
+    }
+
+    const fields = JSON.parse(row.decoded_payload);
+    fields[field] = qc[field].value;
+    delete qc[field];
+
+    updateReadingQcStmt.run({
+      id,
+      decodedPayload: JSON.stringify(fields),
+      qc: JSON.stringify(qc),
+      qcFlag: overallFlag(qc),
+    });
+    console.log(`Reading ${id}: ${field} step change confirmed, restored`);
+  });
+}
+
+const flaggedStmt = db.prepare(`
+  SELECT device_id, received_at, qc FROM readings
+  WHERE qc_flag != 'pass'
+    AND (@deviceId IS NULL OR device_id = @deviceId)
+    AND received_at >= @from AND received_at < @to
+  ORDER BY received_at DESC
+  LIMIT @limit
+`);
+
+// Flagged values, newest first, for seeing why values were rejected
+function listFlaggedValues({ deviceId, from, to, limit }) {
+  return flaggedStmt
+    .all({ deviceId: deviceId || null, from, to, limit })
+    .flatMap((row) =>
+      Object.entries(JSON.parse(row.qc || "{}")).map(([field, entry]) => ({
+        deviceId: row.device_id,
+        receivedAt: new Date(row.received_at).toISOString(),
+        field,
+        ...entry,
+      }))
+    );
+}
+
+module.exports = {
+  QC_LIMITS,
+  checkReading,
+  restoreSpikes,
+  listFlaggedValues,
+};
@@ -0,0 +1,463 @@
+const WebSocket = require("ws");
+const { listDevices } = require("./devices");
+const { listDeviceStatuses, getDeviceStatus } = require("./deviceStatus");
+const { listActiveAlerts } = require("./alerts");
+const { latestReading } = require("./history");
+
+// Live update protocol, see "Live updates" in the README. Clients ask for a
+// version with the WebSocket subprotocol; connecting without one gets the
+// current version. routes/live.js serves the same events over Server-Sent
+// Events and polling.
+const PROTOCOL_VERSION = 1;
+const SUBPROTOCOL = `reef.v${PROTOCOL_VERSION}`;
+
+const EVENT_TYPES = ["reading", "device_status", "alert", "backfill"];
+const HEARTBEAT_INTERVAL = 30 * 1000;
+const FIELD_PATTERN = /^[A-Za-z0-9_]+$/;
+const MAX_SUBSCRIBED_DEVICES = 100;
+// Published events kept so reconnecting clients can catch up
+const MAX_RECENT_EVENTS = 1000;
+
+class SubscriptionError extends Error {}
+
+// Every published event gets an id so a client can resume where it left off,
+// even on another transport. Ids start with the server's start time so ids
+// from before a restart are never mistaken for current ones.
+const BOOT_ID = Date.now().toString(36);
+let lastSequence = 0;
+const recentEvents = [];
+
+const eventIdFor = (sequence) => `${BOOT_ID}-${sequence}`;
+
+function currentEventId() {
+  return eventIdFor(lastSequence);
+}
+
+// Everyone receiving live updates, whatever the transport. Each client has a
+// send function and what it has subscribed to: devices (or all of them), the
+// reading fields it wants (null for all) and which event types. Clients only
+// get published events once connected.
+const clients = new Set();
+
+function createClient(send) {
+  return {
+    send: (message) => send({ v: PROTOCOL_VERSION, ...message }),
+    allDevices: false,
+    devices: new Set(),
+    fields: null,
+    events: new Set(EVENT_TYPES),
+    includeMessage: false,
+  };
+}
+
+function connectClient(client) {
+  clients.add(client);
+}
+
+function removeClient(client) {
+  clients.delete(client);
+}
+
+function welcomeMessage() {
+  return {
+    type: "welcome",
+    protocol: PROTOCOL_VERSION,
+    events: EVENT_TYPES,
+    heartbeatInterval: HEARTBEAT_INTERVAL,
+  };
+}
+
+function describeSubscription(client) {
+  return {
+    devices: client.allDevices ? "*" : Array.from(client.devices),
+    fields: client.fields ? Array.from(client.fields) : "*",
+    events: Array.from(client.events),
+    includeMessage: client.includeMessage,
+  };
+}
+
+function parseList(value, name, pattern) {
+  if (value === "*") {
+    return "*";
+  }
+  if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+    throw new SubscriptionError(`${name} must be "*" or a list of strings`);
+  }
+  const invalid = pattern && value.find((item) => !pattern.test(item));
+  if (invalid) {
+    throw new SubscriptionError(`Invalid ${name} entry: ${invalid}`);
+  }
+  return value;
+}
+
+function wantsDevice(client, deviceId) {
+  return client.allDevices || client.devices.has(deviceId);
+}
+
+// Narrow a reading to the client's fields. Returns null if none are left.
+function filterReading(client, reading) {
+  if (!client.fields) {
+    return reading;
+  }
+  const pick = (values) =>
+    Object.fromEntries(
+      Object.entries(values || {}).filter(([field]) => client.fields.has(field))
+    );
+  const fields = pick(reading.fields);
+  const qc = pick(reading.qc);
+  if (Object.keys(fields).length === 0 && Object.keys(qc).length === 0) {
+    return null;
+  }
+  return { ...reading, fields, qc };
+}
+
+// What the client is sent for an event, or null if it hasn't subscribed to it
+function eventFor(client, type, data) {
+  if (!client.events.has(type)) {
+    return null;
+  }
+
+  if (type === "backfill") {
+    const devices = data.devices.filter(
+      (device) => client.allDevices || client.devices.has(device.deviceId)
+    );
+    if (devices.length === 0) {
+      return null;
+    }
+    const total = devices.reduce((sum, device) => sum + device.inserted, 0);
+    return total > 0 ? { type, total, devices } : null;
+  }
+
+  if (!wantsDevice(client, data.deviceId)) {
+    return null;
+  }
+  if (type !== "reading") {
+    return { type, ...data };
+  }
+
+  const reading = filterReading(client, data.reading);
+  if (!reading) {
+    return null;
+  }
+  const { message, ...event } = data;
+  return {
+    type,
+    ...event,
+    reading,
+    ...(client.includeMessage ? { message } : {}),
+  };
+}
+
+// Send an event to every client subscribed to it. Events: reading
+// ({deviceId, deviceType, reading, message}), device_status (a device
+// status), alert ({deviceId, event}) and backfill (a backfill summary).
+function publish(type, data) {
+  const sequence = ++lastSequence;
+  recentEvents.push({ sequence, type, data });
+  if (recentEvents.length > MAX_RECENT_EVENTS) {
+    recentEvents.shift();
+  }
+
+  clients.forEach((client) => {
+    const event = eventFor(client, type, data);
+    if (event) {
+      client.send({ ...event, eventId: eventIdFor(sequence) });
+    }
+  });
+}
+
+// The client's events published after lastEventId, or null if they can't
+// all be replayed (too old, or the id is from before a restart)
+function eventsSince(client, lastEventId) {
+  const [bootId, sequenceText] = String(lastEventId || "").split("-");
+  const sequence = Number(sequenceText);
+  if (
+    bootId !== BOOT_ID ||
+    !Number.isInteger(sequence) ||
+    sequence > lastSequence
+  ) {
+    return null;
+  }
+  const oldest =
+    recentEvents.length > 0 ? recentEvents[0].sequence : lastSequence + 1;
+  if (sequence < oldest - 1) {
+    return null;
+  }
+
+  return recentEvents
+    .filter((event) => event.sequence > sequence)
+    .map((event) => {
+      const message = eventFor(client, event.type, event.data);
+      return message && { ...message, eventId: eventIdFor(event.sequence) };
+    })
+    .filter(Boolean);
+}
+
+// The current state of the given devices, sent after a subscribe so the
+// client doesn't wait for the next uplink
+function snapshotFor(client, deviceIds) {
+  const snapshot = {
+    type: "snapshot",
+    eventId: currentEventId(),
+    devices: [],
+  };
+
+  deviceIds.forEach((deviceId) => {
+    const entry = { deviceId };
+    if (client.events.has("reading")) {
+      const latest = latestReading(deviceId);
+      const reading = latest && filterReading(client, latest.reading);
+      entry.reading = reading || null;
+      if (reading && client.includeMessage) {
+        entry.message = latest.message;
+      }
+    }
+    if (client.events.has("device_status")) {
+      entry.status = getDeviceStatus(deviceId);
+    }
+    snapshot.devices.push(entry);
+  });
+
+  if (client.events.has("alert")) {
+    snapshot.activeAlerts = listActiveAlerts().filter((alert) =>
+      deviceIds.includes(alert.deviceId)
+    );
+  }
+  return snapshot;
+}
+
+function allDeviceIds() {
+  return Array.from(
+    new Set([
+      ...listDevices().map((device) => device.deviceId),
+      ...listDeviceStatuses().map((status) => status.deviceId),
+    ])
+  );
+}
+
+// Subscribe options: devices are added to the subscription ("*" for all).
+// fields narrows readings to those fields, adding to any already subscribed
+// ("*" for all fields again). events and includeMessage replace the current
+// settings. Returns the newly subscribed devices.
+function applySubscription(client, message) {
+  const devices =
+    message.devices === undefined ? [] : parseList(message.devices, "devices");
+  const fields =
+    message.fields === undefined
+      ? null
+      : parseList(message.fields, "fields", FIELD_PATTERN);
+  const events =
+    message.events === undefined ? null : parseList(message.events, "events");
+  if (events && events !== "*") {
+    const unknown = events.find((event) => !EVENT_TYPES.includes(event));
+    if (unknown) {
+      throw new SubscriptionError(`Unknown event type: ${unknown}`);
+    }
+  }
+  if (
+    devices !== "*" &&
+    client.devices.size + devices.length > MAX_SUBSCRIBED_DEVICES
+  ) {
+    throw new SubscriptionError(
+      `At most ${MAX_SUBSCRIBED_DEVICES} devices can be subscribed`
+    );
+  }
+
+  let newDevices;
+  if (devices === "*") {
+    newDevices = allDeviceIds();
+    client.allDevices = true;
+  } else {
+    newDevices = devices.filter((deviceId) => !client.devices.has(deviceId));
+    devices.forEach((deviceId) => client.devices.add(deviceId));
+  }
+  if (fields === "*") {
+    client.fields = null;
+  } else if (fields) {
+    client.fields = new Set([...(client.fields || []), ...fields]);
+  }
+  if (events) {
+    client.events = new Set(events === "*" ? EVENT_TYPES : events);
+  }
+  if (message.includeMessage !== undefined) {
+    client.includeMessage = Boolean(message.includeMessage);
+  }
+  return newDevices;
+}
+
+// Events to start (or resume) a subscription with: the ones missed since
+// lastEventId if they can be replayed, otherwise a snapshot of the devices
+function initialEvents(client, deviceIds, lastEventId) {
+  return (
+    (lastEventId && eventsSince(client, lastEventId)) || [
+      snapshotFor(client, deviceIds),
+    ]
+  );
+}
+
+// The client gets the whole subscription, then either the events it missed
+// since lastEventId or a snapshot of the newly subscribed devices
+function subscribe(client, message) {
+  const newDevices = applySubscription(client, message);
+  client.send({
+    type: "subscribed",
+    id: message?.id,
+    subscription: describeSubscription(client),
+  });
+  initialEvents(client, newDevices, message.lastEventId).forEach((event) =>
+    client.send({ id: message?.id, ...event })
+  );
+}
+
+// unsubscribe: removes the listed devices or fields ("*" for all devices).
+// With neither, the client is unsubscribed from everything.
+function unsubscribe(client, message) {
+  if (message.devices === undefined && message.fields === undefined) {
+    client.allDevices = false;
+    client.devices.clear();
+    client.fields = null;
+  }
+
+  if (message.devices !== undefined) {
+    const devices = parseList(message.devices, "devices");
+    if (devices === "*") {
+      client.allDevices = false;
+      client.devices.clear();
+    } else if (client.allDevices) {
+      throw new SubscriptionError(
+        'Subscribed to all devices; unsubscribe from "*" first'
+      );
+    } else {
+      devices.forEach((deviceId) => client.devices.delete(deviceId));
+    }
+  }
+
+  if (message.fields !== undefined) {
+    const fields = parseList(message.fields, "fields", FIELD_PATTERN);
+    if (fields === "*" || !client.fields) {
+      throw new SubscriptionError(
+        "Subscribed to all fields; subscribe to specific fields instead"
+      );
+    }
+    fields.forEach((field) => client.fields.delete(field));
+  }
+
+  client.send({
+    type: "unsubscribed",
+    id: message?.id,
+    subscription: describeSubscription(client),
+  });
+}
+
+// Handle a message from a client. Problems are reported back as an error
+// event carrying the request's id.
+function handleClientMessage(client, data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    client.send({ type: "error", error: "Messages must be JSON" });
+    return;
+  }
+  if (
+    message === null ||
+    typeof message !== "object" ||
+    Array.isArray(message)
+  ) {
+    client.send({ type: "error", error: "Messages must be JSON objects" });
+    return;
+  }
+
+  try {
+    if (message.type === "subscribe") {
+      subscribe(client, message);
+    } else if (message.type === "unsubscribe") {
+      unsubscribe(client, message);
+    } else if (message.type === "ping") {
+      client.send({ type: "pong", id: message.id, time: Date.now() });
+    } else {
+      throw new SubscriptionError(`Unknown message type: ${message.type}`);
+    }
+  } catch (error) {
+    if (!(error instanceof SubscriptionError)) {
+      console.error("Error handling live update request:", error);
+    }
+    client.send({
+      type: "error",
+      id: message?.id,
+      error:
+        error instanceof SubscriptionError
+          ? error.message
+          : "Could not handle request",
+    });
+  }
+}
+
+// Serve the protocol over WebSockets. The server pings every client each
+// heartbeat interval and drops any that didn't answer the previous ping;
+// the heartbeat event lets clients notice a dead connection too.
+function attachWebSocketServer(server) {
+  const wss = new WebSocket.Server({
+    server,
+    handleProtocols: (protocols) =>
+      protocols.has(SUBPROTOCOL) ? SUBPROTOCOL : false,
+  });
+
+  wss.on("connection", (ws) => {
+    console.log("WebSocket client connected");
+
+    const client = createClient((message) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+      }
+    });
+    connectClient(client);
+    ws.client = client;
+    ws.isAlive = true;
+
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+    ws.on("message", (data) => handleClientMessage(client, data.toString()));
+    ws.on("close", () => {
+      removeClient(client);
+      console.log("WebSocket client disconnected");
+    });
+
+    client.send(welcomeMessage());
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        console.log("Dropping unresponsive WebSocket client");
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+      ws.client.send({ type: "heartbeat", time: Date.now() });
+    });
+  }, HEARTBEAT_INTERVAL);
+  wss.on("close", () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUBPROTOCOL,
+  EVENT_TYPES,
+  HEARTBEAT_INTERVAL,
+  SubscriptionError,
+  currentEventId,
+  createClient,
+  connectClient,
+  removeClient,
+  welcomeMessage,
+  describeSubscription,
+  applySubscription,
+  initialEvents,
+  publish,
+  attachWebSocketServer,
+};
@@ -0,0 +1,507 @@
+const { db } = require("./db");
+const { listDevices } = require("./devices");
+const { resolveSensor } = require("./sensorSchema");
+const { parseTime } = require("./history");
+const { periodStart, listSummaries, combineSummaries } = require("./summaries");
+const { getSetting } = require("./settings");
+const { isEmailConfigured, sendEmail } = require("./notifiers");
+
+// The "state of the reef" report: daily summaries for every device over a
+// range of days, rendered as a printable HTML page with a chart per field
+// and a table of the range's min, mean, max and completeness. Each week it
+// is emailed to the report recipients set in the admin area.
+const REPORT_CONFIG = {
+  title: process.env.REPORT_TITLE || "State of the Reef",
+  // Day of the week (0 is Sunday) and local hour the weekly report is sent
+  weekday: parseInt(process.env.REPORT_WEEKDAY || "1", 10),
+  hour: parseInt(process.env.REPORT_HOUR || "8", 10),
+};
+const REPORT_DAYS = 7;
+const MAX_REPORT_DAYS = 92;
+// Give up on a recipient for the week after this many failed sends
+const MAX_ATTEMPTS = 3;
+const REPORT_CHECK_INTERVAL = 15 * 60 * 1000;
+
+class ReportError extends Error {}
+
+function addDays(time, days) {
+  const date = new Date(time);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+}
+
+// yyyy-mm-dd in local time
+function localDate(time) {
+  const date = new Date(time);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const formatValue = (value, precision) =>
+  value === null ? "–" : value.toFixed(precision);
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+const formatDay = (time, options = {}) =>
+  new Date(time).toLocaleDateString("en-AU", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    ...options,
+  });
+
+// Whole local days covering `from` to `to` (ISO or epoch ms, with `to`
+// exclusive), defaulting to the REPORT_DAYS days before today
+function reportRange({ from, to } = {}) {
+  const end =
+    to === undefined || to === ""
+      ? periodStart("day", Date.now())
+      : addDays(periodStart("day", parseTime(to) - 1), 1);
+  const start = periodStart("day", parseTime(from, addDays(end, -REPORT_DAYS)));
+
+  if (start >= end) {
+    throw new ReportError("`from` must be before `to`");
+  }
+  if (addDays(start, MAX_REPORT_DAYS) < end) {
+    throw new ReportError(`Reports cover at most ${MAX_REPORT_DAYS} days`);
+  }
+  return { from: start, to: end };
+}
+
+// Daily summaries and range totals for every registered device
+function buildReport(range) {
+  const { from, to } = reportRange(range);
+
+  const devices = listDevices().map((device) => {
+    const { summaries } = listSummaries({
+      device: device.deviceId,
+      period: "day",
+      from,
+      to,
+    });
+
+    // Fields the device sent beyond its configured sensors are reported too
+    const extraFields = [
+      ...new Set(summaries.flatMap((summary) => Object.keys(summary.fields))),
+    ].filter((field) => !device.sensors.some((s) => s.field === field));
+
+    return {
+      deviceId: device.deviceId,
+      displayName: device.displayName,
+      days: summaries,
+      sensors: [
+        ...device.sensors,
+        ...extraFields.map((field) => resolveSensor({ field })),
+      ].map((sensor) => ({
+        field: sensor.field,
+        label: sensor.label,
+        unit: sensor.unit,
+        precision: sensor.precision,
+        color: sensor.color,
+        totals: combineSummaries(summaries, sensor.field),
+      })),
+    };
+  });
+
+  return {
+    title: REPORT_CONFIG.title,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    generatedAt: new Date().toISOString(),
+    devices,
+  };
+}
+
+function reportFilename(report) {
+  const lastDay = new Date(report.to).getTime() - 1;
+  return `state-of-the-reef_${localDate(report.from)}_${localDate(
+    lastDay
+  )}.html`;
+}
+
+function completenessClass(completeness) {
+  if (completeness >= 0.9) {
+    return "good";
+  }
+  return completeness >= 0.5 ? "fair" : "poor";
+}
+
+// An SVG chart of a field's daily range (bars) and mean (line)
+function renderChart(days, sensor) {
+  const width = 640;
+  const height = 180;
+  const left = 48;
+  const right = 8;
+  const top = 10;
+  const bottom = 24;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+
+  const values = days.map((day) => day.fields[sensor.field] || null);
+  const present = values.filter(Boolean);
+  if (present.length === 0) {
+    return '<p class="empty">No data</p>';
+  }
+
+  let low = Math.min(...present.map((value) => value.min));
+  let high = Math.max(...present.map((value) => value.max));
+  if (high - low < 1e-9) {
+    low -= 1;
+    high += 1;
+  }
+  const slot = plotWidth / days.length;
+  const x = (i) => (left + slot * (i + 0.5)).toFixed(1);
+  const y = (value) =>
+    (top + ((high - value) / (high - low)) * plotHeight).toFixed(1);
+  const barWidth = Math.max(2, Math.min(24, slot * 0.6));
+  const axisY = top + plotHeight;
+
+  const shapes = [
+    `<line x1="${left}" y1="${top}" x2="${left}" y2="${axisY}" stroke="#d1d5db"/>`,
+    `<line x1="${left}" y1="${axisY}" x2="${
+      width - right
+    }" y2="${axisY}" stroke="#d1d5db"/>`,
+    `<text x="${left - 6}" y="${top + 4}" text-anchor="end">${formatValue(
+      high,
+      sensor.precision
+    )}</text>`,
+    `<text x="${left - 6}" y="${axisY}" text-anchor="end">${formatValue(
+      low,
+      sensor.precision
+    )}</text>`,
+  ];
+
+  // The mean line breaks across days with no data
+  let path = "";
+  const labelEvery = Math.ceil(days.length / 10);
+  values.forEach((value, i) => {
+    if (i % labelEvery === 0) {
+      const label = formatDay(days[i].periodStart, { weekday: undefined });
+      shapes.push(
+        `<text x="${x(i)}" y="${height - 6}" text-anchor="middle">${escapeHtml(
+          label
+        )}</text>`
+      );
+    }
+    if (!value) {
+      return;
+    }
+    const barHeight = Math.max(1, y(value.min) - y(value.max));
+    shapes.push(
+      `<rect x="${(x(i) - barWidth / 2).toFixed(1)}" y="${y(
+        value.max
+      )}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(
+        1
+      )}" fill="${sensor.color}" fill-opacity="0.25"/>`,
+      `<circle cx="${x(i)}" cy="${y(value.mean)}" r="2.5" fill="${
+        sensor.color
+      }"/>`
+    );
+    path += `${values[i - 1] ? "L" : "M"}${x(i)},${y(value.mean)}`;
+  });
+  shapes.push(
+    `<path d="${path}" fill="none" stroke="${sensor.color}" stroke-width="2"/>`
+  );
+
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeHtml(
+    `Daily ${sensor.label}`
+  )}">${shapes.join("")}</svg>`;
+}
+
+function renderDevice(device) {
+  const rows = device.sensors
+    .map(({ label, unit, precision, totals }) => {
+      const withUnit = (value) =>
+        value === null
+          ? "–"
+          : `${formatValue(value, precision)}${unit ? ` ${unit}` : ""}`;
+      return `<tr>
+        <td>${escapeHtml(label)}</td>
+        <td>${escapeHtml(withUnit(totals.min))}</td>
+        <td>${escapeHtml(withUnit(totals.mean))}</td>
+        <td>${escapeHtml(withUnit(totals.max))}</td>
+        <td class="${completenessClass(totals.completeness)}">${formatPercent(
+        totals.completeness
+      )}</td>
+      </tr>`;
+    })
+    .join("");
+
+  const charts = device.sensors
+    .map(
+      (sensor) => `<figure>
+        <figcaption>${escapeHtml(sensor.label)}${
+        sensor.unit ? ` (${escapeHtml(sensor.unit)})` : ""
+      }</figcaption>
+        ${renderChart(device.days, sensor)}
+      </figure>`
+    )
+    .join("");
+
+  return `<section>
+    <h2>${escapeHtml(device.displayName)}</h2>
+    <table>
+      <thead>
+        <tr><th>Field</th><th>Min</th><th>Mean</th><th>Max</th><th>Completeness</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div class="charts">${charts}</div>
+  </section>`;
+}
+
+// The report as a standalone HTML page. `printable` adds a print button
+// (left out of emails, where it wouldn't work).
+function renderReportHtml(report, { printable = false } = {}) {
+  const lastDay = new Date(report.to).getTime() - 1;
+  const period = `${formatDay(report.from)} – ${formatDay(lastDay, {
+    year: "numeric",
+  })}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(report.title)}: ${escapeHtml(period)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; color: #1f2937; max-width: 960px; margin: 0 auto; padding: 24px; }
+    h1 { margin-bottom: 4px; }
+    header p { color: #6b7280; margin-top: 0; }
+    section { margin-top: 32px; }
+    table { border-collapse: collapse; width: 100%; font-size: 14px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+    th { background: #f3f4f6; }
+    td.good { color: #15803d; }
+    td.fair { color: #b45309; }
+    td.poor { color: #b91c1c; font-weight: 600; }
+    .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 16px; margin-top: 16px; }
+    figure { margin: 0; break-inside: avoid; }
+    figcaption { font-weight: 600; font-size: 14px; margin-bottom: 4px; }
+    svg text { font-size: 10px; fill: #6b7280; }
+    .empty { color: #9ca3af; font-size: 14px; }
+    button { padding: 8px 16px; border: 0; border-radius: 6px; background: #3b82f6; color: white; font-weight: 600; cursor: pointer; }
+    @media print {
+      body { padding: 0; }
+      .no-print { display: none; }
+      section { break-before: page; }
+      section:first-of-type { break-before: auto; }
+    }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(report.title)}</h1>
+    <p>${escapeHtml(period)}. Bars show each day's range and the line its mean.
+    Completeness is the share of expected readings received.</p>
+    ${
+      printable
+        ? '<button class="no-print" onclick="window.print()">Print or save as PDF</button>'
+        : ""
+    }
+  </header>
+  ${report.devices.map(renderDevice).join("")}
+</body>
+</html>
+`;
+}
+
+// The plain text part of report emails
+function renderReportText(report) {
+  const lastDay = new Date(report.to).getTime() - 1;
+  const lines = [
+    `${report.title}: ${localDate(report.from)} to ${localDate(lastDay)}`,
+    "",
+  ];
+
+  report.devices.forEach((device) => {
+    lines.push(device.displayName);
+    device.sensors.forEach(({ label, unit, precision, totals }) => {
+      lines.push(
+        totals.count === 0
+          ? `  ${label}: no data`
+          : `  ${label}: min ${formatValue(
+              totals.min,
+              precision
+            )}, mean ${formatValue(totals.mean, precision)}, max ${formatValue(
+              totals.max,
+              precision
+            )}${unit ? ` ${unit}` : ""} (${formatPercent(
+              totals.completeness
+            )} complete)`
+      );
+    });
+    lines.push("");
+  });
+
+  lines.push("The full report with charts is attached.");
+  return lines.join("\n");
+}
+
+function reportRecipients() {
+  return (getSetting("reportRecipients") || "").split(/[,\s]+/).filter(Boolean);
+}
+
+const insertDeliveryStmt = db.prepare(`
+  INSERT INTO report_deliveries
+    (period_start, period_end, recipient, status, error, created_at)
+  VALUES (@periodStart, @periodEnd, @recipient, @status, @error, @createdAt)
+`);
+const deliveryAttemptsStmt = db.prepare(`
+  SELECT recipient, SUM(status = 'sent') AS sent, COUNT(*) AS attempts
+  FROM report_deliveries
+  WHERE period_end = ?
+  GROUP BY recipient
+`);
+const listDeliveriesStmt = db.prepare(`
+  SELECT * FROM report_deliveries ORDER BY created_at DESC, id DESC LIMIT ?
+`);
+
+function rowToDelivery(row) {
+  return {
+    id: row.id,
+    from: new Date(row.period_start).toISOString(),
+    to: new Date(row.period_end).toISOString(),
+    recipient: row.recipient,
+    status: row.status,
+    error: row.error,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+// Email a report to each recipient separately, recording every attempt.
+// Resolves to the deliveries.
+async function deliverReport(report, recipients) {
+  if (recipients.length === 0) {
+    throw new ReportError("No report recipients are set");
+  }
+  if (!isEmailConfigured()) {
+    throw new ReportError("Email is not configured (set SMTP_HOST)");
+  }
+
+  const html = renderReportHtml(report);
+  const text = renderReportText(report);
+  const subject = `${report.title}: ${localDate(report.from)} to ${localDate(
+    new Date(report.to).getTime() - 1
+  )}`;
+  const attachments = [
+    {
+      filename: reportFilename(report),
+      content: html,
+      contentType: "text/html",
+    },
+  ];
+
+  const deliveries = [];
+  for (const recipient of recipients) {
+    let error = null;
+    try {
+      await sendEmail(recipient, subject, text, { html, attachments });
+    } catch (e) {
+      console.error(`Failed to send report to ${recipient}:`, e);
+      error = e.message;
+    }
+
+    const delivery = {
+      periodStart: new Date(report.from).getTime(),
+      periodEnd: new Date(report.to).getTime(),
+      recipient,
+      status: error ? "failed" : "sent",
+      error,
+      createdAt: Date.now(),
+    };
+    const { lastInsertRowid } = insertDeliveryStmt.run(delivery);
+    deliveries.push(
+      rowToDelivery({
+        id: lastInsertRowid,
+        period_start: delivery.periodStart,
+        period_end: delivery.periodEnd,
+        recipient,
+        status: delivery.status,
+        error,
+        created_at: delivery.createdAt,
+      })
+    );
+  }
+  return deliveries;
+}
+
+function listDeliveries(limit = 50) {
+  return listDeliveriesStmt
+    .all(Math.min(Math.max(limit, 1), 500))
+    .map(rowToDelivery);
+}
+
+// The end of the week the scheduled report covers: the start of the most
+// recent report day whose send hour has passed
+function scheduledReportEnd(now = Date.now()) {
+  let end = periodStart("day", now);
+  while (new Date(end).getDay() !== REPORT_CONFIG.weekday) {
+    end = addDays(end, -1);
+  }
+  if (
+    end === periodStart("day", now) &&
+    new Date(now).getHours() < REPORT_CONFIG.hour
+  ) {
+    end = addDays(end, -7);
+  }
+  return end;
+}
+
+// Send this week's report to any recipients who haven't had it yet, so a
+// restart or an SMTP outage doesn't skip a week
+async function sendScheduledReport(now = Date.now()) {
+  const recipients = reportRecipients();
+  if (recipients.length === 0 || !isEmailConfigured()) {
+    return [];
+  }
+
+  const to = scheduledReportEnd(now);
+  const attempts = Object.fromEntries(
+    deliveryAttemptsStmt.all(to).map((row) => [row.recipient, row])
+  );
+  const pending = recipients.filter(
+    (recipient) =>
+      !attempts[recipient] ||
+      (attempts[recipient].sent === 0 &&
+        attempts[recipient].attempts < MAX_ATTEMPTS)
+  );
+  if (pending.length === 0) {
+    return [];
+  }
+
+  console.log(`Sending weekly report to ${pending.length} recipients`);
+  const report = buildReport({ from: addDays(to, -REPORT_DAYS), to });
+  return deliverReport(report, pending);
+}
+
+function startReportJob() {
+  const check = () =>
+    sendScheduledReport().catch((error) =>
+      console.error("Error sending weekly report:", error)
+    );
+  check();
+  return setInterval(check, REPORT_CHECK_INTERVAL).unref();
+}
+
+module.exports = {
+  ReportError,
+  buildReport,
+  reportFilename,
+  renderReportHtml,
+  reportRecipients,
+  deliverReport,
+  listDeliveries,
+  startReportJob,
+};
@@ -0,0 +1,164 @@
+const express = require("express");
+const {
+  AuthError,
+  listUsers,
+  createUser,
+  changePassword,
+  deleteUser,
+  login,
+  logout,
+  bearerToken,
+  requireAdmin,
+} = require("../auth");
+const { SettingsError, listSettings, updateSettings } = require("../settings");
+const {
+  ApiKeyError,
+  listApiKeys,
+  getApiKey,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+  apiKeyUsage,
+} = require("../apiKeys");
+
+const router = express.Router();
+
+function handleError(res, error, action) {
+  if (
+    error instanceof AuthError ||
+    error instanceof SettingsError ||
+    error instanceof ApiKeyError
+  ) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: `Failed ${action}`, details: error.message });
+}
+
+router.post("/login", (req, res) => {
+  try {
+    const session = login(req.body || {}, req.ip);
+    console.log(`Admin ${session.user.username} logged in`);
+    res.json(session);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      console.log(`Failed admin login from ${req.ip}`);
+      return res.status(401).json({ error: error.message });
+    }
+    handleError(res, error, "logging in");
+  }
+});
+
+// Everything below needs a logged in admin
+router.use(requireAdmin);
+
+router.post("/logout", (req, res) => {
+  logout(bearerToken(req));
+  res.status(204).end();
+});
+
+router.get("/me", (req, res) => {
+  res.json(req.user);
+});
+
+router.get("/users", (req, res) => {
+  res.json(listUsers());
+});
+
+router.post("/users", (req, res) => {
+  try {
+    const user = createUser(req.body || {});
+    console.log(`${req.user.username} created admin user ${user.username}`);
+    res.status(201).json(user);
+  } catch (error) {
+    handleError(res, error, "creating user");
+  }
+});
+
+router.put("/users/:id/password", (req, res) => {
+  try {
+    if (!changePassword(req.params.id, req.body?.password)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    console.log(
+      `${req.user.username} changed the password of user ${req.params.id}`
+    );
+    res.status(204).end();
+  } catch (error) {
+    handleError(res, error, "changing password");
+  }
+});
+
+router.delete("/users/:id", (req, res) => {
+  try {
+    if (!deleteUser(req.params.id)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    console.log(`${req.user.username} deleted user ${req.params.id}`);
+    res.status(204).end();
+  } catch (error) {
+    handleError(res, error, "deleting user");
+  }
+});
+
+router.get("/settings", (req, res) => {
+  res.json(listSettings());
+});
+
+router.put("/settings", (req, res) => {
+  try {
+    const settings = updateSettings(req.body || {});
+    console.log(`${req.user.username} updated settings`);
+    res.json(settings);
+  } catch (error) {
+    handleError(res, error, "updating settings");
+  }
+});
+
+// Keys for the public API (/api/v1)
+router.get("/api-keys", (req, res) => {
+  res.json(listApiKeys());
+});
+
+// The key itself is only ever in this response
+router.post("/api-keys", (req, res) => {
+  try {
+    const created = createApiKey(req.body || {}, req.user.username);
+    console.log(
+      `${req.user.username} issued API key ${created.apiKey.prefix} (${created.apiKey.name})`
+    );
+    res.status(201).json(created);
+  } catch (error) {
+    handleError(res, error, "creating API key");
+  }
+});
+
+router.put("/api-keys/:id", (req, res) => {
+  try {
+    const apiKey = updateApiKey(req.params.id, req.body || {});
+    if (!apiKey) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+    console.log(`${req.user.username} updated API key ${apiKey.prefix}`);
+    res.json(apiKey);
+  } catch (error) {
+    handleError(res, error, "updating API key");
+  }
+});
+
+router.delete("/api-keys/:id", (req, res) => {
+  if (!revokeApiKey(req.params.id)) {
+    return res.status(404).json({ error: "API key not found" });
+  }
+  console.log(`${req.user.username} revoked API key ${req.params.id}`);
+  res.status(204).end();
+});
+
+router.get("/api-keys/:id/usage", (req, res) => {
+  if (!getApiKey(req.params.id)) {
+    return res.status(404).json({ error: "API key not found" });
+  }
+  res.json(apiKeyUsage(req.params.id));
+});
+
+module.exports = router;
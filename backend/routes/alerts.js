@@ -0,0 +1,86 @@
+const express = require("express");
+const {
+  AlertRuleError,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  listAlertEvents,
+  listActiveAlerts,
+} = require("../alerts");
+const { requireAdmin } = require("../auth");
+
+const router = express.Router();
+
+function handleError(res, error, action) {
+  if (error instanceof AlertRuleError) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: `Failed ${action}`, details: error.message });
+}
+
+// Rules include notification addresses, so only admins can see or change
+// them; the dashboard only needs the active alerts and history
+router.use("/rules", requireAdmin);
+
+router.get("/rules", (req, res) => {
+  res.json(listRules());
+});
+
+router.get("/rules/:id", (req, res) => {
+  const rule = getRule(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ error: "Alert rule not found" });
+  }
+  res.json(rule);
+});
+
+router.post("/rules", (req, res) => {
+  try {
+    const rule = createRule(req.body || {});
+    console.log(`Created alert rule ${rule.id}: ${rule.name}`);
+    res.status(201).json(rule);
+  } catch (error) {
+    handleError(res, error, "creating alert rule");
+  }
+});
+
+router.put("/rules/:id", (req, res) => {
+  try {
+    const rule = updateRule(req.params.id, req.body || {});
+    if (!rule) {
+      return res.status(404).json({ error: "Alert rule not found" });
+    }
+    console.log(`Updated alert rule ${rule.id}: ${rule.name}`);
+    res.json(rule);
+  } catch (error) {
+    handleError(res, error, "updating alert rule");
+  }
+});
+
+router.delete("/rules/:id", (req, res) => {
+  if (!deleteRule(req.params.id)) {
+    return res.status(404).json({ error: "Alert rule not found" });
+  }
+  console.log(`Deleted alert rule ${req.params.id}`);
+  res.status(204).end();
+});
+
+// Alert history, newest first. Query params: rule, device, limit
+router.get("/history", (req, res) => {
+  res.json(
+    listAlertEvents({
+      ruleId: req.query.rule,
+      deviceId: req.query.device,
+      limit: parseInt(req.query.limit || "100", 10) || 100,
+    })
+  );
+});
+
+router.get("/active", (req, res) => {
+  res.json(listActiveAlerts());
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require("express");
+const {
+  CalibrationError,
+  listCalibrations,
+  getCalibration,
+  createCalibration,
+  updateCalibration,
+  deleteCalibration,
+} = require("../calibration");
+const { requireAdmin } = require("../auth");
+
+const router = express.Router();
+
+function handleError(res, error, action) {
+  if (error instanceof CalibrationError) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: `Failed ${action}`, details: error.message });
+}
+
+// Calibration history is public so chart readers can see why values changed
+router.get("/", (req, res) => {
+  res.json(
+    listCalibrations({ deviceId: req.query.device, field: req.query.field })
+  );
+});
+
+router.get("/:id", (req, res) => {
+  const calibration = getCalibration(req.params.id);
+  if (!calibration) {
+    return res.status(404).json({ error: "Calibration not found" });
+  }
+  res.json(calibration);
+});
+
+// Changes recompute the stored readings they affect and report how many
+router.post("/", requireAdmin, (req, res) => {
+  try {
+    const result = createCalibration(req.body || {}, req.user.username);
+    const { calibration } = result;
+    console.log(
+      `${req.user.username} added calibration ${calibration.id} for ${calibration.deviceId} ${calibration.field}`
+    );
+    res.status(201).json(result);
+  } catch (error) {
+    handleError(res, error, "creating calibration");
+  }
+});
+
+router.put("/:id", requireAdmin, (req, res) => {
+  try {
+    const result = updateCalibration(req.params.id, req.body || {});
+    if (!result) {
+      return res.status(404).json({ error: "Calibration not found" });
+    }
+    console.log(`${req.user.username} updated calibration ${req.params.id}`);
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, "updating calibration");
+  }
+});
+
+router.delete("/:id", requireAdmin, (req, res) => {
+  try {
+    const result = deleteCalibration(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: "Calibration not found" });
+    }
+    console.log(`${req.user.username} deleted calibration ${req.params.id}`);
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, "deleting calibration");
+  }
+});
+
+module.exports = router;
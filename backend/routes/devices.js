@@ -0,0 +1,143 @@
+const express = require("express");
+const {
+  DeviceRegistryError,
+  publicDevice,
+  listDevices,
+  getDevice,
+  createDevice,
+  updateDevice,
+  deleteDevice,
+  listDecodeFailures,
+} = require("../devices");
+const { DecoderError, decodeUplink, validateDecoder } = require("../decoders");
+const { bearerToken, requireAdmin, userForToken } = require("../auth");
+const { HistoryQueryError } = require("../history");
+const { queryLinkHealth } = require("../linkHealth");
+const { deriveMetrics } = require("../derived");
+
+const router = express.Router();
+
+function handleError(res, error, action) {
+  if (
+    error instanceof DeviceRegistryError ||
+    error instanceof DecoderError ||
+    error instanceof HistoryQueryError
+  ) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: `Failed ${action}`, details: error.message });
+}
+
+// The registry is public, but decoders are only shown to a logged in admin
+// (the admin area sends its session token)
+function deviceForRequest(req, device) {
+  return userForToken(bearerToken(req)) ? device : publicDevice(device);
+}
+
+router.get("/", (req, res) => {
+  res.json(listDevices().map((device) => deviceForRequest(req, device)));
+});
+
+router.get("/:id", (req, res) => {
+  const device = getDevice(req.params.id);
+  if (!device) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+  res.json(deviceForRequest(req, device));
+});
+
+router.post("/", requireAdmin, (req, res) => {
+  try {
+    const device = createDevice(req.body || {});
+    console.log(`Registered device ${device.deviceId}`);
+    res.status(201).json(device);
+  } catch (error) {
+    handleError(res, error, "registering device");
+  }
+});
+
+router.put("/:id", requireAdmin, (req, res) => {
+  try {
+    const device = updateDevice(req.params.id, req.body || {});
+    if (!device) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+    console.log(`Updated device ${device.deviceId}`);
+    res.json(device);
+  } catch (error) {
+    handleError(res, error, "updating device");
+  }
+});
+
+// Removes the device from the registry; its stored readings are kept
+router.delete("/:id", requireAdmin, (req, res) => {
+  if (!deleteDevice(req.params.id)) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+  console.log(`Removed device ${req.params.id} from registry`);
+  res.status(204).end();
+});
+
+// Recent uplinks from the device that failed to decode
+router.get("/:id/decode-failures", (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || "50", 10) || 50, 500);
+  res.json(listDecodeFailures(req.params.id, limit));
+});
+
+// Signal strength, gateways, frame counter gaps and battery over a time
+// range (from/to as for /api/history, default the last 24 hours)
+router.get("/:id/link-health", (req, res) => {
+  try {
+    res.json(
+      queryLinkHealth({
+        device: req.params.id,
+        from: req.query.from,
+        to: req.query.to,
+      })
+    );
+  } catch (error) {
+    handleError(res, error, "querying link health");
+  }
+});
+
+// Stratification, dew point, heat index, pressure tendency, salinity and
+// degree heating weeks, from the device's latest reading
+router.get("/:id/derived", (req, res) => {
+  try {
+    const derived = deriveMetrics(req.params.id);
+    if (!derived) {
+      return res.status(404).json({ error: "No readings for device" });
+    }
+    res.json(derived);
+  } catch (error) {
+    handleError(res, error, "deriving metrics");
+  }
+});
+
+// Try a decoder against a raw payload without storing anything. Body:
+// frmPayload (base64) or hex, fPort, and optionally a decoder definition to
+// test instead of the device's saved one
+router.post("/:id/decode", requireAdmin, (req, res) => {
+  try {
+    const device = getDevice(req.params.id);
+    const { frmPayload, hex, fPort, decoder } = req.body || {};
+    const payload = hex
+      ? Buffer.from(String(hex).replace(/\s+/g, ""), "hex").toString("base64")
+      : frmPayload;
+
+    const reading = decodeUplink(
+      {
+        end_device_ids: { device_id: req.params.id },
+        received_at: new Date().toISOString(),
+        uplink_message: { f_port: fPort ?? 1, frm_payload: payload },
+      },
+      decoder === undefined ? device?.decoder : validateDecoder(decoder)
+    );
+    res.json(reading);
+  } catch (error) {
+    handleError(res, error, "decoding payload");
+  }
+});
+
+module.exports = router;
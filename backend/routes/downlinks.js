@@ -0,0 +1,56 @@
+const express = require("express");
+const {
+  DownlinkError,
+  listCommandTemplates,
+  getDownlink,
+  listDownlinks,
+  queueDownlink,
+} = require("../downlinks");
+const { requireAdmin } = require("../auth");
+
+const router = express.Router();
+
+function handleError(res, error, action) {
+  if (error instanceof DownlinkError) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: `Failed ${action}`, details: error.message });
+}
+
+// Sending commands to devices and the audit log are admin only
+router.use(requireAdmin);
+
+router.get("/templates", (req, res) => {
+  res.json(listCommandTemplates());
+});
+
+router.get("/", (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 1000);
+  res.json(listDownlinks({ deviceId: req.query.device, limit }));
+});
+
+router.get("/:id", (req, res) => {
+  const downlink = getDownlink(req.params.id);
+  if (!downlink) {
+    return res.status(404).json({ error: "Downlink not found" });
+  }
+  res.json(downlink);
+});
+
+// Body: deviceId, command (a template name for the device's type), params
+// and confirmed. Responds once the downlink is pushed to TTN; delivery is
+// tracked in its status.
+router.post("/", async (req, res) => {
+  try {
+    const downlink = await queueDownlink(req.body || {}, req.user.username);
+    console.log(
+      `${req.user.username} sent ${downlink.command} downlink ${downlink.id} to ${downlink.deviceId}`
+    );
+    res.status(202).json(downlink);
+  } catch (error) {
+    handleError(res, error, "sending downlink");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require("express");
+const { isSourceEnabled, receiveUplink } = require("../sources");
+const { hasValidToken, fromWebhook } = require("../sources/webhook");
+const { UplinkFormatError } = require("../sources/uplink");
+
+const router = express.Router();
+
+function handleError(res, error, action) {
+  if (error instanceof UplinkFormatError) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: `Failed ${action}`, details: error.message });
+}
+
+// An uplink from TTN's webhook integration, ChirpStack's HTTP integration
+// (?event=up) or a device posting its own JSON
+router.post("/webhook", (req, res) => {
+  if (!isSourceEnabled("webhook")) {
+    return res.status(404).json({ error: "Webhook ingestion is not enabled" });
+  }
+  if (!hasValidToken(req)) {
+    return res.status(401).json({ error: "Invalid or missing webhook token" });
+  }
+
+  try {
+    const uplink = fromWebhook(req.body, req.query);
+    if (!uplink) {
+      return res.json({ ignored: true });
+    }
+
+    const result = receiveUplink(uplink, "webhook");
+    if (!result) {
+      throw new Error("Could not store uplink");
+    }
+    res.json({
+      deviceId: result.reading.deviceId,
+      receivedAt: result.reading.receivedAt,
+      isNew: result.isNew,
+      status: result.reading.status,
+      error: result.reading.error,
+    });
+  } catch (error) {
+    handleError(res, error, "ingesting webhook uplink");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require("express");
+const {
+  HEARTBEAT_INTERVAL,
+  SubscriptionError,
+  currentEventId,
+  createClient,
+  connectClient,
+  removeClient,
+  welcomeMessage,
+  describeSubscription,
+  applySubscription,
+  initialEvents,
+} = require("../realtime");
+
+// The live update protocol for clients that can't use the WebSocket, e.g.
+// on networks that block WebSocket upgrades: a Server-Sent Events stream,
+// and polling as a last resort. Both carry the same events.
+const router = express.Router();
+
+function handleError(res, error, action) {
+  if (error instanceof SubscriptionError) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: `Failed ${action}`, details: error.message });
+}
+
+// The subscribe options as query parameters: devices, fields and events are
+// comma separated lists or "*", and devices defaults to all of them
+function subscriptionFromQuery(query) {
+  const list = (value) =>
+    value === undefined || value === "*"
+      ? value
+      : String(value)
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean);
+
+  return {
+    devices: list(query.devices) ?? "*",
+    fields: list(query.fields),
+    events: list(query.events),
+    includeMessage: ["1", "true"].includes(query.includeMessage),
+  };
+}
+
+// Server-Sent Events. Each event's id is its eventId, so a reconnecting
+// EventSource resumes from Last-Event-ID (or ?lastEventId=).
+router.get("/stream", (req, res) => {
+  const client = createClient((message) => {
+    res.write(
+      `${
+        message.eventId ? `id: ${message.eventId}\n` : ""
+      }data: ${JSON.stringify(message)}\n\n`
+    );
+  });
+
+  let events;
+  try {
+    const newDevices = applySubscription(
+      client,
+      subscriptionFromQuery(req.query)
+    );
+    events = initialEvents(
+      client,
+      newDevices,
+      req.get("Last-Event-ID") || req.query.lastEventId
+    );
+  } catch (error) {
+    return handleError(res, error, "starting live updates");
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stop proxies buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+  console.log("Live update stream opened");
+
+  client.send(welcomeMessage());
+  client.send({
+    type: "subscribed",
+    subscription: describeSubscription(client),
+  });
+  events.forEach((event) => client.send(event));
+  connectClient(client);
+
+  const heartbeat = setInterval(() => {
+    client.send({ type: "heartbeat", time: Date.now() });
+  }, HEARTBEAT_INTERVAL);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    removeClient(client);
+    console.log("Live update stream closed");
+  });
+});
+
+// Polling: the events since lastEventId (or a snapshot), and the id to ask
+// from next time
+router.get("/poll", (req, res) => {
+  try {
+    const events = [];
+    const client = createClient((message) => events.push(message));
+    const newDevices = applySubscription(
+      client,
+      subscriptionFromQuery(req.query)
+    );
+    initialEvents(client, newDevices, req.query.lastEventId).forEach((event) =>
+      client.send(event)
+    );
+    res.json({ lastEventId: currentEventId(), events });
+  } catch (error) {
+    handleError(res, error, "polling live updates");
+  }
+});
+
+module.exports = router;
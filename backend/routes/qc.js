@@ -0,0 +1,34 @@
+const express = require("express");
+const { QC_LIMITS, listFlaggedValues } = require("../qc");
+const { HistoryQueryError, parseTime } = require("../history");
+
+const router = express.Router();
+
+router.get("/limits", (req, res) => {
+  res.json(QC_LIMITS);
+});
+
+// Values that failed a check, with the reason. Query params: device, from,
+// to (ISO or epoch ms, default the last 7 days) and limit
+router.get("/flagged", (req, res) => {
+  try {
+    const to = parseTime(req.query.to, Date.now());
+    const from = parseTime(req.query.from, to - 7 * 24 * 60 * 60 * 1000);
+    const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 1000);
+
+    res.json(
+      listFlaggedValues({ deviceId: req.query.device, from, to, limit })
+    );
+  } catch (error) {
+    if (error instanceof HistoryQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error listing flagged values:", error);
+    res.status(500).json({
+      error: "Failed to list flagged values",
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
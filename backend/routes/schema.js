@@ -0,0 +1,28 @@
+const express = require("express");
+const {
+  SENSOR_FIELDS,
+  DEFAULT_SENSOR,
+  resolvedDeviceTypes,
+} = require("../sensorSchema");
+
+const router = express.Router();
+
+// The sensor field catalogue, the fallback for unknown fields and the
+// default sensors for each device type
+router.get("/", (req, res) => {
+  res.json({
+    fields: SENSOR_FIELDS,
+    defaultSensor: DEFAULT_SENSOR,
+    types: resolvedDeviceTypes(),
+  });
+});
+
+router.get("/types/:type", (req, res) => {
+  const type = resolvedDeviceTypes()[req.params.type];
+  if (!type) {
+    return res.status(404).json({ error: "Device type not found" });
+  }
+  res.json(type);
+});
+
+module.exports = router;
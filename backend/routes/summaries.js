@@ -0,0 +1,78 @@
+const express = require("express");
+const { HistoryQueryError } = require("../history");
+const { listSummaries } = require("../summaries");
+const {
+  ReportError,
+  buildReport,
+  reportFilename,
+  renderReportHtml,
+  reportRecipients,
+  deliverReport,
+  listDeliveries,
+} = require("../reports");
+const { requireAdmin } = require("../auth");
+
+const router = express.Router();
+
+function handleError(res, error, action) {
+  if (error instanceof HistoryQueryError || error instanceof ReportError) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: `Failed ${action}`, details: error.message });
+}
+
+// Daily or monthly summaries for a device. Query params: device, period
+// (day or month), from and to (ISO or epoch ms)
+router.get("/", (req, res) => {
+  try {
+    res.json(
+      listSummaries({
+        device: req.query.device,
+        period: req.query.period || "day",
+        from: req.query.from,
+        to: req.query.to,
+      })
+    );
+  } catch (error) {
+    handleError(res, error, "querying summaries");
+  }
+});
+
+// The printable report for a range of days, defaulting to the last week.
+// Query params: from, to and download (to save it rather than view it)
+router.get("/report", (req, res) => {
+  try {
+    const report = buildReport({ from: req.query.from, to: req.query.to });
+    if (req.query.download) {
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="${reportFilename(report)}"`
+      );
+    }
+    res.type("html").send(renderReportHtml(report, { printable: true }));
+  } catch (error) {
+    handleError(res, error, "building report");
+  }
+});
+
+// Email a report to the report recipients now, whether or not they've
+// already had this week's
+router.post("/report/send", requireAdmin, async (req, res) => {
+  try {
+    const report = buildReport({ from: req.body?.from, to: req.body?.to });
+    const deliveries = await deliverReport(report, reportRecipients());
+    console.log(
+      `${req.user.username} sent the report to ${deliveries.length} recipients`
+    );
+    res.json(deliveries);
+  } catch (error) {
+    handleError(res, error, "sending report");
+  }
+});
+
+router.get("/report/deliveries", requireAdmin, (req, res) => {
+  res.json(listDeliveries(parseInt(req.query.limit || "50", 10) || 50));
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require("express");
+const { isValidTile, getTile } = require("../tiles");
+
+const router = express.Router();
+
+router.get("/:z/:x/:y.png", async (req, res) => {
+  const z = Number(req.params.z);
+  const x = Number(req.params.x);
+  const y = Number(req.params.y);
+
+  if (!isValidTile(z, x, y)) {
+    return res.status(400).json({ error: "Invalid tile coordinates" });
+  }
+
+  try {
+    const tile = await getTile(z, x, y);
+    if (!tile) {
+      return res.status(404).json({ error: "Tile not available offline" });
+    }
+    res.set("Content-Type", "image/png");
+    res.set("Cache-Control", "public, max-age=604800");
+    res.send(tile);
+  } catch (error) {
+    console.error(`Error serving tile ${z}/${x}/${y}:`, error);
+    res.status(500).json({ error: "Failed to load tile" });
+  }
+});
+
+module.exports = router;
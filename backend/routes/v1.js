@@ -0,0 +1,115 @@
+const express = require("express");
+const { requireApiKey } = require("../apiKeys");
+const { getDevice, listDevices, publicDevice } = require("../devices");
+const {
+  HistoryQueryError,
+  latestReading,
+  listReadings,
+} = require("../history");
+const { openApiDocument } = require("../openapi");
+
+const router = express.Router();
+
+function handleError(res, error, action) {
+  if (error instanceof HistoryQueryError) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: `Failed ${action}`, details: error.message });
+}
+
+// What the public API says about a device: a narrower view of the public
+// device (see publicDevice), so decoders and admin details stay private
+function apiDevice(device) {
+  const {
+    deviceId,
+    displayName,
+    type,
+    location,
+    sensors,
+    uplinkIntervalMinutes,
+  } = publicDevice(device);
+  return {
+    deviceId,
+    displayName,
+    type,
+    location,
+    sensors: sensors.map(({ field, label, unit, precision }) => ({
+      field,
+      label,
+      unit,
+      precision,
+    })),
+    uplinkIntervalMinutes,
+  };
+}
+
+// The API is read-only and authenticated by key, so any site may call it
+router.use((req, res, next) => {
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Headers", "X-API-Key");
+  res.set(
+    "Access-Control-Expose-Headers",
+    "X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After"
+  );
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+  next();
+});
+
+router.get("/openapi.json", (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Everything below needs an API key
+router.use(requireApiKey);
+
+router.get("/devices", (req, res) => {
+  res.json(listDevices().map(apiDevice));
+});
+
+router.get("/devices/:id", (req, res) => {
+  const device = getDevice(req.params.id);
+  if (!device) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+  res.json(apiDevice(device));
+});
+
+router.get("/devices/:id/latest", (req, res) => {
+  if (!getDevice(req.params.id)) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+  const latest = latestReading(req.params.id);
+  if (!latest) {
+    return res.status(404).json({ error: "Device has no readings yet" });
+  }
+  res.json(latest.reading);
+});
+
+// Query params: from, to (ISO or epoch ms), fields (comma separated),
+// values (calibrated or raw) and limit
+router.get("/devices/:id/readings", (req, res) => {
+  if (!getDevice(req.params.id)) {
+    return res.status(404).json({ error: "Device not found" });
+  }
+  try {
+    const page = listReadings({
+      device: req.params.id,
+      fields: req.query.fields,
+      from: req.query.from,
+      to: req.query.to,
+      values: req.query.values || "calibrated",
+      limit: req.query.limit,
+    });
+    console.log(
+      `API key ${req.apiKey.name} fetched ${page.readings.length} readings for ${page.device}`
+    );
+    res.json(page);
+  } catch (error) {
+    handleError(res, error, "listing readings");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+// Display settings for every sensor field we know about. The dashboard builds
+// its gauges and charts from these, so a new probe only needs an entry here
+// (or a custom sensor list on its device) rather than a frontend change.
+const SENSOR_FIELDS = {
+  Temp: {
+    label: "Temperature",
+    unit: "°C",
+    min: 0,
+    max: 50,
+    precision: 1,
+    color: "#3b82f6",
+    bands: [
+      { limit: 10, color: "#60a5fa" },
+      { limit: 25, color: "#3b82f6" },
+      { limit: 35, color: "#1d4ed8" },
+      { limit: 50, color: "#1e3a8a" },
+    ],
+  },
+  WaterT1: {
+    label: "Water Temperature Surface",
+    unit: "°C",
+    min: 0,
+    max: 50,
+    precision: 1,
+    color: "#3b82f6",
+    bands: [
+      { limit: 10, color: "#93c5fd" },
+      { limit: 25, color: "#60a5fa" },
+      { limit: 35, color: "#2563eb" },
+      { limit: 50, color: "#1e40af" },
+    ],
+  },
+  WaterT2: {
+    label: "Water Temperature 1.5m deep",
+    unit: "°C",
+    min: 0,
+    max: 50,
+    precision: 1,
+    color: "#14b8a6",
+    bands: [
+      { limit: 10, color: "#5eead4" },
+      { limit: 25, color: "#2dd4bf" },
+      { limit: 35, color: "#14b8a6" },
+      { limit: 50, color: "#0f766e" },
+    ],
+  },
+  Humidity: {
+    label: "Humidity",
+    unit: "%",
+    min: 0,
+    max: 100,
+    precision: 1,
+    color: "#10b981",
+    bands: [
+      { limit: 25, color: "#6ee7b7" },
+      { limit: 50, color: "#34d399" },
+      { limit: 75, color: "#10b981" },
+      { limit: 100, color: "#047857" },
+    ],
+  },
+  Pressure: {
+    label: "Atmospheric Pressure",
+    unit: "hPa",
+    min: 950,
+    max: 1050,
+    precision: 1,
+    color: "#ef4444",
+    bands: [
+      { limit: 980, color: "#fca5a5" },
+      { limit: 1010, color: "#f87171" },
+      { limit: 1030, color: "#ef4444" },
+      { limit: 1050, color: "#dc2626" },
+    ],
+  },
+  TDS: {
+    label: "TDS",
+    unit: "ppm",
+    min: 0,
+    max: 700,
+    precision: 1,
+    color: "#a855f7",
+    bands: [
+      { limit: 100, color: "#d8b4fe" },
+      { limit: 300, color: "#c084fc" },
+      { limit: 500, color: "#a855f7" },
+      { limit: 700, color: "#7e22ce" },
+    ],
+  },
+  DO: {
+    label: "Dissolved Oxygen",
+    unit: "mg/L",
+    min: 0,
+    max: 15,
+    precision: 2,
+    color: "#0ea5e9",
+    bands: [
+      { limit: 2, color: "#fca5a5" },
+      { limit: 5, color: "#7dd3fc" },
+      { limit: 10, color: "#0ea5e9" },
+      { limit: 15, color: "#0369a1" },
+    ],
+  },
+  pH: {
+    label: "pH",
+    unit: "",
+    min: 6,
+    max: 10,
+    precision: 2,
+    color: "#eab308",
+    bands: [
+      { limit: 7.5, color: "#fde68a" },
+      { limit: 8.3, color: "#eab308" },
+      { limit: 10, color: "#a16207" },
+    ],
+  },
+  Battery: {
+    label: "Battery",
+    unit: "V",
+    min: 3,
+    max: 4.3,
+    precision: 2,
+    color: "#84cc16",
+    bands: [
+      { limit: 3.4, color: "#fca5a5" },
+      { limit: 3.7, color: "#bef264" },
+      { limit: 4.3, color: "#84cc16" },
+    ],
+  },
+};
+
+// Used for fields with no entry above
+const DEFAULT_SENSOR = {
+  unit: "",
+  min: 0,
+  max: 100,
+  precision: 1,
+  color: "#6b7280",
+  bands: [
+    { limit: 25, color: "#d1d5db" },
+    { limit: 50, color: "#9ca3af" },
+    { limit: 75, color: "#6b7280" },
+    { limit: 100, color: "#374151" },
+  ],
+};
+
+// Default sensors for each kind of device. Entries only need a field; any
+// other settings override the field's defaults for that device type.
+const DEVICE_TYPES = {
+  buoy: {
+    label: "Reef Buoy",
+    sensors: [
+      { field: "Temp", label: "Buoy Temperature" },
+      { field: "WaterT1" },
+      { field: "WaterT2" },
+      { field: "Humidity" },
+      { field: "Pressure" },
+      { field: "TDS" },
+    ],
+  },
+  weather: {
+    label: "Weather Station",
+    sensors: [{ field: "Temp" }, { field: "Humidity" }, { field: "Pressure" }],
+  },
+  other: {
+    label: "Other",
+    sensors: [],
+  },
+};
+
+// Fill in a sensor's display settings from the field catalogue
+function resolveSensor(sensor) {
+  return {
+    ...DEFAULT_SENSOR,
+    label: sensor.field,
+    ...SENSOR_FIELDS[sensor.field],
+    field: sensor.field,
+    ...Object.fromEntries(
+      Object.entries(sensor).filter(([, value]) => value !== undefined)
+    ),
+  };
+}
+
+function sensorsForType(type) {
+  return (DEVICE_TYPES[type]?.sensors || []).map(resolveSensor);
+}
+
+// Device types with their sensors fully resolved, as served to the dashboard
+function resolvedDeviceTypes() {
+  return Object.fromEntries(
+    Object.entries(DEVICE_TYPES).map(([type, { label }]) => [
+      type,
+      { label, sensors: sensorsForType(type) },
+    ])
+  );
+}
+
+module.exports = {
+  SENSOR_FIELDS,
+  DEFAULT_SENSOR,
+  DEVICE_TYPES,
+  resolveSensor,
+  sensorsForType,
+  resolvedDeviceTypes,
+};
@@ -1,22 +1,43 @@
 require("dotenv").config();
 
-const TTN_CONFIG = {
-  region: process.env.TTN_REGION,
-  applicationId: process.env.TTN_APP_ID,
-  apiKey: process.env.TTN_API_KEY,
-  deviceId: process.env.TTN_DEVICE_ID || "",
-  weatherStationDeviceId: process.env.TTN_DEVICE_WS_ID,
-  buoyDeviceID: process.env.TTN_DEVICE_BUOY_ID,
-};
-
 const express = require("express");
 const http = require("http");
-const WebSocket = require("ws");
-const mqtt = require("mqtt");
 const path = require("path");
+const { startRetentionJob, DB_PATH, RETENTION_DAYS } = require("./db");
+const { queryHistory, HistoryQueryError } = require("./history");
+const { prepareExport, writeExport } = require("./export");
+const { readingForUplink } = require("./ingest");
+const { seedAdminFromEnv } = require("./auth");
+const adminRoutes = require("./routes/admin");
+const qcRoutes = require("./routes/qc");
+const calibrationRoutes = require("./routes/calibrations");
+const downlinkRoutes = require("./routes/downlinks");
+const liveRoutes = require("./routes/live");
+const alertRoutes = require("./routes/alerts");
+const ingestRoutes = require("./routes/ingest");
+const { listDevices, seedDevicesFromConfig } = require("./devices");
+const deviceRoutes = require("./routes/devices");
+const tileRoutes = require("./routes/tiles");
+const schemaRoutes = require("./routes/schema");
+const summaryRoutes = require("./routes/summaries");
+const v1Routes = require("./routes/v1");
+const { startSummaryJob } = require("./summaries");
+const { startReportJob } = require("./reports");
+const { publish, attachWebSocketServer } = require("./realtime");
+const {
+  deviceStatusEvents,
+  listDeviceStatuses,
+  startDeviceStatusMonitor,
+} = require("./deviceStatus");
+const { TTN_CONFIG } = require("./sources/ttn");
+const {
+  ENABLED_SOURCES,
+  startSources,
+  fetchLatestMessages,
+} = require("./sources");
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+attachWebSocketServer(server);
 
 // Add middleware for parsing JSON
 app.use(express.json());
@@ -27,281 +48,199 @@ app.use((req, res, next) => {
   next();
 });
 
-// Helper function to fetch latest message for a specific device
-async function fetchLatestMessageForDevice(deviceId) {
+// API endpoint to fetch the latest message from each registered device
+app.get("/api/latest-messages", async (req, res) => {
+  console.log("API endpoint /api/latest-messages hit!");
+
   try {
-    // Clean the application ID - remove @ttn suffix for API calls
-    const cleanAppId = TTN_CONFIG.applicationId.replace("@ttn", "");
-    const storageUrl = `https://${TTN_CONFIG.region}.cloud.thethings.network/api/v3/as/applications/${cleanAppId}/devices/${deviceId}/packages/storage/uplink_message`;
+    const messages = await fetchLatestMessages();
+
+    // Attach the canonical, quality-checked reading the dashboard displays
+    messages.forEach((message) => {
+      message.reading = readingForUplink(message);
+    });
 
+    console.log(`Returning ${messages.length} total messages`);
+    res.json(messages);
+  } catch (error) {
+    console.error("Error fetching latest messages:", error);
+    res.status(500).json({
+      error: "Failed to fetch latest messages",
+      details: error.message,
+    });
+  }
+});
+
+// API endpoint to fetch stored readings for a device over a time range.
+// Query params: device, fields (comma separated), from, to (ISO or epoch ms),
+// bucket (raw, 5m, 15m, 1h, 6h, 1d or auto) and values (calibrated or raw).
+// Raw points stop at 10000, with truncated set if there were more.
+app.get("/api/history", (req, res) => {
+  try {
+    const history = queryHistory({
+      device: req.query.device,
+      fields: req.query.fields,
+      from: req.query.from,
+      to: req.query.to,
+      bucket: req.query.bucket || "auto",
+      values: req.query.values || "calibrated",
+    });
     console.log(
-      `Fetching latest message for device ${deviceId} from: ${storageUrl}`
+      `Returning ${history.points.length} ${history.bucket} points for ${history.device}`
     );
+    res.json(history);
+  } catch (error) {
+    if (error instanceof HistoryQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error querying history:", error);
+    res.status(500).json({
+      error: "Failed to query history",
+      details: error.message,
+    });
+  }
+});
 
-    // Create URL with proper query parameters for TTN Storage API
-    const url = new URL(storageUrl);
-    url.searchParams.append("limit", "1");
-    url.searchParams.append("order", "-received_at");
-
-    const response = await fetch(url.toString(), {
-      method: "GET",
-      headers: {
-        Authorization: `Bearer ${TTN_CONFIG.apiKey}`,
-        Accept: "application/json",
-      },
+// API endpoint to download stored readings as CSV or NDJSON.
+// Query params: device, fields (comma separated, defaults to the device's
+// sensors), from, to (ISO or epoch ms), format (csv or ndjson) and values
+// (calibrated or raw)
+app.get("/api/export", async (req, res) => {
+  let exportRequest;
+  try {
+    exportRequest = prepareExport({
+      device: req.query.device,
+      fields: req.query.fields,
+      from: req.query.from,
+      to: req.query.to,
+      format: req.query.format || "csv",
+      values: req.query.values || "calibrated",
     });
+  } catch (error) {
+    if (error instanceof HistoryQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error preparing export:", error);
+    return res.status(500).json({
+      error: "Failed to export readings",
+      details: error.message,
+    });
+  }
 
-    console.log(`TTN API Response status for ${deviceId}: ${response.status}`);
+  const { deviceId, format, values, from, to } = exportRequest;
+  const day = (time) => new Date(time).toISOString().slice(0, 10);
+  const suffix = values === "raw" ? "_raw" : "";
+  const filename = `${deviceId}_${day(from)}_${day(to)}${suffix}.${format}`;
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(
-        `TTN Storage API error for ${deviceId}: ${response.status} ${response.statusText}`
-      );
-      console.error(`Error response body:`, errorText);
-      return null;
-    }
+  res.set(
+    "Content-Type",
+    format === "csv"
+      ? "text/csv; charset=utf-8"
+      : "application/x-ndjson; charset=utf-8"
+  );
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
 
-    // Parse JSON response
-    const data = await response.json();
-    console.log(`TTN Storage API response received for ${deviceId}`);
-
-    // TTN Storage API returns an object with a "result" property containing the message
-    if (data.result) {
-      console.log(`Found latest message in storage for ${deviceId}`);
-      return data.result;
-    } else {
-      console.log(`No messages found in storage for ${deviceId}`);
-      return null;
-    }
+  try {
+    const total = await writeExport(exportRequest, res);
+    console.log(`Exported ${total} readings for ${deviceId} as ${format}`);
   } catch (error) {
-    console.error(
-      `Error fetching latest message for device ${deviceId}:`,
-      error
-    );
-    return null;
+    console.error("Error streaming export:", error);
   }
-}
+  res.end();
+});
 
-// API endpoint to fetch the latest messages from both devices
-app.get("/api/latest-messages", async (req, res) => {
-  console.log("API endpoint /api/latest-messages hit!");
+// Admin login, users, settings and API keys
+app.use("/api/admin", adminRoutes);
 
-  try {
-    const messages = [];
-
-    // Fetch from buoy device if configured
-    if (TTN_CONFIG.buoyDeviceID) {
-      console.log(`Fetching from buoy device: ${TTN_CONFIG.buoyDeviceID}`);
-      const buoyMessage = await fetchLatestMessageForDevice(
-        TTN_CONFIG.buoyDeviceID
-      );
-      if (buoyMessage) {
-        console.log(
-          "Buoy message found:",
-          buoyMessage.end_device_ids?.device_id
-        );
-        messages.push(buoyMessage);
-      } else {
-        console.log("No buoy message found");
-      }
-    }
+// Public read-only API for researchers, authenticated by API key
+app.use("/api/v1", v1Routes);
 
-    // Fetch from weather station device if configured
-    if (TTN_CONFIG.weatherStationDeviceId) {
-      console.log(
-        `Fetching from weather station device: ${TTN_CONFIG.weatherStationDeviceId}`
-      );
-      const weatherMessage = await fetchLatestMessageForDevice(
-        TTN_CONFIG.weatherStationDeviceId
-      );
-      if (weatherMessage) {
-        console.log(
-          "Weather station message found:",
-          weatherMessage.end_device_ids?.device_id
-        );
-        messages.push(weatherMessage);
-      } else {
-        console.log("No weather station message found");
-      }
-    }
+// Device registry
+app.use("/api/devices", deviceRoutes);
 
-    // If no specific device IDs are configured, fall back to general application query
-    if (!TTN_CONFIG.buoyDeviceID && !TTN_CONFIG.weatherStationDeviceId) {
-      console.log(
-        "No specific device IDs configured, fetching from application level"
-      );
-
-      const cleanAppId = TTN_CONFIG.applicationId.replace("@ttn", "");
-      const storageUrl = `https://${TTN_CONFIG.region}.cloud.thethings.network/api/v3/as/applications/${cleanAppId}/packages/storage/uplink_message`;
-
-      const url = new URL(storageUrl);
-      url.searchParams.append("limit", "10"); // Get more messages to potentially find both devices
-      url.searchParams.append("order", "-received_at");
-
-      const response = await fetch(url.toString(), {
-        method: "GET",
-        headers: {
-          Authorization: `Bearer ${TTN_CONFIG.apiKey}`,
-          Accept: "application/json",
-        },
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        console.log("Application-level response:", data);
-
-        if (data.result) {
-          // Handle both single message and array of messages
-          const allMessages = Array.isArray(data.result)
-            ? data.result
-            : [data.result];
-          messages.push(...allMessages);
-          console.log(
-            `Found ${allMessages.length} messages from application query`
-          );
-        }
-      } else {
-        console.error("Application-level query failed:", response.status);
-      }
-    }
+// Sensor display schema for building gauges
+app.use("/api/schema", schemaRoutes);
 
-    console.log(`Returning ${messages.length} total messages`);
-    res.json(messages);
-  } catch (error) {
-    console.error("Error fetching latest messages:", error);
-    res.status(500).json({
-      error: "Failed to fetch latest messages",
-      details: error.message,
-    });
-  }
+// API endpoint for per-device online/stale status
+app.get("/api/device-status", (req, res) => {
+  res.json(listDeviceStatuses());
 });
 
-// Serve static files (after API routes)
-app.use(express.static(path.join(__dirname, "public")));
+// Alert rules and alert history
+app.use("/api/alerts", alertRoutes);
 
-// Function to establish MQTT connection
-function connectToTTN() {
-  const brokerUrl = `mqtts://${TTN_CONFIG.region}.cloud.thethings.network:8883/mqtt`;
+// Quality control limits and flagged values
+app.use("/api/qc", qcRoutes);
 
-  console.log(`Connecting to MQTT broker: ${brokerUrl}`);
+// Calibration records and history
+app.use("/api/calibrations", calibrationRoutes);
 
-  const mqttClient = mqtt.connect(brokerUrl, {
-    username: TTN_CONFIG.applicationId,
-    password: TTN_CONFIG.apiKey,
-    clientId: "nodejs_server_" + Math.random().toString(16).substr(2, 8),
-  });
+// Daily and monthly summaries and the weekly report
+app.use("/api/summaries", summaryRoutes);
 
-  mqttClient.on("connect", () => {
-    console.log("Connected to TTN MQTT broker");
+// Live updates for clients that can't use the WebSocket
+app.use("/api/live", liveRoutes);
 
-    // Subscribe to all devices in the application
-    const topic = `v3/${TTN_CONFIG.applicationId}/devices/+/up`;
+// Uplinks from webhook ingestion sources
+app.use("/api/ingest", ingestRoutes);
 
-    // Subscribe to the topic
-    mqttClient.subscribe(topic, (err) => {
-      if (err) {
-        console.error("Subscription error:", err);
-        return;
-      }
+// Downlink commands and their audit log
+app.use("/api/downlinks", downlinkRoutes);
 
-      console.log("Subscribed to:", topic);
-      console.log("Listening for messages from all devices in application");
-    });
-  });
+// Cached basemap tiles for the map view
+app.use("/tiles", tileRoutes);
 
-  mqttClient.on("message", (topic, message) => {
-    try {
-      const payload = JSON.parse(message.toString());
-      const deviceId = payload.end_device_ids?.device_id;
-
-      console.log("Received message on topic:", topic);
-      console.log("Device ID:", deviceId);
-
-      // Log which device sent the message
-      if (deviceId === TTN_CONFIG.buoyDeviceID) {
-        console.log("Message from BUOY device");
-      } else if (deviceId === TTN_CONFIG.weatherStationDeviceId) {
-        console.log("Message from WEATHER STATION device");
-      } else {
-        console.log("Message from unknown/unconfigured device:", deviceId);
-      }
-
-      // Broadcast to all connected WebSocket clients
-      wss.clients.forEach((client) => {
-        if (client.readyState === WebSocket.OPEN) {
-          client.send(
-            JSON.stringify({
-              type: "message",
-              topic: topic,
-              payload: payload,
-              deviceType:
-                deviceId === TTN_CONFIG.buoyDeviceID
-                  ? "buoy"
-                  : deviceId === TTN_CONFIG.weatherStationDeviceId
-                  ? "weather"
-                  : "unknown",
-            })
-          );
-        }
-      });
-    } catch (e) {
-      console.error("Error parsing MQTT message:", e);
-    }
-  });
+// Serve static files (after API routes)
+app.use(express.static(path.join(__dirname, "public")));
 
-  mqttClient.on("error", (err) => {
-    console.error("MQTT error:", err);
+// Let the React app handle its own routes (e.g. /map) on a full page load
+app.get(/^\/(?!api\/|tiles\/).*/, (req, res, next) => {
+  res.sendFile(path.join(__dirname, "public", "index.html"), (err) => {
+    if (err) {
+      next();
+    }
   });
+});
 
-  mqttClient.on("close", () => {
-    console.log(
-      "MQTT connection closed, attempting to reconnect in 5 seconds..."
-    );
-    setTimeout(connectToTTN, 5000);
-  });
+// Tell clients when a device goes stale or comes back online
+deviceStatusEvents.on("change", (status) => {
+  publish("device_status", status);
+});
 
-  return mqttClient;
-}
+// Register any devices named in .env
+seedDevicesFromConfig(TTN_CONFIG);
 
-// Store global MQTT client reference
-let globalMqttClient = null;
+// Create the first admin account if one is configured in .env
+seedAdminFromEnv();
 
 // Start the server
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || "0.0.0.0";
 server.listen(PORT, () => {
   console.log(`Server running on https://${HOST}:${PORT}`);
-  console.log("Device Configuration:");
-  console.log(
-    `- Buoy Device ID: ${TTN_CONFIG.buoyDeviceID || "Not configured"}`
-  );
+  console.log("Registered Devices:");
+  const devices = listDevices();
+  if (devices.length === 0) {
+    console.log("- None (add devices through /api/devices)");
+  }
+  devices.forEach((device) => {
+    console.log(`- ${device.displayName} (${device.type}): ${device.deviceId}`);
+  });
+  console.log(`Ingestion sources: ${ENABLED_SOURCES.join(", ") || "none"}`);
   console.log(
-    `- Weather Station Device ID: ${
-      TTN_CONFIG.weatherStationDeviceId || "Not configured"
-    }`
+    `Storing readings in ${DB_PATH} (retention: ${RETENTION_DAYS} days)`
   );
-  console.log(`- Application ID: ${TTN_CONFIG.applicationId}`);
-  console.log(`- Region: ${TTN_CONFIG.region}`);
 
-  // Connect to TTN MQTT broker
-  globalMqttClient = connectToTTN();
-});
+  // Prune readings past the retention period now and periodically
+  startRetentionJob();
 
-// Handle WebSocket connections
-wss.on("connection", (ws) => {
-  console.log("WebSocket client connected");
+  // Watch for devices that stop sending uplinks
+  startDeviceStatusMonitor();
 
-  // Send connection success message immediately
-  ws.send(
-    JSON.stringify({
-      type: "connection",
-      status: "connected",
-    })
-  );
+  // Summarise each day and month, and email the weekly report
+  startSummaryJob();
+  startReportJob();
 
-  // Handle client disconnection
-  ws.on("close", () => {
-    console.log("WebSocket client disconnected");
-  });
+  // Connect to TTN and any other configured sources of uplinks
+  startSources();
 });
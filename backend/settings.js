@@ -0,0 +1,118 @@
+const EventEmitter = require("events");
+const { db } = require("./db");
+
+// Settings that can be edited in the admin area. Each falls back to its .env
+// variable until an admin saves a value.
+const SETTINGS = {
+  ttnRegion: {
+    label: "TTN region",
+    env: "TTN_REGION",
+    pattern: /^[a-z0-9]+$/,
+  },
+  ttnApplicationId: {
+    label: "TTN application ID",
+    env: "TTN_APP_ID",
+    pattern: /^[a-z0-9][a-z0-9-]*(@ttn)?$/,
+  },
+  ttnApiKey: {
+    label: "TTN API key",
+    env: "TTN_API_KEY",
+    secret: true,
+  },
+  // Degree heating weeks are only computed once this is set
+  bleachingBaseline: {
+    label: "Bleaching baseline SST (maximum monthly mean, °C)",
+    env: "BLEACHING_BASELINE_MMM",
+    pattern: /^-?\d+(\.\d+)?$/,
+  },
+  // Who the weekly summary report is emailed to
+  reportRecipients: {
+    label: "Report recipients (comma separated emails)",
+    env: "REPORT_RECIPIENTS",
+    pattern: /^[^\s@,]+@[^\s@,]+(\s*,\s*[^\s@,]+@[^\s@,]+)*$/,
+  },
+};
+
+class SettingsError extends Error {}
+
+// Emits "change" with the keys that were updated
+const settingsEvents = new EventEmitter();
+
+const getSettingStmt = db.prepare("SELECT value FROM settings WHERE key = ?");
+const upsertSettingStmt = db.prepare(`
+  INSERT INTO settings (key, value, updated_at) VALUES (@key, @value, @now)
+  ON CONFLICT (key) DO UPDATE SET
+    value = excluded.value, updated_at = excluded.updated_at
+`);
+const deleteSettingStmt = db.prepare("DELETE FROM settings WHERE key = ?");
+
+function getSetting(key) {
+  const row = getSettingStmt.get(key);
+  return row ? row.value : process.env[SETTINGS[key].env];
+}
+
+// Settings for the admin area. Secret values are never sent back, only
+// whether one is set.
+function listSettings() {
+  return Object.entries(SETTINGS).map(([key, setting]) => {
+    const row = getSettingStmt.get(key);
+    const value = row ? row.value : process.env[setting.env];
+    return {
+      key,
+      label: setting.label,
+      secret: Boolean(setting.secret),
+      value: setting.secret ? null : value ?? null,
+      isSet: Boolean(value),
+      source: row ? "admin" : value ? "env" : null,
+    };
+  });
+}
+
+// Save settings from the admin area. An empty value clears the saved one so
+// the .env value applies again; a secret left undefined is unchanged.
+function updateSettings(values) {
+  const changes = Object.entries(values || {}).filter(
+    ([, value]) => value !== undefined
+  );
+
+  changes.forEach(([key, value]) => {
+    // Own keys only, so names like __proto__ aren't taken for settings
+    const setting = Object.hasOwn(SETTINGS, key) ? SETTINGS[key] : null;
+    if (!setting) {
+      throw new SettingsError(`Unknown setting: ${key}`);
+    }
+    if (value !== null && typeof value !== "string") {
+      throw new SettingsError(`${setting.label} must be text`);
+    }
+    if (value && setting.pattern && !setting.pattern.test(value.trim())) {
+      throw new SettingsError(`Invalid ${setting.label}: ${value}`);
+    }
+  });
+
+  db.transaction(() => {
+    changes.forEach(([key, value]) => {
+      if (value === null || value.trim() === "") {
+        deleteSettingStmt.run(key);
+      } else {
+        upsertSettingStmt.run({ key, value: value.trim(), now: Date.now() });
+      }
+    });
+  })();
+
+  if (changes.length > 0) {
+    settingsEvents.emit(
+      "change",
+      changes.map(([key]) => key)
+    );
+  }
+  return listSettings();
+}
+
+module.exports = {
+  SETTINGS,
+  SettingsError,
+  settingsEvents,
+  getSetting,
+  listSettings,
+  updateSettings,
+};
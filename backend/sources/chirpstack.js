@@ -0,0 +1,87 @@
+const mqtt = require("mqtt");
+const { toBytes, toUplinkMessage } = require("./uplink");
+
+// ChirpStack v4 uplink events, from its MQTT integration (or posted by its
+// HTTP integration to the webhook source). Devices are matched to the
+// registry by their ChirpStack device name, or their DevEUI if the name
+// isn't a valid device id.
+const CHIRPSTACK_CONFIG = {
+  url: process.env.CHIRPSTACK_MQTT_URL || "mqtt://localhost:1883",
+  username: process.env.CHIRPSTACK_MQTT_USERNAME,
+  password: process.env.CHIRPSTACK_MQTT_PASSWORD,
+  applicationId: process.env.CHIRPSTACK_APPLICATION_ID || "+",
+};
+
+const DEVICE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _-]{1,35}$/;
+
+// Normalise a ChirpStack uplink event to a TTN-shaped uplink message
+function fromChirpStack(event) {
+  const deviceInfo = event.deviceInfo || {};
+  const lora = event.txInfo?.modulation?.lora || {};
+
+  return toUplinkMessage({
+    deviceId: DEVICE_NAME_PATTERN.test(deviceInfo.deviceName || "")
+      ? deviceInfo.deviceName
+      : deviceInfo.devEui,
+    devEui: deviceInfo.devEui,
+    receivedAt: event.time,
+    fCnt: event.fCnt,
+    fPort: event.fPort,
+    bytes: toBytes(event.data),
+    decodedPayload: event.object,
+    gateways: (event.rxInfo || []).map((rx) => ({
+      gatewayId: rx.gatewayId,
+      rssi: rx.rssi,
+      snr: rx.snr,
+      location: rx.location,
+    })),
+    radio: {
+      spreadingFactor: lora.spreadingFactor,
+      bandwidth: lora.bandwidth,
+      frequency: event.txInfo?.frequency,
+    },
+  });
+}
+
+function start(receiveUplink) {
+  console.log(`Connecting to ChirpStack MQTT broker: ${CHIRPSTACK_CONFIG.url}`);
+
+  // mqtt.js reconnects by itself and resubscribes on reconnect
+  const client = mqtt.connect(CHIRPSTACK_CONFIG.url, {
+    username: CHIRPSTACK_CONFIG.username,
+    password: CHIRPSTACK_CONFIG.password,
+    clientId: "reef_chirpstack_" + Math.random().toString(16).slice(2, 10),
+  });
+
+  client.on("connect", () => {
+    console.log("Connected to ChirpStack MQTT broker");
+    const topic = `application/${CHIRPSTACK_CONFIG.applicationId}/device/+/event/up`;
+    client.subscribe(topic, (err) => {
+      if (err) {
+        console.error("ChirpStack subscription error:", err);
+        return;
+      }
+      console.log("Subscribed to:", topic);
+    });
+  });
+
+  client.on("message", (topic, message) => {
+    try {
+      console.log("Received message on topic:", topic);
+      receiveUplink(fromChirpStack(JSON.parse(message.toString())));
+    } catch (e) {
+      console.error("Error handling ChirpStack uplink:", e);
+    }
+  });
+
+  client.on("error", (err) => {
+    console.error("ChirpStack MQTT error:", err);
+  });
+}
+
+module.exports = {
+  name: "chirpstack",
+  label: "ChirpStack MQTT",
+  start,
+  fromChirpStack,
+};
@@ -0,0 +1,134 @@
+const { ingestUplink } = require("../ingest");
+const { evaluateAlerts } = require("../alerts");
+const {
+  getDevice,
+  listDevices,
+  updateReportedLocation,
+} = require("../devices");
+const { markDeviceSeen } = require("../deviceStatus");
+const { latestReading } = require("../history");
+const { publish } = require("../realtime");
+const ttn = require("./ttn");
+const chirpstack = require("./chirpstack");
+const webhook = require("./webhook");
+const serial = require("./serial");
+const simulator = require("./simulator");
+
+// Ingestion sources. Each turns its network's uplinks into TTN-shaped uplink
+// messages (see uplink.js) and hands them to receiveUplink, so decoding,
+// storage, alerts and live updates are the same whichever network a device
+// is on. INGEST_SOURCES picks which run (comma separated, default "ttn").
+const SOURCES = { ttn, chirpstack, webhook, serial, simulator };
+
+const ENABLED_SOURCES = (process.env.INGEST_SOURCES || "ttn")
+  .split(",")
+  .map((name) => name.trim().toLowerCase())
+  .filter((name) => {
+    if (name && !SOURCES[name]) {
+      console.error(`Unknown ingestion source: ${name}`);
+    }
+    return Boolean(SOURCES[name]);
+  });
+
+function isSourceEnabled(name) {
+  return ENABLED_SOURCES.includes(name);
+}
+
+// Decode, quality-check and persist an uplink, then forward it to live
+// update clients. Returns the canonical reading and whether it was new.
+function receiveUplink(payload, sourceName) {
+  const deviceId = payload.end_device_ids?.device_id;
+  console.log(`Uplink from ${deviceId} via ${sourceName}`);
+
+  // Log which device sent the message
+  const device = getDevice(deviceId);
+  if (device) {
+    console.log(`Message from ${device.type} device ${device.displayName}`);
+  } else {
+    console.log("Message from unregistered device:", deviceId);
+  }
+
+  let result = null;
+  try {
+    result = ingestUplink(payload);
+    const { reading } = result;
+    if (reading.status === "failed") {
+      console.warn(`Could not decode uplink from ${deviceId}:`, reading.error);
+    }
+    Object.entries(reading.qc).forEach(([field, qc]) => {
+      console.warn(`QC ${qc.flag} for ${deviceId} ${field}: ${qc.reason}`);
+    });
+
+    // Redeliveries and retries of an uplink already stored aren't new
+    // readings, so they're neither sent to live update clients nor alerted
+    if (result.isNew) {
+      // Send the reading to live update clients subscribed to the device
+      publish("reading", {
+        deviceId,
+        deviceType: device ? device.type : "unknown",
+        reading,
+        message: payload,
+      });
+
+      markDeviceSeen(deviceId, new Date(payload.received_at).getTime());
+      updateReportedLocation(deviceId, payload);
+
+      // Evaluate alert rules against the new reading
+      evaluateAlerts(
+        deviceId,
+        new Date(payload.received_at).getTime(),
+        reading.fields
+      ).forEach((event) =>
+        publish("alert", { deviceId: event.deviceId, event })
+      );
+    }
+  } catch (dbError) {
+    console.error("Error storing uplink:", dbError);
+  }
+  return result;
+}
+
+function startSources() {
+  if (ENABLED_SOURCES.length === 0) {
+    console.log("No ingestion sources enabled");
+  }
+  ENABLED_SOURCES.forEach((name) => {
+    console.log(`Starting ingestion source: ${SOURCES[name].label}`);
+    SOURCES[name].start((payload) => receiveUplink(payload, name));
+  });
+}
+
+// The latest message from each registered device, from sources that can
+// fetch it (TTN's Storage Integration) or else the latest one stored
+async function fetchLatestMessages() {
+  const devices = listDevices();
+  const messages = [];
+
+  for (const name of ENABLED_SOURCES) {
+    if (SOURCES[name].fetchLatestMessages) {
+      messages.push(...(await SOURCES[name].fetchLatestMessages(devices)));
+    }
+  }
+
+  devices.forEach((device) => {
+    const hasMessage = messages.some(
+      (message) => message.end_device_ids?.device_id === device.deviceId
+    );
+    const stored = !hasMessage && latestReading(device.deviceId);
+    if (stored && stored.message) {
+      console.log(`Using stored message for ${device.displayName}`);
+      messages.push(stored.message);
+    }
+  });
+
+  return messages;
+}
+
+module.exports = {
+  SOURCES,
+  ENABLED_SOURCES,
+  isSourceEnabled,
+  receiveUplink,
+  startSources,
+  fetchLatestMessages,
+};
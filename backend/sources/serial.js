@@ -0,0 +1,72 @@
+const { fromDeviceJson } = require("./uplink");
+
+// A local LoRa gateway (e.g. a LoRa radio on a microcontroller) plugged in
+// over USB serial, for sites without a network server. The gateway writes
+// one JSON uplink per line, in the same format devices can post to the
+// webhook; any other lines (gateway debug output) are ignored.
+const SERIAL_CONFIG = {
+  path: process.env.SERIAL_PORT,
+  baudRate: parseInt(process.env.SERIAL_BAUD_RATE || "115200", 10),
+  gatewayId: process.env.SERIAL_GATEWAY_ID || "serial-gateway",
+};
+
+const REOPEN_DELAY_MS = 5000;
+
+function handleLine(line, receiveUplink) {
+  const text = line.trim();
+  if (!text.startsWith("{")) {
+    return;
+  }
+  try {
+    receiveUplink(fromDeviceJson(JSON.parse(text), SERIAL_CONFIG.gatewayId));
+  } catch (error) {
+    console.error("Error handling serial uplink:", error.message, text);
+  }
+}
+
+function start(receiveUplink) {
+  if (!SERIAL_CONFIG.path) {
+    console.error("Serial source enabled but SERIAL_PORT is not set");
+    return;
+  }
+
+  // Only loaded when this source is enabled, as it's a native module
+  const { SerialPort, ReadlineParser } = require("serialport");
+
+  const open = () => {
+    console.log(
+      `Opening serial gateway ${SERIAL_CONFIG.path} at ${SERIAL_CONFIG.baudRate} baud`
+    );
+    const port = new SerialPort({
+      path: SERIAL_CONFIG.path,
+      baudRate: SERIAL_CONFIG.baudRate,
+    });
+    const lines = port.pipe(new ReadlineParser({ delimiter: "\n" }));
+    lines.on("data", (line) => handleLine(line, receiveUplink));
+
+    // Unplugging the gateway closes the port; keep trying until it's back
+    let isReopening = false;
+    const reopen = (reason) => {
+      if (isReopening) {
+        return;
+      }
+      isReopening = true;
+      console.log(
+        `Serial gateway unavailable (${reason}), retrying in ${
+          REOPEN_DELAY_MS / 1000
+        } seconds...`
+      );
+      setTimeout(open, REOPEN_DELAY_MS);
+    };
+    port.on("error", (error) => reopen(error.message));
+    port.on("close", () => reopen("closed"));
+  };
+
+  open();
+}
+
+module.exports = {
+  name: "serial",
+  label: "Serial LoRa gateway",
+  start,
+};
@@ -0,0 +1,357 @@
+const fs = require("fs");
+const { createDevice, getDevice } = require("../devices");
+
+// Simulated devices for development and demos, with no TTN account or
+// hardware needed. Generates buoy and weather station uplinks in TTN's
+// uplink message shape: diurnal temperature cycles, tide-driven noise,
+// dropped uplinks and the occasional bad reading. With
+// SIMULATOR_REPLAY_FILE set it instead replays a recorded day of real
+// messages, sped up by SIMULATOR_SPEED.
+const SIMULATOR_CONFIG = {
+  intervalSeconds: parseInt(process.env.SIMULATOR_INTERVAL_SECONDS || "60", 10),
+  dropoutRate: parseFloat(process.env.SIMULATOR_DROPOUT_RATE || "0.05"),
+  badReadingRate: parseFloat(process.env.SIMULATOR_BAD_READING_RATE || "0.02"),
+  replayFile: process.env.SIMULATOR_REPLAY_FILE,
+  speed: parseFloat(process.env.SIMULATOR_SPEED || "60"),
+};
+
+const HOUR = 60 * 60 * 1000;
+// Semidiurnal (M2) tide period
+const TIDE_PERIOD = 12.42 * HOUR;
+const APPLICATION_ID = "reef-simulator";
+const GATEWAY = {
+  gateway_ids: { gateway_id: "sim-gateway", eui: "00800000A0000001" },
+  location: { latitude: -37.9955, longitude: 145.0345, altitude: 12 },
+};
+
+// The simulated devices, registered on first start. frm_payload carries the
+// fields as 16-bit big-endian integers in this order, scaled as given, the
+// way a payload formatter would have decoded them.
+const SIMULATED_DEVICES = [
+  {
+    deviceId: "sim-buoy-1",
+    displayName: "Simulated Buoy",
+    type: "buoy",
+    devEui: "70B3D57ED0000001",
+    location: {
+      name: "Holloway Bend (simulated)",
+      latitude: -38.0005,
+      longitude: 145.0285,
+    },
+    layout: [
+      ["Temp", 0.01],
+      ["WaterT1", 0.01],
+      ["WaterT2", 0.01],
+      ["Humidity", 0.01],
+      ["Pressure", 0.1],
+      ["TDS", 1],
+      ["Battery", 0.01],
+    ],
+  },
+  {
+    deviceId: "sim-weather-1",
+    displayName: "Simulated Weather Station",
+    type: "weather",
+    devEui: "70B3D57ED0000002",
+    location: {
+      name: "Ricketts Point (simulated)",
+      latitude: -37.999,
+      longitude: 145.032,
+    },
+    layout: [
+      ["Temp", 0.01],
+      ["Humidity", 0.01],
+      ["Pressure", 0.1],
+      ["Battery", 0.01],
+    ],
+  },
+];
+
+const round = (value, places = 2) =>
+  Math.round(value * 10 ** places) / 10 ** places;
+
+// Normally distributed noise (Box-Muller)
+function noise(spread) {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return spread * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Cosine of the time of day, peaking at peakHour local time
+function diurnal(time, peakHour) {
+  const date = new Date(time);
+  const hour = date.getHours() + date.getMinutes() / 60;
+  return Math.cos((2 * Math.PI * (hour - peakHour)) / 24);
+}
+
+// Weather shared by both devices: pressure drifts slowly around 1013 hPa
+let pressureDrift = 0;
+
+function simulateWeather(time) {
+  pressureDrift = pressureDrift * 0.995 + noise(0.15);
+  const sun = Math.max(0, diurnal(time, 13));
+  return {
+    airTemp: 16 + 5 * diurnal(time, 15),
+    humidity: 72 - 14 * diurnal(time, 15),
+    // Atmospheric tide: two small pressure peaks a day
+    pressure:
+      1013 + pressureDrift + 0.6 * Math.cos((4 * Math.PI * time) / (24 * HOUR)),
+    sun,
+  };
+}
+
+// Field values for a device at a time. Water temperature lags the air and
+// the tidal current stirs the water, so surface readings are noisier and
+// the surface and deeper probes closer together at mid-tide.
+function simulateFields(device, time) {
+  const weather = simulateWeather(time);
+  const tide = Math.sin((2 * Math.PI * time) / TIDE_PERIOD);
+  const current = Math.abs(Math.cos((2 * Math.PI * time) / TIDE_PERIOD));
+
+  const fields = {
+    Temp: weather.airTemp + noise(0.3),
+    Humidity: Math.min(100, Math.max(20, weather.humidity + noise(1.5))),
+    Pressure: weather.pressure + noise(0.2),
+    // Solar charging by day, a slow drain overnight
+    Battery: 3.75 + 0.3 * weather.sun + noise(0.02),
+  };
+
+  if (device.type === "buoy") {
+    const surface =
+      18.5 +
+      1.2 * diurnal(time, 17) +
+      0.3 * tide +
+      noise(0.05 + 0.15 * current);
+    const stratification = 0.6 * (1 - current) * Math.max(0, diurnal(time, 16));
+    fields.Temp += 2 * weather.sun;
+    fields.WaterT1 = surface;
+    fields.WaterT2 = surface - 0.1 - stratification + noise(0.05);
+    fields.TDS = 480 + 35 * tide + noise(4 + 10 * current);
+  }
+
+  return Object.fromEntries(
+    Object.entries(fields).map(([field, value]) => [
+      field,
+      round(value, field === "TDS" ? 0 : 2),
+    ])
+  );
+}
+
+// Faults real probes produce: a disconnected DS18B20 reads -127 and one
+// that has just reset 85, a fouled TDS probe 0, and a humidity sensor
+// occasionally drops out to 0
+function addBadReading(fields) {
+  const faults = [
+    ["WaterT1", -127],
+    ["WaterT2", 85],
+    ["TDS", 0],
+    ["Humidity", 0],
+  ].filter(([field]) => field in fields);
+  const [field, value] = faults[Math.floor(Math.random() * faults.length)];
+  return { ...fields, [field]: value };
+}
+
+function encodePayload(fields, layout) {
+  const buffer = Buffer.alloc(layout.length * 2);
+  layout.forEach(([field, scale], index) => {
+    const raw = Math.round((fields[field] ?? 0) / scale);
+    if (scale === 1 || field === "Pressure") {
+      buffer.writeUInt16BE(Math.min(0xffff, Math.max(0, raw)), index * 2);
+    } else {
+      buffer.writeInt16BE(Math.min(0x7fff, Math.max(-0x8000, raw)), index * 2);
+    }
+  });
+  return buffer.toString("base64");
+}
+
+// A TTN v3 uplink message, as it would arrive over MQTT
+function toTtnMessage(device, fCnt, fields, time) {
+  const receivedAt = new Date(time).toISOString();
+  const rssi = Math.round(-96 + noise(5));
+  const snr = round(6 + noise(2.5), 1);
+  const spreadingFactor = rssi < -105 ? 9 : 7;
+
+  return {
+    end_device_ids: {
+      device_id: device.deviceId,
+      application_ids: { application_id: APPLICATION_ID },
+      dev_eui: device.devEui,
+      dev_addr: device.devEui.slice(-8),
+    },
+    correlation_ids: [`as:up:sim-${device.deviceId}-${fCnt}`],
+    received_at: receivedAt,
+    uplink_message: {
+      f_port: 1,
+      f_cnt: fCnt,
+      frm_payload: encodePayload(fields, device.layout),
+      decoded_payload: fields,
+      rx_metadata: [
+        {
+          ...GATEWAY,
+          time: receivedAt,
+          rssi,
+          channel_rssi: rssi,
+          snr,
+          received_at: receivedAt,
+        },
+      ],
+      settings: {
+        data_rate: {
+          lora: {
+            bandwidth: 125000,
+            spreading_factor: spreadingFactor,
+            coding_rate: "4/5",
+          },
+        },
+        frequency: "917200000",
+        time: receivedAt,
+      },
+      received_at: receivedAt,
+      consumed_airtime: spreadingFactor === 7 ? "0.071936s" : "0.246784s",
+    },
+  };
+}
+
+function registerDevices() {
+  SIMULATED_DEVICES.filter((device) => !getDevice(device.deviceId)).forEach(
+    (device) => {
+      createDevice({
+        deviceId: device.deviceId,
+        displayName: device.displayName,
+        type: device.type,
+        location: device.location,
+        uplinkIntervalMinutes: Math.max(
+          1,
+          Math.round(SIMULATOR_CONFIG.intervalSeconds / 60)
+        ),
+      });
+      console.log(`Registered simulated ${device.type} ${device.deviceId}`);
+    }
+  );
+}
+
+function startGenerating(receiveUplink) {
+  registerDevices();
+  console.log(
+    `Simulating ${SIMULATED_DEVICES.length} devices, an uplink each every ${SIMULATOR_CONFIG.intervalSeconds} seconds`
+  );
+
+  SIMULATED_DEVICES.forEach((device, index) => {
+    let fCnt = 0;
+    // Uplinks left to drop in an outage (the buoy out of range or flat)
+    let outage = 0;
+
+    const sendUplink = () => {
+      fCnt++;
+      if (outage > 0) {
+        outage--;
+        return;
+      }
+      if (Math.random() < SIMULATOR_CONFIG.dropoutRate) {
+        // Now and then a dropout lasts a while
+        outage = Math.random() < 0.1 ? 5 + Math.floor(Math.random() * 15) : 0;
+        return;
+      }
+
+      const now = Date.now();
+      let fields = simulateFields(device, now);
+      if (Math.random() < SIMULATOR_CONFIG.badReadingRate) {
+        fields = addBadReading(fields);
+      }
+      receiveUplink(toTtnMessage(device, fCnt, fields, now));
+    };
+
+    // Stagger the devices so their uplinks don't arrive together
+    setTimeout(() => {
+      sendUplink();
+      setInterval(sendUplink, SIMULATOR_CONFIG.intervalSeconds * 1000);
+    }, 1000 + index * 2000);
+  });
+}
+
+// Recorded uplink messages, oldest first: a JSON array, or newline-delimited
+// JSON as saved by tools/record-day.js or TTN's Storage Integration (which
+// wraps each message in "result")
+function loadRecording(file) {
+  const text = fs.readFileSync(file, "utf8").trim();
+  const entries = text.startsWith("[")
+    ? JSON.parse(text)
+    : text
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+
+  return entries
+    .map((entry) => entry.result || entry)
+    .filter((message) => message.uplink_message && message.received_at)
+    .sort(
+      (a, b) =>
+        new Date(a.received_at).getTime() - new Date(b.received_at).getTime()
+    );
+}
+
+// Replay the recording with the original spacing divided by the speed,
+// restamping each message with the time it's replayed so the dashboard sees
+// it as live. Loops back to the start when it reaches the end.
+function startReplay(receiveUplink) {
+  const messages = loadRecording(SIMULATOR_CONFIG.replayFile);
+  if (messages.length === 0) {
+    console.error(
+      `No uplink messages found in ${SIMULATOR_CONFIG.replayFile} to replay`
+    );
+    return;
+  }
+
+  const start = new Date(messages[0].received_at).getTime();
+  const duration =
+    new Date(messages[messages.length - 1].received_at).getTime() - start;
+  console.log(
+    `Replaying ${messages.length} messages from ${
+      SIMULATOR_CONFIG.replayFile
+    } at ${SIMULATOR_CONFIG.speed}x (${Math.round(
+      duration / SIMULATOR_CONFIG.speed / 60000
+    )} minutes)`
+  );
+
+  const replayFrom = (index, replayStart) => {
+    if (index >= messages.length) {
+      console.log("Replay finished, starting again");
+      setTimeout(
+        () => replayFrom(0, Date.now()),
+        SIMULATOR_CONFIG.intervalSeconds * 1000
+      );
+      return;
+    }
+
+    const message = messages[index];
+    const due =
+      replayStart +
+      (new Date(message.received_at).getTime() - start) /
+        SIMULATOR_CONFIG.speed;
+    setTimeout(() => {
+      const receivedAt = new Date().toISOString();
+      receiveUplink({
+        ...message,
+        received_at: receivedAt,
+        uplink_message: { ...message.uplink_message, received_at: receivedAt },
+      });
+      replayFrom(index + 1, replayStart);
+    }, Math.max(0, due - Date.now()));
+  };
+
+  replayFrom(0, Date.now());
+}
+
+function start(receiveUplink) {
+  if (SIMULATOR_CONFIG.replayFile) {
+    startReplay(receiveUplink);
+  } else {
+    startGenerating(receiveUplink);
+  }
+}
+
+module.exports = {
+  name: "simulator",
+  label: "Simulated devices",
+  start,
+};
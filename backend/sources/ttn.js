@@ -0,0 +1,277 @@
+const mqtt = require("mqtt");
+const { backfillFromStorage } = require("../backfill");
+const {
+  DOWNLINK_EVENTS,
+  useMqttClient,
+  handleDownlinkEvent,
+} = require("../downlinks");
+const { publish } = require("../realtime");
+const { settingsEvents, getSetting } = require("../settings");
+
+// The Things Network: uplinks over TTN's MQTT broker, which already sends
+// them in the shape the pipeline uses, plus the Storage Integration for
+// each device's latest message and backfilling gaps. Downlinks go out over
+// the same connection.
+const TTN_CONFIG = {
+  region: process.env.TTN_REGION,
+  applicationId: process.env.TTN_APP_ID,
+  apiKey: process.env.TTN_API_KEY,
+  deviceId: process.env.TTN_DEVICE_ID || "",
+  weatherStationDeviceId: process.env.TTN_DEVICE_WS_ID,
+  buoyDeviceID: process.env.TTN_DEVICE_BUOY_ID,
+};
+
+// Settings saved in the admin area override .env
+function applyTtnSettings() {
+  TTN_CONFIG.region = getSetting("ttnRegion");
+  TTN_CONFIG.applicationId = getSetting("ttnApplicationId");
+  TTN_CONFIG.apiKey = getSetting("ttnApiKey");
+}
+
+applyTtnSettings();
+
+// Without all three (e.g. no .env) there's nothing to connect to
+function isConfigured() {
+  return Boolean(
+    TTN_CONFIG.region && TTN_CONFIG.applicationId && TTN_CONFIG.apiKey
+  );
+}
+
+function storageUrl(path) {
+  // Clean the application ID - remove @ttn suffix for API calls
+  const cleanAppId = TTN_CONFIG.applicationId.replace("@ttn", "");
+  return `https://${TTN_CONFIG.region}.cloud.thethings.network/api/v3/as/applications/${cleanAppId}${path}`;
+}
+
+async function fetchStorage(path, limit) {
+  // Create URL with proper query parameters for TTN Storage API
+  const url = new URL(storageUrl(path));
+  url.searchParams.append("limit", String(limit));
+  url.searchParams.append("order", "-received_at");
+
+  return fetch(url.toString(), {
+    method: "GET",
+    headers: {
+      Authorization: `Bearer ${TTN_CONFIG.apiKey}`,
+      Accept: "application/json",
+    },
+  });
+}
+
+// Helper function to fetch latest message for a specific device
+async function fetchLatestMessageForDevice(deviceId) {
+  try {
+    console.log(`Fetching latest message for device ${deviceId} from TTN`);
+
+    const response = await fetchStorage(
+      `/devices/${deviceId}/packages/storage/uplink_message`,
+      1
+    );
+
+    console.log(`TTN API Response status for ${deviceId}: ${response.status}`);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(
+        `TTN Storage API error for ${deviceId}: ${response.status} ${response.statusText}`
+      );
+      console.error(`Error response body:`, errorText);
+      return null;
+    }
+
+    // Parse JSON response
+    const data = await response.json();
+    console.log(`TTN Storage API response received for ${deviceId}`);
+
+    // TTN Storage API returns an object with a "result" property containing the message
+    if (data.result) {
+      console.log(`Found latest message in storage for ${deviceId}`);
+      return data.result;
+    } else {
+      console.log(`No messages found in storage for ${deviceId}`);
+      return null;
+    }
+  } catch (error) {
+    console.error(
+      `Error fetching latest message for device ${deviceId}:`,
+      error
+    );
+    return null;
+  }
+}
+
+// The latest message from each registered device, or from the application
+// as a whole when no devices are registered
+async function fetchLatestMessages(devices) {
+  const messages = [];
+  if (!isConfigured()) {
+    return messages;
+  }
+
+  for (const device of devices) {
+    console.log(
+      `Fetching from ${device.type} device: ${device.deviceId} (${device.displayName})`
+    );
+    const latestMessage = await fetchLatestMessageForDevice(device.deviceId);
+    if (latestMessage) {
+      console.log(`${device.displayName} message found`);
+      messages.push(latestMessage);
+    } else {
+      console.log(`No message found for ${device.displayName}`);
+    }
+  }
+
+  if (devices.length === 0) {
+    console.log("No devices registered, fetching from application level");
+
+    // Get more messages to potentially find every device
+    const response = await fetchStorage("/packages/storage/uplink_message", 10);
+
+    if (response.ok) {
+      const data = await response.json();
+      console.log("Application-level response:", data);
+
+      if (data.result) {
+        // Handle both single message and array of messages
+        const allMessages = Array.isArray(data.result)
+          ? data.result
+          : [data.result];
+        messages.push(...allMessages);
+        console.log(
+          `Found ${allMessages.length} messages from application query`
+        );
+      }
+    } else {
+      console.error("Application-level query failed:", response.status);
+    }
+  }
+
+  return messages;
+}
+
+// Fill any gap left while we were disconnected, then let clients know
+async function runBackfill() {
+  try {
+    const summary = await backfillFromStorage(TTN_CONFIG);
+    if (summary && summary.total > 0) {
+      publish("backfill", summary);
+    }
+  } catch (error) {
+    console.error("Error backfilling from TTN storage:", error);
+  }
+}
+
+// Store global MQTT client reference
+let globalMqttClient = null;
+
+// Function to establish MQTT connection
+function connectToTTN(receiveUplink) {
+  const brokerUrl = `mqtts://${TTN_CONFIG.region}.cloud.thethings.network:8883/mqtt`;
+
+  console.log(`Connecting to MQTT broker: ${brokerUrl}`);
+
+  const mqttClient = mqtt.connect(brokerUrl, {
+    username: TTN_CONFIG.applicationId,
+    password: TTN_CONFIG.apiKey,
+    clientId: "nodejs_server_" + Math.random().toString(16).substr(2, 8),
+  });
+  useMqttClient(mqttClient, TTN_CONFIG.applicationId);
+
+  mqttClient.on("connect", () => {
+    console.log("Connected to TTN MQTT broker");
+
+    // Subscribe to all devices in the application
+    const topic = `v3/${TTN_CONFIG.applicationId}/devices/+/up`;
+
+    // Subscribe to the topic
+    mqttClient.subscribe(topic, (err) => {
+      if (err) {
+        console.error("Subscription error:", err);
+        return;
+      }
+
+      console.log("Subscribed to:", topic);
+      console.log("Listening for messages from all devices in application");
+    });
+
+    // Delivery events for downlinks sent from the admin area
+    const downlinkTopics = Object.keys(DOWNLINK_EVENTS).map(
+      (event) => `v3/${TTN_CONFIG.applicationId}/devices/+/down/${event}`
+    );
+    mqttClient.subscribe(downlinkTopics, (err) => {
+      if (err) {
+        console.error("Downlink event subscription error:", err);
+      }
+    });
+
+    // Catch up on uplinks missed since the last stored message
+    runBackfill();
+  });
+
+  mqttClient.on("message", (topic, message) => {
+    try {
+      const payload = JSON.parse(message.toString());
+
+      // Downlink events only update the admin audit log, which isn't
+      // broadcast to the public dashboard
+      if (!topic.endsWith("/up")) {
+        handleDownlinkEvent(topic, payload);
+        return;
+      }
+
+      console.log("Received message on topic:", topic);
+      receiveUplink(payload);
+    } catch (e) {
+      console.error("Error parsing MQTT message:", e);
+    }
+  });
+
+  mqttClient.on("error", (err) => {
+    console.error("MQTT error:", err);
+  });
+
+  mqttClient.on("close", () => {
+    console.log(
+      "MQTT connection closed, attempting to reconnect in 5 seconds..."
+    );
+    setTimeout(() => {
+      globalMqttClient = isConfigured() ? connectToTTN(receiveUplink) : null;
+    }, 5000);
+  });
+
+  return mqttClient;
+}
+
+function start(receiveUplink) {
+  // Reconnect with the new credentials when they're changed by an admin
+  settingsEvents.on("change", (keys) => {
+    applyTtnSettings();
+    if (!keys.some((key) => key.startsWith("ttn"))) {
+      return;
+    }
+    if (globalMqttClient) {
+      console.log("TTN settings changed, reconnecting to MQTT broker");
+      globalMqttClient.end(true);
+    } else if (isConfigured()) {
+      globalMqttClient = connectToTTN(receiveUplink);
+    }
+  });
+
+  if (!isConfigured()) {
+    console.error(
+      "TTN is not configured: set TTN_REGION, TTN_APP_ID and TTN_API_KEY (or use INGEST_SOURCES=simulator)"
+    );
+    return;
+  }
+  console.log(`- Application ID: ${TTN_CONFIG.applicationId}`);
+  console.log(`- Region: ${TTN_CONFIG.region}`);
+  globalMqttClient = connectToTTN(receiveUplink);
+}
+
+module.exports = {
+  name: "ttn",
+  label: "The Things Network MQTT",
+  TTN_CONFIG,
+  start,
+  fetchLatestMessages,
+};
@@ -0,0 +1,148 @@
+// Every ingestion source hands the pipeline uplinks in The Things Stack v3
+// uplink message shape, which is what readings are decoded from and stored
+// as. Sources other than TTN build theirs with toUplinkMessage.
+
+// Registry device ids (see devices.js); other networks' names are lowercased
+// and anything else becomes a dash to match
+const DEVICE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,35}$/;
+
+class UplinkFormatError extends Error {}
+
+function toDeviceId(name) {
+  const deviceId = String(name || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, "-");
+  if (!DEVICE_ID_PATTERN.test(deviceId)) {
+    throw new UplinkFormatError(`Invalid device id: ${name}`);
+  }
+  return deviceId;
+}
+
+function toTime(value) {
+  if (value === undefined || value === null) {
+    return new Date();
+  }
+  const time = new Date(typeof value === "number" ? value : String(value));
+  if (Number.isNaN(time.getTime())) {
+    throw new UplinkFormatError(`Invalid time: ${value}`);
+  }
+  return time;
+}
+
+// Raw payload bytes from base64, a hex string or a byte array
+function toBytes(payload, encoding = "base64") {
+  if (payload === undefined || payload === null) {
+    return null;
+  }
+  if (Array.isArray(payload)) {
+    return Buffer.from(payload);
+  }
+  const text = String(payload).replace(/\s+/g, "");
+  if (encoding === "hex") {
+    if (!/^([0-9a-fA-F]{2})*$/.test(text)) {
+      throw new UplinkFormatError("Payload must be hex bytes");
+    }
+    return Buffer.from(text, "hex");
+  }
+  return Buffer.from(text, "base64");
+}
+
+const optionalNumber = (value) =>
+  value === undefined || value === null || Number.isNaN(Number(value))
+    ? undefined
+    : Number(value);
+
+// Build a TTN-shaped uplink message. Fields not given are left out, as they
+// would be from TTN: decoded fields become decoded_payload (used by devices
+// without their own decoder) and payload bytes frm_payload.
+function toUplinkMessage({
+  deviceId,
+  devEui,
+  receivedAt,
+  fCnt,
+  fPort,
+  bytes,
+  decodedPayload,
+  gateways = [],
+  radio = {},
+}) {
+  if (!bytes && !decodedPayload) {
+    throw new UplinkFormatError("Uplink has neither a payload nor fields");
+  }
+
+  const time = toTime(receivedAt).toISOString();
+  const lora = {
+    spreading_factor: optionalNumber(radio.spreadingFactor),
+    bandwidth: optionalNumber(radio.bandwidth),
+  };
+  const frequency = optionalNumber(radio.frequency);
+
+  return {
+    end_device_ids: {
+      device_id: toDeviceId(deviceId),
+      ...(devEui ? { dev_eui: String(devEui).toUpperCase() } : {}),
+    },
+    received_at: time,
+    uplink_message: {
+      f_cnt: optionalNumber(fCnt),
+      f_port: optionalNumber(fPort),
+      frm_payload: bytes ? Buffer.from(bytes).toString("base64") : undefined,
+      decoded_payload: decodedPayload || undefined,
+      rx_metadata: gateways.map((gateway) => ({
+        gateway_ids: { gateway_id: gateway.gatewayId || "unknown" },
+        rssi: optionalNumber(gateway.rssi),
+        snr: optionalNumber(gateway.snr),
+        ...(gateway.location ? { location: gateway.location } : {}),
+      })),
+      settings: {
+        data_rate: { lora },
+        ...(frequency ? { frequency: String(frequency) } : {}),
+      },
+      received_at: time,
+    },
+  };
+}
+
+// A device posting its own JSON, over HTTP or a serial gateway:
+// {"deviceId": "reef-buoy-2", "fields": {"WaterT1": 17.2}} with optional
+// receivedAt, fCnt, fPort and rssi/snr, or a raw "payload" (base64, or hex
+// with "encoding": "hex") for the device's decoder instead of fields
+function fromDeviceJson(body, gatewayId) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new UplinkFormatError("Uplink must be a JSON object");
+  }
+  if (body.fields !== undefined && typeof body.fields !== "object") {
+    throw new UplinkFormatError("`fields` must be an object");
+  }
+
+  const hasSignal = body.rssi !== undefined || body.snr !== undefined;
+  return toUplinkMessage({
+    deviceId: body.deviceId,
+    receivedAt: body.receivedAt,
+    fCnt: body.fCnt,
+    fPort: body.fPort,
+    bytes: toBytes(body.payload, body.encoding),
+    decodedPayload: body.fields,
+    gateways: hasSignal
+      ? [
+          {
+            gatewayId: body.gatewayId || gatewayId,
+            rssi: body.rssi,
+            snr: body.snr,
+          },
+        ]
+      : [],
+    radio: {
+      spreadingFactor: body.spreadingFactor,
+      frequency: body.frequency,
+    },
+  });
+}
+
+module.exports = {
+  UplinkFormatError,
+  toBytes,
+  toUplinkMessage,
+  fromDeviceJson,
+};
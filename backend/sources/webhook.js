@@ -0,0 +1,58 @@
+const crypto = require("crypto");
+const { fromChirpStack } = require("./chirpstack");
+const { UplinkFormatError, fromDeviceJson } = require("./uplink");
+
+// Uplinks POSTed to /api/ingest/webhook (see routes/ingest.js): TTN's
+// webhook integration, ChirpStack's HTTP integration or a device posting its
+// own JSON. Every request needs INGEST_WEBHOOK_TOKEN as a bearer token.
+const WEBHOOK_TOKEN = process.env.INGEST_WEBHOOK_TOKEN;
+
+function hasValidToken(req) {
+  const header = req.get("Authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  if (!WEBHOOK_TOKEN || !token) {
+    return false;
+  }
+  // Compare hashes so the comparison takes the same time for any token
+  const hash = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(hash(token), hash(WEBHOOK_TOKEN));
+}
+
+// Normalise a webhook body to a TTN-shaped uplink message, or null for
+// events that aren't uplinks (e.g. joins, when an integration sends those)
+function fromWebhook(body, query = {}) {
+  if (!body || typeof body !== "object") {
+    throw new UplinkFormatError("Uplink must be a JSON object");
+  }
+  if (body.end_device_ids) {
+    if (!body.uplink_message) {
+      return null;
+    }
+    return {
+      ...body,
+      received_at: body.received_at || new Date().toISOString(),
+    };
+  }
+  if (body.deviceInfo) {
+    return !query.event || query.event === "up" ? fromChirpStack(body) : null;
+  }
+  return fromDeviceJson(body);
+}
+
+function start() {
+  if (!WEBHOOK_TOKEN) {
+    console.error(
+      "Webhook source enabled but INGEST_WEBHOOK_TOKEN is not set, so every request will be refused"
+    );
+    return;
+  }
+  console.log("Accepting uplinks at /api/ingest/webhook");
+}
+
+module.exports = {
+  name: "webhook",
+  label: "HTTP webhook",
+  start,
+  hasValidToken,
+  fromWebhook,
+};
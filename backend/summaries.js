@@ -0,0 +1,253 @@
+const { db, RETENTION_DAYS } = require("./db");
+const { HistoryQueryError, parseTime } = require("./history");
+const { expectedIntervalMinutes } = require("./deviceStatus");
+
+// Daily and monthly min, max, mean and data completeness for each device
+// field. Completed periods are stored, so summaries outlive the readings
+// they came from once those pass the retention period; the period still
+// in progress is computed on request. Periods follow the server's local
+// time (set TZ to change it).
+const PERIODS = ["day", "month"];
+const DAY = 24 * 60 * 60 * 1000;
+// The job recomputes this many recent completed periods each run, so
+// readings backfilled after a period ended are still counted
+const RECOMPUTE_PERIODS = { day: 7, month: 1 };
+// Longest range the API will return, in periods
+const MAX_PERIODS = { day: 366, month: 120 };
+const SUMMARY_INTERVAL = 60 * 60 * 1000;
+
+function parsePeriod(value) {
+  if (!PERIODS.includes(value)) {
+    throw new HistoryQueryError(`Unknown period: ${value}`);
+  }
+  return value;
+}
+
+// Start of the day or month containing a time, in local time
+function periodStart(period, time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  if (period === "month") {
+    date.setDate(1);
+  }
+  return date.getTime();
+}
+
+function nextPeriodStart(period, start) {
+  const date = new Date(start);
+  if (period === "month") {
+    date.setMonth(date.getMonth() + 1);
+  } else {
+    date.setDate(date.getDate() + 1);
+  }
+  return date.getTime();
+}
+
+const fieldStatsStmt = db.prepare(`
+  SELECT j.key AS field, MIN(j.value) AS min, MAX(j.value) AS max,
+    AVG(j.value) AS mean, COUNT(*) AS count
+  FROM readings r, json_each(r.decoded_payload) j
+  WHERE r.device_id = @deviceId
+    AND r.received_at >= @from AND r.received_at < @to
+    AND r.decode_status = 'ok' AND j.type IN ('integer', 'real')
+  GROUP BY j.key
+  ORDER BY j.key
+`);
+const storedSummaryStmt = db.prepare(`
+  SELECT * FROM summaries
+  WHERE device_id = ? AND period = ? AND period_start = ?
+  ORDER BY field
+`);
+const deleteSummaryStmt = db.prepare(
+  "DELETE FROM summaries WHERE device_id = ? AND period = ? AND period_start = ?"
+);
+const insertSummaryStmt = db.prepare(`
+  INSERT INTO summaries
+    (device_id, period, period_start, field, min, max, mean, count, expected,
+     computed_at)
+  VALUES
+    (@deviceId, @period, @periodStart, @field, @min, @max, @mean, @count,
+     @expected, @computedAt)
+`);
+const devicesWithReadingsStmt = db.prepare(`
+  SELECT DISTINCT device_id AS deviceId FROM readings
+  WHERE received_at >= ? AND received_at < ? AND decode_status = 'ok'
+`);
+
+// Uplinks expected from a device between two times
+function expectedUplinks(deviceId, from, to) {
+  return Math.max(
+    1,
+    Math.round((to - from) / (expectedIntervalMinutes(deviceId) * 60 * 1000))
+  );
+}
+
+function toSummary(start, end, partial, expected, rows) {
+  const fields = {};
+  rows.forEach((row) => {
+    fields[row.field] = {
+      min: row.min,
+      max: row.max,
+      mean: row.mean,
+      count: row.count,
+      completeness: Math.min(1, row.count / expected),
+    };
+  });
+  return {
+    periodStart: new Date(start).toISOString(),
+    periodEnd: new Date(end).toISOString(),
+    partial,
+    expected,
+    fields,
+  };
+}
+
+// Compute a completed period from its readings and store it. Nothing is
+// stored if the device has no readings in it.
+function storeSummary(deviceId, period, start, now = Date.now()) {
+  const end = nextPeriodStart(period, start);
+  const expected = expectedUplinks(deviceId, start, end);
+  const rows = fieldStatsStmt.all({ deviceId, from: start, to: end });
+
+  db.transaction(() => {
+    deleteSummaryStmt.run(deviceId, period, start);
+    rows.forEach((row) =>
+      insertSummaryStmt.run({
+        ...row,
+        deviceId,
+        period,
+        periodStart: start,
+        expected,
+        computedAt: now,
+      })
+    );
+  })();
+  return toSummary(start, end, false, expected, rows);
+}
+
+// The summary of one period: stored if it has ended (computing and storing
+// it the first time), otherwise computed so far with `partial` set
+function summaryFor(deviceId, period, start, now = Date.now()) {
+  const end = nextPeriodStart(period, start);
+  if (end > now) {
+    const expected = expectedUplinks(deviceId, start, now);
+    const rows = fieldStatsStmt.all({ deviceId, from: start, to: now });
+    return toSummary(start, end, true, expected, rows);
+  }
+
+  const stored = storedSummaryStmt.all(deviceId, period, start);
+  if (stored.length > 0) {
+    return toSummary(start, end, false, stored[0].expected, stored);
+  }
+  return storeSummary(deviceId, period, start, now);
+}
+
+// Daily or monthly summaries for one device over a time range, oldest
+// first. Every period in the range is listed, with no fields if the device
+// sent nothing.
+function listSummaries({ device, period = "day", from, to }) {
+  if (!device) {
+    throw new HistoryQueryError("A device is required");
+  }
+  parsePeriod(period);
+
+  const now = Date.now();
+  const toTime = parseTime(to, now);
+  const fromTime = parseTime(
+    from,
+    period === "month" ? toTime - 365 * DAY : toTime - 30 * DAY
+  );
+  if (fromTime >= toTime) {
+    throw new HistoryQueryError("`from` must be before `to`");
+  }
+
+  const starts = [];
+  for (
+    let start = periodStart(period, fromTime);
+    start < toTime && start <= now;
+    start = nextPeriodStart(period, start)
+  ) {
+    if (starts.length === MAX_PERIODS[period]) {
+      throw new HistoryQueryError(
+        `Ranges are limited to ${MAX_PERIODS[period]} ${period}s`
+      );
+    }
+    starts.push(start);
+  }
+
+  return {
+    device,
+    period,
+    from: new Date(fromTime).toISOString(),
+    to: new Date(toTime).toISOString(),
+    summaries: starts.map((start) => summaryFor(device, period, start, now)),
+  };
+}
+
+// One field's statistics over several summaries: the overall min and max,
+// the mean weighted by readings, and completeness against every uplink
+// expected in them
+function combineSummaries(summaries, field) {
+  const entries = summaries
+    .map((summary) => summary.fields[field])
+    .filter(Boolean);
+  const count = entries.reduce((total, entry) => total + entry.count, 0);
+  const expected = summaries.reduce(
+    (total, summary) => total + summary.expected,
+    0
+  );
+
+  return {
+    min: entries.length ? Math.min(...entries.map((entry) => entry.min)) : null,
+    max: entries.length ? Math.max(...entries.map((entry) => entry.max)) : null,
+    mean: count
+      ? entries.reduce((total, entry) => total + entry.mean * entry.count, 0) /
+        count
+      : null,
+    count,
+    completeness: expected ? Math.min(1, count / expected) : 0,
+  };
+}
+
+// Recompute and store the most recent completed periods for every device
+// with readings in them. Periods older than the retention period are left
+// alone, as their readings may already have been pruned.
+function computeSummaries(now = Date.now()) {
+  const cutoff = RETENTION_DAYS > 0 ? now - RETENTION_DAYS * DAY : -Infinity;
+  let stored = 0;
+
+  Object.entries(RECOMPUTE_PERIODS).forEach(([period, count]) => {
+    let end = periodStart(period, now);
+    for (let i = 0; i < count; i++) {
+      const start = periodStart(period, end - 1);
+      if (start < cutoff) {
+        break;
+      }
+      devicesWithReadingsStmt.all(start, end).forEach(({ deviceId }) => {
+        storeSummary(deviceId, period, start, now);
+        stored++;
+      });
+      end = start;
+    }
+  });
+
+  if (stored > 0) {
+    console.log(`Updated ${stored} daily and monthly summaries`);
+  }
+  return stored;
+}
+
+function startSummaryJob() {
+  computeSummaries();
+  return setInterval(computeSummaries, SUMMARY_INTERVAL).unref();
+}
+
+module.exports = {
+  PERIODS,
+  periodStart,
+  nextPeriodStart,
+  listSummaries,
+  combineSummaries,
+  computeSummaries,
+  startSummaryJob,
+};
@@ -0,0 +1,167 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the test's rules and readings out of the real database
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "reef-test-"));
+process.env.DB_PATH = path.join(dataDir, "readings.db");
+
+const { db } = require("../db");
+const {
+  AlertRuleError,
+  createRule,
+  updateRule,
+  evaluateAlerts,
+  listActiveAlerts,
+} = require("../alerts");
+
+const START = Date.parse("2026-01-01T00:00:00Z");
+const HOUR = 60 * 60 * 1000;
+
+after(() => {
+  db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const insertReading = db.prepare(`
+  INSERT INTO readings (device_id, received_at, decoded_payload, message)
+  VALUES (?, ?, ?, '{}')
+`);
+
+// Store a reading and evaluate the rules against it, returning the states
+// of the events it caused
+const evaluate = (deviceId, receivedAt, payload) => {
+  const events = evaluateAlerts(deviceId, receivedAt, payload);
+  insertReading.run(deviceId, receivedAt, JSON.stringify(payload));
+  return events.map((event) => event.state);
+};
+
+test("invalid rules are rejected", () => {
+  const rule = { name: "Hot", field: "WaterT1", operator: ">", threshold: 25 };
+  assert.throws(() => createRule({ ...rule, name: " " }), AlertRuleError);
+  assert.throws(() => createRule({ ...rule, field: "a.b" }), AlertRuleError);
+  assert.throws(() => createRule({ ...rule, operator: "=" }), AlertRuleError);
+  assert.throws(() => createRule({ ...rule, threshold: "x" }), AlertRuleError);
+  assert.throws(() => createRule({ ...rule, type: "change" }), AlertRuleError);
+  assert.throws(() => createRule({ ...rule, consecutive: 0 }), AlertRuleError);
+  assert.throws(() => createRule({ ...rule, hysteresis: -1 }), AlertRuleError);
+  assert.throws(
+    () => createRule({ ...rule, notifyWebhook: "ftp://example.com" }),
+    AlertRuleError
+  );
+});
+
+test("threshold rules trigger once and resolve past the hysteresis", () => {
+  createRule({
+    name: "Warm water",
+    deviceId: "threshold",
+    field: "WaterT1",
+    operator: ">",
+    threshold: 25,
+    hysteresis: 1,
+  });
+
+  assert.deepStrictEqual(evaluate("threshold", START, { WaterT1: 24 }), []);
+  assert.deepStrictEqual(evaluate("threshold", START + 1, { WaterT1: 26 }), [
+    "triggered",
+  ]);
+  assert.deepStrictEqual(evaluate("threshold", START + 2, { WaterT1: 27 }), []);
+  // Back under the threshold but inside the hysteresis margin
+  assert.deepStrictEqual(
+    evaluate("threshold", START + 3, { WaterT1: 24.5 }),
+    []
+  );
+  assert.deepStrictEqual(
+    listActiveAlerts().map((alert) => alert.deviceId),
+    ["threshold"]
+  );
+  assert.deepStrictEqual(evaluate("threshold", START + 4, { WaterT1: 24 }), [
+    "resolved",
+  ]);
+  assert.deepStrictEqual(listActiveAlerts(), []);
+});
+
+test("rules only apply to their own device and field", () => {
+  assert.deepStrictEqual(evaluate("other", START, { WaterT1: 30 }), []);
+  assert.deepStrictEqual(evaluate("threshold", START + 5, { Temp: 30 }), []);
+});
+
+test("consecutive counts need that many breaches in a row", () => {
+  const rule = createRule({
+    name: "Low oxygen",
+    deviceId: "consecutive",
+    field: "DO",
+    operator: "<",
+    threshold: 4,
+    consecutive: 3,
+  });
+
+  assert.deepStrictEqual(evaluate("consecutive", START, { DO: 3 }), []);
+  assert.deepStrictEqual(evaluate("consecutive", START + 1, { DO: 3 }), []);
+  // A good reading starts the count again
+  assert.deepStrictEqual(evaluate("consecutive", START + 2, { DO: 5 }), []);
+  assert.deepStrictEqual(evaluate("consecutive", START + 3, { DO: 3 }), []);
+  assert.deepStrictEqual(evaluate("consecutive", START + 4, { DO: 3 }), []);
+  assert.deepStrictEqual(evaluate("consecutive", START + 5, { DO: 3 }), [
+    "triggered",
+  ]);
+
+  // Editing the rule starts it again from scratch
+  updateRule(rule.id, { ...rule, consecutive: 1 });
+  assert.deepStrictEqual(listActiveAlerts(), []);
+  assert.deepStrictEqual(evaluate("consecutive", START + 6, { DO: 3 }), [
+    "triggered",
+  ]);
+});
+
+test("rate rules compare the change per hour", () => {
+  createRule({
+    name: "Pressure falling",
+    deviceId: "rate",
+    field: "Pressure",
+    type: "rate",
+    operator: "<=",
+    threshold: -3,
+  });
+
+  // No previous reading to compare with yet
+  assert.deepStrictEqual(evaluate("rate", START, { Pressure: 1010 }), []);
+  assert.deepStrictEqual(
+    evaluate("rate", START + HOUR, { Pressure: 1008 }),
+    []
+  );
+  // -4 hPa over half an hour is -8 hPa/h
+  assert.deepStrictEqual(
+    evaluate("rate", START + 1.5 * HOUR, { Pressure: 1004 }),
+    ["triggered"]
+  );
+});
+
+test("change rules compare against the start of the window", () => {
+  createRule({
+    name: "Temperature jump",
+    deviceId: "change",
+    field: "WaterT1",
+    type: "change",
+    operator: ">=",
+    threshold: 2,
+    windowMinutes: 60,
+  });
+
+  assert.deepStrictEqual(evaluate("change", START, { WaterT1: 15 }), []);
+  assert.deepStrictEqual(
+    evaluate("change", START + HOUR / 2, { WaterT1: 16 }),
+    []
+  );
+  assert.deepStrictEqual(
+    evaluate("change", START + HOUR - 1, { WaterT1: 17 }),
+    ["triggered"]
+  );
+  // Half an hour later the window starts at 16
+  assert.deepStrictEqual(
+    evaluate("change", START + 1.5 * HOUR, { WaterT1: 17 }),
+    ["resolved"]
+  );
+});
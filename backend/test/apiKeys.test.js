@@ -0,0 +1,108 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+
+// Keep the test's keys out of the real database
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "reef-test-"));
+process.env.DB_PATH = path.join(dataDir, "readings.db");
+
+const {
+  DEFAULT_RATE_LIMIT,
+  ApiKeyError,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+  getApiKey,
+  apiKeyUsage,
+  requireApiKey,
+} = require("../apiKeys");
+
+let server;
+let url;
+
+before(async () => {
+  const app = express();
+  app.get("/api/v1/ping", requireApiKey, (req, res) =>
+    res.json({ key: req.apiKey.name })
+  );
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  url = `http://127.0.0.1:${server.address().port}/api/v1/ping`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const ping = (key) => fetch(url, { headers: key ? { "X-API-Key": key } : {} });
+
+test("keys are validated", () => {
+  assert.throws(() => createApiKey({ name: " " }), ApiKeyError);
+  assert.throws(() => createApiKey({ name: "x".repeat(101) }), ApiKeyError);
+  [0, 1.5, "lots", 10001].forEach((rateLimit) =>
+    assert.throws(
+      () => createApiKey({ name: "Partner", rateLimit }),
+      ApiKeyError
+    )
+  );
+
+  const { key, apiKey } = createApiKey({ name: " Partner ", rateLimit: "" });
+  assert.match(key, /^reef_/);
+  assert.ok(key.startsWith(apiKey.prefix));
+  assert.strictEqual(apiKey.name, "Partner");
+  assert.strictEqual(apiKey.rateLimit, null);
+  assert.strictEqual(apiKey.effectiveRateLimit, DEFAULT_RATE_LIMIT);
+  assert.strictEqual(updateApiKey(999, { name: "Nobody" }), null);
+});
+
+test("requests need a current key", async () => {
+  const missing = await ping();
+  assert.strictEqual(missing.status, 401);
+  assert.strictEqual((await missing.json()).error, "An API key is required");
+
+  assert.strictEqual((await ping("reef_not-a-key")).status, 401);
+
+  const { key, apiKey } = createApiKey({ name: "Revoked" });
+  assert.strictEqual((await ping(key)).status, 200);
+  assert.strictEqual(revokeApiKey(apiKey.id), true);
+  assert.strictEqual((await ping(key)).status, 401);
+  assert.strictEqual(revokeApiKey(999), false);
+});
+
+test("each key is limited to its requests a minute", async () => {
+  const { key, apiKey } = createApiKey({ name: "Limited", rateLimit: 2 });
+  const other = createApiKey({ name: "Other", rateLimit: 2 });
+
+  const first = await ping(key);
+  assert.strictEqual(first.status, 200);
+  assert.deepStrictEqual(await first.json(), { key: "Limited" });
+  assert.strictEqual(first.headers.get("X-RateLimit-Limit"), "2");
+  assert.strictEqual(first.headers.get("X-RateLimit-Remaining"), "1");
+
+  assert.strictEqual((await ping(key)).status, 200);
+  const limited = await ping(key);
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(limited.headers.get("X-RateLimit-Remaining"), "0");
+  assert.ok(Number(limited.headers.get("Retry-After")) <= 60);
+
+  // Other keys have their own limit
+  assert.strictEqual((await ping(other.key)).status, 200);
+
+  // Raising the limit applies straight away
+  updateApiKey(apiKey.id, { name: "Limited", rateLimit: 10 });
+  assert.strictEqual((await ping(key)).status, 200);
+
+  const [today] = apiKeyUsage(apiKey.id);
+  assert.strictEqual(today.date, new Date().toISOString().slice(0, 10));
+  assert.strictEqual(today.requests, 4);
+  assert.strictEqual(today.limited, 1);
+
+  const record = getApiKey(apiKey.id);
+  assert.strictEqual(record.requestsToday, 4);
+  assert.strictEqual(record.requestsLast30Days, 4);
+  assert.ok(record.lastUsedAt);
+});
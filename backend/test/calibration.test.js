@@ -0,0 +1,173 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the test's calibrations and readings out of the real database
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "reef-test-"));
+process.env.DB_PATH = path.join(dataDir, "readings.db");
+
+const { db } = require("../db");
+const {
+  CalibrationError,
+  applyCalibration,
+  createCalibration,
+  updateCalibration,
+  deleteCalibration,
+} = require("../calibration");
+
+const START = Date.parse("2026-01-01T00:00:00Z");
+const DAY = 24 * 60 * 60 * 1000;
+
+after(() => {
+  db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const insertReading = db.prepare(`
+  INSERT INTO readings
+    (device_id, received_at, decoded_payload, raw_payload, qc, message)
+  VALUES (@deviceId, @receivedAt, @fields, @rawFields, @qc, '{}')
+`);
+const storedStmt = db.prepare(`
+  SELECT decoded_payload, raw_payload, qc FROM readings
+  WHERE device_id = ? ORDER BY received_at
+`);
+
+const store = (deviceId, receivedAt, fields, { rawFields, qc } = {}) =>
+  insertReading.run({
+    deviceId,
+    receivedAt,
+    fields: JSON.stringify(fields),
+    rawFields: rawFields ? JSON.stringify(rawFields) : null,
+    qc: qc ? JSON.stringify(qc) : null,
+  });
+
+const storedFields = (deviceId) =>
+  storedStmt.all(deviceId).map((row) => JSON.parse(row.decoded_payload));
+
+test("invalid calibrations are rejected", () => {
+  const calibration = {
+    deviceId: "buoy",
+    field: "pH",
+    effectiveFrom: "2026-01-01T00:00:00Z",
+  };
+  [
+    { deviceId: "" },
+    { field: "p H" },
+    { offset: "x" },
+    { scale: 0 },
+    { effectiveFrom: "someday" },
+  ].forEach((change) =>
+    assert.throws(
+      () => createCalibration({ ...calibration, ...change }),
+      CalibrationError
+    )
+  );
+});
+
+test("the calibration in effect at the reading's time is applied", () => {
+  createCalibration({
+    deviceId: "apply",
+    field: "pH",
+    offset: 0.1,
+    effectiveFrom: new Date(START).toISOString(),
+  });
+  createCalibration({
+    deviceId: "apply",
+    field: "pH",
+    scale: 2,
+    offset: -8,
+    effectiveFrom: new Date(START + DAY).toISOString(),
+  });
+
+  const reading = (receivedAt) => ({
+    deviceId: "apply",
+    receivedAt: new Date(receivedAt).toISOString(),
+    fields: { pH: 8.1, DO: 7 },
+  });
+  assert.deepStrictEqual(applyCalibration(reading(START - 1)).fields, {
+    pH: 8.1,
+    DO: 7,
+  });
+  assert.deepStrictEqual(applyCalibration(reading(START)).fields, {
+    pH: 8.2,
+    DO: 7,
+  });
+  const calibrated = applyCalibration(reading(START + 2 * DAY));
+  assert.deepStrictEqual(calibrated.fields, { pH: 8.2, DO: 7 });
+  assert.deepStrictEqual(calibrated.rawFields, { pH: 8.1, DO: 7 });
+});
+
+test("stored readings are recomputed from the effective date", () => {
+  store("recompute", START - DAY, { TDS: 100 });
+  store("recompute", START, { TDS: 200 });
+  store("recompute", START + DAY, { TDS: 300, DO: 6 });
+
+  const { calibration, recomputed } = createCalibration({
+    deviceId: "recompute",
+    field: "TDS",
+    scale: 1.1,
+    effectiveFrom: new Date(START).toISOString(),
+  });
+  assert.strictEqual(recomputed, 2);
+  assert.deepStrictEqual(storedFields("recompute"), [
+    { TDS: 100 },
+    { TDS: 220 },
+    { TDS: 330, DO: 6 },
+  ]);
+
+  // Recomputing starts from the raw values, not the calibrated ones
+  updateCalibration(calibration.id, {
+    deviceId: "recompute",
+    field: "TDS",
+    scale: 0.5,
+    effectiveFrom: new Date(START + DAY).toISOString(),
+  });
+  assert.deepStrictEqual(storedFields("recompute"), [
+    { TDS: 100 },
+    { TDS: 200 },
+    { TDS: 150, DO: 6 },
+  ]);
+
+  deleteCalibration(calibration.id);
+  assert.deepStrictEqual(storedFields("recompute"), [
+    { TDS: 100 },
+    { TDS: 200 },
+    { TDS: 300, DO: 6 },
+  ]);
+});
+
+test("flagged values are recomputed in their qc entry", () => {
+  store(
+    "flagged",
+    START,
+    {},
+    {
+      rawFields: { WaterT1: 80 },
+      qc: { WaterT1: { value: 80, flag: "fail", check: "range" } },
+    }
+  );
+
+  createCalibration({
+    deviceId: "flagged",
+    field: "WaterT1",
+    offset: -1,
+    effectiveFrom: new Date(START).toISOString(),
+  });
+  const [row] = storedStmt.all("flagged");
+  assert.deepStrictEqual(JSON.parse(row.decoded_payload), {});
+  assert.strictEqual(JSON.parse(row.qc).WaterT1.value, 79);
+  assert.deepStrictEqual(JSON.parse(row.raw_payload), { WaterT1: 80 });
+});
+
+test("changes to calibrations that don't exist return null", () => {
+  const calibration = {
+    deviceId: "buoy",
+    field: "pH",
+    effectiveFrom: "2026-01-01T00:00:00Z",
+  };
+  assert.strictEqual(updateCalibration(999, calibration), null);
+  assert.strictEqual(deleteCalibration(999), null);
+});
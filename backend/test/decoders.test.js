@@ -0,0 +1,169 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { DecoderError, decodeUplink, validateDecoder } = require("../decoders");
+
+// A TTN uplink message carrying raw bytes, or TTN's decoded_payload
+const uplink = ({ bytes, decodedPayload, deviceId = "buoy", fPort = 1 }) => ({
+  end_device_ids: { device_id: deviceId },
+  received_at: "2026-01-01T00:00:00Z",
+  uplink_message: {
+    f_cnt: 7,
+    f_port: fPort,
+    frm_payload: bytes ? Buffer.from(bytes).toString("base64") : undefined,
+    decoded_payload: decodedPayload,
+  },
+});
+
+test("TTN's decoded_payload is renamed to canonical fields", () => {
+  const reading = decodeUplink(
+    uplink({
+      decodedPayload: {
+        temperature: 21.5,
+        relative_humidity: "60",
+        WaterT1: 17.2,
+        label: "buoy",
+        gps: { latitude: -37.99 },
+      },
+    })
+  );
+  assert.strictEqual(reading.status, "ok");
+  assert.strictEqual(reading.decoder, "ttn");
+  assert.deepStrictEqual(reading.fields, {
+    Temp: 21.5,
+    Humidity: 60,
+    WaterT1: 17.2,
+    gps_latitude: -37.99,
+  });
+});
+
+test("an uplink with no decoded_payload and no decoder fails", () => {
+  const reading = decodeUplink(uplink({ bytes: [1, 2] }));
+  assert.strictEqual(reading.status, "failed");
+  assert.match(reading.error, /no decoded_payload/);
+});
+
+test("Cayenne LPP values are decoded and mapped", () => {
+  // Channel 3 temperature 23.5 °C, channel 1 humidity 60%
+  const reading = decodeUplink(
+    uplink({ bytes: [3, 103, 0, 235, 1, 104, 120] }),
+    validateDecoder({
+      type: "cayenne",
+      fieldMap: { temperature_3: "WaterT1", humidity_1: "Humidity" },
+    })
+  );
+  assert.deepStrictEqual(reading.fields, { WaterT1: 23.5, Humidity: 60 });
+});
+
+test("a truncated Cayenne LPP payload fails the reading", () => {
+  const reading = decodeUplink(
+    uplink({ bytes: [3, 103, 0] }),
+    validateDecoder({ type: "cayenne" })
+  );
+  assert.strictEqual(reading.status, "failed");
+  assert.match(reading.error, /ends inside temperature/);
+});
+
+test("byte layouts are decoded with scale, endianness and units", () => {
+  const decoder = validateDecoder({
+    type: "layout",
+    layout: [
+      { field: "WaterT1", type: "int16", scale: 0.01 },
+      {
+        field: "Pressure",
+        type: "uint16",
+        endian: "little",
+        unit: "kPa",
+        scale: 0.1,
+      },
+      { field: "air_f", type: "int8" },
+    ],
+    units: { air_f: "°F" },
+    fieldMap: { air_f: "Temp" },
+  });
+  // -1.5 °C, 101.3 kPa (1013 little endian), 50 °F
+  const reading = decodeUplink(
+    uplink({ bytes: [0xff, 0x6a, 0xf5, 0x03, 50] }),
+    decoder
+  );
+  assert.deepStrictEqual(reading.fields, {
+    WaterT1: -1.5,
+    Pressure: 1013,
+    Temp: 10,
+  });
+});
+
+test("invalid decoders are rejected", () => {
+  assert.strictEqual(validateDecoder(null), null);
+  assert.throws(() => validateDecoder({ type: "morse" }), DecoderError);
+  assert.throws(
+    () => validateDecoder({ type: "layout", layout: [] }),
+    DecoderError
+  );
+  assert.throws(
+    () => validateDecoder({ type: "script", script: "function (" }),
+    DecoderError
+  );
+  assert.throws(
+    () => validateDecoder({ type: "cayenne", units: { WaterT1: "furlongs" } }),
+    /Can't convert WaterT1 from furlongs/
+  );
+});
+
+test("script decoders run TTN v3 and v2 formatters", () => {
+  const v3 = validateDecoder({
+    type: "script",
+    script:
+      "function decodeUplink(input) { return { data: { WaterT1: input.bytes[0] / 10, port: input.fPort } }; }",
+  });
+  assert.deepStrictEqual(
+    decodeUplink(uplink({ bytes: [172], fPort: 2 }), v3).fields,
+    { WaterT1: 17.2, port: 2 }
+  );
+
+  const v2 = validateDecoder({
+    type: "script",
+    script: "function Decoder(bytes, port) { return { tds: bytes[0] * 2 }; }",
+  });
+  assert.deepStrictEqual(decodeUplink(uplink({ bytes: [100] }), v2).fields, {
+    TDS: 200,
+  });
+});
+
+test("script decoder errors and runaway scripts fail the reading", () => {
+  const failing = validateDecoder({
+    type: "script",
+    script:
+      "function decodeUplink() { return { errors: ['bad battery byte'] }; }",
+  });
+  const reading = decodeUplink(uplink({ bytes: [1] }), failing);
+  assert.strictEqual(reading.status, "failed");
+  assert.strictEqual(reading.error, "bad battery byte");
+
+  const looping = validateDecoder({
+    type: "script",
+    script: "function decodeUplink() { for (;;) {} }",
+  });
+  assert.strictEqual(
+    decodeUplink(uplink({ bytes: [1], deviceId: "loop" }), looping).status,
+    "failed"
+  );
+});
+
+test("editing a device's script decoder takes effect straight away", () => {
+  const script = (scale) =>
+    validateDecoder({
+      type: "script",
+      script: `function decodeUplink(input) { return { data: { WaterT1: input.bytes[0] * ${scale} } }; }`,
+    });
+  const message = uplink({ bytes: [10], deviceId: "edited" });
+
+  assert.strictEqual(decodeUplink(message, script(1)).fields.WaterT1, 10);
+  assert.strictEqual(decodeUplink(message, script(2)).fields.WaterT1, 20);
+  // Another device with the first script still gets its own result
+  assert.strictEqual(
+    decodeUplink(uplink({ bytes: [10], deviceId: "other" }), script(1)).fields
+      .WaterT1,
+    10
+  );
+  assert.strictEqual(decodeUplink(message, script(2)).fields.WaterT1, 20);
+});
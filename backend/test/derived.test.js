@@ -0,0 +1,112 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the test's readings out of the real database
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "reef-test-"));
+process.env.DB_PATH = path.join(dataDir, "readings.db");
+process.env.BLEACHING_BASELINE_MMM = "28";
+
+const { db } = require("../db");
+const { deriveMetrics } = require("../derived");
+
+const START = Date.parse("2026-01-01T00:00:00Z");
+const HOUR = 60 * 60 * 1000;
+
+after(() => {
+  db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const insertReading = db.prepare(`
+  INSERT INTO readings (device_id, received_at, decoded_payload, message)
+  VALUES (?, ?, ?, '{}')
+`);
+
+// The device's derived metrics by key, after storing its readings
+const metricsFor = (deviceId, readings) => {
+  readings.forEach(([receivedAt, fields]) =>
+    insertReading.run(deviceId, receivedAt, JSON.stringify(fields))
+  );
+  return Object.fromEntries(
+    deriveMetrics(deviceId).metrics.map((metric) => [metric.key, metric])
+  );
+};
+
+test("devices with no readings have no metrics", () => {
+  assert.strictEqual(deriveMetrics("nothing"), null);
+  assert.deepStrictEqual(
+    metricsFor("battery", [[START, { Battery: 3.9 }]]),
+    {}
+  );
+});
+
+test("dew point and heat index come from temperature and humidity", () => {
+  const mild = metricsFor("mild", [[START, { Temp: 20, Humidity: 50 }]]);
+  assert.strictEqual(mild.dewPoint.value, 9.3);
+  // Below 80 °F the simple formula is used
+  assert.strictEqual(mild.heatIndex.value, 19.4);
+
+  // NOAA's table gives 106 °F for 90 °F at 70%
+  const hot = metricsFor("hot", [[START, { Temp: 32.2, Humidity: 70 }]]);
+  assert.ok(Math.abs(hot.heatIndex.value - 41.1) <= 0.2);
+
+  // No dew point for dry air, where the formula has no answer
+  const dry = metricsFor("dry", [[START, { Temp: 20, Humidity: 0 }]]);
+  assert.strictEqual(dry.dewPoint, undefined);
+  assert.ok(dry.heatIndex);
+});
+
+test("stratification is surface minus deep water temperature", () => {
+  const metrics = metricsFor("layers", [
+    [START, { WaterT1: 22.25, WaterT2: 20.5 }],
+  ]);
+  assert.strictEqual(metrics.stratification.value, 1.75);
+});
+
+test("pressure tendency compares with about three hours earlier", () => {
+  const metrics = metricsFor("barometer", [
+    [START, { Pressure: 1015 }],
+    [START + 3.2 * HOUR, { Pressure: 1014 }],
+    [START + 6 * HOUR, { Pressure: 1012.5 }],
+  ]);
+  assert.strictEqual(metrics.pressureTendency.value, -1.5);
+  assert.strictEqual(metrics.pressureTendency.detail, "falling slowly");
+
+  // Nothing within half an hour of three hours ago
+  const gap = metricsFor("gap", [
+    [START, { Pressure: 1015 }],
+    [START + 4 * HOUR, { Pressure: 1010 }],
+  ]);
+  assert.strictEqual(gap.pressureTendency, undefined);
+});
+
+test("salinity is estimated from TDS and water temperature", () => {
+  // PSS-78's reference: 42.914 mS/cm at 15 °C is salinity 35
+  const tds = (42914 / (1 + 0.02 * (15 - 25))) * 0.5;
+  const metrics = metricsFor("estuary", [[START, { TDS: tds, WaterT2: 15 }]]);
+  assert.strictEqual(metrics.conductivity.value, 42914);
+  assert.strictEqual(metrics.salinity.value, 35);
+  assert.strictEqual(metrics.salinity.detail, "From TDS and water temperature");
+
+  const fresh = metricsFor("river", [[START, { TDS: 100, WaterT1: 15 }]]);
+  assert.match(fresh.salinity.detail, /Outside the PSS-78 range/);
+});
+
+test("degree heating weeks add up days at least 1 °C over the baseline", () => {
+  const readings = [];
+  for (let day = 0; day < 14; day++) {
+    // A week at the baseline, then a week 2 °C above it
+    const sst = day < 7 ? 28 : 30;
+    for (let i = 0; i < 4; i++) {
+      readings.push([START + day * 24 * HOUR + i * HOUR, { WaterT1: sst }]);
+    }
+  }
+  // Too few readings for this day to count
+  readings.push([START + 14 * 24 * HOUR, { WaterT1: 35 }]);
+  const metrics = metricsFor("reef", readings);
+  assert.strictEqual(metrics.degreeHeatingWeeks.value, 2);
+  assert.strictEqual(metrics.degreeHeatingWeeks.status, "Bleaching warning");
+});
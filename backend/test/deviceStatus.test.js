@@ -0,0 +1,108 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the test's devices out of the real database
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "reef-test-"));
+process.env.DB_PATH = path.join(dataDir, "readings.db");
+process.env.DEVICE_UPLINK_INTERVALS = "slow:60, tidal: 20, broken, fast:abc";
+
+const { db } = require("../db");
+const { createDevice } = require("../devices");
+const {
+  deviceStatusEvents,
+  markDeviceSeen,
+  getDeviceStatus,
+  listDeviceStatuses,
+  expectedIntervalMinutes,
+  startDeviceStatusMonitor,
+} = require("../deviceStatus");
+
+const MINUTE = 60 * 1000;
+
+after(() => {
+  db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Status changes emitted while running `fn`
+const changesDuring = (fn) => {
+  const changes = [];
+  const listener = (change) => changes.push(change);
+  deviceStatusEvents.on("change", listener);
+  fn();
+  deviceStatusEvents.off("change", listener);
+  return changes;
+};
+
+test("expected intervals come from the registry, then .env", () => {
+  createDevice({
+    deviceId: "slow",
+    displayName: "Slow buoy",
+    type: "buoy",
+    uplinkIntervalMinutes: 30,
+  });
+  assert.strictEqual(expectedIntervalMinutes("slow"), 30);
+  assert.strictEqual(expectedIntervalMinutes("tidal"), 20);
+  assert.strictEqual(expectedIntervalMinutes("broken"), 10);
+  assert.strictEqual(expectedIntervalMinutes("fast"), 10);
+  assert.strictEqual(expectedIntervalMinutes("unknown"), 10);
+});
+
+test("devices are stale after missing three expected uplinks", () => {
+  markDeviceSeen("recent", Date.now() - 29 * MINUTE);
+  assert.strictEqual(getDeviceStatus("recent").status, "online");
+
+  markDeviceSeen("quiet", Date.now() - 31 * MINUTE);
+  const status = getDeviceStatus("quiet");
+  assert.strictEqual(status.status, "stale");
+  assert.strictEqual(status.expectedIntervalMinutes, 10);
+
+  // The registry's interval gives the slow buoy longer
+  markDeviceSeen("slow", Date.now() - 60 * MINUTE);
+  assert.strictEqual(getDeviceStatus("slow").status, "online");
+  assert.strictEqual(getDeviceStatus("never"), null);
+});
+
+test("changes are emitted when a device comes back", () => {
+  markDeviceSeen("returning", Date.now() - 60 * MINUTE);
+  const changes = changesDuring(() => markDeviceSeen("returning", Date.now()));
+  assert.deepStrictEqual(
+    changes.map(({ deviceId, status }) => ({ deviceId, status })),
+    [{ deviceId: "returning", status: "online" }]
+  );
+
+  // Seeing it again changes nothing
+  assert.deepStrictEqual(
+    changesDuring(() => markDeviceSeen("returning", Date.now())),
+    []
+  );
+});
+
+test("older uplinks don't move the last seen time back", () => {
+  const seen = Date.now();
+  markDeviceSeen("backfilled", seen);
+  const changes = changesDuring(() =>
+    markDeviceSeen("backfilled", seen - 120 * MINUTE)
+  );
+  assert.deepStrictEqual(changes, []);
+  assert.strictEqual(
+    getDeviceStatus("backfilled").lastSeen,
+    new Date(seen).toISOString()
+  );
+});
+
+test("the monitor picks up devices from stored readings", () => {
+  db.prepare(
+    `INSERT INTO readings (device_id, received_at, decoded_payload, message)
+     VALUES ('stored', ?, '{}', '{}')`
+  ).run(Date.now() - 120 * MINUTE);
+
+  clearInterval(startDeviceStatusMonitor());
+  assert.strictEqual(getDeviceStatus("stored").status, "stale");
+  assert.ok(
+    listDeviceStatuses().some((status) => status.deviceId === "stored")
+  );
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+
+// Keep the test's devices out of the real database
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "reef-test-"));
+process.env.DB_PATH = path.join(dataDir, "readings.db");
+
+const {
+  createDevice,
+  getDevice,
+  seedDevicesFromConfig,
+} = require("../devices");
+const { createUser, login } = require("../auth");
+const devicesRouter = require("../routes/devices");
+
+const SCRIPT = "function decodeUplink(input) { return { data: {} }; }";
+
+let server;
+let url;
+let token;
+
+before(async () => {
+  createDevice({
+    deviceId: "script-buoy",
+    displayName: "Script buoy",
+    type: "buoy",
+    decoder: { type: "script", script: SCRIPT },
+  });
+  createUser({ username: "admin", password: "correct horse battery" });
+  ({ token } = login(
+    { username: "admin", password: "correct horse battery" },
+    "127.0.0.1"
+  ));
+
+  const app = express();
+  app.use("/api/devices", devicesRouter);
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  url = `http://127.0.0.1:${server.address().port}/api/devices`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("the public registry leaves out decoders", async () => {
+  const devices = await (await fetch(url)).json();
+  assert.strictEqual(devices.length, 1);
+  assert.strictEqual(devices[0].deviceId, "script-buoy");
+  assert.ok(!("decoder" in devices[0]));
+
+  const device = await (await fetch(`${url}/script-buoy`)).json();
+  assert.strictEqual(device.displayName, "Script buoy");
+  assert.ok(!("decoder" in device));
+});
+
+test("admins see decoders", async () => {
+  const headers = { Authorization: `Bearer ${token}` };
+  const [listed] = await (await fetch(url, { headers })).json();
+  assert.deepStrictEqual(listed.decoder, { type: "script", script: SCRIPT });
+
+  const device = await (await fetch(`${url}/script-buoy`, { headers })).json();
+  assert.strictEqual(device.decoder.script, SCRIPT);
+});
+
+test("an invalid session token gets the public view", async () => {
+  const headers = { Authorization: "Bearer not-a-session" };
+  const device = await (await fetch(`${url}/script-buoy`, { headers })).json();
+  assert.ok(!("decoder" in device));
+});
+
+test("a bad device id in .env is skipped, not fatal", () => {
+  assert.doesNotThrow(() =>
+    seedDevicesFromConfig({
+      buoyDeviceID: "not a valid id!",
+      weatherStationDeviceId: "weather-1",
+    })
+  );
+  assert.strictEqual(getDevice("weather-1").type, "weather");
+  assert.strictEqual(getDevice("not a valid id!"), null);
+});
@@ -0,0 +1,171 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+
+// Keep the test's readings out of the real database
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "reef-test-"));
+process.env.DB_PATH = path.join(dataDir, "readings.db");
+
+const { db } = require("../db");
+const { createDevice } = require("../devices");
+const { HistoryQueryError } = require("../history");
+const { prepareExport, writeExport } = require("../export");
+
+const START = Date.parse("2026-01-01T00:00:00Z");
+// More than one chunk
+const READINGS = 2500;
+
+before(() => {
+  createDevice({
+    deviceId: "export-buoy",
+    displayName: "Export buoy",
+    type: "other",
+    sensors: [{ field: "WaterT1" }, { field: "DO", label: "Oxygen" }],
+  });
+
+  const insert = db.prepare(`
+    INSERT INTO readings
+      (device_id, received_at, decoded_payload, raw_payload, message)
+    VALUES ('export-buoy', ?, ?, ?, '{}')
+  `);
+  db.transaction(() => {
+    for (let i = 0; i < READINGS; i++) {
+      insert.run(
+        START + i * 60000,
+        JSON.stringify({
+          WaterT1: (2000 + i) / 100,
+          DO: 7,
+          Note: 'say "hi", ok',
+        }),
+        JSON.stringify({ WaterT1: (1900 + i) / 100, DO: 7 })
+      );
+    }
+  })();
+});
+
+after(() => {
+  db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Run an export and return the lines written
+const exportLines = async (query) => {
+  const stream = new PassThrough();
+  let text = "";
+  stream.on("data", (chunk) => (text += chunk));
+  const total = await writeExport(prepareExport(query), stream);
+  stream.end();
+  return { total, lines: text.split("\n").slice(0, -1) };
+};
+
+test("export requests are validated", () => {
+  const query = { device: "export-buoy", from: String(START) };
+  assert.throws(
+    () => prepareExport({ ...query, device: "" }),
+    HistoryQueryError
+  );
+  assert.throws(
+    () => prepareExport({ ...query, format: "xlsx" }),
+    HistoryQueryError
+  );
+  assert.throws(
+    () => prepareExport({ ...query, values: "smoothed" }),
+    HistoryQueryError
+  );
+  assert.throws(
+    () => prepareExport({ ...query, to: String(START - 1) }),
+    HistoryQueryError
+  );
+  // Unregistered devices have no sensors to default to
+  assert.throws(() => prepareExport({ device: "unknown" }), HistoryQueryError);
+});
+
+test("exports default to the device's sensors and the last week", () => {
+  const now = Date.now();
+  const request = prepareExport({ device: "export-buoy" });
+  assert.deepStrictEqual(request.columns, [
+    { field: "WaterT1", label: "Water Temperature Surface", unit: "°C" },
+    { field: "DO", label: "Oxygen", unit: "mg/L" },
+  ]);
+  assert.strictEqual(request.format, "csv");
+  assert.ok(request.to >= now);
+  assert.strictEqual(request.to - request.from, 7 * 24 * 60 * 60 * 1000);
+});
+
+test("CSV exports stream every reading in the range", async () => {
+  const { total, lines } = await exportLines({
+    device: "export-buoy",
+    from: String(START),
+    to: String(START + READINGS * 60000),
+  });
+  assert.strictEqual(total, READINGS);
+  assert.strictEqual(lines.length, READINGS + 1);
+  assert.strictEqual(
+    lines[0],
+    "\ufeffreceived_at,device_id,WaterT1 (°C),DO (mg/L)"
+  );
+  assert.strictEqual(lines[1], "2026-01-01T00:00:00.000Z,export-buoy,20,7");
+  assert.strictEqual(
+    lines[READINGS],
+    "2026-01-02T17:39:00.000Z,export-buoy,44.99,7"
+  );
+});
+
+test("CSV values are escaped", async () => {
+  const { lines } = await exportLines({
+    device: "export-buoy",
+    fields: "Note",
+    from: String(START),
+    to: String(START + 1),
+  });
+  assert.deepStrictEqual(lines, [
+    "\ufeffreceived_at,device_id,Note",
+    '2026-01-01T00:00:00.000Z,export-buoy,"say ""hi"", ok"',
+  ]);
+});
+
+test("NDJSON exports start with a meta line and can use raw values", async () => {
+  const { total, lines } = await exportLines({
+    device: "export-buoy",
+    fields: "WaterT1",
+    from: String(START),
+    to: String(START + 2 * 60000),
+    format: "ndjson",
+    values: "raw",
+  });
+  assert.strictEqual(total, 2);
+  assert.deepStrictEqual(
+    lines.map((line) => JSON.parse(line)),
+    [
+      {
+        type: "meta",
+        device_id: "export-buoy",
+        values: "raw",
+        fields: [
+          { field: "WaterT1", label: "Water Temperature Surface", unit: "°C" },
+        ],
+      },
+      { type: "reading", received_at: "2026-01-01T00:00:00.000Z", WaterT1: 19 },
+      {
+        type: "reading",
+        received_at: "2026-01-01T00:01:00.000Z",
+        WaterT1: 19.01,
+      },
+    ]
+  );
+});
+
+test("exports stop when the stream is destroyed", async () => {
+  const stream = new PassThrough({ highWaterMark: 1024 });
+  const request = prepareExport({
+    device: "export-buoy",
+    from: String(START),
+    to: String(START + READINGS * 60000),
+  });
+  const writing = writeExport(request, stream);
+  stream.destroy();
+  assert.ok((await writing) < READINGS);
+});
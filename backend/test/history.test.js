@@ -0,0 +1,94 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the test's readings out of the real database
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "reef-test-"));
+process.env.DB_PATH = path.join(dataDir, "readings.db");
+
+const { db } = require("../db");
+const { HistoryQueryError, parseTime, queryHistory } = require("../history");
+const { queryLinkHealth } = require("../linkHealth");
+
+const START = Date.parse("2026-01-01T00:00:00Z");
+const READINGS = 10001;
+
+before(() => {
+  const insert = db.prepare(`
+    INSERT INTO readings (device_id, received_at, decoded_payload, message)
+    VALUES ('buoy', ?, ?, '{}')
+  `);
+  db.transaction(() => {
+    for (let i = 0; i < READINGS; i++) {
+      insert.run(START + i * 1000, JSON.stringify({ WaterT1: 15 + i / 1000 }));
+    }
+  })();
+});
+
+after(() => {
+  db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("parseTime accepts ISO strings and epoch milliseconds", () => {
+  assert.strictEqual(parseTime("2026-01-01T00:00:00Z"), START);
+  assert.strictEqual(parseTime(String(START)), START);
+  assert.strictEqual(parseTime(undefined, 5), 5);
+  assert.strictEqual(parseTime("", 5), 5);
+});
+
+test("parseTime rejects timestamps a Date can't hold", () => {
+  assert.throws(() => parseTime("yesterday"), HistoryQueryError);
+  assert.throws(() => parseTime("99999999999999999"), HistoryQueryError);
+  assert.throws(() => parseTime(undefined, -9e15), HistoryQueryError);
+});
+
+test("out of range times are query errors, not crashes", () => {
+  assert.throws(
+    () =>
+      queryHistory({
+        device: "buoy",
+        fields: "WaterT1",
+        from: "99999999999999999",
+      }),
+    HistoryQueryError
+  );
+  assert.throws(
+    () => queryLinkHealth({ device: "buoy", to: "99999999999999999" }),
+    HistoryQueryError
+  );
+});
+
+test("raw history says when it was cut short", () => {
+  const query = {
+    device: "buoy",
+    fields: "WaterT1",
+    from: String(START),
+    bucket: "raw",
+  };
+  const all = queryHistory({ ...query, to: String(START + READINGS * 1000) });
+  assert.strictEqual(all.points.length, 10000);
+  assert.strictEqual(all.truncated, true);
+  assert.strictEqual(all.points[0].values.WaterT1.mean, 15);
+
+  const some = queryHistory({ ...query, to: String(START + 10 * 1000) });
+  assert.strictEqual(some.points.length, 10);
+  assert.strictEqual(some.truncated, false);
+});
+
+test("bucketed history is never truncated", () => {
+  const history = queryHistory({
+    device: "buoy",
+    fields: "WaterT1",
+    from: String(START),
+    to: String(START + READINGS * 1000),
+    bucket: "1h",
+  });
+  assert.strictEqual(history.truncated, false);
+  assert.strictEqual(
+    history.points.reduce((sum, point) => sum + point.count, 0),
+    READINGS
+  );
+});
@@ -0,0 +1,104 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the test's readings out of the real database
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "reef-test-"));
+process.env.DB_PATH = path.join(dataDir, "readings.db");
+
+const { db } = require("../db");
+const { ingestUplink } = require("../ingest");
+const { QC_LIMITS } = require("../qc");
+
+const START = Date.parse("2026-01-01T00:00:00Z");
+
+after(() => {
+  db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Store a TTN uplink with already decoded fields, `minutes` after START
+const ingest = (deviceId, minutes, fields) =>
+  ingestUplink({
+    end_device_ids: { device_id: deviceId },
+    received_at: new Date(START + minutes * 60000).toISOString(),
+    uplink_message: { f_cnt: minutes, f_port: 1, decoded_payload: fields },
+  }).reading;
+
+const storedReading = (deviceId, minutes) => {
+  const row = db
+    .prepare(
+      "SELECT decoded_payload, qc, qc_flag FROM readings WHERE device_id = ? AND received_at = ?"
+    )
+    .get(deviceId, START + minutes * 60000);
+  return {
+    fields: JSON.parse(row.decoded_payload),
+    qc: JSON.parse(row.qc || "{}"),
+    qcFlag: row.qc_flag,
+  };
+};
+
+test("values outside the plausible range fail", () => {
+  const reading = ingest("range", 0, { WaterT1: 85, Temp: 21 });
+  assert.deepStrictEqual(reading.fields, { Temp: 21 });
+  assert.strictEqual(reading.qc.WaterT1.flag, "fail");
+  assert.strictEqual(reading.qc.WaterT1.check, "range");
+  assert.strictEqual(reading.qc.WaterT1.value, 85);
+  assert.strictEqual(reading.qcFlag, "fail");
+});
+
+test("fields without limits aren't checked", () => {
+  const reading = ingest("unchecked", 0, { Rain: 900 });
+  assert.deepStrictEqual(reading.fields, { Rain: 900 });
+  assert.strictEqual(reading.qcFlag, "pass");
+});
+
+test("a jump from the last good value is a suspect spike", () => {
+  ingest("spike", 0, { WaterT1: 15 });
+  const spike = ingest("spike", 10, { WaterT1: 25 });
+  assert.deepStrictEqual(spike.fields, {});
+  assert.strictEqual(spike.qc.WaterT1.check, "spike");
+  assert.strictEqual(spike.qcFlag, "suspect");
+
+  // Back near the last good value, the spike stays flagged
+  const back = ingest("spike", 20, { WaterT1: 15.5 });
+  assert.deepStrictEqual(back.fields, { WaterT1: 15.5 });
+  assert.strictEqual(storedReading("spike", 10).qc.WaterT1.check, "spike");
+});
+
+test("jumps after more than six hours aren't spikes", () => {
+  ingest("gap", 0, { WaterT1: 15 });
+  const reading = ingest("gap", 7 * 60, { WaterT1: 25 });
+  assert.deepStrictEqual(reading.fields, { WaterT1: 25 });
+});
+
+test("a second reading at the new level confirms the spike", () => {
+  ingest("step", 0, { WaterT1: 15 });
+  ingest("step", 10, { WaterT1: 20 });
+  const confirming = ingest("step", 20, { WaterT1: 20.2 });
+  assert.deepStrictEqual(confirming.fields, { WaterT1: 20.2 });
+
+  // The earlier value is moved back into its reading
+  const restored = storedReading("step", 10);
+  assert.deepStrictEqual(restored.fields, { WaterT1: 20 });
+  assert.deepStrictEqual(restored.qc, {});
+  assert.strictEqual(restored.qcFlag, "pass");
+});
+
+test("identical readings in a row flag a stuck sensor", () => {
+  const { flatlineCount } = QC_LIMITS.WaterT1;
+  for (let i = 0; i < flatlineCount - 1; i++) {
+    assert.strictEqual(ingest("stuck", i, { WaterT1: 17.25 }).qcFlag, "pass");
+  }
+  const reading = ingest("stuck", flatlineCount, { WaterT1: 17.25 });
+  assert.strictEqual(reading.qc.WaterT1.check, "flatline");
+  assert.strictEqual(reading.qcFlag, "suspect");
+
+  // Any change clears it
+  assert.strictEqual(
+    ingest("stuck", flatlineCount + 1, { WaterT1: 17.3 }).qcFlag,
+    "pass"
+  );
+});
@@ -0,0 +1,95 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const WebSocket = require("ws");
+
+// Keep the test's readings out of the real database
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "reef-test-"));
+process.env.DB_PATH = path.join(dataDir, "readings.db");
+
+const { SUBPROTOCOL, attachWebSocketServer } = require("../realtime");
+
+let server;
+let wss;
+let url;
+const sockets = [];
+
+before(async () => {
+  server = http.createServer();
+  wss = attachWebSocketServer(server);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `ws://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  // Closing the servers doesn't end open WebSocket connections, e.g. from a
+  // test that failed
+  sockets.forEach((ws) => ws.terminate());
+  wss.clients.forEach((ws) => ws.terminate());
+  wss.close();
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Connect and collect what the server sends, skipping the welcome
+async function connect() {
+  const ws = new WebSocket(url, SUBPROTOCOL);
+  sockets.push(ws);
+  const messages = [];
+  const waiting = [];
+  ws.on("message", (data) => {
+    const message = JSON.parse(data.toString());
+    if (message.type === "welcome") {
+      return;
+    }
+    const resolve = waiting.shift();
+    if (resolve) {
+      resolve(message);
+    } else {
+      messages.push(message);
+    }
+  });
+  await new Promise((resolve, reject) => {
+    ws.once("open", resolve);
+    ws.once("error", reject);
+  });
+  const next = () =>
+    messages.length > 0
+      ? Promise.resolve(messages.shift())
+      : new Promise((resolve) => waiting.push(resolve));
+  return { ws, next };
+}
+
+test(
+  "messages that aren't JSON objects get an error",
+  { timeout: 5000 },
+  async () => {
+    const { ws, next } = await connect();
+
+    for (const text of ["null", "[]", "5", '"x"']) {
+      ws.send(text);
+      const reply = await next();
+      assert.strictEqual(reply.type, "error", `reply to ${text}`);
+      assert.strictEqual(reply.error, "Messages must be JSON objects");
+    }
+
+    // The connection and server are still working afterwards
+    ws.send(JSON.stringify({ type: "ping", id: 7 }));
+    const pong = await next();
+    assert.strictEqual(pong.type, "pong");
+    assert.strictEqual(pong.id, 7);
+    ws.close();
+  }
+);
+
+test("text that isn't JSON gets an error", { timeout: 5000 }, async () => {
+  const { ws, next } = await connect();
+  ws.send("not json");
+  const reply = await next();
+  assert.strictEqual(reply.type, "error");
+  assert.strictEqual(reply.error, "Messages must be JSON");
+  ws.close();
+});
@@ -0,0 +1,113 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the test's readings out of the real database, and days in UTC
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "reef-test-"));
+process.env.DB_PATH = path.join(dataDir, "readings.db");
+process.env.TZ = "UTC";
+
+const { db } = require("../db");
+const { createDevice } = require("../devices");
+const {
+  ReportError,
+  buildReport,
+  reportFilename,
+  renderReportHtml,
+  deliverReport,
+} = require("../reports");
+
+const START = Date.parse("2026-01-01T00:00:00Z");
+const HOUR = 60 * 60 * 1000;
+
+before(() => {
+  createDevice({
+    deviceId: "reef-north",
+    displayName: "Reef <North>",
+    type: "other",
+    sensors: [{ field: "WaterT1" }, { field: "pH" }],
+    uplinkIntervalMinutes: 60,
+  });
+
+  const insert = db.prepare(`
+    INSERT INTO readings (device_id, received_at, decoded_payload, message)
+    VALUES ('reef-north', ?, ?, '{}')
+  `);
+  // Readings every two hours on the first day only, with a field the device
+  // doesn't list
+  for (let i = 0; i < 12; i++) {
+    insert.run(
+      START + i * 2 * HOUR,
+      JSON.stringify({ WaterT1: 24 + i / 10, DO: 6 })
+    );
+  }
+});
+
+after(() => {
+  db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const range = { from: "2026-01-01T00:00:00Z", to: "2026-01-03T00:00:00Z" };
+
+test("report ranges are whole days within the limit", () => {
+  assert.throws(
+    () => buildReport({ from: range.to, to: range.from }),
+    ReportError
+  );
+  assert.throws(
+    () => buildReport({ from: "2025-01-01T00:00:00Z", to: range.to }),
+    /at most 92 days/
+  );
+
+  const report = buildReport({
+    from: "2026-01-01T09:00:00Z",
+    to: "2026-01-02T15:00:00Z",
+  });
+  assert.strictEqual(report.from, "2026-01-01T00:00:00.000Z");
+  assert.strictEqual(report.to, "2026-01-03T00:00:00.000Z");
+  assert.strictEqual(
+    reportFilename(report),
+    "state-of-the-reef_2026-01-01_2026-01-02.html"
+  );
+});
+
+test("reports total each sensor over the range", () => {
+  const [device] = buildReport(range).devices;
+  assert.strictEqual(device.deviceId, "reef-north");
+  assert.strictEqual(device.days.length, 2);
+  assert.deepStrictEqual(
+    device.sensors.map((sensor) => sensor.field),
+    ["WaterT1", "pH", "DO"]
+  );
+
+  const [waterT1, pH] = device.sensors;
+  assert.strictEqual(waterT1.totals.min, 24);
+  assert.strictEqual(waterT1.totals.max, 25.1);
+  assert.strictEqual(waterT1.totals.count, 12);
+  // 12 of the 48 hourly readings expected over two days
+  assert.strictEqual(waterT1.totals.completeness, 0.25);
+  assert.strictEqual(pH.totals.count, 0);
+});
+
+test("the HTML report escapes names and charts each field", () => {
+  const report = buildReport(range);
+  const html = renderReportHtml(report);
+  assert.match(html, /<h2>Reef &lt;North&gt;<\/h2>/);
+  assert.ok(!html.includes("Reef <North>"));
+  assert.strictEqual(html.match(/<svg /g).length, 2);
+  // pH has no readings to chart
+  assert.match(html, /<p class="empty">No data<\/p>/);
+  assert.match(html, /<td class="poor">25%<\/td>/);
+  assert.ok(!html.includes("window.print()"));
+
+  assert.ok(
+    renderReportHtml(report, { printable: true }).includes("window.print()")
+  );
+});
+
+test("reports can't be delivered without recipients", async () => {
+  await assert.rejects(deliverReport(buildReport(range), []), ReportError);
+});
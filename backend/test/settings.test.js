@@ -0,0 +1,49 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the test's settings out of the real database
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "reef-test-"));
+process.env.DB_PATH = path.join(dataDir, "readings.db");
+
+const { SettingsError, getSetting, updateSettings } = require("../settings");
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("only known settings can be saved", () => {
+  // JSON.parse makes __proto__ an own key, as in a request body
+  ["__proto__", "constructor", "toString", "ttnRegionx"].forEach((key) => {
+    assert.throws(
+      () => updateSettings(JSON.parse(`{"${key}": "au1"}`)),
+      SettingsError
+    );
+  });
+});
+
+test("settings are validated, saved and cleared", () => {
+  assert.throws(() => updateSettings({ ttnRegion: "AU 1" }), SettingsError);
+  assert.throws(() => updateSettings({ ttnRegion: 1 }), SettingsError);
+
+  const settings = updateSettings({ ttnRegion: " au1 " });
+  assert.strictEqual(getSetting("ttnRegion"), "au1");
+  assert.strictEqual(
+    settings.find((setting) => setting.key === "ttnRegion").source,
+    "admin"
+  );
+
+  process.env.TTN_REGION = "eu1";
+  updateSettings({ ttnRegion: "" });
+  assert.strictEqual(getSetting("ttnRegion"), "eu1");
+  delete process.env.TTN_REGION;
+});
+
+test("secret values are never listed", () => {
+  const settings = updateSettings({ ttnApiKey: "NNSXS.secret" });
+  const apiKey = settings.find((setting) => setting.key === "ttnApiKey");
+  assert.strictEqual(apiKey.value, null);
+  assert.strictEqual(apiKey.isSet, true);
+});
@@ -0,0 +1,145 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+process.env.INGEST_WEBHOOK_TOKEN = "webhook-secret";
+
+const {
+  UplinkFormatError,
+  toBytes,
+  fromDeviceJson,
+} = require("../sources/uplink");
+const { fromChirpStack } = require("../sources/chirpstack");
+const { fromWebhook, hasValidToken } = require("../sources/webhook");
+
+// A ChirpStack v4 uplink event
+const chirpStackEvent = {
+  time: "2026-01-01T00:00:00.000Z",
+  deviceInfo: { deviceName: "Reef Buoy 2", devEui: "0004a30b001c0530" },
+  fCnt: 42,
+  fPort: 2,
+  data: "AQI=",
+  object: { WaterT1: 17.2 },
+  rxInfo: [{ gatewayId: "gw-1", rssi: -97, snr: 7.5 }],
+  txInfo: {
+    frequency: 917200000,
+    modulation: { lora: { spreadingFactor: 9, bandwidth: 125000 } },
+  },
+};
+
+test("payload bytes are read from base64, hex or arrays", () => {
+  assert.deepStrictEqual([...toBytes("AQI=")], [1, 2]);
+  assert.deepStrictEqual([...toBytes("01 ff", "hex")], [1, 255]);
+  assert.deepStrictEqual([...toBytes([3, 4])], [3, 4]);
+  assert.strictEqual(toBytes(undefined), null);
+  assert.throws(() => toBytes("0g", "hex"), UplinkFormatError);
+  assert.throws(() => toBytes("abc", "hex"), UplinkFormatError);
+});
+
+test("ChirpStack events become TTN uplink messages", () => {
+  assert.deepStrictEqual(fromChirpStack(chirpStackEvent), {
+    end_device_ids: { device_id: "reef-buoy-2", dev_eui: "0004A30B001C0530" },
+    received_at: "2026-01-01T00:00:00.000Z",
+    uplink_message: {
+      f_cnt: 42,
+      f_port: 2,
+      frm_payload: "AQI=",
+      decoded_payload: { WaterT1: 17.2 },
+      rx_metadata: [
+        { gateway_ids: { gateway_id: "gw-1" }, rssi: -97, snr: 7.5 },
+      ],
+      settings: {
+        data_rate: { lora: { spreading_factor: 9, bandwidth: 125000 } },
+        frequency: "917200000",
+      },
+      received_at: "2026-01-01T00:00:00.000Z",
+    },
+  });
+});
+
+test("ChirpStack devices without a usable name go by DevEUI", () => {
+  const message = fromChirpStack({
+    ...chirpStackEvent,
+    deviceInfo: { deviceName: "Buoy #2!", devEui: "0004a30b001c0530" },
+  });
+  assert.strictEqual(message.end_device_ids.device_id, "0004a30b001c0530");
+});
+
+test("device JSON becomes a TTN uplink message", () => {
+  const message = fromDeviceJson(
+    {
+      deviceId: "Reef_Buoy",
+      receivedAt: 1767225600000,
+      fields: { WaterT1: 17.2 },
+      rssi: -80,
+    },
+    "serial-gw"
+  );
+  assert.strictEqual(message.end_device_ids.device_id, "reef-buoy");
+  assert.strictEqual(message.received_at, "2026-01-01T00:00:00.000Z");
+  assert.deepStrictEqual(message.uplink_message.decoded_payload, {
+    WaterT1: 17.2,
+  });
+  assert.strictEqual(message.uplink_message.frm_payload, undefined);
+  assert.deepStrictEqual(message.uplink_message.rx_metadata, [
+    { gateway_ids: { gateway_id: "serial-gw" }, rssi: -80, snr: undefined },
+  ]);
+
+  const raw = fromDeviceJson({
+    deviceId: "reef-buoy",
+    payload: "0102",
+    encoding: "hex",
+  });
+  assert.strictEqual(raw.uplink_message.frm_payload, "AQI=");
+  assert.deepStrictEqual(raw.uplink_message.rx_metadata, []);
+});
+
+test("malformed device JSON is rejected", () => {
+  [
+    [],
+    { deviceId: "reef-buoy" },
+    { deviceId: "reef-buoy", fields: "17.2" },
+    { deviceId: "x", fields: {} },
+    { deviceId: "reef-buoy", fields: {}, receivedAt: "yesterday" },
+  ].forEach((body) =>
+    assert.throws(() => fromDeviceJson(body), UplinkFormatError)
+  );
+});
+
+test("webhooks accept TTN, ChirpStack and device JSON bodies", () => {
+  const ttn = {
+    end_device_ids: { device_id: "reef-buoy" },
+    uplink_message: { frm_payload: "AQI=" },
+  };
+  const fromTtn = fromWebhook(ttn);
+  assert.deepStrictEqual(fromTtn.uplink_message, ttn.uplink_message);
+  assert.ok(!Number.isNaN(Date.parse(fromTtn.received_at)));
+
+  assert.strictEqual(
+    fromWebhook(chirpStackEvent, { event: "up" }).end_device_ids.device_id,
+    "reef-buoy-2"
+  );
+  assert.strictEqual(
+    fromWebhook({ deviceId: "reef-buoy", fields: { DO: 6 } }).end_device_ids
+      .device_id,
+    "reef-buoy"
+  );
+  assert.throws(() => fromWebhook("17.2"), UplinkFormatError);
+});
+
+test("webhook events that aren't uplinks are ignored", () => {
+  assert.strictEqual(
+    fromWebhook({ end_device_ids: { device_id: "reef-buoy" } }),
+    null
+  );
+  assert.strictEqual(fromWebhook(chirpStackEvent, { event: "join" }), null);
+});
+
+test("webhooks need the bearer token", () => {
+  const request = (authorization) => ({
+    get: (name) => (name === "Authorization" ? authorization : undefined),
+  });
+  assert.strictEqual(hasValidToken(request("Bearer webhook-secret")), true);
+  assert.strictEqual(hasValidToken(request("Bearer webhook")), false);
+  assert.strictEqual(hasValidToken(request("webhook-secret")), false);
+  assert.strictEqual(hasValidToken(request(undefined)), false);
+});
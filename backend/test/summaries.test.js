@@ -0,0 +1,194 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the test's readings out of the real database, and periods in UTC
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "reef-test-"));
+process.env.DB_PATH = path.join(dataDir, "readings.db");
+process.env.TZ = "UTC";
+
+const { db } = require("../db");
+const { createDevice } = require("../devices");
+const { HistoryQueryError } = require("../history");
+const {
+  listSummaries,
+  combineSummaries,
+  computeSummaries,
+} = require("../summaries");
+
+const START = Date.parse("2026-01-01T00:00:00Z");
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const insertReading = db.prepare(`
+  INSERT INTO readings (device_id, received_at, decoded_payload, message)
+  VALUES (?, ?, ?, '{}')
+`);
+
+before(() => {
+  createDevice({
+    deviceId: "hourly",
+    displayName: "Hourly buoy",
+    type: "other",
+    uplinkIntervalMinutes: 60,
+  });
+
+  // A full first day, half of the second, and nothing on the third
+  for (let i = 0; i < 24; i++) {
+    insertReading.run(
+      "hourly",
+      START + i * HOUR,
+      JSON.stringify({ WaterT1: 20 + i / 2, label: "buoy" })
+    );
+  }
+  for (let i = 0; i < 12; i++) {
+    insertReading.run(
+      "hourly",
+      START + DAY + i * HOUR,
+      JSON.stringify({ WaterT1: 30, DO: 6 + i / 11 })
+    );
+  }
+});
+
+after(() => {
+  db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const days = () =>
+  listSummaries({
+    device: "hourly",
+    period: "day",
+    from: "2026-01-01T00:00:00Z",
+    to: "2026-01-04T00:00:00Z",
+  }).summaries;
+
+test("summary requests are validated", () => {
+  assert.throws(() => listSummaries({ device: "" }), HistoryQueryError);
+  assert.throws(
+    () => listSummaries({ device: "hourly", period: "week" }),
+    HistoryQueryError
+  );
+  assert.throws(
+    () => listSummaries({ device: "hourly", from: String(START), to: "0" }),
+    HistoryQueryError
+  );
+  assert.throws(
+    () =>
+      listSummaries({
+        device: "hourly",
+        from: "2024-01-01T00:00:00Z",
+        to: "2026-01-01T00:00:00Z",
+      }),
+    /limited to 366 days/
+  );
+});
+
+test("daily summaries give each field's statistics and completeness", () => {
+  const [first, second, third] = days();
+
+  assert.strictEqual(first.periodStart, "2026-01-01T00:00:00.000Z");
+  assert.strictEqual(first.periodEnd, "2026-01-02T00:00:00.000Z");
+  assert.strictEqual(first.partial, false);
+  assert.strictEqual(first.expected, 24);
+  // Only numeric fields are summarised
+  assert.deepStrictEqual(first.fields, {
+    WaterT1: { min: 20, max: 31.5, mean: 25.75, count: 24, completeness: 1 },
+  });
+
+  assert.deepStrictEqual(second.fields.WaterT1, {
+    min: 30,
+    max: 30,
+    mean: 30,
+    count: 12,
+    completeness: 0.5,
+  });
+  assert.strictEqual(second.fields.DO.max, 7);
+
+  // Days with no readings are still listed
+  assert.deepStrictEqual(third.fields, {});
+});
+
+test("monthly summaries cover the whole month", () => {
+  const { summaries } = listSummaries({
+    device: "hourly",
+    period: "month",
+    from: "2026-01-01T00:00:00Z",
+    to: "2026-02-01T00:00:00Z",
+  });
+  assert.strictEqual(summaries.length, 1);
+  assert.strictEqual(summaries[0].expected, 31 * 24);
+  assert.strictEqual(summaries[0].fields.WaterT1.count, 36);
+});
+
+test("completed periods are stored and outlive their readings", () => {
+  days();
+  db.prepare("DELETE FROM readings WHERE device_id = 'hourly'").run();
+  const [first, second] = days();
+  assert.strictEqual(first.fields.WaterT1.count, 24);
+  assert.strictEqual(second.fields.DO.min, 6);
+});
+
+test("the period in progress is computed so far and marked partial", () => {
+  const now = Date.now();
+  insertReading.run("recent", now - 1000, JSON.stringify({ WaterT1: 18 }));
+  const { summaries } = listSummaries({ device: "recent" });
+  const today = summaries[summaries.length - 1];
+  assert.strictEqual(today.partial, true);
+  assert.ok(new Date(today.periodEnd).getTime() > now);
+  assert.strictEqual(today.fields.WaterT1.mean, 18);
+});
+
+test("combined summaries weight the mean by readings", () => {
+  const totals = combineSummaries(days(), "WaterT1");
+  assert.deepStrictEqual(totals, {
+    min: 20,
+    max: 31.5,
+    mean: (25.75 * 24 + 30 * 12) / 36,
+    count: 36,
+    completeness: 0.5,
+  });
+
+  assert.deepStrictEqual(combineSummaries(days(), "pH"), {
+    min: null,
+    max: null,
+    mean: null,
+    count: 0,
+    completeness: 0,
+  });
+});
+
+test("the job stores recent completed periods with readings", () => {
+  const day = Date.parse("2026-03-10T00:00:00Z");
+  insertReading.run("job", day + HOUR, JSON.stringify({ WaterT1: 21 }));
+  insertReading.run("job", day - 20 * DAY, JSON.stringify({ WaterT1: 22 }));
+
+  // The last week's days and the month before, so the day 20 days back is
+  // only counted in February's summary
+  assert.strictEqual(computeSummaries(day + DAY + HOUR), 2);
+  assert.strictEqual(computeSummaries(Date.parse("2026-04-01T01:00:00Z")), 1);
+  const stored = db
+    .prepare(
+      `SELECT period, period_start AS periodStart, count FROM summaries
+       WHERE device_id = 'job' ORDER BY period, period_start`
+    )
+    .all();
+  assert.deepStrictEqual(
+    stored.map((row) => ({ ...row })),
+    [
+      { period: "day", periodStart: day, count: 1 },
+      {
+        period: "month",
+        periodStart: Date.parse("2026-02-01T00:00:00Z"),
+        count: 1,
+      },
+      {
+        period: "month",
+        periodStart: Date.parse("2026-03-01T00:00:00Z"),
+        count: 1,
+      },
+    ]
+  );
+});
@@ -0,0 +1,97 @@
+const fs = require("fs");
+const path = require("path");
+
+// Basemap tiles are cached on disk the first time they're requested, so the
+// map keeps working on the field laptop once an area has been viewed (or
+// pre-seeded with `npm run seed-tiles`) even without an internet connection
+const TILE_CACHE_DIR =
+  process.env.TILE_CACHE_DIR || path.join(__dirname, "data", "tiles");
+// Set to an empty string to serve cached tiles only
+const TILE_UPSTREAM_URL =
+  process.env.TILE_UPSTREAM_URL ??
+  "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+const TILE_USER_AGENT = "ReefMonitoringDashboard/1.0 (tile cache)";
+const MAX_ZOOM = 19;
+
+function tilePath(z, x, y) {
+  return path.join(TILE_CACHE_DIR, String(z), String(x), `${y}.png`);
+}
+
+function isValidTile(z, x, y) {
+  const size = 2 ** z;
+  return (
+    Number.isInteger(z) &&
+    Number.isInteger(x) &&
+    Number.isInteger(y) &&
+    z >= 0 &&
+    z <= MAX_ZOOM &&
+    x >= 0 &&
+    x < size &&
+    y >= 0 &&
+    y < size
+  );
+}
+
+async function fetchUpstreamTile(z, x, y) {
+  const url = TILE_UPSTREAM_URL.replace("{z}", z)
+    .replace("{x}", x)
+    .replace("{y}", y);
+  const response = await fetch(url, {
+    headers: { "User-Agent": TILE_USER_AGENT },
+  });
+
+  if (!response.ok) {
+    throw new Error(`Tile server responded ${response.status} for ${url}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Return a tile from the cache, downloading and caching it if needed.
+// Resolves to null if the tile isn't cached and can't be downloaded.
+async function getTile(z, x, y) {
+  const file = tilePath(z, x, y);
+
+  try {
+    return await fs.promises.readFile(file);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+
+  if (!TILE_UPSTREAM_URL) {
+    return null;
+  }
+
+  try {
+    const tile = await fetchUpstreamTile(z, x, y);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, tile);
+    return tile;
+  } catch (error) {
+    console.error(`Could not fetch tile ${z}/${x}/${y}:`, error.message);
+    return null;
+  }
+}
+
+// Convert a longitude/latitude to the tile containing it at a zoom level
+function lonLatToTile(lon, lat, z) {
+  const size = 2 ** z;
+  const latRad = (lat * Math.PI) / 180;
+  return {
+    x: Math.floor(((lon + 180) / 360) * size),
+    y: Math.floor(
+      ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) *
+        size
+    ),
+  };
+}
+
+module.exports = {
+  TILE_CACHE_DIR,
+  TILE_UPSTREAM_URL,
+  tilePath,
+  isValidTile,
+  getTile,
+  lonLatToTile,
+};
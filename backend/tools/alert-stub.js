@@ -0,0 +1,78 @@
+// Local stand-ins for an SMTP server and a webhook receiver, for testing
+// alert notifications without real mail or webhook services.
+//
+//   npm run alert-stub
+//
+// Then set SMTP_HOST=localhost SMTP_PORT=2525 in .env and use
+// http://localhost:4000/webhook as a rule's notifyWebhook.
+const http = require("http");
+const net = require("net");
+
+const SMTP_PORT = parseInt(process.env.STUB_SMTP_PORT || "2525", 10);
+const WEBHOOK_PORT = parseInt(process.env.STUB_WEBHOOK_PORT || "4000", 10);
+
+// Minimal SMTP dialogue: accept every message and print it
+const smtpServer = net.createServer((socket) => {
+  let inData = false;
+  let message = "";
+  let buffer = "";
+
+  socket.write("220 reef-alert-stub ESMTP\r\n");
+
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString();
+    let lineEnd;
+
+    while ((lineEnd = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, lineEnd);
+      buffer = buffer.slice(lineEnd + 2);
+
+      if (inData) {
+        if (line === ".") {
+          inData = false;
+          console.log("--- Email received ---");
+          console.log(message);
+          console.log("----------------------");
+          message = "";
+          socket.write("250 OK: queued\r\n");
+        } else {
+          message += line.replace(/^\.\./, ".") + "\n";
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === "EHLO" || command === "HELO") {
+        socket.write("250 reef-alert-stub\r\n");
+      } else if (command === "DATA") {
+        inData = true;
+        socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+      } else if (command === "QUIT") {
+        socket.end("221 Bye\r\n");
+      } else {
+        socket.write("250 OK\r\n");
+      }
+    }
+  });
+
+  socket.on("error", (err) => console.error("SMTP stub socket error:", err));
+});
+
+const webhookServer = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    console.log(`--- Webhook ${req.method} ${req.url} ---`);
+    console.log(body);
+    console.log("------------------------------");
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ ok: true }));
+  });
+});
+
+smtpServer.listen(SMTP_PORT, () => {
+  console.log(`SMTP stub listening on port ${SMTP_PORT}`);
+});
+webhookServer.listen(WEBHOOK_PORT, () => {
+  console.log(`Webhook stub listening on port ${WEBHOOK_PORT}`);
+});
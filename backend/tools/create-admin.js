@@ -0,0 +1,52 @@
+// Create an admin account from the command line:
+//   npm run create-admin -- <username>
+// The password is prompted for and never echoed.
+const readline = require("readline");
+const { createUser, AuthError } = require("../auth");
+
+const username = process.argv[2];
+if (!username) {
+  console.error("Usage: npm run create-admin -- <username>");
+  process.exit(1);
+}
+
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: true,
+    });
+    rl.stdoutMuted = false;
+    rl._writeToOutput = (text) => {
+      if (!rl.stdoutMuted) {
+        rl.output.write(text);
+      }
+    };
+    rl.question(question, (answer) => {
+      rl.output.write("\n");
+      rl.close();
+      resolve(answer);
+    });
+    rl.stdoutMuted = true;
+  });
+}
+
+async function main() {
+  const password = await promptHidden("Password: ");
+  const confirmation = await promptHidden("Repeat password: ");
+  if (password !== confirmation) {
+    console.error("Passwords don't match");
+    process.exit(1);
+  }
+
+  try {
+    const user = createUser({ username, password });
+    console.log(`Created admin user ${user.username}`);
+  } catch (error) {
+    console.error(error instanceof AuthError ? error.message : error);
+    process.exit(1);
+  }
+}
+
+main();
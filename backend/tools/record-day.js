@@ -0,0 +1,34 @@
+// Save a day of stored uplink messages for the simulator to replay
+// (SIMULATOR_REPLAY_FILE):
+//   npm run record-day -- <YYYY-MM-DD> [device] > day.ndjson
+// The day is in local time; every device is included unless one is given.
+const { db } = require("../db");
+
+const [day, deviceId] = process.argv.slice(2);
+const start = new Date(`${day}T00:00:00`);
+if (!day || Number.isNaN(start.getTime())) {
+  console.error("Usage: npm run record-day -- <YYYY-MM-DD> [device]");
+  process.exit(1);
+}
+const end = new Date(start);
+end.setDate(end.getDate() + 1);
+
+const rows = db
+  .prepare(
+    `SELECT message FROM readings
+     WHERE received_at >= @from AND received_at < @to
+       AND (@deviceId IS NULL OR device_id = @deviceId)
+     ORDER BY received_at`
+  )
+  .iterate({
+    from: start.getTime(),
+    to: end.getTime(),
+    deviceId: deviceId || null,
+  });
+
+let total = 0;
+for (const row of rows) {
+  process.stdout.write(`${row.message}\n`);
+  total++;
+}
+console.error(`Saved ${total} uplink messages from ${day}`);
@@ -0,0 +1,97 @@
+// Pre-download basemap tiles for an area into the tile cache so the map
+// works offline in the field.
+//
+//   npm run seed-tiles
+//   npm run seed-tiles -- --bbox=144.35,-38.35,145.15,-37.8 --min-zoom=8 --max-zoom=13
+//
+// Check the tile provider's usage policy before seeding large areas;
+// tile.openstreetmap.org does not allow bulk downloads, so point
+// TILE_UPSTREAM_URL at a provider that does for anything beyond a small area.
+require("dotenv").config();
+
+const fs = require("fs");
+const {
+  TILE_CACHE_DIR,
+  TILE_UPSTREAM_URL,
+  tilePath,
+  getTile,
+  lonLatToTile,
+} = require("../tiles");
+
+// Port Phillip Bay
+const DEFAULT_BBOX = "144.35,-38.35,145.15,-37.8";
+const MAX_TILES = 5000;
+const REQUEST_DELAY = 200;
+
+function parseArgs() {
+  const args = Object.fromEntries(
+    process.argv
+      .slice(2)
+      .map((arg) => arg.replace(/^--/, "").split("="))
+      .map(([key, value]) => [key, value])
+  );
+  const [west, south, east, north] = (args.bbox || DEFAULT_BBOX)
+    .split(",")
+    .map(Number);
+
+  return {
+    west,
+    south,
+    east,
+    north,
+    minZoom: parseInt(args["min-zoom"] || "8", 10),
+    maxZoom: parseInt(args["max-zoom"] || "13", 10),
+  };
+}
+
+function tilesFor({ west, south, east, north, minZoom, maxZoom }) {
+  const tiles = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const topLeft = lonLatToTile(west, north, z);
+    const bottomRight = lonLatToTile(east, south, z);
+    for (let x = topLeft.x; x <= bottomRight.x; x++) {
+      for (let y = topLeft.y; y <= bottomRight.y; y++) {
+        tiles.push({ z, x, y });
+      }
+    }
+  }
+  return tiles;
+}
+
+async function main() {
+  if (!TILE_UPSTREAM_URL) {
+    console.error("TILE_UPSTREAM_URL is empty, nothing to seed from");
+    process.exit(1);
+  }
+
+  const options = parseArgs();
+  const tiles = tilesFor(options);
+  if (tiles.length > MAX_TILES) {
+    console.error(
+      `${tiles.length} tiles requested, refusing to seed more than ${MAX_TILES}. Use a smaller area or zoom range.`
+    );
+    process.exit(1);
+  }
+
+  console.log(`Seeding ${tiles.length} tiles into ${TILE_CACHE_DIR}`);
+  let failed = 0;
+
+  for (const [index, { z, x, y }] of tiles.entries()) {
+    const cached = fs.existsSync(tilePath(z, x, y));
+    const tile = await getTile(z, x, y);
+    if (!tile) {
+      failed++;
+    }
+    if (!cached) {
+      // Be gentle with the tile server
+      await new Promise((resolve) => setTimeout(resolve, REQUEST_DELAY));
+    }
+    if ((index + 1) % 100 === 0) {
+      console.log(`${index + 1}/${tiles.length} tiles`);
+    }
+  }
+
+  console.log(`Done: ${tiles.length - failed} tiles cached, ${failed} failed`);
+}
+
+main();
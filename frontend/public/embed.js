@@ -0,0 +1,56 @@
+// Embeds live readings from the reef dashboard on another site. Add an
+// element for each device, then this script from the dashboard's server:
+//
+//   <div data-reef-device="reef-buoy-1" data-reef-fields="WaterT1,TDS"></div>
+//   <script src="https://<dashboard>/embed.js" async></script>
+//
+// data-reef-fields (optional) picks the gauges and their order by sensor
+// field (Temp, WaterT1, WaterT2, Humidity, Pressure, TDS), and
+// data-reef-theme="light" or "dark" sets the colours. Each element gets an
+// iframe of the dashboard's /embed page, resized to fit its content.
+(() => {
+  const script = document.currentScript;
+  const origin = new URL(script.src).origin;
+  const frames = [];
+
+  const embed = (element) => {
+    const params = new URLSearchParams();
+    if (element.dataset.reefFields) {
+      params.set("fields", element.dataset.reefFields);
+    }
+    if (element.dataset.reefTheme) {
+      params.set("theme", element.dataset.reefTheme);
+    }
+
+    const frame = document.createElement("iframe");
+    frame.src = `${origin}/embed/${encodeURIComponent(
+      element.dataset.reefDevice
+    )}?${params}`;
+    frame.title = "Reef monitoring readings";
+    frame.loading = "lazy";
+    frame.style.width = "100%";
+    frame.style.height = "420px";
+    frame.style.border = "0";
+    element.appendChild(frame);
+    frames.push(frame);
+  };
+
+  // The widget reports its height whenever it changes
+  window.addEventListener("message", (event) => {
+    if (event.origin !== origin || event.data?.type !== "reef-embed-resize") {
+      return;
+    }
+    frames.forEach((frame) => {
+      if (frame.contentWindow === event.source) {
+        frame.style.height = `${event.data.height}px`;
+      }
+    });
+  });
+
+  document.querySelectorAll("[data-reef-device]").forEach((element) => {
+    if (!element.dataset.reefEmbedded) {
+      element.dataset.reefEmbedded = "true";
+      embed(element);
+    }
+  });
+})();
@@ -0,0 +1,117 @@
+// Service worker for the installable dashboard. It caches the app shell
+// (the page, its scripts and styles, icons and logos) so the dashboard still
+// opens without a network connection. Readings are cached by the app itself
+// in IndexedDB (see src/offlineStore.js), so API requests and map tiles
+// always go to the network.
+
+const CACHE_NAME = "reef-shell-v1";
+const SHELL_URLS = [
+  "/",
+  "/manifest.webmanifest",
+  "/vite.svg",
+  "/icons/icon-192.png",
+  "/icons/icon-512.png",
+  "/images/VicLogoBlue.png",
+  "/images/RMITUni.png",
+  "/images/ScoutsVicFullLogo.svg",
+  "/images/BaysideDistrictLogo.png",
+];
+
+// The hashed scripts and styles the built page links to
+const assetsIn = (html) =>
+  [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(
+    (match) => match[1]
+  );
+
+// Cache a freshly fetched page and its assets, dropping assets from
+// earlier builds it no longer uses
+const updateShell = async (response) => {
+  const cache = await caches.open(CACHE_NAME);
+  const html = await response.clone().text();
+  const assets = assetsIn(html);
+
+  await cache.put("/", response);
+  await cache.addAll(assets);
+  const cached = await cache.keys();
+  await Promise.all(
+    cached
+      .filter((request) => {
+        const { pathname } = new URL(request.url);
+        return pathname.startsWith("/assets/") && !assets.includes(pathname);
+      })
+      .map((request) => cache.delete(request))
+  );
+};
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(CACHE_NAME);
+      await cache.addAll(SHELL_URLS);
+      const page = await cache.match("/");
+      await cache.addAll(assetsIn(await page.text()));
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((name) => name !== CACHE_NAME)
+          .map((name) => caches.delete(name))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (
+    request.method !== "GET" ||
+    url.origin !== self.location.origin ||
+    url.pathname.startsWith("/api/") ||
+    url.pathname.startsWith("/tiles/")
+  ) {
+    return;
+  }
+
+  // Pages: the network first so a new build is picked up, then the cached
+  // shell (the app handles its own routes, e.g. /map)
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          const type = response.headers.get("Content-Type") || "";
+          if (response.ok && type.includes("text/html")) {
+            event.waitUntil(updateShell(response.clone()));
+          }
+          return response;
+        })
+        .catch(async () => (await caches.match("/")) || Response.error())
+    );
+    return;
+  }
+
+  // Everything else is cached as it's first used
+  event.respondWith(
+    caches.match(request).then(
+      (cached) =>
+        cached ||
+        fetch(request).then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            event.waitUntil(
+              caches.open(CACHE_NAME).then((cache) => cache.put(request, copy))
+            );
+          }
+          return response;
+        })
+    )
+  );
+});
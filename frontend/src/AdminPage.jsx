@@ -0,0 +1,1490 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  adminFetch,
+  AdminAuthError,
+  loadAdminToken,
+  saveAdminToken,
+} from "./adminApi";
+
+const inputClassName =
+  "px-2 py-1 rounded-md text-sm bg-gray-100 dark:bg-gray-800 text-gray-800 dark:text-gray-100 transition-colors duration-300";
+const cardClassName =
+  "bg-white dark:bg-gray-900 p-6 rounded-lg shadow-md mb-6 transition-colors duration-300";
+const headingClassName =
+  "text-xl font-semibold mb-4 text-gray-800 dark:text-gray-200 transition-colors duration-300";
+const labelClassName =
+  "flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-200 transition-colors duration-300";
+const buttonClassName =
+  "px-4 py-2 rounded-md font-semibold bg-blue-500 hover:bg-blue-600 text-white transition-colors duration-300 disabled:opacity-50";
+const dangerButtonClassName =
+  "px-3 py-1 rounded-md text-sm font-semibold text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-950 transition-colors duration-300";
+
+const ErrorMessage = ({ error }) =>
+  error ? (
+    <p className="text-sm text-red-600 dark:text-red-400 mb-3">{error}</p>
+  ) : null;
+
+const LoginForm = ({ onLogin }) => {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const session = await adminFetch(null, "/api/admin/login", {
+        method: "POST",
+        body: { username, password },
+      });
+      onLogin(session);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className={`${cardClassName} max-w-sm mx-auto`}
+    >
+      <h2 className={headingClassName}>Admin login</h2>
+      <ErrorMessage error={error} />
+      <div className="flex flex-col gap-3 mb-4">
+        <label className={labelClassName}>
+          Username
+          <input
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            className={inputClassName}
+          />
+        </label>
+        <label className={labelClassName}>
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            className={inputClassName}
+          />
+        </label>
+      </div>
+      <button type="submit" disabled={isSubmitting} className={buttonClassName}>
+        Log in
+      </button>
+    </form>
+  );
+};
+
+const SettingsPanel = ({ request }) => {
+  const [settings, setSettings] = useState([]);
+  const [values, setValues] = useState({});
+  const [error, setError] = useState(null);
+  const [savedAt, setSavedAt] = useState(null);
+
+  const showSettings = (list) => {
+    setSettings(list);
+    setValues(
+      Object.fromEntries(
+        list.map((s) => [s.key, s.secret ? "" : s.value || ""])
+      )
+    );
+  };
+
+  useEffect(() => {
+    request("/api/admin/settings")
+      .then(showSettings)
+      .catch((err) => setError(err.message));
+  }, [request]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    // Only send what changed; a blank secret keeps the saved one
+    const changes = {};
+    settings.forEach((setting) => {
+      const value = values[setting.key];
+      if (setting.secret ? value !== "" : value !== (setting.value || "")) {
+        changes[setting.key] = value;
+      }
+    });
+
+    try {
+      showSettings(
+        await request("/api/admin/settings", { method: "PUT", body: changes })
+      );
+      setSavedAt(new Date().toLocaleTimeString());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={cardClassName}>
+      <h2 className={headingClassName}>The Things Network</h2>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-4 transition-colors duration-300">
+        Saved values override the backend .env file; clear a field to go back to
+        the .env value. The backend reconnects to TTN when these change.
+      </p>
+      <ErrorMessage error={error} />
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        {settings.map((setting) => (
+          <label key={setting.key} className={labelClassName}>
+            <span>
+              {setting.label}{" "}
+              <span className="text-xs text-gray-400">
+                {setting.source === "admin"
+                  ? "(saved here)"
+                  : setting.source === "env"
+                  ? "(from .env)"
+                  : "(not set)"}
+              </span>
+            </span>
+            <input
+              type={setting.secret ? "password" : "text"}
+              value={values[setting.key] ?? ""}
+              placeholder={
+                setting.secret && setting.isSet ? "Unchanged" : undefined
+              }
+              autoComplete="off"
+              onChange={(e) =>
+                setValues((prev) => ({
+                  ...prev,
+                  [setting.key]: e.target.value,
+                }))
+              }
+              className={inputClassName}
+            />
+          </label>
+        ))}
+      </div>
+      <button type="submit" className={buttonClassName}>
+        Save settings
+      </button>
+      {savedAt && (
+        <span className="ml-3 text-sm text-green-600">Saved at {savedAt}</span>
+      )}
+    </form>
+  );
+};
+
+const emptyDeviceForm = {
+  deviceId: "",
+  displayName: "",
+  type: "buoy",
+  locationName: "",
+  latitude: "",
+  longitude: "",
+  uplinkIntervalMinutes: "",
+  decoder: "",
+};
+
+const deviceToForm = (device) => ({
+  deviceId: device.deviceId,
+  displayName: device.displayName,
+  type: device.type,
+  locationName: device.location?.name || "",
+  latitude: device.location?.latitude ?? "",
+  longitude: device.location?.longitude ?? "",
+  uplinkIntervalMinutes: device.uplinkIntervalMinutes ?? "",
+  decoder: device.decoder ? JSON.stringify(device.decoder, null, 2) : "",
+});
+
+const optionalNumber = (value) => (value === "" ? null : Number(value));
+
+// Device settings the form doesn't edit (custom sensors) are sent back as
+// they are, since saving replaces the whole device
+const formToDevice = (form, device) => ({
+  deviceId: form.deviceId,
+  displayName: form.displayName,
+  type: form.type,
+  location: {
+    name: form.locationName || null,
+    latitude: optionalNumber(form.latitude),
+    longitude: optionalNumber(form.longitude),
+  },
+  uplinkIntervalMinutes: optionalNumber(form.uplinkIntervalMinutes),
+  sensors: device?.hasCustomSensors ? device.sensors : undefined,
+  decoder: form.decoder.trim() ? JSON.parse(form.decoder) : null,
+});
+
+const DeviceForm = ({ device, types, request, onSaved }) => {
+  const [form, setForm] = useState(() =>
+    device ? deviceToForm(device) : emptyDeviceForm
+  );
+  const [error, setError] = useState(null);
+  const isNew = !device;
+
+  const setField = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const body = formToDevice(form, device);
+      await request(
+        isNew ? "/api/devices" : `/api/devices/${device.deviceId}`,
+        { method: isNew ? "POST" : "PUT", body }
+      );
+      if (isNew) {
+        setForm(emptyDeviceForm);
+      }
+      onSaved();
+    } catch (err) {
+      setError(
+        err instanceof SyntaxError
+          ? `Decoder JSON: ${err.message}`
+          : err.message
+      );
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Remove ${device.displayName} from the registry?`)) {
+      return;
+    }
+    try {
+      await request(`/api/devices/${device.deviceId}`, { method: "DELETE" });
+      onSaved();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="border-b border-gray-100 dark:border-gray-800 last:border-b-0 py-4 transition-colors duration-300"
+    >
+      <ErrorMessage error={error} />
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+        <label className={labelClassName}>
+          TTN device ID
+          <input
+            value={form.deviceId}
+            onChange={setField("deviceId")}
+            disabled={!isNew}
+            className={inputClassName}
+          />
+        </label>
+        <label className={labelClassName}>
+          Display name
+          <input
+            value={form.displayName}
+            onChange={setField("displayName")}
+            className={inputClassName}
+          />
+        </label>
+        <label className={labelClassName}>
+          Type
+          <select
+            value={form.type}
+            onChange={setField("type")}
+            className={inputClassName}
+          >
+            {Object.entries(types).map(([type, { label }]) => (
+              <option key={type} value={type}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className={labelClassName}>
+          Uplink interval (min)
+          <input
+            type="number"
+            min="1"
+            value={form.uplinkIntervalMinutes}
+            onChange={setField("uplinkIntervalMinutes")}
+            className={inputClassName}
+          />
+        </label>
+        <label className={labelClassName}>
+          Location name
+          <input
+            value={form.locationName}
+            onChange={setField("locationName")}
+            className={inputClassName}
+          />
+        </label>
+        <label className={labelClassName}>
+          Latitude
+          <input
+            type="number"
+            step="any"
+            value={form.latitude}
+            onChange={setField("latitude")}
+            className={inputClassName}
+          />
+        </label>
+        <label className={labelClassName}>
+          Longitude
+          <input
+            type="number"
+            step="any"
+            value={form.longitude}
+            onChange={setField("longitude")}
+            className={inputClassName}
+          />
+        </label>
+      </div>
+      <details className="mb-3 text-sm text-gray-700 dark:text-gray-200 transition-colors duration-300">
+        <summary className="cursor-pointer">Payload decoder (JSON)</summary>
+        <textarea
+          value={form.decoder}
+          onChange={setField("decoder")}
+          rows={6}
+          placeholder='Blank uses TTN decoded_payload, e.g. {"type": "cayenne"}'
+          className={`${inputClassName} w-full mt-2 font-mono`}
+        />
+      </details>
+      <div className="flex gap-3">
+        <button type="submit" className={buttonClassName}>
+          {isNew ? "Add device" : "Save"}
+        </button>
+        {!isNew && (
+          <button
+            type="button"
+            onClick={handleDelete}
+            className={dangerButtonClassName}
+          >
+            Remove
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+const DevicesPanel = ({ request, devices, sensorSchema, onDevicesChanged }) => {
+  const types = sensorSchema?.types || {};
+  // The public registry leaves out decoders, so the forms use the registry
+  // as an admin sees it, fetched again whenever the public one reloads
+  const [adminDevices, setAdminDevices] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    request("/api/devices")
+      .then(setAdminDevices)
+      .catch((err) => setError(err.message));
+  }, [request, devices]);
+
+  return (
+    <>
+      <div className={cardClassName}>
+        <h2 className={headingClassName}>Devices</h2>
+        <ErrorMessage error={error} />
+        {adminDevices?.length === 0 && (
+          <p className="text-sm text-gray-500">No devices registered</p>
+        )}
+        {(adminDevices || []).map((device) => (
+          <DeviceForm
+            key={`${device.deviceId}-${device.updatedAt}`}
+            device={device}
+            types={types}
+            request={request}
+            onSaved={onDevicesChanged}
+          />
+        ))}
+      </div>
+      <div className={cardClassName}>
+        <h2 className={headingClassName}>Register a device</h2>
+        <DeviceForm
+          types={types}
+          request={request}
+          onSaved={onDevicesChanged}
+        />
+      </div>
+    </>
+  );
+};
+
+const DOWNLINK_STATUS_CLASSES = {
+  acked: "text-green-600 dark:text-green-400",
+  sent: "text-green-600 dark:text-green-400",
+  failed: "text-red-600 dark:text-red-400",
+  nacked: "text-red-600 dark:text-red-400",
+};
+
+const describeParams = (params) =>
+  Object.entries(params)
+    .map(([name, value]) => `${name}=${value}`)
+    .join(", ");
+
+const DownlinksPanel = ({ request, devices }) => {
+  const [templates, setTemplates] = useState({});
+  const [downlinks, setDownlinks] = useState([]);
+  const [deviceId, setDeviceId] = useState("");
+  const [command, setCommand] = useState("");
+  const [params, setParams] = useState({});
+  const [confirmed, setConfirmed] = useState(true);
+  const [error, setError] = useState(null);
+  const [isSending, setIsSending] = useState(false);
+
+  const loadDownlinks = useCallback(() => {
+    request("/api/downlinks")
+      .then(setDownlinks)
+      .catch((err) => setError(err.message));
+  }, [request]);
+
+  // Delivery statuses change as TTN reports back, so keep the log fresh
+  useEffect(() => {
+    request("/api/downlinks/templates")
+      .then(setTemplates)
+      .catch((err) => setError(err.message));
+    loadDownlinks();
+    const interval = setInterval(loadDownlinks, 10000);
+    return () => clearInterval(interval);
+  }, [request, loadDownlinks]);
+
+  const device = devices.find((d) => d.deviceId === deviceId);
+  const commands = (device && templates[device.type]) || {};
+  const template = commands[command];
+
+  const chooseDevice = (e) => {
+    setDeviceId(e.target.value);
+    setCommand("");
+    setParams({});
+  };
+
+  const chooseCommand = (e) => {
+    setCommand(e.target.value);
+    setParams({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSending(true);
+    try {
+      await request("/api/downlinks", {
+        method: "POST",
+        body: { deviceId, command, params, confirmed },
+      });
+      setParams({});
+      loadDownlinks();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const deviceName = (id) =>
+    devices.find((d) => d.deviceId === id)?.displayName || id;
+
+  return (
+    <div className={cardClassName}>
+      <h2 className={headingClassName}>Downlinks</h2>
+      <ErrorMessage error={error} />
+
+      <form onSubmit={handleSubmit} className="mb-6">
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-3">
+          <label className={labelClassName}>
+            Device
+            <select
+              value={deviceId}
+              onChange={chooseDevice}
+              required
+              className={inputClassName}
+            >
+              <option value="">Choose a device</option>
+              {devices.map((d) => (
+                <option key={d.deviceId} value={d.deviceId}>
+                  {d.displayName}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className={labelClassName}>
+            Command
+            <select
+              value={command}
+              onChange={chooseCommand}
+              required
+              className={inputClassName}
+            >
+              <option value="">Choose a command</option>
+              {Object.entries(commands).map(([name, { label }]) => (
+                <option key={name} value={name}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {template?.params.map((param) => (
+            <label key={param.name} className={labelClassName}>
+              {param.label}
+              <input
+                type={param.type === "hex" ? "text" : "number"}
+                min={param.min}
+                max={param.max}
+                value={params[param.name] ?? ""}
+                onChange={(e) =>
+                  setParams((prev) => ({
+                    ...prev,
+                    [param.name]: e.target.value,
+                  }))
+                }
+                required
+                className={inputClassName}
+              />
+            </label>
+          ))}
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200 transition-colors duration-300">
+            <input
+              type="checkbox"
+              checked={confirmed}
+              onChange={(e) => setConfirmed(e.target.checked)}
+            />
+            Ask the device to confirm
+          </label>
+        </div>
+        <button type="submit" disabled={isSending} className={buttonClassName}>
+          {isSending ? "Sending..." : "Send downlink"}
+        </button>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2 transition-colors duration-300">
+          Class A devices receive downlinks after their next uplink.
+        </p>
+      </form>
+
+      <h3 className="font-semibold mb-3 text-gray-800 dark:text-gray-200 transition-colors duration-300">
+        Sent downlinks
+      </h3>
+      <div className="max-h-96 overflow-y-auto">
+        <table className="w-full text-sm text-left text-gray-700 dark:text-gray-200 transition-colors duration-300">
+          <tbody>
+            {downlinks.map((downlink) => (
+              <tr
+                key={downlink.id}
+                className="border-b border-gray-100 dark:border-gray-800"
+              >
+                <td className="py-2">
+                  {new Date(downlink.createdAt).toLocaleString()}
+                </td>
+                <td className="py-2 font-semibold">
+                  {deviceName(downlink.deviceId)}
+                </td>
+                <td className="py-2 font-mono">
+                  {downlink.command}
+                  {Object.keys(downlink.params).length > 0 &&
+                    ` (${describeParams(downlink.params)})`}
+                </td>
+                <td className="py-2">{downlink.sentBy}</td>
+                <td
+                  className={`py-2 font-semibold ${
+                    DOWNLINK_STATUS_CLASSES[downlink.status] || ""
+                  }`}
+                  title={downlink.error || undefined}
+                >
+                  {downlink.status}
+                  {downlink.error && `: ${downlink.error}`}
+                </td>
+              </tr>
+            ))}
+            {downlinks.length === 0 && (
+              <tr>
+                <td className="py-2 text-gray-500">No downlinks sent yet</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const emptyRuleForm = {
+  name: "",
+  deviceId: "",
+  field: "",
+  type: "threshold",
+  operator: ">",
+  threshold: "",
+  windowMinutes: "",
+  consecutive: "1",
+  notifyEmails: "",
+  notifyWebhook: "",
+};
+
+const describeRule = (rule) => {
+  const subject =
+    rule.type === "rate"
+      ? `${rule.field} per hour`
+      : rule.type === "change"
+      ? `${rule.field} change over ${rule.windowMinutes} min`
+      : rule.field;
+  return `${subject} ${rule.operator} ${rule.threshold}${
+    rule.consecutive > 1 ? ` for ${rule.consecutive} readings` : ""
+  }`;
+};
+
+const AlertRulesPanel = ({ request, devices }) => {
+  const [rules, setRules] = useState([]);
+  const [form, setForm] = useState(emptyRuleForm);
+  const [error, setError] = useState(null);
+
+  const loadRules = useCallback(() => {
+    request("/api/alerts/rules")
+      .then(setRules)
+      .catch((err) => setError(err.message));
+  }, [request]);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  const setField = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const runAndReload = async (path, options) => {
+    setError(null);
+    try {
+      await request(path, options);
+      loadRules();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const created = await runAndReload("/api/alerts/rules", {
+      method: "POST",
+      body: {
+        ...form,
+        deviceId: form.deviceId || null,
+        windowMinutes: optionalNumber(form.windowMinutes),
+        notifyEmails: form.notifyEmails
+          .split(",")
+          .map((email) => email.trim())
+          .filter(Boolean),
+        notifyWebhook: form.notifyWebhook || null,
+      },
+    });
+    if (created) {
+      setForm(emptyRuleForm);
+    }
+  };
+
+  const deviceName = (deviceId) =>
+    devices.find((d) => d.deviceId === deviceId)?.displayName || deviceId;
+
+  return (
+    <div className={cardClassName}>
+      <h2 className={headingClassName}>Alert rules</h2>
+      <ErrorMessage error={error} />
+
+      <table className="w-full text-sm mb-6 text-gray-700 dark:text-gray-200 transition-colors duration-300">
+        <tbody>
+          {rules.map((rule) => (
+            <tr
+              key={rule.id}
+              className="border-b border-gray-100 dark:border-gray-800"
+            >
+              <td className="py-2 font-semibold">{rule.name}</td>
+              <td className="py-2">
+                {rule.deviceId ? deviceName(rule.deviceId) : "All devices"}
+              </td>
+              <td className="py-2 font-mono">{describeRule(rule)}</td>
+              <td className="py-2">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={() =>
+                      runAndReload(`/api/alerts/rules/${rule.id}`, {
+                        method: "PUT",
+                        body: { ...rule, enabled: !rule.enabled },
+                      })
+                    }
+                  />
+                  Enabled
+                </label>
+              </td>
+              <td className="py-2 text-right">
+                <button
+                  type="button"
+                  onClick={() =>
+                    window.confirm(`Delete alert rule "${rule.name}"?`) &&
+                    runAndReload(`/api/alerts/rules/${rule.id}`, {
+                      method: "DELETE",
+                    })
+                  }
+                  className={dangerButtonClassName}
+                >
+                  Delete
+                </button>
+              </td>
+            </tr>
+          ))}
+          {rules.length === 0 && (
+            <tr>
+              <td className="py-2 text-gray-500">No alert rules yet</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      <form onSubmit={handleSubmit}>
+        <h3 className="font-semibold mb-3 text-gray-800 dark:text-gray-200 transition-colors duration-300">
+          New rule
+        </h3>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-3">
+          <label className={labelClassName}>
+            Name
+            <input
+              value={form.name}
+              onChange={setField("name")}
+              className={inputClassName}
+            />
+          </label>
+          <label className={labelClassName}>
+            Device
+            <select
+              value={form.deviceId}
+              onChange={setField("deviceId")}
+              className={inputClassName}
+            >
+              <option value="">All devices</option>
+              {devices.map((d) => (
+                <option key={d.deviceId} value={d.deviceId}>
+                  {d.displayName}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className={labelClassName}>
+            Field
+            <input
+              value={form.field}
+              onChange={setField("field")}
+              placeholder="WaterT1"
+              className={inputClassName}
+            />
+          </label>
+          <label className={labelClassName}>
+            Type
+            <select
+              value={form.type}
+              onChange={setField("type")}
+              className={inputClassName}
+            >
+              <option value="threshold">Value</option>
+              <option value="rate">Rate per hour</option>
+              <option value="change">Change over window</option>
+            </select>
+          </label>
+          <label className={labelClassName}>
+            Condition
+            <span className="flex gap-2">
+              <select
+                value={form.operator}
+                onChange={setField("operator")}
+                className={inputClassName}
+              >
+                {[">", ">=", "<", "<="].map((op) => (
+                  <option key={op} value={op}>
+                    {op}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                step="any"
+                value={form.threshold}
+                onChange={setField("threshold")}
+                className={`${inputClassName} w-24`}
+              />
+            </span>
+          </label>
+          {form.type === "change" && (
+            <label className={labelClassName}>
+              Window (min)
+              <input
+                type="number"
+                min="1"
+                value={form.windowMinutes}
+                onChange={setField("windowMinutes")}
+                className={inputClassName}
+              />
+            </label>
+          )}
+          <label className={labelClassName}>
+            Consecutive readings
+            <input
+              type="number"
+              min="1"
+              value={form.consecutive}
+              onChange={setField("consecutive")}
+              className={inputClassName}
+            />
+          </label>
+          <label className={`${labelClassName} md:col-span-2`}>
+            Email (comma separated)
+            <input
+              value={form.notifyEmails}
+              onChange={setField("notifyEmails")}
+              className={inputClassName}
+            />
+          </label>
+          <label className={`${labelClassName} md:col-span-2`}>
+            Webhook URL
+            <input
+              value={form.notifyWebhook}
+              onChange={setField("notifyWebhook")}
+              className={inputClassName}
+            />
+          </label>
+        </div>
+        <button type="submit" className={buttonClassName}>
+          Add rule
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// datetime-local values are in local time, without a timezone
+const toLocalInput = (date) =>
+  new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+    .toISOString()
+    .slice(0, 16);
+
+const emptyCalibrationForm = () => ({
+  deviceId: "",
+  field: "",
+  offset: "0",
+  scale: "1",
+  effectiveFrom: toLocalInput(new Date()),
+  note: "",
+});
+
+const describeCalibration = (calibration) =>
+  [
+    calibration.scale !== 1 && `× ${calibration.scale}`,
+    calibration.offset !== 0 &&
+      `${calibration.offset > 0 ? "+" : "−"} ${Math.abs(calibration.offset)}`,
+  ]
+    .filter(Boolean)
+    .join(" ") || "No correction";
+
+const CalibrationsPanel = ({ request, devices }) => {
+  const [calibrations, setCalibrations] = useState([]);
+  const [form, setForm] = useState(emptyCalibrationForm);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  const loadCalibrations = useCallback(() => {
+    request("/api/calibrations")
+      .then(setCalibrations)
+      .catch((err) => setError(err.message));
+  }, [request]);
+
+  useEffect(() => {
+    loadCalibrations();
+  }, [loadCalibrations]);
+
+  const setField = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  // Changes recompute stored readings, so report how many were updated
+  const runAndReload = async (path, options) => {
+    setError(null);
+    setStatus(null);
+    try {
+      const result = await request(path, options);
+      setStatus(`Recomputed ${result.recomputed} stored readings`);
+      loadCalibrations();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const created = await runAndReload("/api/calibrations", {
+      method: "POST",
+      body: {
+        ...form,
+        offset: Number(form.offset),
+        scale: Number(form.scale),
+        effectiveFrom: new Date(form.effectiveFrom).toISOString(),
+      },
+    });
+    if (created) {
+      setForm(emptyCalibrationForm());
+    }
+  };
+
+  const deviceName = (deviceId) =>
+    devices.find((d) => d.deviceId === deviceId)?.displayName || deviceId;
+
+  return (
+    <div className={cardClassName}>
+      <h2 className={headingClassName}>Calibrations</h2>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-4 transition-colors duration-300">
+        Calibrated value = raw value × scale + offset, for readings received
+        from the effective date until the next calibration of the same field.
+      </p>
+      <ErrorMessage error={error} />
+      {status && (
+        <p className="text-sm text-green-600 dark:text-green-400 mb-3">
+          {status}
+        </p>
+      )}
+
+      <table className="w-full text-sm mb-6 text-gray-700 dark:text-gray-200 transition-colors duration-300">
+        <tbody>
+          {calibrations.map((calibration) => (
+            <tr
+              key={calibration.id}
+              className="border-b border-gray-100 dark:border-gray-800"
+            >
+              <td className="py-2 font-semibold">
+                {deviceName(calibration.deviceId)}
+              </td>
+              <td className="py-2">{calibration.field}</td>
+              <td className="py-2 font-mono">
+                {describeCalibration(calibration)}
+              </td>
+              <td className="py-2">
+                From {new Date(calibration.effectiveFrom).toLocaleString()}
+              </td>
+              <td className="py-2 text-gray-500 dark:text-gray-400">
+                {calibration.note}
+                {calibration.createdBy && ` (${calibration.createdBy})`}
+              </td>
+              <td className="py-2 text-right">
+                <button
+                  type="button"
+                  onClick={() =>
+                    window.confirm(
+                      `Delete this ${calibration.field} calibration and recompute its readings?`
+                    ) &&
+                    runAndReload(`/api/calibrations/${calibration.id}`, {
+                      method: "DELETE",
+                    })
+                  }
+                  className={dangerButtonClassName}
+                >
+                  Delete
+                </button>
+              </td>
+            </tr>
+          ))}
+          {calibrations.length === 0 && (
+            <tr>
+              <td className="py-2 text-gray-500">No calibrations yet</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      <form onSubmit={handleSubmit}>
+        <h3 className="font-semibold mb-3 text-gray-800 dark:text-gray-200 transition-colors duration-300">
+          New calibration
+        </h3>
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-3">
+          <label className={labelClassName}>
+            Device
+            <select
+              value={form.deviceId}
+              onChange={setField("deviceId")}
+              required
+              className={inputClassName}
+            >
+              <option value="">Choose a device</option>
+              {devices.map((d) => (
+                <option key={d.deviceId} value={d.deviceId}>
+                  {d.displayName}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className={labelClassName}>
+            Field
+            <input
+              value={form.field}
+              onChange={setField("field")}
+              placeholder="WaterT1"
+              required
+              className={inputClassName}
+            />
+          </label>
+          <label className={labelClassName}>
+            Scale
+            <input
+              type="number"
+              step="any"
+              value={form.scale}
+              onChange={setField("scale")}
+              className={inputClassName}
+            />
+          </label>
+          <label className={labelClassName}>
+            Offset
+            <input
+              type="number"
+              step="any"
+              value={form.offset}
+              onChange={setField("offset")}
+              className={inputClassName}
+            />
+          </label>
+          <label className={`${labelClassName} md:col-span-2`}>
+            Effective from
+            <input
+              type="datetime-local"
+              value={form.effectiveFrom}
+              onChange={setField("effectiveFrom")}
+              required
+              className={inputClassName}
+            />
+          </label>
+          <label className={`${labelClassName} col-span-2 md:col-span-6`}>
+            Note
+            <input
+              value={form.note}
+              onChange={setField("note")}
+              placeholder="Probe replaced, checked against reference thermometer"
+              className={inputClassName}
+            />
+          </label>
+        </div>
+        <button type="submit" className={buttonClassName}>
+          Add calibration
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const UsersPanel = ({ request, currentUser }) => {
+  const [users, setUsers] = useState([]);
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+
+  const loadUsers = useCallback(() => {
+    request("/api/admin/users")
+      .then(setUsers)
+      .catch((err) => setError(err.message));
+  }, [request]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const runAndReload = async (path, options) => {
+    setError(null);
+    try {
+      await request(path, options);
+      loadUsers();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (
+      await runAndReload("/api/admin/users", {
+        method: "POST",
+        body: { username, password },
+      })
+    ) {
+      setUsername("");
+      setPassword("");
+    }
+  };
+
+  // Changing a password ends that user's sessions, including our own
+  const handleChangePassword = (user) => {
+    const newPassword = window.prompt(`New password for ${user.username}`);
+    if (newPassword) {
+      runAndReload(`/api/admin/users/${user.id}/password`, {
+        method: "PUT",
+        body: { password: newPassword },
+      });
+    }
+  };
+
+  return (
+    <div className={cardClassName}>
+      <h2 className={headingClassName}>Admin users</h2>
+      <ErrorMessage error={error} />
+
+      <table className="w-full text-sm mb-6 text-gray-700 dark:text-gray-200 transition-colors duration-300">
+        <tbody>
+          {users.map((user) => (
+            <tr
+              key={user.id}
+              className="border-b border-gray-100 dark:border-gray-800"
+            >
+              <td className="py-2 font-semibold">
+                {user.username}
+                {user.id === currentUser?.id && " (you)"}
+              </td>
+              <td className="py-2 text-gray-500">
+                {user.lastLoginAt
+                  ? `Last login ${new Date(user.lastLoginAt).toLocaleString()}`
+                  : "Never logged in"}
+              </td>
+              <td className="py-2 text-right">
+                <button
+                  type="button"
+                  onClick={() => handleChangePassword(user)}
+                  className="px-3 py-1 rounded-md text-sm font-semibold text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-950 transition-colors duration-300"
+                >
+                  Change password
+                </button>
+                <button
+                  type="button"
+                  onClick={() =>
+                    window.confirm(`Delete user ${user.username}?`) &&
+                    runAndReload(`/api/admin/users/${user.id}`, {
+                      method: "DELETE",
+                    })
+                  }
+                  className={dangerButtonClassName}
+                >
+                  Delete
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-3">
+        <label className={labelClassName}>
+          Username
+          <input
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="off"
+            className={inputClassName}
+          />
+        </label>
+        <label className={labelClassName}>
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="new-password"
+            className={inputClassName}
+          />
+        </label>
+        <button type="submit" className={buttonClassName}>
+          Add user
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const ApiKeysPanel = ({ request }) => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [name, setName] = useState("");
+  const [rateLimit, setRateLimit] = useState("");
+  // A key is only shown once, straight after it's issued
+  const [newKey, setNewKey] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadApiKeys = useCallback(() => {
+    request("/api/admin/api-keys")
+      .then(setApiKeys)
+      .catch((err) => setError(err.message));
+  }, [request]);
+
+  useEffect(() => {
+    loadApiKeys();
+  }, [loadApiKeys]);
+
+  const runAndReload = async (path, options) => {
+    setError(null);
+    try {
+      const result = await request(path, options);
+      loadApiKeys();
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const created = await runAndReload("/api/admin/api-keys", {
+      method: "POST",
+      body: { name, rateLimit },
+    });
+    if (created) {
+      setNewKey(created);
+      setName("");
+      setRateLimit("");
+    }
+  };
+
+  const handleChangeLimit = (apiKey) => {
+    const limit = window.prompt(
+      `Requests a minute for ${apiKey.name} (blank for the default)`,
+      apiKey.rateLimit ?? ""
+    );
+    if (limit !== null) {
+      runAndReload(`/api/admin/api-keys/${apiKey.id}`, {
+        method: "PUT",
+        body: { name: apiKey.name, rateLimit: limit },
+      });
+    }
+  };
+
+  return (
+    <div className={cardClassName}>
+      <h2 className={headingClassName}>API keys</h2>
+      <p className="text-sm mb-4 text-gray-500 dark:text-gray-400">
+        Keys for the public read-only API at /api/v1 (documented at{" "}
+        <a href="/api/v1/openapi.json" className="underline">
+          /api/v1/openapi.json
+        </a>
+        ). Requests are counted by UTC day.
+      </p>
+      <ErrorMessage error={error} />
+
+      {newKey && (
+        <div className="mb-6 p-3 rounded-md text-sm bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-100">
+          <p className="font-semibold mb-1">
+            Key for {newKey.apiKey.name}. It is only shown once, so copy it now:
+          </p>
+          <code className="font-mono break-all select-all">{newKey.key}</code>
+        </div>
+      )}
+
+      <table className="w-full text-sm mb-6 text-gray-700 dark:text-gray-200 transition-colors duration-300">
+        <tbody>
+          {apiKeys.map((apiKey) => (
+            <tr
+              key={apiKey.id}
+              className={`border-b border-gray-100 dark:border-gray-800 ${
+                apiKey.revokedAt ? "opacity-50" : ""
+              }`}
+            >
+              <td className="py-2">
+                <span className="font-semibold">{apiKey.name}</span>{" "}
+                <span className="font-mono text-gray-500">
+                  {apiKey.prefix}...
+                </span>
+              </td>
+              <td className="py-2 text-gray-500">
+                {apiKey.effectiveRateLimit}/min
+                {apiKey.rateLimit === null && " (default)"}
+              </td>
+              <td className="py-2 text-gray-500">
+                {apiKey.requestsToday} today, {apiKey.requestsLast30Days} in 30
+                days
+              </td>
+              <td className="py-2 text-gray-500">
+                {apiKey.revokedAt
+                  ? `Revoked ${new Date(apiKey.revokedAt).toLocaleString()}`
+                  : apiKey.lastUsedAt
+                  ? `Last used ${new Date(apiKey.lastUsedAt).toLocaleString()}`
+                  : "Never used"}
+              </td>
+              <td className="py-2 text-right">
+                {!apiKey.revokedAt && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => handleChangeLimit(apiKey)}
+                      className="px-3 py-1 rounded-md text-sm font-semibold text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-950 transition-colors duration-300"
+                    >
+                      Change limit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() =>
+                        window.confirm(`Revoke the key for ${apiKey.name}?`) &&
+                        runAndReload(`/api/admin/api-keys/${apiKey.id}`, {
+                          method: "DELETE",
+                        })
+                      }
+                      className={dangerButtonClassName}
+                    >
+                      Revoke
+                    </button>
+                  </>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-3">
+        <label className={labelClassName}>
+          Issued to
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. RMIT marine science"
+            className={inputClassName}
+          />
+        </label>
+        <label className={labelClassName}>
+          Requests a minute
+          <input
+            type="number"
+            min="1"
+            value={rateLimit}
+            onChange={(e) => setRateLimit(e.target.value)}
+            placeholder="Default"
+            className={inputClassName}
+          />
+        </label>
+        <button type="submit" className={buttonClassName}>
+          Issue key
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const TABS = [
+  { id: "settings", label: "Settings" },
+  { id: "devices", label: "Devices" },
+  { id: "downlinks", label: "Downlinks" },
+  { id: "alerts", label: "Alert rules" },
+  { id: "calibrations", label: "Calibrations" },
+  { id: "users", label: "Users" },
+  { id: "apiKeys", label: "API keys" },
+];
+
+const AdminPage = ({ devices, sensorSchema, onDevicesChanged }) => {
+  const [token, setToken] = useState(loadAdminToken);
+  const [user, setUser] = useState(null);
+  const [tab, setTab] = useState("settings");
+
+  const logOut = useCallback(() => {
+    saveAdminToken(null);
+    setToken(null);
+    setUser(null);
+  }, []);
+
+  // Admin API call that logs out when the session has expired
+  const request = useCallback(
+    async (path, options) => {
+      try {
+        return await adminFetch(token, path, options);
+      } catch (error) {
+        if (error instanceof AdminAuthError) {
+          logOut();
+        }
+        throw error;
+      }
+    },
+    [token, logOut]
+  );
+
+  useEffect(() => {
+    if (token) {
+      request("/api/admin/me")
+        .then(setUser)
+        .catch((error) =>
+          console.error("Error checking admin session:", error)
+        );
+    }
+  }, [token, request]);
+
+  const handleLogin = (session) => {
+    saveAdminToken(session.token);
+    setToken(session.token);
+    setUser(session.user);
+  };
+
+  const handleLogout = async () => {
+    try {
+      await request("/api/admin/logout", { method: "POST" });
+    } catch (error) {
+      console.error("Error logging out:", error);
+    }
+    logOut();
+  };
+
+  if (!token) {
+    return (
+      <div className="max-w-7xl mx-auto w-full">
+        <LoginForm onLogin={handleLogin} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto w-full">
+      <div className="flex flex-wrap items-center gap-2 mb-6">
+        {TABS.map(({ id, label }) => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => setTab(id)}
+            className={`px-4 py-2 rounded-md font-semibold transition-colors duration-300 ${
+              tab === id
+                ? "bg-blue-500 text-white"
+                : "text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-800"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+        <span className="ml-auto text-sm text-gray-500 dark:text-gray-400 transition-colors duration-300">
+          {user && `Logged in as ${user.username}`}
+        </span>
+        <button
+          type="button"
+          onClick={handleLogout}
+          className="px-4 py-2 rounded-md font-semibold text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-800 transition-colors duration-300"
+        >
+          Log out
+        </button>
+      </div>
+
+      {tab === "settings" && <SettingsPanel request={request} />}
+      {tab === "devices" && (
+        <DevicesPanel
+          request={request}
+          devices={devices}
+          sensorSchema={sensorSchema}
+          onDevicesChanged={onDevicesChanged}
+        />
+      )}
+      {tab === "downlinks" && (
+        <DownlinksPanel request={request} devices={devices} />
+      )}
+      {tab === "alerts" && (
+        <AlertRulesPanel request={request} devices={devices} />
+      )}
+      {tab === "calibrations" && (
+        <CalibrationsPanel request={request} devices={devices} />
+      )}
+      {tab === "users" && <UsersPanel request={request} currentUser={user} />}
+      {tab === "apiKeys" && <ApiKeysPanel request={request} />}
+    </div>
+  );
+};
+
+export default AdminPage;
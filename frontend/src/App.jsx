@@ -1,10 +1,40 @@
-import React, { useState, useEffect, useCallback } from "react";
-import GaugeComponent from "react-gauge-component";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
 import DarkModeToggle from "./DarkModeToggle";
+import { NavLink, Route, Routes } from "react-router-dom";
+import SensorGauge from "./SensorGauge";
+import DeviceHeaderLabel from "./DeviceHeaderLabel";
+import HistoryChart from "./HistoryChart";
+import MapView from "./MapView";
+import DownloadData from "./DownloadData";
+import SummaryReport from "./SummaryReport";
+import DeviceHealth from "./DeviceHealth";
+import DerivedMetrics from "./DerivedMetrics";
+import AdminPage from "./AdminPage";
+import Kiosk from "./Kiosk";
+import EmbedWidget from "./EmbedWidget";
+import { connectLiveUpdates } from "./liveUpdates";
+import { loadCached, saveCached } from "./offlineStore";
+import { useDevices, useSensorSchema } from "./registry";
+import {
+  chartGroupsForSensors,
+  displayedSensors,
+  gaugePropsFor,
+} from "./sensorDisplay";
 
 const MAX_MESSAGES = 50;
+// How the live feed is connected, when it isn't over the WebSocket
+const TRANSPORT_LABELS = {
+  sse: "event stream",
+  polling: "polling",
+};
 
-const StatusIndicator = ({ isConnected, ttnName }) => (
+const StatusIndicator = ({ isConnected, ttnName, transport }) => (
   <div className="flex items-center justify-center mb-6 p-4">
     <div
       className={`w-3 h-3 rounded-full mr-3 transition-colors duration-300 ${
@@ -13,67 +43,20 @@ const StatusIndicator = ({ isConnected, ttnName }) => (
     />
     <span className="font-semibold text-gray-700 dark:text-gray-50">
       {isConnected ? `Connected to ${ttnName}` : "Disconnected"}
-    </span>
-  </div>
-);
-
-const DeviceHeaderLabel = ({ deviceDisplayName, lastUpdate }) => (
-  <div className="justify-center mb-6 p-4 bg-gray-50 dark:bg-gray-800 transition-colors duration-300 rounded-lg shadow-sm">
-    <div className="flex justify-between items-center">
-      <span className="text-lg font-semibold text-gray-900 dark:text-gray-50 transition-colors duration-300">
-        {deviceDisplayName}
-      </span>
-      {lastUpdate && (
-        <span className="text-sm text-gray-500 dark:text-gray-300 transition-colors duration-300">
-          Last update: {lastUpdate}
+      {isConnected && TRANSPORT_LABELS[transport] && (
+        <span className="font-normal text-gray-500 dark:text-gray-400">
+          {` (via ${TRANSPORT_LABELS[transport]})`}
         </span>
       )}
-    </div>
+    </span>
   </div>
 );
 
-const SensorGauge = ({ value, title, unit, min, max, color, subArcs }) => (
-  <div className="bg-white dark:bg-gray-900 p-6 rounded-lg shadow-md hover:shadow-lg transition-shadow duration-300">
-    <h3 className="text-lg font-semibold mb-4 text-center dark:text-gray-100 text-gray-800 transition-colors duration-300">
-      {title}
-    </h3>
-    <div className="flex justify-center">
-      <GaugeComponent
-        value={value || 0}
-        type="semicircle"
-        labels={{
-          tickLabels: {
-            type: "outer",
-            defaultTickValueConfig: {
-              formatTextValue: (value) => value + unit,
-            },
-          },
-          valueLabel: {
-            formatTextValue: (value) => value.toFixed(1) + unit,
-            style: { fontSize: "2rem", fontWeight: "bold", fill: color },
-          },
-        }}
-        arc={{
-          width: 0.2,
-          padding: 0.005,
-          cornerRadius: 1,
-          subArcs: subArcs,
-        }}
-        pointer={{
-          color: "#345243",
-          length: 0.8,
-          width: 15,
-        }}
-        minValue={min}
-        maxValue={max}
-      />
-    </div>
-    <div className="text-center mt-2">
-      <span className="text-2xl font-bold" style={{ color }}>
-        {value ? value.toFixed(1) : "-.-"}
-        {unit}
-      </span>
-    </div>
+// Shown while the dashboard can't update, e.g. when the Wi-Fi drops
+const OfflineBanner = ({ dataAsOf }) => (
+  <div className="max-w-7xl mx-auto w-full mb-6 p-3 rounded-lg text-center text-sm font-semibold bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-100 transition-colors duration-300">
+    {navigator.onLine ? "Reconnecting." : "You're offline."} Showing data as of{" "}
+    {new Date(dataAsOf).toLocaleString()}.
   </div>
 );
 
@@ -111,13 +94,32 @@ const MessageHistory = ({ messages }) => (
                   Data:
                 </strong>
                 <span className="ml-2 font-mono text-xs bg-gray-100 dark:bg-gray-800 transition-colors duration-300 px-2 py-1 rounded">
-                  T: {msg.payload.Temp?.toFixed(1)}°C, WT:{" "}
-                  {msg.payload.WaterT1?.toFixed(1)}°C, WT2:{" "}
-                  {msg.payload.WaterT2?.toFixed(1)}°C, H:{" "}
-                  {msg.payload.Humidity?.toFixed(1)}%, P:{" "}
-                  {msg.payload.Pressure?.toFixed(1)}hPa
+                  {Object.entries(msg.payload)
+                    .map(([field, value]) => `${field}: ${value}`)
+                    .join(", ")}
                 </span>
               </div>
+              {Object.entries(msg.qc).map(([field, qc]) => (
+                <div
+                  key={field}
+                  className="md:col-span-2 text-xs font-semibold text-amber-600 dark:text-amber-400"
+                >
+                  QC {qc.flag} {field} = {qc.value}: {qc.reason}
+                </div>
+              ))}
+              {msg.radio.gateways.length > 0 && (
+                <div className="md:col-span-2 text-xs text-gray-500 dark:text-gray-300 transition-colors duration-300">
+                  Radio: RSSI {msg.radio.rssi} dBm, SNR {msg.radio.snr} dB
+                  {msg.radio.spreadingFactor &&
+                    `, SF${msg.radio.spreadingFactor}`}
+                  , frame {msg.radio.fCnt} via {msg.radio.gateways.join(", ")}
+                </div>
+              )}
+              {msg.decodeError && (
+                <div className="md:col-span-2 text-xs font-semibold text-red-600 dark:text-red-400">
+                  Decode failed: {msg.decodeError}
+                </div>
+              )}
               <div className="text-gray-500 dark:text-gray-300 transition-colors duration-300 text-xs md:col-span-2">
                 Local time: {msg.timestamp} {msg.isHistorical && "(Historical)"}
               </div>
@@ -129,26 +131,85 @@ const MessageHistory = ({ messages }) => (
   </div>
 );
 
-// Function to transform TTN message to our format
-const transformTTNMessage = (ttnMessage, isHistorical = false) => {
+// Signal of the strongest gateway that heard an uplink, and which gateways
+// heard it
+const radioForUplink = (uplink) => {
+  const rxMetadata = uplink?.rx_metadata || [];
+  const best = rxMetadata.reduce(
+    (strongest, rx) =>
+      !strongest || (rx.rssi ?? -Infinity) > (strongest.rssi ?? -Infinity)
+        ? rx
+        : strongest,
+    null
+  );
+  return {
+    fCnt: uplink?.f_cnt ?? null,
+    rssi: best?.rssi ?? null,
+    snr: best?.snr ?? null,
+    spreadingFactor:
+      uplink?.settings?.data_rate?.lora?.spreading_factor ?? null,
+    gateways: rxMetadata.map((rx) => rx.gateway_ids?.gateway_id || "unknown"),
+  };
+};
+
+// Function to transform TTN message to our format. The backend sends the
+// canonical reading it decoded alongside each message; its fields replace
+// TTN's decoded_payload.
+const transformTTNMessage = (
+  ttnMessage,
+  isHistorical = false,
+  reading = ttnMessage.reading
+) => {
   return {
     timestamp: new Date().toLocaleString(),
     receivedAt: new Date(ttnMessage.received_at).toLocaleTimeString(),
     deviceId: ttnMessage.end_device_ids?.device_id || "unknown",
-    payload: ttnMessage.uplink_message?.decoded_payload || {},
+    payload: reading
+      ? reading.fields
+      : ttnMessage.uplink_message?.decoded_payload || {},
+    decodeError: reading?.status === "failed" ? reading.error : null,
+    qc: reading?.qc || {},
+    radio: radioForUplink(ttnMessage.uplink_message),
     data: ttnMessage,
     isHistorical: isHistorical,
   };
 };
 
-const useWebSocket = () => {
-  const [ws, setWs] = useState(null);
+const useLiveUpdates = () => {
   const [isConnected, setIsConnected] = useState(false);
+  const [transport, setTransport] = useState(null);
   const [messages, setMessages] = useState([]);
-  const [connectionAttempts, setConnectionAttempts] = useState(0);
   const [isLoadingHistorical, setIsLoadingHistorical] = useState(true);
+  const [backfillVersion, setBackfillVersion] = useState(0);
+  const [alertVersion, setAlertVersion] = useState(0);
+  const [deviceStatuses, setDeviceStatuses] = useState({});
+  // When the server last brought the messages up to date
+  const lastSyncedAt = useRef(null);
+  // Set while the dashboard shows data it can't keep up to date (cached, or
+  // with live updates disconnected), to when that data was last synced
+  const [dataAsOf, setDataAsOf] = useState(null);
+
+  // Fetch whether each device is online or has gone stale
+  const fetchDeviceStatuses = useCallback(async () => {
+    try {
+      const response = await fetch("/api/device-status");
+      if (response.ok) {
+        const statuses = await response.json();
+        setDeviceStatuses(
+          Object.fromEntries(
+            statuses.map((status) => [status.deviceId, status])
+          )
+        );
+      } else {
+        console.error("Failed to fetch device status:", response.status);
+      }
+    } catch (error) {
+      console.error("Error fetching device status:", error);
+    }
+  }, []);
 
-  // Fetch the latest messages from both devices
+  // Fetch the latest messages from both devices. Resolves to true if it
+  // succeeded.
   const fetchLatestMessages = useCallback(async () => {
     try {
       console.log("Fetching latest messages from server...");
@@ -164,6 +225,9 @@ const useWebSocket = () => {
         const latestMessages = await response.json();
         console.log("Raw latest messages from server:", latestMessages);
 
+        lastSyncedAt.current = Date.now();
+        setDataAsOf(null);
+
         if (latestMessages && latestMessages.length > 0) {
           const transformedMessages = latestMessages.map((msg) =>
             transformTTNMessage(msg, true)
@@ -173,6 +237,7 @@ const useWebSocket = () => {
         } else {
           console.log("No historical messages found");
         }
+        return true;
       } else {
         console.error("Failed to fetch latest messages:", response.status);
         const errorText = await response.text();
@@ -185,198 +250,317 @@ const useWebSocket = () => {
     }
   }, []);
 
-  const connectWebSocket = useCallback(() => {
-    const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
-    const wsUrl = `${protocol}//${window.location.host}`;
-
-    console.log(
-      `Attempting WebSocket connection (attempt ${
-        connectionAttempts + 1
-      }): ${wsUrl}`
-    );
+  // Apply one live update event, from whichever transport delivered it
+  const handleLiveEvent = useCallback((data) => {
+    lastSyncedAt.current = Date.now();
 
-    const websocket = new WebSocket(wsUrl);
-
-    websocket.onopen = () => {
-      console.log("WebSocket connected successfully");
-      setIsConnected(true);
-      setConnectionAttempts(0);
-    };
-
-    websocket.onmessage = (event) => {
-      try {
-        const data = JSON.parse(event.data);
+    if (data.type === "welcome") {
+      console.log(`Live updates protocol v${data.protocol}`);
+    }
 
-        if (data.type === "connection") {
-          setIsConnected(data.status === "connected");
-          console.log("Connection status update:", data.status);
-        }
+    if (data.type === "error") {
+      console.error("Live updates error:", data.error);
+    }
 
-        if (data.type === "message" && data.payload) {
-          console.log("Received real-time sensor data:", data.payload);
+    // Current state of each device, to fill in any device the initial
+    // fetch had no message for, or that has sent newer readings than the
+    // ones shown (after reconnecting)
+    if (data.type === "snapshot") {
+      setDeviceStatuses((prev) => ({
+        ...prev,
+        ...Object.fromEntries(
+          data.devices
+            .filter((device) => device.status)
+            .map((device) => [device.deviceId, device.status])
+        ),
+      }));
+      setMessages((prev) => {
+        const newer = data.devices
+          .filter((device) => {
+            if (!device.message) {
+              return false;
+            }
+            const shown = prev.find((msg) => msg.deviceId === device.deviceId);
+            return (
+              !shown ||
+              new Date(shown.data.received_at) <
+                new Date(device.message.received_at)
+            );
+          })
+          .map((device) =>
+            transformTTNMessage(device.message, true, device.reading)
+          );
+        return newer.length > 0
+          ? [...newer, ...prev].slice(0, MAX_MESSAGES)
+          : prev;
+      });
+    }
 
-          const newMessage = transformTTNMessage(data.payload, false);
+    if (data.type === "device_status") {
+      console.log(`Device ${data.deviceId} is now ${data.status}`);
+      setDeviceStatuses((prev) => ({ ...prev, [data.deviceId]: data }));
+    }
 
-          setMessages((prev) => {
-            const updated = [newMessage, ...prev];
-            return updated.slice(0, MAX_MESSAGES);
-          });
-        }
-      } catch (e) {
-        console.error("Error parsing WebSocket message:", e);
-      }
-    };
+    if (data.type === "alert") {
+      console.log("Alert:", data.event.message);
+      setAlertVersion((prev) => prev + 1);
+    }
 
-    websocket.onclose = (event) => {
-      console.log("WebSocket disconnected:", event.code, event.reason);
-      setIsConnected(false);
-      setConnectionAttempts((prev) => prev + 1);
+    if (data.type === "backfill") {
+      console.log(`Server backfilled ${data.total} missed readings`);
+      setBackfillVersion((prev) => prev + 1);
+    }
 
-      // Exponential backoff for reconnection
-      const delay = Math.min(1000 * Math.pow(2, connectionAttempts), 30000);
-      console.log(`Reconnecting in ${delay / 1000} seconds...`);
-      setTimeout(connectWebSocket, delay);
-    };
+    if (data.type === "reading") {
+      console.log("Received real-time sensor data:", data.reading);
 
-    websocket.onerror = (error) => {
-      console.error("WebSocket error:", error);
-      setIsConnected(false);
-    };
+      const newMessage = transformTTNMessage(data.message, false, data.reading);
 
-    setWs(websocket);
-  }, [connectionAttempts]);
+      setMessages((prev) => {
+        const updated = [newMessage, ...prev];
+        return updated.slice(0, MAX_MESSAGES);
+      });
+    }
+  }, []);
 
   useEffect(() => {
-    // First fetch the latest message, then connect WebSocket
-    fetchLatestMessages().then(() => {
-      connectWebSocket();
+    // Show the messages cached by the last visit straight away, then fetch
+    // the latest message and connect for live updates
+    let disconnect = null;
+    let isCancelled = false;
+    // Whether what's shown may be behind the server, so reconnecting
+    // should catch up
+    let isOutOfSync = false;
+
+    loadCached("messages").then((cached) => {
+      if (cached && !isCancelled && lastSyncedAt.current === null) {
+        lastSyncedAt.current = cached.syncedAt;
+        isOutOfSync = true;
+        setMessages(cached.value);
+        setDataAsOf(cached.syncedAt);
+        setIsLoadingHistorical(false);
+      }
+    });
+
+    fetchDeviceStatuses();
+    fetchLatestMessages().then((isSynced) => {
+      if (isCancelled) {
+        return;
+      }
+      if (isSynced) {
+        isOutOfSync = false;
+      }
+      // The dashboard shows every device, including the TTN message details
+      disconnect = connectLiveUpdates({
+        subscription: { devices: "*", includeMessage: true },
+        onEvent: handleLiveEvent,
+        onStatus: (status) => {
+          setIsConnected(status.isConnected);
+          setTransport(status.transport);
+          if (!status.isConnected) {
+            isOutOfSync = true;
+            setDataAsOf(lastSyncedAt.current);
+            return;
+          }
+          // Reconnected: the live feed resumes from the last event, and the
+          // charts and device statuses are fetched again to catch up
+          setDataAsOf(null);
+          if (isOutOfSync) {
+            isOutOfSync = false;
+            fetchDeviceStatuses();
+            setBackfillVersion((prev) => prev + 1);
+          }
+        },
+      });
     });
 
     return () => {
-      if (ws) {
-        ws.close();
+      isCancelled = true;
+      if (disconnect) {
+        disconnect();
       }
     };
-  }, []);
+  }, [fetchDeviceStatuses, fetchLatestMessages, handleLiveEvent]);
+
+  // Keep the latest messages for showing straight away next time
+  useEffect(() => {
+    if (messages.length > 0 && lastSyncedAt.current !== null) {
+      saveCached("messages", messages, lastSyncedAt.current);
+    }
+  }, [messages]);
 
-  return { isConnected, messages, isLoadingHistorical };
+  return {
+    isConnected,
+    transport,
+    messages,
+    isLoadingHistorical,
+    backfillVersion,
+    alertVersion,
+    deviceStatuses,
+    dataAsOf,
+  };
 };
 
-// Main Dashboard Component
-const SensorDashboard = () => {
-  const { isConnected, messages, isLoadingHistorical } = useWebSocket();
-  const [buoyData, setBuoyData] = useState(null);
-  const [weatherStationData, setWeatherStationData] = useState(null);
+const DeviceSection = ({
+  device,
+  sensorSchema,
+  latestMessage,
+  isStale,
+  messages,
+  refreshKey,
+}) => {
+  const chartGroups = useMemo(
+    () => chartGroupsForSensors(device.sensors),
+    [device.sensors]
+  );
 
-  // Get latest sensor values
-  useEffect(() => {
-    if (messages.length > 0) {
-      // Find the latest message from each device
-      const latestBuoyMessage = messages.find(
-        (msg) =>
-          msg.deviceId &&
-          (msg.deviceId.toLowerCase().includes("buoy") ||
-            msg.deviceId.toLowerCase().includes("reef") ||
-            msg.payload.WaterT1 ||
-            msg.payload.WaterT2 ||
-            msg.payload.TDS)
-      );
+  return (
+    <div>
+      <DeviceHeaderLabel
+        deviceDisplayName={device.displayName}
+        lastUpdate={latestMessage?.timestamp}
+        isStale={isStale}
+      />
 
-      const latestWeatherMessage = messages.find(
-        (msg) =>
-          msg.deviceId &&
-          (msg.deviceId.toLowerCase().includes("weather") ||
-            msg.deviceId.toLowerCase().includes("station") ||
-            (!msg.payload.WaterT1 &&
-              !msg.payload.WaterT2 &&
-              !msg.payload.TDS &&
-              (msg.payload.Temp ||
-                msg.payload.Humidity ||
-                msg.payload.Pressure)))
-      );
+      <div
+        className={`grid grid-cols-2 lg:grid-cols-3 gap-6 mb-10 transition-opacity duration-300 ${
+          isStale ? "grayscale opacity-50" : ""
+        }`}
+      >
+        {displayedSensors(device, sensorSchema, latestMessage).map((sensor) => (
+          <SensorGauge
+            key={sensor.field}
+            value={latestMessage?.payload?.[sensor.field] ?? 0}
+            title={sensor.label}
+            unit={sensor.unit}
+            qc={latestMessage?.qc?.[sensor.field]}
+            {...gaugePropsFor(sensor)}
+          />
+        ))}
+      </div>
 
-      if (latestBuoyMessage) {
-        setBuoyData(latestBuoyMessage);
-      }
+      <DerivedMetrics
+        deviceId={device.deviceId}
+        lastUpdate={latestMessage?.timestamp}
+        isStale={isStale}
+      />
 
-      if (latestWeatherMessage) {
-        setWeatherStationData(latestWeatherMessage);
-      }
-    }
-  }, [messages]);
+      {chartGroups.length > 0 && (
+        <HistoryChart
+          title={`${device.displayName} History`}
+          deviceId={device.deviceId}
+          groups={chartGroups}
+          messages={messages}
+          refreshKey={refreshKey}
+        />
+      )}
+    </div>
+  );
+};
 
-  // Define gauge configurations
-  const buoyTemperatureConfig = {
-    min: 0,
-    max: 50,
-    color: "#3b82f6",
-    subArcs: [
-      { limit: 10, color: "#60a5fa", showTick: true },
-      { limit: 25, color: "#3b82f6", showTick: true },
-      { limit: 35, color: "#1d4ed8", showTick: true },
-      { limit: 50, color: "#1e3a8a", showTick: true },
-    ],
-  };
+// Main Dashboard Component
+const SensorDashboard = ({
+  devices,
+  sensorSchema,
+  isLoadingDevices,
+  messages,
+  latestByDevice,
+  isLoadingHistorical,
+  backfillVersion,
+  deviceStatuses,
+}) => {
+  const hasDeviceData = devices.some(
+    (device) => latestByDevice[device.deviceId]
+  );
 
-  const humidityConfig = {
-    min: 0,
-    max: 100,
-    color: "#10b981",
-    subArcs: [
-      { limit: 25, color: "#6ee7b7", showTick: true },
-      { limit: 50, color: "#34d399", showTick: true },
-      { limit: 75, color: "#10b981", showTick: true },
-      { limit: 100, color: "#047857", showTick: true },
-    ],
-  };
+  return (
+    <div className="max-w-7xl mx-auto">
+      {isLoadingHistorical && (
+        <div className="bg-white p-8 rounded-lg shadow-md text-center text-gray-500 mb-8 transition-colors duration-300">
+          <div className="text-6xl mb-4">🔄</div>
+          <p className="text-lg">Loading latest sensor data...</p>
+        </div>
+      )}
 
-  const pressureConfig = {
-    min: 950,
-    max: 1050,
-    color: "#ef4444",
-    subArcs: [
-      { limit: 980, color: "#fca5a5", showTick: true },
-      { limit: 1010, color: "#f87171", showTick: true },
-      { limit: 1030, color: "#ef4444", showTick: true },
-      { limit: 1050, color: "#dc2626", showTick: true },
-    ],
-  };
+      {!isLoadingHistorical && devices.length > 0 && !hasDeviceData && (
+        <div className="bg-white dark:bg-gray-900 p-8 rounded-lg shadow-md text-center text-gray-500 dark:text-gray-350 mb-8 transition-colors duration-300">
+          <div className="text-6xl mb-4">📡</div>
+          <p className="text-lg">Waiting for sensor data...</p>
+          <p className="text-sm mt-2">
+            Make sure your TTN devices are sending data
+          </p>
+        </div>
+      )}
 
-  const tdsConfig = {
-    min: 0,
-    max: 700,
-    color: "#a855f7",
-    subArcs: [
-      { limit: 100, color: "#d8b4fe", showTick: true },
-      { limit: 300, color: "#c084fc", showTick: true },
-      { limit: 500, color: "#a855f7", showTick: true },
-      { limit: 700, color: "#7e22ce", showTick: true },
-    ],
-  };
+      {!isLoadingDevices && devices.length === 0 && (
+        <div className="bg-white dark:bg-gray-900 p-8 rounded-lg shadow-md text-center text-gray-500 dark:text-gray-350 mb-8 transition-colors duration-300">
+          <p className="text-lg">No devices registered</p>
+          <p className="text-sm mt-2">Register devices in the Admin area</p>
+        </div>
+      )}
 
-  const surfaceTempConfig = {
-    min: 0,
-    max: 50,
-    color: "#3b82f6",
-    subArcs: [
-      { limit: 10, color: "#93c5fd", showTick: true },
-      { limit: 25, color: "#60a5fa", showTick: true },
-      { limit: 35, color: "#2563eb", showTick: true },
-      { limit: 50, color: "#1e40af", showTick: true },
-    ],
-  };
+      {devices.map((device) => (
+        <DeviceSection
+          key={device.deviceId}
+          device={device}
+          sensorSchema={sensorSchema}
+          latestMessage={latestByDevice[device.deviceId]}
+          isStale={deviceStatuses[device.deviceId]?.status === "stale"}
+          messages={messages}
+          refreshKey={backfillVersion}
+        />
+      ))}
 
-  const temp15mConfig = {
-    min: 0,
-    max: 50,
-    color: "#14b8a6",
-    subArcs: [
-      { limit: 10, color: "#5eead4", showTick: true },
-      { limit: 25, color: "#2dd4bf", showTick: true },
-      { limit: 35, color: "#14b8a6", showTick: true },
-      { limit: 50, color: "#0f766e", showTick: true },
-    ],
-  };
+      <DownloadData devices={devices} />
+
+      {devices.length > 0 && <SummaryReport />}
+
+      <MessageHistory messages={messages} />
+    </div>
+  );
+};
+
+const NavTab = ({ to, children }) => (
+  <NavLink
+    to={to}
+    end
+    className={({ isActive }) =>
+      `px-4 py-2 rounded-md font-semibold transition-colors duration-300 ${
+        isActive
+          ? "bg-blue-500 text-white"
+          : "text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-800"
+      }`
+    }
+  >
+    {children}
+  </NavLink>
+);
+
+// The dashboard, with its navigation and partner logos
+const Dashboard = () => {
+  const {
+    isConnected,
+    transport,
+    messages,
+    isLoadingHistorical,
+    backfillVersion,
+    alertVersion,
+    deviceStatuses,
+    dataAsOf,
+  } = useLiveUpdates();
+  const { devices, isLoadingDevices, reloadDevices } = useDevices();
+  const sensorSchema = useSensorSchema();
+
+  // Latest message from each device
+  const latestByDevice = useMemo(() => {
+    const latest = {};
+    messages.forEach((msg) => {
+      if (!latest[msg.deviceId]) {
+        latest[msg.deviceId] = msg;
+      }
+    });
+    return latest;
+  }, [messages]);
 
   return (
     <div>
@@ -394,100 +578,63 @@ const SensorDashboard = () => {
           <p className="dark:text-gray-100 text-gray-600 transition-colors duration-300">
             Real-time environmental sensor data from TTN
           </p>
-          <StatusIndicator isConnected={isConnected} ttnName="TTN Network" />
+          <StatusIndicator
+            isConnected={isConnected}
+            ttnName="TTN Network"
+            transport={transport}
+          />
+          <nav className="flex justify-center gap-2 mb-6">
+            <NavTab to="/">Dashboard</NavTab>
+            <NavTab to="/map">Map</NavTab>
+            <NavTab to="/health">Health</NavTab>
+            <NavTab to="/admin">Admin</NavTab>
+          </nav>
         </div>
-        <div className="max-w-7xl mx-auto">
-          {isLoadingHistorical && (
-            <div className="bg-white p-8 rounded-lg shadow-md text-center text-gray-500 mb-8 transition-colors duration-300">
-              <div className="text-6xl mb-4">🔄</div>
-              <p className="text-lg">Loading latest sensor data...</p>
-            </div>
-          )}
-
-          {!isLoadingHistorical && !buoyData && !weatherStationData && (
-            <div className="bg-white dark:bg-gray-900 p-8 rounded-lg shadow-md text-center text-gray-500 dark:text-gray-350 mb-8 transition-colors duration-300">
-              <div className="text-6xl mb-4">📡</div>
-              <p className="text-lg">Waiting for sensor data...</p>
-              <p className="text-sm mt-2">
-                Make sure your TTN devices are sending data
-              </p>
-            </div>
-          )}
-
-          {/* Buoy Section */}
-          <DeviceHeaderLabel
-            deviceDisplayName="Reef Buoy 1"
-            lastUpdate={buoyData?.timestamp}
+        {dataAsOf !== null && <OfflineBanner dataAsOf={dataAsOf} />}
+        <Routes>
+          <Route
+            path="/"
+            element={
+              <SensorDashboard
+                devices={devices}
+                sensorSchema={sensorSchema}
+                isLoadingDevices={isLoadingDevices}
+                messages={messages}
+                latestByDevice={latestByDevice}
+                isLoadingHistorical={isLoadingHistorical}
+                backfillVersion={backfillVersion}
+                deviceStatuses={deviceStatuses}
+              />
+            }
           />
-
-          <div className="grid grid-cols-2 lg:grid-cols-3 gap-6 mb-10">
-            <SensorGauge
-              value={buoyData?.payload?.Temp ?? 0}
-              title="Buoy Temperature"
-              unit="°C"
-              {...buoyTemperatureConfig}
-            />
-            <SensorGauge
-              value={buoyData?.payload?.WaterT1 ?? 0}
-              title="Water Temperature Surface"
-              unit="°C"
-              {...surfaceTempConfig}
-            />
-            <SensorGauge
-              value={buoyData?.payload?.WaterT2 ?? 0}
-              title="Water Temperature 1.5m deep"
-              unit="°C"
-              {...temp15mConfig}
-            />
-            <SensorGauge
-              value={buoyData?.payload?.Humidity ?? 0}
-              title="Humidity"
-              unit="%"
-              {...humidityConfig}
-            />
-            <SensorGauge
-              value={buoyData?.payload?.Pressure ?? 0}
-              title="Atmospheric Pressure"
-              unit="hPa"
-              {...pressureConfig}
-            />
-            <SensorGauge
-              value={buoyData?.payload?.TDS ?? 0}
-              title="TDS"
-              unit="ppm"
-              {...tdsConfig}
-            />
-          </div>
-
-          {/* Weather Station Section */}
-          <DeviceHeaderLabel
-            deviceDisplayName="Weather Station"
-            lastUpdate={weatherStationData?.timestamp}
+          <Route
+            path="/map"
+            element={
+              <MapView
+                devices={devices}
+                latestByDevice={latestByDevice}
+                deviceStatuses={deviceStatuses}
+                alertVersion={alertVersion}
+              />
+            }
           />
-
-          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-10">
-            <SensorGauge
-              value={weatherStationData?.payload?.Temp ?? 0}
-              title="Temperature"
-              unit="°C"
-              {...buoyTemperatureConfig}
-            />
-            <SensorGauge
-              value={weatherStationData?.payload?.Humidity ?? 0}
-              title="Humidity"
-              unit="%"
-              {...humidityConfig}
-            />
-            <SensorGauge
-              value={weatherStationData?.payload?.Pressure ?? 0}
-              title="Atmospheric Pressure"
-              unit="hPa"
-              {...pressureConfig}
-            />
-          </div>
-
-          <MessageHistory messages={messages} />
-        </div>
+          <Route
+            path="/health"
+            element={
+              <DeviceHealth devices={devices} latestByDevice={latestByDevice} />
+            }
+          />
+          <Route
+            path="/admin"
+            element={
+              <AdminPage
+                devices={devices}
+                sensorSchema={sensorSchema}
+                onDevicesChanged={reloadDevices}
+              />
+            }
+          />
+        </Routes>
       </div>
       <footer className="border-t-8 border-blue-400 dark:border-gray-950 dark:bg-gray-900 transition-colors duration-300 w-full p-3.5">
         <div className="flex items-center justify-center gap-10 flex-wrap">
@@ -509,4 +656,15 @@ const SensorDashboard = () => {
   );
 };
 
-export default SensorDashboard;
+// The kiosk and embedded widget are shown full page, without the dashboard
+// around them. They subscribe to just the devices they show, so they don't
+// mount the dashboard and its live updates.
+const App = () => (
+  <Routes>
+    <Route path="/kiosk" element={<Kiosk />} />
+    <Route path="/embed/:deviceId" element={<EmbedWidget />} />
+    <Route path="*" element={<Dashboard />} />
+  </Routes>
+);
+
+export default App;
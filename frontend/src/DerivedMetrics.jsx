@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from "react";
+
+// Colours for the coral bleaching alert levels, following NOAA Coral Reef
+// Watch
+const STATUS_CLASS_NAMES = {
+  "No stress": "text-green-600 dark:text-green-400",
+  "Bleaching watch": "text-yellow-600 dark:text-yellow-400",
+  "Bleaching warning": "text-amber-600 dark:text-amber-400",
+  "Alert level 1": "text-red-600 dark:text-red-400",
+  "Alert level 2": "text-red-800 dark:text-red-300",
+};
+
+const MetricCard = ({ metric }) => (
+  <div className="bg-white dark:bg-gray-900 p-4 rounded-lg shadow-md transition-colors duration-300">
+    <div className="text-sm text-gray-500 dark:text-gray-400">
+      {metric.label}
+    </div>
+    <div className="text-2xl font-bold text-gray-800 dark:text-gray-100 transition-colors duration-300">
+      {metric.value === null ? "–" : metric.value}
+      <span className="text-base font-normal ml-1">{metric.unit}</span>
+    </div>
+    {metric.status && (
+      <div
+        className={`text-sm font-semibold ${
+          STATUS_CLASS_NAMES[metric.status] || ""
+        }`}
+      >
+        {metric.status}
+      </div>
+    )}
+    {metric.detail && (
+      <div className="text-xs text-gray-500 dark:text-gray-400">
+        {metric.detail}
+      </div>
+    )}
+  </div>
+);
+
+// Metrics the backend derives from a device's latest reading; reloaded
+// whenever a new reading arrives
+const DerivedMetrics = ({ deviceId, lastUpdate, isStale }) => {
+  const [metrics, setMetrics] = useState([]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    fetch(`/api/devices/${encodeURIComponent(deviceId)}/derived`, {
+      signal: controller.signal,
+    })
+      .then(async (response) => {
+        if (response.status === 404) {
+          setMetrics([]);
+          return;
+        }
+        if (!response.ok) {
+          throw new Error(`Derived metrics request failed: ${response.status}`);
+        }
+        setMetrics((await response.json()).metrics);
+      })
+      .catch((err) => {
+        if (err.name !== "AbortError") {
+          console.error("Error fetching derived metrics:", err);
+        }
+      });
+
+    return () => controller.abort();
+  }, [deviceId, lastUpdate]);
+
+  if (metrics.length === 0) {
+    return null;
+  }
+
+  return (
+    <div
+      className={`grid grid-cols-2 lg:grid-cols-3 gap-6 mb-10 transition-opacity duration-300 ${
+        isStale ? "grayscale opacity-50" : ""
+      }`}
+    >
+      {metrics.map((metric) => (
+        <MetricCard key={metric.key} metric={metric} />
+      ))}
+    </div>
+  );
+};
+
+export default DerivedMetrics;
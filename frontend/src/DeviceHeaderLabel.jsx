@@ -0,0 +1,41 @@
+import React from "react";
+
+// isLarge sizes the text for a wall display (the kiosk)
+const DeviceHeaderLabel = ({
+  deviceDisplayName,
+  lastUpdate,
+  isStale,
+  isLarge = false,
+}) => (
+  <div className="justify-center mb-6 p-4 bg-gray-50 dark:bg-gray-800 transition-colors duration-300 rounded-lg shadow-sm">
+    <div className="flex justify-between items-center">
+      <span
+        className={`flex items-center gap-3 font-semibold text-gray-900 dark:text-gray-50 transition-colors duration-300 ${
+          isLarge ? "text-4xl" : "text-lg"
+        }`}
+      >
+        {deviceDisplayName}
+        {isStale && (
+          <span
+            className={`px-2 py-0.5 font-bold uppercase rounded-full bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-200 ${
+              isLarge ? "text-lg" : "text-xs"
+            }`}
+          >
+            Offline
+          </span>
+        )}
+      </span>
+      {lastUpdate && (
+        <span
+          className={`text-gray-500 dark:text-gray-300 transition-colors duration-300 ${
+            isLarge ? "text-2xl" : "text-sm"
+          }`}
+        >
+          Last update: {lastUpdate}
+        </span>
+      )}
+    </div>
+  </div>
+);
+
+export default DeviceHeaderLabel;
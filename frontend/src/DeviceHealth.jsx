@@ -0,0 +1,356 @@
+import React, { useState, useEffect } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+
+const HOUR = 60 * 60 * 1000;
+
+const RANGES = [
+  { key: "24h", label: "24h", duration: 24 * HOUR },
+  { key: "7d", label: "7d", duration: 7 * 24 * HOUR },
+  { key: "30d", label: "30d", duration: 30 * 24 * HOUR },
+];
+
+const cardClassName =
+  "bg-white dark:bg-gray-900 p-6 rounded-lg shadow-md mb-6 transition-colors duration-300";
+const headingClassName =
+  "text-lg font-semibold mb-4 text-gray-800 dark:text-gray-100 transition-colors duration-300";
+const tableClassName =
+  "w-full text-sm text-left text-gray-700 dark:text-gray-200 transition-colors duration-300";
+
+// Rough LoRa link quality from the mean signal: a link near the gateway's
+// sensitivity drops packets before the sensor is at fault
+const linkQuality = ({ meanRssi, meanSnr }) => {
+  if (meanRssi === null || meanSnr === null) {
+    return null;
+  }
+  if (meanRssi < -115 || meanSnr < -10) {
+    return { label: "Poor", className: "text-red-600 dark:text-red-400" };
+  }
+  if (meanRssi < -100 || meanSnr < 0) {
+    return { label: "Fair", className: "text-amber-600 dark:text-amber-400" };
+  }
+  return { label: "Good", className: "text-green-600 dark:text-green-400" };
+};
+
+const formatTick = (time, duration) => {
+  const date = new Date(time);
+  return duration > 24 * HOUR
+    ? date.toLocaleDateString([], { day: "numeric", month: "short" })
+    : date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+};
+
+const formatValue = (value, unit) =>
+  value === null || value === undefined ? "–" : `${value}${unit}`;
+
+const SummaryCard = ({ title, value, detail, className = "" }) => (
+  <div className="bg-white dark:bg-gray-900 p-4 rounded-lg shadow-md transition-colors duration-300">
+    <div className="text-sm text-gray-500 dark:text-gray-400">{title}</div>
+    <div
+      className={`text-2xl font-bold text-gray-800 dark:text-gray-100 transition-colors duration-300 ${className}`}
+    >
+      {value}
+    </div>
+    {detail && (
+      <div className="text-xs text-gray-500 dark:text-gray-400">{detail}</div>
+    )}
+  </div>
+);
+
+const HealthChart = ({ rows, duration, children }) => (
+  <div className="h-64">
+    <ResponsiveContainer width="100%" height="100%">
+      <LineChart data={rows}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#9ca3af55" />
+        <XAxis
+          dataKey="time"
+          type="number"
+          scale="time"
+          domain={[Date.now() - duration, Date.now()]}
+          tickFormatter={(time) => formatTick(time, duration)}
+          stroke="#9ca3af"
+        />
+        <Tooltip labelFormatter={(time) => new Date(time).toLocaleString()} />
+        <Legend />
+        {children}
+      </LineChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+const DeviceHealth = ({ devices, latestByDevice }) => {
+  const [deviceId, setDeviceId] = useState("");
+  const [rangeKey, setRangeKey] = useState("24h");
+  const [health, setHealth] = useState(null);
+  const [error, setError] = useState(null);
+
+  const range = RANGES.find((r) => r.key === rangeKey);
+  const selectedId = deviceId || devices[0]?.deviceId;
+  // Reload when a new uplink arrives from the selected device
+  const lastUplink = latestByDevice[selectedId]?.data?.received_at;
+
+  useEffect(() => {
+    if (!selectedId) {
+      return;
+    }
+
+    const controller = new AbortController();
+    const params = new URLSearchParams({
+      from: new Date(Date.now() - range.duration).toISOString(),
+    });
+    setError(null);
+
+    fetch(
+      `/api/devices/${encodeURIComponent(selectedId)}/link-health?${params}`,
+      { signal: controller.signal }
+    )
+      .then(async (response) => {
+        if (!response.ok) {
+          throw new Error(`Link health request failed: ${response.status}`);
+        }
+        setHealth(await response.json());
+      })
+      .catch((err) => {
+        if (err.name !== "AbortError") {
+          console.error("Error fetching link health:", err);
+          setError(err.message);
+        }
+      });
+
+    return () => controller.abort();
+  }, [selectedId, range.duration, lastUplink]);
+
+  const rows = (health?.uplinks || []).map((uplink) => ({
+    ...uplink,
+    time: new Date(uplink.time).getTime(),
+  }));
+  const summary = health?.summary;
+  const quality = summary && linkQuality(summary);
+
+  return (
+    <div className="max-w-7xl mx-auto w-full">
+      <div className="flex flex-wrap items-center gap-4 mb-6">
+        <select
+          value={selectedId || ""}
+          onChange={(e) => setDeviceId(e.target.value)}
+          className="px-2 py-1 rounded-md text-sm bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-100 transition-colors duration-300"
+        >
+          {devices.map((d) => (
+            <option key={d.deviceId} value={d.deviceId}>
+              {d.displayName}
+            </option>
+          ))}
+        </select>
+        <div className="flex rounded-md overflow-hidden">
+          {RANGES.map((r) => (
+            <button
+              key={r.key}
+              onClick={() => setRangeKey(r.key)}
+              className={`px-3 py-1 text-sm transition-colors duration-300 ${
+                r.key === rangeKey
+                  ? "bg-blue-500 text-white"
+                  : "bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-200"
+              }`}
+            >
+              {r.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="text-red-500 mb-4">{error}</p>}
+
+      {summary && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <SummaryCard
+            title="Packet loss"
+            value={formatValue(summary.packetLossPercent, "%")}
+            detail={`${summary.received} received, ${summary.missed} missed${
+              summary.counterResets > 0
+                ? `, ${summary.counterResets} counter resets`
+                : ""
+            }`}
+          />
+          <SummaryCard
+            title="Signal"
+            value={quality ? quality.label : "–"}
+            className={quality?.className}
+            detail={`Mean RSSI ${formatValue(
+              summary.meanRssi,
+              " dBm"
+            )}, SNR ${formatValue(summary.meanSnr, " dB")}`}
+          />
+          <SummaryCard
+            title="Gateways"
+            value={health.gateways.length}
+            detail={health.gateways.map((g) => g.gatewayId).join(", ")}
+          />
+          <SummaryCard
+            title="Battery"
+            value={formatValue(summary.battery?.latest, " V")}
+            detail={
+              summary.battery &&
+              `${summary.battery.min}–${summary.battery.max} V in range`
+            }
+          />
+        </div>
+      )}
+
+      {health && rows.length === 0 && (
+        <p className="text-gray-500 dark:text-gray-400 mb-6">
+          No uplinks in this range
+        </p>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <div className={cardClassName}>
+            <h3 className={headingClassName}>Signal strength</h3>
+            <HealthChart rows={rows} duration={range.duration}>
+              <YAxis yAxisId="rssi" unit=" dBm" width={80} stroke="#9ca3af" />
+              <YAxis
+                yAxisId="snr"
+                orientation="right"
+                unit=" dB"
+                width={60}
+                stroke="#9ca3af"
+              />
+              <Line
+                yAxisId="rssi"
+                dataKey="rssi"
+                name="RSSI"
+                stroke="#3b82f6"
+                dot={false}
+                connectNulls
+                isAnimationActive={false}
+              />
+              <Line
+                yAxisId="snr"
+                dataKey="snr"
+                name="SNR"
+                stroke="#10b981"
+                dot={false}
+                connectNulls
+                isAnimationActive={false}
+              />
+            </HealthChart>
+          </div>
+
+          {summary.battery && (
+            <div className={cardClassName}>
+              <h3 className={headingClassName}>Battery voltage</h3>
+              <HealthChart rows={rows} duration={range.duration}>
+                <YAxis
+                  domain={["auto", "auto"]}
+                  unit=" V"
+                  width={70}
+                  stroke="#9ca3af"
+                />
+                <Line
+                  dataKey="battery"
+                  name="Battery"
+                  stroke="#f59e0b"
+                  dot={false}
+                  connectNulls
+                  isAnimationActive={false}
+                />
+              </HealthChart>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className={cardClassName}>
+              <h3 className={headingClassName}>Gateways</h3>
+              <table className={tableClassName}>
+                <thead>
+                  <tr className="border-b border-gray-200 dark:border-gray-700">
+                    <th className="py-2">Gateway</th>
+                    <th className="py-2">Uplinks</th>
+                    <th className="py-2">Mean RSSI</th>
+                    <th className="py-2">Mean SNR</th>
+                    <th className="py-2">Last heard</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {health.gateways.map((gateway) => (
+                    <tr
+                      key={gateway.gatewayId}
+                      className="border-b border-gray-100 dark:border-gray-800"
+                    >
+                      <td className="py-2 font-mono">{gateway.gatewayId}</td>
+                      <td className="py-2">
+                        {gateway.uplinks} (
+                        {Math.round((gateway.uplinks / rows.length) * 100)}%)
+                      </td>
+                      <td className="py-2">
+                        {formatValue(gateway.meanRssi, " dBm")}
+                      </td>
+                      <td className="py-2">
+                        {formatValue(gateway.meanSnr, " dB")}
+                      </td>
+                      <td className="py-2">
+                        {new Date(gateway.lastSeen).toLocaleString()}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className={cardClassName}>
+              <h3 className={headingClassName}>Frame counter gaps</h3>
+              {health.gaps.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  No missed uplinks in this range
+                </p>
+              ) : (
+                <div className="max-h-64 overflow-y-auto">
+                  <table className={tableClassName}>
+                    <thead>
+                      <tr className="border-b border-gray-200 dark:border-gray-700">
+                        <th className="py-2">After</th>
+                        <th className="py-2">Frame counters</th>
+                        <th className="py-2">Missed</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[...health.gaps].reverse().map((gap) => (
+                        <tr
+                          key={gap.to}
+                          className="border-b border-gray-100 dark:border-gray-800"
+                        >
+                          <td className="py-2">
+                            {new Date(gap.from).toLocaleString()}
+                          </td>
+                          <td className="py-2 font-mono">
+                            {gap.fromFCnt} → {gap.toFCnt}
+                          </td>
+                          <td className="py-2">{gap.missed}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {health.truncated && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Only the first {rows.length} uplinks in this range are shown
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DeviceHealth;
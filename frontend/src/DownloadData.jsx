@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from "react";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// yyyy-mm-dd for <input type="date">, in local time
+const toDateInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+
+const DownloadData = ({ devices }) => {
+  const [deviceId, setDeviceId] = useState("");
+  const [selectedFields, setSelectedFields] = useState([]);
+  const [fromDate, setFromDate] = useState(() =>
+    toDateInput(new Date(Date.now() - 7 * DAY))
+  );
+  const [toDate, setToDate] = useState(() => toDateInput(new Date()));
+  const [format, setFormat] = useState("csv");
+
+  const device =
+    devices.find((d) => d.deviceId === deviceId) || devices[0] || null;
+
+  // Select every sensor whenever a different device is picked
+  useEffect(() => {
+    setSelectedFields(device ? device.sensors.map((s) => s.field) : []);
+  }, [device]);
+
+  if (!device) {
+    return null;
+  }
+
+  const toggleField = (field) => {
+    setSelectedFields((prev) =>
+      prev.includes(field) ? prev.filter((f) => f !== field) : [...prev, field]
+    );
+  };
+
+  // Whole local days, including all of the "to" day. Either date input can
+  // be cleared, leaving an invalid date.
+  const from = new Date(`${fromDate}T00:00:00`);
+  const to = new Date(new Date(`${toDate}T00:00:00`).getTime() + DAY);
+  const isValid =
+    selectedFields.length > 0 &&
+    !Number.isNaN(from.getTime()) &&
+    !Number.isNaN(to.getTime()) &&
+    from < to;
+
+  const params = isValid
+    ? new URLSearchParams({
+        device: device.deviceId,
+        fields: selectedFields.join(","),
+        from: from.toISOString(),
+        to: to.toISOString(),
+        format,
+      })
+    : null;
+
+  const inputClassName =
+    "px-2 py-1 rounded-md text-sm bg-gray-100 dark:bg-gray-800 text-gray-800 dark:text-gray-100 transition-colors duration-300";
+
+  return (
+    <div className="bg-white dark:bg-gray-900 p-6 rounded-lg shadow-md mb-10 transition-colors duration-300">
+      <h2 className="text-xl font-semibold mb-4 text-gray-800 dark:text-gray-200 transition-colors duration-300">
+        Download data
+      </h2>
+
+      <div className="flex flex-wrap items-end gap-4 mb-4 text-sm text-gray-700 dark:text-gray-200 transition-colors duration-300">
+        <label className="flex flex-col gap-1">
+          Device
+          <select
+            value={device.deviceId}
+            onChange={(e) => setDeviceId(e.target.value)}
+            className={inputClassName}
+          >
+            {devices.map((d) => (
+              <option key={d.deviceId} value={d.deviceId}>
+                {d.displayName}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          From
+          <input
+            type="date"
+            value={fromDate}
+            max={toDate}
+            onChange={(e) => setFromDate(e.target.value)}
+            className={inputClassName}
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          To
+          <input
+            type="date"
+            value={toDate}
+            min={fromDate}
+            onChange={(e) => setToDate(e.target.value)}
+            className={inputClassName}
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          Format
+          <select
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            className={inputClassName}
+          >
+            <option value="csv">CSV</option>
+            <option value="ndjson">NDJSON</option>
+          </select>
+        </label>
+      </div>
+
+      <div className="flex flex-wrap gap-x-6 gap-y-2 mb-4 text-sm text-gray-700 dark:text-gray-200 transition-colors duration-300">
+        {device.sensors.map((sensor) => (
+          <label key={sensor.field} className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={selectedFields.includes(sensor.field)}
+              onChange={() => toggleField(sensor.field)}
+            />
+            {sensor.label}
+            {sensor.unit && ` (${sensor.unit})`}
+          </label>
+        ))}
+      </div>
+
+      <a
+        href={isValid ? `/api/export?${params}` : undefined}
+        download
+        aria-disabled={!isValid}
+        className={`inline-block px-4 py-2 rounded-md font-semibold transition-colors duration-300 ${
+          isValid
+            ? "bg-blue-500 hover:bg-blue-600 text-white"
+            : "bg-gray-200 dark:bg-gray-800 text-gray-400 cursor-not-allowed"
+        }`}
+      >
+        Download
+      </a>
+    </div>
+  );
+};
+
+export default DownloadData;
@@ -0,0 +1,116 @@
+import React, { useEffect, useRef } from "react";
+import { useParams, useSearchParams } from "react-router-dom";
+import SensorGauge from "./SensorGauge";
+import DeviceHeaderLabel from "./DeviceHeaderLabel";
+import { displayedSensors, gaugePropsFor } from "./sensorDisplay";
+import { useThemeParam } from "./themeParam";
+import { useDevice, useSensorSchema } from "./registry";
+import { useLiveReadings } from "./liveReadings";
+
+// Live gauges for one device, for partners to embed on their own sites in an
+// iframe (see public/embed.js). ?fields=WaterT1,TDS picks which gauges are
+// shown and in what order; by default it's all of them. It subscribes to
+// just that device and those fields.
+const EmbedWidget = () => {
+  const { deviceId } = useParams();
+  const [searchParams] = useSearchParams();
+  const rootRef = useRef(null);
+  useThemeParam();
+
+  // Tell the embedding page how tall the widget is, so embed.js can size
+  // the iframe to fit without scrolling
+  useEffect(() => {
+    if (window.parent === window) {
+      return;
+    }
+    const observer = new ResizeObserver(() => {
+      window.parent.postMessage(
+        { type: "reef-embed-resize", height: rootRef.current.offsetHeight },
+        "*"
+      );
+    });
+    observer.observe(rootRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  const fields = (searchParams.get("fields") || "")
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean);
+
+  const { device, isLoadingDevice } = useDevice(deviceId);
+  const sensorSchema = useSensorSchema();
+  const { latestByDevice, deviceStatuses } = useLiveReadings(
+    [deviceId],
+    fields.length > 0 ? fields : null
+  );
+
+  const latestMessage = latestByDevice[deviceId];
+  const isStale = deviceStatuses[deviceId]?.status === "stale";
+
+  let sensors = device
+    ? displayedSensors(device, sensorSchema, latestMessage)
+    : [];
+  if (fields.length > 0) {
+    sensors = fields
+      .map((field) => sensors.find((sensor) => sensor.field === field))
+      .filter(Boolean);
+  }
+
+  const messageClassName =
+    "p-8 text-center text-gray-500 dark:text-gray-400 transition-colors duration-300";
+
+  return (
+    <div
+      ref={rootRef}
+      className="p-4 dark:bg-gray-950 transition-colors duration-300"
+    >
+      {!device ? (
+        <p className={messageClassName}>
+          {isLoadingDevice ? "Loading..." : `Unknown device ${deviceId}`}
+        </p>
+      ) : (
+        <>
+          <DeviceHeaderLabel
+            deviceDisplayName={device.displayName}
+            lastUpdate={latestMessage?.timestamp}
+            isStale={isStale}
+          />
+          {sensors.length === 0 ? (
+            <p className={messageClassName}>
+              {fields.length > 0
+                ? `Unknown field${fields.length > 1 ? "s" : ""} ${fields.join(
+                    ", "
+                  )}`
+                : "Waiting for sensor data..."}
+            </p>
+          ) : (
+            <div
+              className={`grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 transition-opacity duration-300 ${
+                isStale ? "grayscale opacity-50" : ""
+              }`}
+            >
+              {sensors.map((sensor) => (
+                <SensorGauge
+                  key={sensor.field}
+                  value={latestMessage?.payload?.[sensor.field] ?? 0}
+                  title={sensor.label}
+                  unit={sensor.unit}
+                  qc={latestMessage?.qc?.[sensor.field]}
+                  {...gaugePropsFor(sensor)}
+                />
+              ))}
+            </div>
+          )}
+        </>
+      )}
+      <p className="mt-3 text-xs text-right text-gray-500 dark:text-gray-400 transition-colors duration-300">
+        <a href="/" target="_blank" rel="noreferrer" className="underline">
+          Reef Monitoring Dashboard
+        </a>
+      </p>
+    </div>
+  );
+};
+
+export default EmbedWidget;
@@ -0,0 +1,268 @@
+import React, { useState, useEffect, useMemo } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { loadCached, saveCached } from "./offlineStore";
+
+const HOUR = 60 * 60 * 1000;
+
+const RANGES = [
+  { key: "6h", label: "6h", duration: 6 * HOUR },
+  { key: "24h", label: "24h", duration: 24 * HOUR },
+  { key: "7d", label: "7d", duration: 7 * 24 * HOUR },
+  { key: "30d", label: "30d", duration: 30 * 24 * HOUR },
+];
+
+// Turn an /api/history response into flat rows for recharts
+const historyToRows = (history) =>
+  history.points.map((point) => {
+    const row = { time: new Date(point.time).getTime() };
+    history.fields.forEach((field) => {
+      row[field] = point.values[field]?.mean ?? null;
+    });
+    return row;
+  });
+
+const formatTick = (time, duration) => {
+  const date = new Date(time);
+  return duration > 24 * HOUR
+    ? date.toLocaleDateString([], { day: "numeric", month: "short" })
+    : date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+};
+
+// isLarge sizes the chart for a wall display (the kiosk)
+const HistoryChart = ({
+  title,
+  deviceId,
+  groups,
+  messages,
+  refreshKey,
+  isLarge = false,
+}) => {
+  const [rangeKey, setRangeKey] = useState("24h");
+  const [groupIndex, setGroupIndex] = useState(0);
+  const [rows, setRows] = useState([]);
+  const [bucket, setBucket] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // When the chart is showing cached history, when it was fetched
+  const [cachedAt, setCachedAt] = useState(null);
+
+  const range = RANGES.find((r) => r.key === rangeKey);
+  const heightClassName = isLarge ? "h-[60vh]" : "h-72";
+  const group = groups[groupIndex] || groups[0];
+  const fields = useMemo(
+    () => group.series.map((series) => series.field),
+    [group]
+  );
+
+  // Load history whenever the device, range or metric group changes, and
+  // again when the server reports it has backfilled missed readings. The
+  // last history fetched is shown until then, and if the fetch fails.
+  useEffect(() => {
+    if (!deviceId) {
+      return;
+    }
+
+    const controller = new AbortController();
+    const cacheKey = `history:${deviceId}:${range.key}:${fields.join(",")}`;
+    let isFetched = false;
+    setCachedAt(null);
+    const cached = loadCached(cacheKey).then((entry) => {
+      if (entry && !isFetched && !controller.signal.aborted) {
+        setRows(entry.value.rows);
+        setBucket(entry.value.bucket);
+        setCachedAt(entry.syncedAt);
+      }
+      return entry;
+    });
+
+    const params = new URLSearchParams({
+      device: deviceId,
+      fields: fields.join(","),
+      from: new Date(Date.now() - range.duration).toISOString(),
+      bucket: "auto",
+    });
+
+    setIsLoading(true);
+    setError(null);
+
+    fetch(`/api/history?${params}`, { signal: controller.signal })
+      .then(async (response) => {
+        if (!response.ok) {
+          throw new Error(`History request failed: ${response.status}`);
+        }
+        const history = await response.json();
+        const historyRows = historyToRows(history);
+        isFetched = true;
+        setRows(historyRows);
+        setBucket(history.bucket);
+        setCachedAt(null);
+        saveCached(cacheKey, { rows: historyRows, bucket: history.bucket });
+      })
+      .catch(async (err) => {
+        if (err.name !== "AbortError") {
+          console.error("Error fetching history:", err);
+          if (!(await cached)) {
+            setError(err.message);
+          }
+        }
+      })
+      .finally(() => setIsLoading(false));
+
+    return () => controller.abort();
+  }, [deviceId, fields, range.key, range.duration, refreshKey]);
+
+  // Append live readings for this device as they arrive over the WebSocket
+  useEffect(() => {
+    const latest = messages[0];
+    if (!latest || latest.isHistorical || latest.deviceId !== deviceId) {
+      return;
+    }
+
+    const time = new Date(latest.data.received_at).getTime();
+    const row = { time };
+    fields.forEach((field) => {
+      row[field] = latest.payload[field] ?? null;
+    });
+
+    setRows((prev) => {
+      if (prev.length > 0 && prev[prev.length - 1].time >= time) {
+        return prev;
+      }
+      const cutoff = Date.now() - range.duration;
+      return [...prev.filter((r) => r.time >= cutoff), row];
+    });
+  }, [messages, deviceId, fields, range.duration]);
+
+  return (
+    <div className="bg-white dark:bg-gray-900 p-6 rounded-lg shadow-md mb-10 transition-colors duration-300">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+        <h3
+          className={`font-semibold text-gray-800 dark:text-gray-100 transition-colors duration-300 ${
+            isLarge ? "text-3xl" : "text-lg"
+          }`}
+        >
+          {title}
+        </h3>
+        <div className="flex flex-wrap gap-2">
+          {groups.length > 1 && (
+            <select
+              value={groupIndex}
+              onChange={(e) => setGroupIndex(Number(e.target.value))}
+              className="px-2 py-1 rounded-md text-sm bg-gray-100 dark:bg-gray-800 text-gray-800 dark:text-gray-100 transition-colors duration-300"
+            >
+              {groups.map((g, index) => (
+                <option key={g.label} value={index}>
+                  {g.label}
+                </option>
+              ))}
+            </select>
+          )}
+          <div className="flex rounded-md overflow-hidden">
+            {RANGES.map((r) => (
+              <button
+                key={r.key}
+                onClick={() => setRangeKey(r.key)}
+                className={`px-3 py-1 text-sm transition-colors duration-300 ${
+                  r.key === rangeKey
+                    ? "bg-blue-500 text-white"
+                    : "bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-200"
+                }`}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {!deviceId ? (
+        <div
+          className={`${heightClassName} flex items-center justify-center text-gray-500 dark:text-gray-400`}
+        >
+          Waiting for device data...
+        </div>
+      ) : error ? (
+        <div
+          className={`${heightClassName} flex items-center justify-center text-red-500`}
+        >
+          {error}
+        </div>
+      ) : (
+        <div className={`${heightClassName} relative`}>
+          {isLoading && cachedAt === null && (
+            <div className="absolute inset-0 flex items-center justify-center text-gray-500 dark:text-gray-400 z-10">
+              Loading history...
+            </div>
+          )}
+          {!isLoading && rows.length === 0 && (
+            <div className="absolute inset-0 flex items-center justify-center text-gray-500 dark:text-gray-400 z-10">
+              No readings in this range
+            </div>
+          )}
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={rows}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#9ca3af55" />
+              <XAxis
+                dataKey="time"
+                type="number"
+                scale="time"
+                domain={[Date.now() - range.duration, Date.now()]}
+                tickFormatter={(time) => formatTick(time, range.duration)}
+                stroke="#9ca3af"
+              />
+              <YAxis
+                domain={["auto", "auto"]}
+                unit={group.unit}
+                width={70}
+                stroke="#9ca3af"
+              />
+              <Tooltip
+                labelFormatter={(time) => new Date(time).toLocaleString()}
+                formatter={(value, name) => [
+                  `${Number(value).toFixed(1)}${group.unit}`,
+                  name,
+                ]}
+              />
+              <Legend />
+              {group.series.map((series) => (
+                <Line
+                  key={series.field}
+                  type="monotone"
+                  dataKey={series.field}
+                  name={series.label}
+                  stroke={series.color}
+                  dot={false}
+                  connectNulls
+                  isAnimationActive={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {cachedAt !== null && !isLoading && (
+        <p className="text-xs text-amber-600 dark:text-amber-400 mt-2 transition-colors duration-300">
+          Showing history as of {new Date(cachedAt).toLocaleString()}
+        </p>
+      )}
+
+      {bucket && bucket !== "raw" && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2 transition-colors duration-300">
+          Showing {bucket} averages
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default HistoryChart;
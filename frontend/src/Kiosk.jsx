@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
+import SensorGauge from "./SensorGauge";
+import DeviceHeaderLabel from "./DeviceHeaderLabel";
+import HistoryChart from "./HistoryChart";
+import {
+  chartGroupsForSensors,
+  displayedSensors,
+  gaugePropsFor,
+} from "./sensorDisplay";
+import { useThemeParam } from "./themeParam";
+import { useDevices, useSensorSchema } from "./registry";
+import { useLiveReadings } from "./liveReadings";
+
+// Seconds each slide is shown for, unless ?interval= says otherwise
+const DEFAULT_INTERVAL = 20;
+const MIN_INTERVAL = 5;
+
+// Each device's gauges, then each of its history charts
+const kioskSlides = (devices) =>
+  devices.flatMap((device) => [
+    { key: `${device.deviceId}:gauges`, device },
+    ...chartGroupsForSensors(device.sensors).map((group, index) => ({
+      key: `${device.deviceId}:chart:${index}`,
+      device,
+      group,
+    })),
+  ]);
+
+// Full screen display for the clubhouse that cycles through the devices and
+// their charts in large type. ?devices=a,b limits it, and its live
+// updates, to some devices.
+const Kiosk = () => {
+  const [searchParams] = useSearchParams();
+  const [slideIndex, setSlideIndex] = useState(0);
+  useThemeParam();
+
+  const devicesParam = searchParams.get("devices");
+  const deviceIds = useMemo(
+    () => (devicesParam ? devicesParam.split(",") : null),
+    [devicesParam]
+  );
+  const interval = Math.max(
+    Number(searchParams.get("interval")) || DEFAULT_INTERVAL,
+    MIN_INTERVAL
+  );
+
+  const { devices, isLoadingDevices } = useDevices();
+  const sensorSchema = useSensorSchema();
+  const {
+    messages,
+    latestByDevice,
+    deviceStatuses,
+    isConnected,
+    backfillVersion,
+    dataAsOf,
+  } = useLiveReadings(deviceIds, null);
+
+  const slides = useMemo(
+    () =>
+      kioskSlides(
+        deviceIds
+          ? devices.filter((device) => deviceIds.includes(device.deviceId))
+          : devices
+      ),
+    [devices, deviceIds]
+  );
+
+  useEffect(() => {
+    if (slides.length < 2) {
+      return;
+    }
+    const timer = setInterval(
+      () => setSlideIndex((index) => (index + 1) % slides.length),
+      interval * 1000
+    );
+    return () => clearInterval(timer);
+  }, [slides.length, interval]);
+
+  // The device list can shrink while a later slide is showing
+  const slide = slides[slideIndex % slides.length];
+  const latestMessage = slide && latestByDevice[slide.device.deviceId];
+  const isStale =
+    slide && deviceStatuses[slide.device.deviceId]?.status === "stale";
+
+  return (
+    <div className="min-h-screen flex flex-col p-8 bg-gradient-to-br from-blue-50 to-yellow-50 dark:from-gray-950 dark:to-blue-950 transition-colors duration-300">
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-5xl font-bold text-gray-800 dark:text-gray-100 transition-colors duration-300">
+          Reef Monitoring Dashboard
+        </h1>
+        <span className="flex items-center gap-3 text-2xl font-semibold text-gray-700 dark:text-gray-200 transition-colors duration-300">
+          <span
+            className={`w-4 h-4 rounded-full ${
+              isConnected ? "bg-green-500 animate-pulse" : "bg-red-500"
+            }`}
+          />
+          {isConnected
+            ? "Live"
+            : dataAsOf !== null
+            ? `As of ${new Date(dataAsOf).toLocaleString()}`
+            : "Connecting..."}
+        </span>
+      </div>
+
+      {!slide ? (
+        <p className="flex-1 flex items-center justify-center text-4xl text-gray-500 dark:text-gray-400 transition-colors duration-300">
+          {isLoadingDevices ? "Loading..." : "No devices registered"}
+        </p>
+      ) : (
+        <div className="flex-1">
+          <DeviceHeaderLabel
+            deviceDisplayName={slide.device.displayName}
+            lastUpdate={latestMessage?.timestamp}
+            isStale={isStale}
+            isLarge
+          />
+          {slide.group ? (
+            <HistoryChart
+              key={slide.key}
+              title={slide.group.label}
+              deviceId={slide.device.deviceId}
+              groups={[slide.group]}
+              messages={messages}
+              refreshKey={backfillVersion}
+              isLarge
+            />
+          ) : (
+            <div
+              className={`grid grid-cols-2 lg:grid-cols-3 gap-8 transition-opacity duration-300 ${
+                isStale ? "grayscale opacity-50" : ""
+              }`}
+            >
+              {displayedSensors(slide.device, sensorSchema, latestMessage).map(
+                (sensor) => (
+                  <SensorGauge
+                    key={sensor.field}
+                    value={latestMessage?.payload?.[sensor.field] ?? 0}
+                    title={sensor.label}
+                    unit={sensor.unit}
+                    qc={latestMessage?.qc?.[sensor.field]}
+                    isLarge
+                    {...gaugePropsFor(sensor)}
+                  />
+                )
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {slides.length > 1 && (
+        <div className="flex justify-center gap-3 mt-6">
+          {slides.map((s, index) => (
+            <span
+              key={s.key}
+              className={`w-3 h-3 rounded-full transition-colors duration-300 ${
+                index === slideIndex % slides.length
+                  ? "bg-blue-500"
+                  : "bg-gray-300 dark:bg-gray-700"
+              }`}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Kiosk;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useMemo } from "react";
+import {
+  MapContainer,
+  TileLayer,
+  CircleMarker,
+  Popup,
+  useMap,
+} from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+
+// Holloway bend, Port Phillip Bay
+const DEFAULT_CENTER = [-37.99, 145.03];
+const DEFAULT_ZOOM = 11;
+
+// Marker fill by surface water temperature (°C)
+const TEMPERATURE_STOPS = [
+  { value: 10, color: [30, 58, 138] },
+  { value: 15, color: [59, 130, 246] },
+  { value: 20, color: [34, 197, 94] },
+  { value: 24, color: [245, 158, 11] },
+  { value: 28, color: [220, 38, 38] },
+];
+
+const NO_TEMPERATURE_COLOR = "#6b7280";
+const ALERT_COLOR = "#dc2626";
+
+const temperatureColor = (temperature) => {
+  if (typeof temperature !== "number") {
+    return NO_TEMPERATURE_COLOR;
+  }
+
+  const upper = TEMPERATURE_STOPS.findIndex((stop) => temperature < stop.value);
+  if (upper === 0) {
+    return `rgb(${TEMPERATURE_STOPS[0].color.join(",")})`;
+  }
+  if (upper === -1) {
+    return `rgb(${TEMPERATURE_STOPS[TEMPERATURE_STOPS.length - 1].color.join(
+      ","
+    )})`;
+  }
+
+  const low = TEMPERATURE_STOPS[upper - 1];
+  const high = TEMPERATURE_STOPS[upper];
+  const t = (temperature - low.value) / (high.value - low.value);
+  const rgb = low.color.map((c, i) => Math.round(c + (high.color[i] - c) * t));
+  return `rgb(${rgb.join(",")})`;
+};
+
+// Admin-entered coordinates win over the location reported by TTN
+const deviceLocation = (device) => device.location || device.reportedLocation;
+
+// Zoom the map to fit every device once they're known. The positions are
+// rebuilt from their coordinates, so the map only refits when the set of
+// positions actually changes, not on every new array.
+const FitToDevices = ({ positions }) => {
+  const map = useMap();
+  const key = positions.map((p) => p.join(",")).join(";");
+  const fitPositions = useMemo(
+    () => (key ? key.split(";").map((p) => p.split(",").map(Number)) : []),
+    [key]
+  );
+
+  useEffect(() => {
+    if (fitPositions.length === 1) {
+      map.setView(fitPositions[0], 13);
+    } else if (fitPositions.length > 1) {
+      map.fitBounds(fitPositions, { padding: [40, 40] });
+    }
+  }, [map, fitPositions]);
+
+  return null;
+};
+
+const MapView = ({ devices, latestByDevice, deviceStatuses, alertVersion }) => {
+  const [activeAlerts, setActiveAlerts] = useState([]);
+
+  // Refresh active alerts on load and whenever one triggers or resolves
+  useEffect(() => {
+    fetch("/api/alerts/active")
+      .then(async (response) => {
+        if (!response.ok) {
+          throw new Error(`Active alerts request failed: ${response.status}`);
+        }
+        setActiveAlerts(await response.json());
+      })
+      .catch((error) => console.error("Error fetching active alerts:", error));
+  }, [alertVersion]);
+
+  const mappedDevices = useMemo(
+    () => devices.filter((device) => deviceLocation(device)),
+    [devices]
+  );
+  const unmappedDevices = devices.filter((device) => !deviceLocation(device));
+  const positions = mappedDevices.map((device) => {
+    const location = deviceLocation(device);
+    return [location.latitude, location.longitude];
+  });
+
+  return (
+    <div className="max-w-7xl mx-auto w-full">
+      <div className="bg-white dark:bg-gray-900 p-4 rounded-lg shadow-md transition-colors duration-300">
+        <div className="h-[70vh] rounded-md overflow-hidden">
+          <MapContainer
+            center={DEFAULT_CENTER}
+            zoom={DEFAULT_ZOOM}
+            className="h-full w-full"
+          >
+            <TileLayer
+              url="/tiles/{z}/{x}/{y}.png"
+              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+              maxZoom={19}
+            />
+            <FitToDevices positions={positions} />
+
+            {mappedDevices.map((device, index) => {
+              const latest = latestByDevice[device.deviceId];
+              const status = deviceStatuses[device.deviceId];
+              const isStale = status?.status === "stale";
+              const alerts = activeAlerts.filter(
+                (alert) => alert.deviceId === device.deviceId
+              );
+
+              return (
+                <CircleMarker
+                  key={device.deviceId}
+                  center={positions[index]}
+                  radius={12}
+                  pathOptions={{
+                    fillColor: isStale
+                      ? NO_TEMPERATURE_COLOR
+                      : temperatureColor(latest?.payload?.WaterT1),
+                    fillOpacity: isStale ? 0.4 : 0.9,
+                    color: alerts.length > 0 ? ALERT_COLOR : "#ffffff",
+                    weight: alerts.length > 0 ? 4 : 2,
+                    dashArray: isStale ? "4 4" : null,
+                  }}
+                >
+                  <Popup>
+                    <div className="min-w-48">
+                      <div className="font-semibold text-base">
+                        {device.displayName}
+                      </div>
+                      {device.location?.name && (
+                        <div className="text-gray-500">
+                          {device.location.name}
+                        </div>
+                      )}
+                      <div className="text-xs text-gray-500 mb-2">
+                        {status
+                          ? `${
+                              isStale ? "Offline" : "Online"
+                            }, last seen ${new Date(
+                              status.lastSeen
+                            ).toLocaleString()}`
+                          : "No readings yet"}
+                      </div>
+                      {alerts.map((alert) => (
+                        <div
+                          key={alert.ruleId}
+                          className="text-xs font-semibold text-red-600"
+                        >
+                          ⚠ {alert.ruleName}
+                        </div>
+                      ))}
+                      <table className="text-sm mt-1">
+                        <tbody>
+                          {device.sensors.map((sensor) => {
+                            const value = latest?.payload?.[sensor.field];
+                            return (
+                              <tr key={sensor.field}>
+                                <td className="pr-3">{sensor.label}</td>
+                                <td className="font-mono text-right">
+                                  {typeof value === "number"
+                                    ? `${value.toFixed(sensor.precision ?? 1)}${
+                                        sensor.unit
+                                      }`
+                                    : "-"}
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  </Popup>
+                </CircleMarker>
+              );
+            })}
+          </MapContainer>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 mt-3 text-xs text-gray-600 dark:text-gray-300 transition-colors duration-300">
+          <span>Water temperature:</span>
+          {TEMPERATURE_STOPS.map((stop) => (
+            <span key={stop.value} className="flex items-center gap-1">
+              <span
+                className="inline-block w-3 h-3 rounded-full"
+                style={{ backgroundColor: temperatureColor(stop.value) }}
+              />
+              {stop.value}°C
+            </span>
+          ))}
+          <span className="flex items-center gap-1">
+            <span
+              className="inline-block w-3 h-3 rounded-full border-2"
+              style={{ borderColor: ALERT_COLOR }}
+            />
+            Active alert
+          </span>
+        </div>
+
+        {unmappedDevices.length > 0 && (
+          <p className="mt-3 text-sm text-gray-500 dark:text-gray-400 transition-colors duration-300">
+            No coordinates for:{" "}
+            {unmappedDevices.map((device) => device.displayName).join(", ")}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MapView;
@@ -0,0 +1,81 @@
+import React from "react";
+import GaugeComponent from "react-gauge-component";
+
+// isLarge sizes the text for a wall display (the kiosk)
+const SensorGauge = ({
+  value,
+  title,
+  unit,
+  min,
+  max,
+  color,
+  subArcs,
+  precision = 1,
+  qc,
+  isLarge = false,
+}) => (
+  <div className="bg-white dark:bg-gray-900 p-6 rounded-lg shadow-md hover:shadow-lg transition-shadow duration-300">
+    <h3
+      className={`font-semibold mb-4 text-center dark:text-gray-100 text-gray-800 transition-colors duration-300 ${
+        isLarge ? "text-3xl" : "text-lg"
+      }`}
+    >
+      {title}
+    </h3>
+    <div className="flex justify-center">
+      <GaugeComponent
+        value={value || 0}
+        type="semicircle"
+        labels={{
+          tickLabels: {
+            type: "outer",
+            defaultTickValueConfig: {
+              formatTextValue: (value) => value + unit,
+            },
+          },
+          valueLabel: {
+            formatTextValue: (value) => value.toFixed(precision) + unit,
+            style: { fontSize: "2rem", fontWeight: "bold", fill: color },
+          },
+        }}
+        arc={{
+          width: 0.2,
+          padding: 0.005,
+          cornerRadius: 1,
+          subArcs: subArcs,
+        }}
+        pointer={{
+          color: "#345243",
+          length: 0.8,
+          width: 15,
+        }}
+        minValue={min}
+        maxValue={max}
+      />
+    </div>
+    <div className="text-center mt-2">
+      <span
+        className={`font-bold ${isLarge ? "text-5xl" : "text-2xl"}`}
+        style={{ color }}
+      >
+        {value ? value.toFixed(precision) : "-.-"}
+        {unit}
+      </span>
+      {qc && (
+        <p
+          className={`mt-1 font-semibold transition-colors duration-300 ${
+            isLarge ? "text-lg" : "text-xs"
+          } ${
+            qc.flag === "fail"
+              ? "text-red-600 dark:text-red-400"
+              : "text-amber-600 dark:text-amber-400"
+          }`}
+        >
+          {qc.flag === "fail" ? "Rejected" : "Suspect"}: {qc.reason}
+        </p>
+      )}
+    </div>
+  </div>
+);
+
+export default SensorGauge;
@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// yyyy-mm-dd for <input type="date">, in local time
+const toDateInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+
+// The printable "state of the reef" report (daily summaries with charts)
+// for a range of days, defaulting to the last full week
+const SummaryReport = () => {
+  const [fromDate, setFromDate] = useState(() =>
+    toDateInput(new Date(Date.now() - 7 * DAY))
+  );
+  const [toDate, setToDate] = useState(() =>
+    toDateInput(new Date(Date.now() - DAY))
+  );
+
+  // Whole local days, including all of the "to" day. Either date input can
+  // be cleared, leaving an invalid date.
+  const from = new Date(`${fromDate}T00:00:00`);
+  const to = new Date(new Date(`${toDate}T00:00:00`).getTime() + DAY);
+  const isValid =
+    !Number.isNaN(from.getTime()) && !Number.isNaN(to.getTime()) && from < to;
+
+  const params = isValid
+    ? new URLSearchParams({
+        from: from.toISOString(),
+        to: to.toISOString(),
+      })
+    : null;
+
+  const inputClassName =
+    "px-2 py-1 rounded-md text-sm bg-gray-100 dark:bg-gray-800 text-gray-800 dark:text-gray-100 transition-colors duration-300";
+  const buttonClassName = `inline-block px-4 py-2 rounded-md font-semibold transition-colors duration-300 ${
+    isValid
+      ? "bg-blue-500 hover:bg-blue-600 text-white"
+      : "bg-gray-200 dark:bg-gray-800 text-gray-400 cursor-not-allowed"
+  }`;
+
+  return (
+    <div className="bg-white dark:bg-gray-900 p-6 rounded-lg shadow-md mb-10 transition-colors duration-300">
+      <h2 className="text-xl font-semibold mb-1 text-gray-800 dark:text-gray-200 transition-colors duration-300">
+        Summary report
+      </h2>
+      <p className="text-sm mb-4 text-gray-500 dark:text-gray-400">
+        Daily min, mean, max and data completeness for every device, with
+        charts. Open it to print or save as PDF.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-4 mb-4 text-sm text-gray-700 dark:text-gray-200 transition-colors duration-300">
+        <label className="flex flex-col gap-1">
+          From
+          <input
+            type="date"
+            value={fromDate}
+            max={toDate}
+            onChange={(e) => setFromDate(e.target.value)}
+            className={inputClassName}
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          To
+          <input
+            type="date"
+            value={toDate}
+            min={fromDate}
+            onChange={(e) => setToDate(e.target.value)}
+            className={inputClassName}
+          />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <a
+          href={isValid ? `/api/summaries/report?${params}` : undefined}
+          target="_blank"
+          rel="noreferrer"
+          aria-disabled={!isValid}
+          className={buttonClassName}
+        >
+          Open report
+        </a>
+        <a
+          href={
+            isValid ? `/api/summaries/report?${params}&download=1` : undefined
+          }
+          download
+          aria-disabled={!isValid}
+          className={buttonClassName}
+        >
+          Download
+        </a>
+      </div>
+    </div>
+  );
+};
+
+export default SummaryReport;
@@ -0,0 +1,40 @@
+const TOKEN_KEY = "reefAdminToken";
+
+export const loadAdminToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const saveAdminToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+export class AdminAuthError extends Error {}
+
+// Call an admin API route with the session token. Throws AdminAuthError when
+// the session has expired, or an Error with the server's message otherwise.
+export const adminFetch = async (
+  token,
+  path,
+  { method = "GET", body } = {}
+) => {
+  const response = await fetch(path, {
+    method,
+    headers: {
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  if (response.status === 401) {
+    const data = await response.json().catch(() => ({}));
+    throw new AdminAuthError(data.error || "Admin login required");
+  }
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed: ${response.status}`);
+  }
+  return response.status === 204 ? null : response.json();
+};
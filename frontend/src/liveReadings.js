@@ -0,0 +1,142 @@
+import { useEffect, useMemo, useState } from "react";
+import { connectLiveUpdates } from "./liveUpdates";
+
+const MAX_MESSAGES = 50;
+
+// A reading from the live feed, in the shape of the dashboard's messages
+// that the gauges and history charts read
+const messageFromReading = (deviceId, reading, isHistorical) => ({
+  timestamp: new Date(reading.receivedAt).toLocaleString(),
+  deviceId,
+  payload: reading.fields,
+  qc: reading.qc || {},
+  data: { received_at: reading.receivedAt },
+  isHistorical,
+});
+
+// Live readings and statuses for a list of devices (null for all of them),
+// narrowed to some fields (null for all). Unlike the dashboard it doesn't
+// fetch or subscribe to the TTN messages: the initial snapshot has each
+// device's latest reading. For the kiosk and embedded widget.
+export const useLiveReadings = (deviceIds, fields) => {
+  const [messages, setMessages] = useState([]);
+  const [deviceStatuses, setDeviceStatuses] = useState({});
+  const [isConnected, setIsConnected] = useState(false);
+  const [backfillVersion, setBackfillVersion] = useState(0);
+  // When the readings shown were last synced, while disconnected
+  const [dataAsOf, setDataAsOf] = useState(null);
+
+  // Compared by value, so callers can pass new arrays each render
+  const devicesKey = deviceIds ? deviceIds.join(",") : "*";
+  const fieldsKey = fields ? fields.join(",") : "*";
+
+  useEffect(() => {
+    let lastSyncedAt = null;
+    // Whether what's shown may be behind the server, so reconnecting
+    // should catch up
+    let isOutOfSync = false;
+
+    const handleEvent = (data) => {
+      lastSyncedAt = Date.now();
+
+      if (data.type === "error") {
+        console.error("Live updates error:", data.error);
+      }
+
+      if (data.type === "snapshot") {
+        setDeviceStatuses((prev) => ({
+          ...prev,
+          ...Object.fromEntries(
+            data.devices
+              .filter((device) => device.status)
+              .map((device) => [device.deviceId, device.status])
+          ),
+        }));
+        setMessages((prev) => {
+          const newer = data.devices
+            .filter((device) => {
+              if (!device.reading) {
+                return false;
+              }
+              const shown = prev.find(
+                (msg) => msg.deviceId === device.deviceId
+              );
+              return (
+                !shown ||
+                new Date(shown.data.received_at) <
+                  new Date(device.reading.receivedAt)
+              );
+            })
+            .map((device) =>
+              messageFromReading(device.deviceId, device.reading, true)
+            );
+          return newer.length > 0
+            ? [...newer, ...prev].slice(0, MAX_MESSAGES)
+            : prev;
+        });
+      }
+
+      if (data.type === "device_status") {
+        setDeviceStatuses((prev) => ({ ...prev, [data.deviceId]: data }));
+      }
+
+      if (data.type === "backfill") {
+        setBackfillVersion((prev) => prev + 1);
+      }
+
+      if (data.type === "reading") {
+        const newMessage = messageFromReading(
+          data.deviceId,
+          data.reading,
+          false
+        );
+        setMessages((prev) => [newMessage, ...prev].slice(0, MAX_MESSAGES));
+      }
+    };
+
+    return connectLiveUpdates({
+      subscription: {
+        devices: devicesKey === "*" ? "*" : devicesKey.split(","),
+        fields: fieldsKey === "*" ? "*" : fieldsKey.split(","),
+        events: ["reading", "device_status", "backfill"],
+        includeMessage: false,
+      },
+      onEvent: handleEvent,
+      onStatus: (status) => {
+        setIsConnected(status.isConnected);
+        if (!status.isConnected) {
+          isOutOfSync = true;
+          setDataAsOf(lastSyncedAt);
+          return;
+        }
+        // Reconnected: the live feed resumes from the last event, and the
+        // charts are fetched again to catch up
+        setDataAsOf(null);
+        if (isOutOfSync) {
+          isOutOfSync = false;
+          setBackfillVersion((prev) => prev + 1);
+        }
+      },
+    });
+  }, [devicesKey, fieldsKey]);
+
+  // Latest message from each device
+  const latestByDevice = useMemo(() => {
+    const latest = {};
+    messages.forEach((msg) => {
+      if (!latest[msg.deviceId]) {
+        latest[msg.deviceId] = msg;
+      }
+    });
+    return latest;
+  }, [messages]);
+
+  return {
+    messages,
+    latestByDevice,
+    deviceStatuses,
+    isConnected,
+    backfillVersion,
+    dataAsOf,
+  };
+};
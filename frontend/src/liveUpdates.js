@@ -0,0 +1,319 @@
+// Live updates from the backend over the best transport the network allows:
+// the WebSocket, then Server-Sent Events, then polling (see "Live updates" in
+// the README). Every event has an id, so reconnecting or switching transport
+// resumes from the last event instead of missing any. While the browser is
+// offline it waits for the network rather than retrying.
+
+// Live update protocol version requested from the server
+const LIVE_PROTOCOL = "reef.v1";
+
+// A transport that fails this many times in a row without hearing from the
+// server is given up for the next one
+const MAX_FAILURES = 3;
+const POLL_INTERVAL = 15000;
+const DEFAULT_HEARTBEAT_INTERVAL = 30000;
+// While on a fallback transport the WebSocket is tried again after this
+// long, doubling each time it still can't connect up to the maximum
+const UPGRADE_RETRY_MIN = 30 * 1000;
+const UPGRADE_RETRY_MAX = 10 * 60 * 1000;
+// How long a WebSocket retry waits for the server's welcome
+const UPGRADE_PROBE_TIMEOUT = 10000;
+
+const parseEvent = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    console.error("Error parsing live update:", e);
+    return null;
+  }
+};
+
+const webSocketUrl = () => {
+  const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+  return `${protocol}//${window.location.host}`;
+};
+
+const subscriptionQuery = (subscription, lastEventId) => {
+  const params = new URLSearchParams();
+  ["devices", "fields", "events"].forEach((key) => {
+    const value = subscription[key];
+    if (value) {
+      params.set(key, Array.isArray(value) ? value.join(",") : value);
+    }
+  });
+  if (subscription.includeMessage) {
+    params.set("includeMessage", "true");
+  }
+  if (lastEventId) {
+    params.set("lastEventId", lastEventId);
+  }
+  return params;
+};
+
+// Connect with a subscription ({devices, fields, events, includeMessage}).
+// onEvent gets each protocol message, onStatus {isConnected, transport}
+// whenever either changes. Returns a function that disconnects.
+export const connectLiveUpdates = ({ subscription, onEvent, onStatus }) => {
+  let lastEventId = null;
+  let heartbeatInterval = DEFAULT_HEARTBEAT_INTERVAL;
+  let transportIndex = 0;
+  let failures = 0;
+  let stopTransport = null;
+  let retryTimer = null;
+  let watchdog = null;
+  let isClosed = false;
+  let isLive = false;
+  let failCurrent = null;
+  let upgradeTimer = null;
+  let upgradeDelay = UPGRADE_RETRY_MIN;
+  let stopUpgradeProbe = null;
+
+  const openWebSocket = ({ onMessage, onFail }) => {
+    const socket = new WebSocket(webSocketUrl(), LIVE_PROTOCOL);
+    socket.onopen = () => {
+      socket.send(
+        JSON.stringify({ type: "subscribe", ...subscription, lastEventId })
+      );
+    };
+    socket.onmessage = (event) => onMessage(parseEvent(event.data));
+    socket.onclose = (event) =>
+      onFail(`WebSocket closed (${event.code} ${event.reason})`);
+    return () => {
+      socket.onclose = null;
+      socket.close();
+    };
+  };
+
+  // We reconnect ourselves rather than let EventSource retry, so repeated
+  // failures can fall back to polling
+  const openEventSource = ({ onMessage, onFail }) => {
+    const source = new EventSource(
+      `/api/live/stream?${subscriptionQuery(subscription, lastEventId)}`
+    );
+    source.onmessage = (event) => onMessage(parseEvent(event.data));
+    source.onerror = () => onFail("Event stream failed");
+    return () => source.close();
+  };
+
+  const startPolling = ({ onAlive, onMessage, onFail }) => {
+    let timer = null;
+    let isStopped = false;
+
+    const poll = async () => {
+      try {
+        const response = await fetch(
+          `/api/live/poll?${subscriptionQuery(subscription, lastEventId)}`
+        );
+        if (!response.ok) {
+          throw new Error(`Poll failed: ${response.status}`);
+        }
+        const result = await response.json();
+        if (isStopped) {
+          return;
+        }
+        onAlive();
+        result.events.forEach(onMessage);
+        lastEventId = result.lastEventId;
+        timer = setTimeout(poll, POLL_INTERVAL);
+      } catch (error) {
+        if (!isStopped) {
+          onFail(error.message);
+        }
+      }
+    };
+
+    poll();
+    return () => {
+      isStopped = true;
+      clearTimeout(timer);
+    };
+  };
+
+  const transports = [
+    { name: "websocket", open: openWebSocket, usesHeartbeat: true },
+    { name: "sse", open: openEventSource, usesHeartbeat: true },
+    { name: "polling", open: startPolling, usesHeartbeat: false },
+  ];
+
+  const cancelUpgrade = () => {
+    clearTimeout(upgradeTimer);
+    upgradeTimer = null;
+    if (stopUpgradeProbe) {
+      stopUpgradeProbe();
+    }
+    upgradeDelay = UPGRADE_RETRY_MIN;
+  };
+
+  // Start again from the WebSocket, resuming from the last event
+  const restartFromWebSocket = () => {
+    cancelUpgrade();
+    clearTimeout(retryTimer);
+    clearTimeout(watchdog);
+    if (stopTransport) {
+      stopTransport();
+    }
+    transportIndex = 0;
+    failures = 0;
+    connect();
+  };
+
+  // Falling back may only have been down to a server restart or a proxy
+  // hiccup, so while on SSE or polling, check now and then whether the
+  // WebSocket connects again and switch back to it if so
+  const probeWebSocket = () => {
+    upgradeTimer = null;
+    const socket = new WebSocket(webSocketUrl(), LIVE_PROTOCOL);
+    let timeout = null;
+
+    stopUpgradeProbe = () => {
+      clearTimeout(timeout);
+      socket.onmessage = null;
+      socket.onclose = null;
+      socket.close();
+      stopUpgradeProbe = null;
+    };
+
+    const finish = (isReachable) => {
+      stopUpgradeProbe();
+      if (isReachable) {
+        console.log("WebSocket is back, switching live updates to it");
+        restartFromWebSocket();
+        return;
+      }
+      upgradeDelay = Math.min(upgradeDelay * 2, UPGRADE_RETRY_MAX);
+      scheduleUpgrade();
+    };
+
+    // The server's welcome says it's accepting WebSocket connections again
+    socket.onmessage = () => finish(true);
+    socket.onclose = () => finish(false);
+    timeout = setTimeout(() => finish(false), UPGRADE_PROBE_TIMEOUT);
+  };
+
+  const scheduleUpgrade = () => {
+    if (isClosed || transportIndex === 0 || upgradeTimer || stopUpgradeProbe) {
+      return;
+    }
+    upgradeTimer = setTimeout(probeWebSocket, upgradeDelay);
+  };
+
+  const connect = () => {
+    if (isClosed) {
+      return;
+    }
+
+    const transport = transports[transportIndex];
+    scheduleUpgrade();
+    let isAlive = false;
+    let hasFailed = false;
+    console.log(`Connecting to live updates using ${transport.name}`);
+
+    const fail = (reason) => {
+      if (hasFailed || isClosed) {
+        return;
+      }
+      hasFailed = true;
+      isLive = false;
+      clearTimeout(watchdog);
+      stopTransport();
+      onStatus({ isConnected: false, transport: transport.name });
+      console.log(`Live updates disconnected: ${reason}`);
+
+      // Failing while offline says nothing about the transport, so it
+      // doesn't count towards falling back; going online reconnects
+      if (!navigator.onLine) {
+        console.log("Offline, waiting for the network to reconnect");
+        return;
+      }
+
+      failures = isAlive ? 0 : failures + 1;
+      if (failures >= MAX_FAILURES && transportIndex < transports.length - 1) {
+        transportIndex++;
+        failures = 0;
+        console.log(
+          `Falling back to ${transports[transportIndex].name} for live updates`
+        );
+        connect();
+        return;
+      }
+
+      const delay = Math.min(1000 * Math.pow(2, failures), 30000);
+      console.log(`Reconnecting in ${delay / 1000} seconds...`);
+      retryTimer = setTimeout(connect, delay);
+    };
+
+    // Reconnect if the server's heartbeats stop arriving
+    const resetWatchdog = () => {
+      clearTimeout(watchdog);
+      watchdog = setTimeout(
+        () => fail("No heartbeat from server"),
+        heartbeatInterval * 2
+      );
+    };
+
+    const alive = () => {
+      if (!isAlive) {
+        isAlive = true;
+        isLive = true;
+        failures = 0;
+        onStatus({ isConnected: true, transport: transport.name });
+      }
+      if (transport.usesHeartbeat) {
+        resetWatchdog();
+      }
+    };
+
+    const message = (data) => {
+      if (!data) {
+        return;
+      }
+      if (data.type === "welcome") {
+        heartbeatInterval = data.heartbeatInterval;
+      }
+      alive();
+      if (data.eventId) {
+        lastEventId = data.eventId;
+      }
+      onEvent(data);
+    };
+
+    failCurrent = fail;
+    stopTransport = transport.open({
+      onAlive: alive,
+      onMessage: message,
+      onFail: fail,
+    });
+    if (transport.usesHeartbeat) {
+      resetWatchdog();
+    }
+  };
+
+  // Back online: start again from the WebSocket straight away, resuming
+  // from the last event, unless an attempt is still connected
+  const handleOnline = () => {
+    if (isClosed || isLive) {
+      return;
+    }
+    console.log("Back online, reconnecting live updates");
+    restartFromWebSocket();
+  };
+
+  // Don't wait for the heartbeat watchdog to notice the network has gone
+  const handleOffline = () => failCurrent("Network offline");
+
+  window.addEventListener("online", handleOnline);
+  window.addEventListener("offline", handleOffline);
+  connect();
+
+  return () => {
+    isClosed = true;
+    window.removeEventListener("online", handleOnline);
+    window.removeEventListener("offline", handleOffline);
+    cancelUpgrade();
+    clearTimeout(retryTimer);
+    clearTimeout(watchdog);
+    if (stopTransport) {
+      stopTransport();
+    }
+  };
+};
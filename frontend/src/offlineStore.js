@@ -0,0 +1,54 @@
+// Recent data kept in IndexedDB so the dashboard renders straight away on a
+// reload, and keeps working with no network: the device registry, sensor
+// schema, latest messages and history charts. Each entry is saved with the
+// time it was last fetched from the server. Storage failures (e.g. private
+// browsing) are logged and otherwise ignored, as the cache is only a
+// fallback.
+
+const DB_NAME = "reef-dashboard";
+const DB_VERSION = 1;
+const STORE = "cache";
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (mode, makeRequest) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(STORE, mode).objectStore(STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Save a value under a key, with the time it was fetched (defaults to now)
+export const saveCached = async (key, value, syncedAt = Date.now()) => {
+  try {
+    await runRequest("readwrite", (store) =>
+      store.put({ value, syncedAt }, key)
+    );
+  } catch (error) {
+    console.error(`Error caching ${key}:`, error);
+  }
+};
+
+// Resolves to {value, syncedAt}, or null if nothing is cached
+export const loadCached = async (key) => {
+  try {
+    return (await runRequest("readonly", (store) => store.get(key))) || null;
+  } catch (error) {
+    console.error(`Error reading cached ${key}:`, error);
+    return null;
+  }
+};
@@ -0,0 +1,108 @@
+import { useCallback, useEffect, useState } from "react";
+import { loadCached, saveCached } from "./offlineStore";
+
+// Fetch the device registry
+export const useDevices = () => {
+  const [devices, setDevices] = useState([]);
+  const [isLoadingDevices, setIsLoadingDevices] = useState(true);
+  const [devicesVersion, setDevicesVersion] = useState(0);
+
+  // Fetch again after devices are changed in the admin area
+  const reloadDevices = useCallback(
+    () => setDevicesVersion((version) => version + 1),
+    []
+  );
+
+  // The registry cached by the last visit is shown until it's fetched, or
+  // if it can't be
+  useEffect(() => {
+    let isFetched = false;
+    loadCached("devices").then((cached) => {
+      if (cached && !isFetched) {
+        setDevices(cached.value);
+        setIsLoadingDevices(false);
+      }
+    });
+
+    fetch("/api/devices")
+      .then(async (response) => {
+        if (!response.ok) {
+          throw new Error(`Device request failed: ${response.status}`);
+        }
+        const registry = await response.json();
+        isFetched = true;
+        setDevices(registry);
+        saveCached("devices", registry);
+      })
+      .catch((error) => console.error("Error fetching devices:", error))
+      .finally(() => setIsLoadingDevices(false));
+  }, [devicesVersion]);
+
+  return { devices, isLoadingDevices, reloadDevices };
+};
+
+// Fetch one device, for pages that don't need the whole registry. The device
+// is null until it's fetched, and if it isn't registered.
+export const useDevice = (deviceId) => {
+  const [device, setDevice] = useState(null);
+  const [isLoadingDevice, setIsLoadingDevice] = useState(true);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetch(`/api/devices/${encodeURIComponent(deviceId)}`, {
+      signal: controller.signal,
+    })
+      .then(async (response) => {
+        if (response.status === 404) {
+          setDevice(null);
+          return;
+        }
+        if (!response.ok) {
+          throw new Error(`Device request failed: ${response.status}`);
+        }
+        setDevice(await response.json());
+      })
+      .catch((error) => {
+        if (error.name !== "AbortError") {
+          console.error("Error fetching device:", error);
+        }
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setIsLoadingDevice(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, [deviceId]);
+
+  return { device, isLoadingDevice };
+};
+
+// Fetch the sensor field catalogue used for fields a device doesn't list
+export const useSensorSchema = () => {
+  const [sensorSchema, setSensorSchema] = useState(null);
+
+  useEffect(() => {
+    let isFetched = false;
+    loadCached("schema").then((cached) => {
+      if (cached && !isFetched) {
+        setSensorSchema(cached.value);
+      }
+    });
+
+    fetch("/api/schema")
+      .then(async (response) => {
+        if (!response.ok) {
+          throw new Error(`Schema request failed: ${response.status}`);
+        }
+        const schema = await response.json();
+        isFetched = true;
+        setSensorSchema(schema);
+        saveCached("schema", schema);
+      })
+      .catch((error) => console.error("Error fetching sensor schema:", error));
+  }, []);
+
+  return sensorSchema;
+};
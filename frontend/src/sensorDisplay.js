@@ -0,0 +1,92 @@
+// How sensors are displayed: gauge settings from the backend sensor schema,
+// and how a device's sensors are grouped into history charts.
+
+// Gauge props for a resolved sensor from the backend schema. Band limits are
+// kept inside the gauge's range and the last one always ends at its max.
+export const gaugePropsFor = (sensor) => {
+  const bands = sensor.bands.filter(
+    (band) => band.limit > sensor.min && band.limit < sensor.max
+  );
+  const lastColor = sensor.bands.length
+    ? sensor.bands[sensor.bands.length - 1].color
+    : sensor.color;
+  return {
+    min: sensor.min,
+    max: sensor.max,
+    color: sensor.color,
+    precision: sensor.precision,
+    subArcs: [...bands, { limit: sensor.max, color: lastColor }].map(
+      (band) => ({ ...band, showTick: true })
+    ),
+  };
+};
+
+// Display settings for a payload field the device's sensor list doesn't
+// cover: the catalogue entry if there is one, otherwise the default sensor
+// with its range widened to fit the value
+export const sensorForField = (schema, field, value) => {
+  const known = schema.fields[field];
+  if (known) {
+    return { ...known, field };
+  }
+
+  const sensor = { ...schema.defaultSensor, field, label: field };
+  if (value < sensor.min || value > sensor.max) {
+    const magnitude = 10 ** Math.floor(Math.log10(Math.abs(value) || 1));
+    sensor.min = Math.min(0, Math.floor(value / magnitude) * magnitude);
+    sensor.max = Math.max(0, Math.ceil(value / magnitude) * magnitude);
+    if (sensor.min === sensor.max) {
+      sensor.max = sensor.min + magnitude;
+    }
+    sensor.bands = [];
+  }
+  return sensor;
+};
+
+const SERIES_FALLBACK_COLORS = ["#f59e0b", "#ec4899", "#84cc16", "#6366f1"];
+
+const UNIT_GROUP_LABELS = {
+  "°C": "Temperature",
+};
+
+// Build chart metric groups from a device's sensors; sensors sharing a unit
+// are overlaid on one y-axis
+export const chartGroupsForSensors = (sensors) => {
+  const groups = [];
+  sensors.forEach((sensor) => {
+    let group = groups.find((g) => g.unit === sensor.unit);
+    if (!group) {
+      group = { label: sensor.label, unit: sensor.unit, series: [] };
+      groups.push(group);
+    }
+    // Overlaid series need distinct colours even if their gauges share one
+    const usedColors = group.series.map((series) => series.color);
+    const color = [sensor.color, ...SERIES_FALLBACK_COLORS].find(
+      (c) => !usedColors.includes(c)
+    );
+    group.series.push({ field: sensor.field, label: sensor.label, color });
+  });
+
+  groups
+    .filter((group) => group.series.length > 1)
+    .forEach((group) => {
+      group.label = UNIT_GROUP_LABELS[group.unit] || group.unit;
+    });
+  return groups;
+};
+
+// The sensors a device's gauges show: its configured sensors, then any
+// other numeric payload field in its latest message (once the schema has
+// loaded)
+export const displayedSensors = (device, sensorSchema, latestMessage) => {
+  const extraSensors = sensorSchema
+    ? Object.entries(latestMessage?.payload || {})
+        .filter(
+          ([field, value]) =>
+            typeof value === "number" &&
+            !device.sensors.some((sensor) => sensor.field === field)
+        )
+        .map(([field, value]) => sensorForField(sensorSchema, field, value))
+    : [];
+  return [...device.sensors, ...extraSensors];
+};
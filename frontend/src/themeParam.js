@@ -0,0 +1,18 @@
+import { useEffect } from "react";
+import { useSearchParams } from "react-router-dom";
+
+// Light or dark mode for pages shown without the dark mode toggle (the kiosk
+// and embedded widget): ?theme=light or ?theme=dark, otherwise the theme
+// chosen on the dashboard, otherwise the system setting. Unlike the toggle,
+// the choice isn't saved.
+export const useThemeParam = () => {
+  const [searchParams] = useSearchParams();
+  const theme = searchParams.get("theme") || localStorage.getItem("theme");
+
+  useEffect(() => {
+    const isDarkMode = theme
+      ? theme === "dark"
+      : window.matchMedia("(prefers-color-scheme: dark)").matches;
+    document.documentElement.classList.toggle("dark", isDarkMode);
+  }, [theme]);
+};